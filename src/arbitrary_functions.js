@@ -0,0 +1,989 @@
+import {RealFunctions, elementAt, sliceList} from "./real_functions.js"
+
+// Bounds on the precision, in bits, of the "arbitrary" compilation mode
+const MIN_PRECISION = 8
+const MAX_PRECISION = 65536
+
+// The precision, in bits, of the mantissas of results in the "arbitrary" compilation mode
+let precision = 128
+
+/**
+ * Set the precision, in bits, used by ArbitraryFunctions. Results are rounded to this many bits of mantissa.
+ * @param bits {number}
+ */
+function setArbitraryPrecision(bits) {
+  if (!Number.isInteger(bits) || bits < MIN_PRECISION || bits > MAX_PRECISION)
+    throw new RangeError("Precision must be an integer in the range [" + MIN_PRECISION + ", " + MAX_PRECISION + "] inclusive.")
+
+  precision = bits
+}
+
+/**
+ * Get the precision, in bits, used by ArbitraryFunctions
+ * @returns {number}
+ */
+function getArbitraryPrecision() {
+  return precision
+}
+
+/**
+ * Number of bits in the binary representation of a nonnegative BigInt (0 for 0n)
+ * @param n {BigInt}
+ * @returns {number}
+ */
+function bitLength(n) {
+  return (n === 0n) ? 0 : n.toString(2).length
+}
+
+function bigAbs(n) {
+  return (n < 0n) ? -n : n
+}
+
+/**
+ * Integer square root of a nonnegative BigInt, rounded down, by Newton's method
+ * @param n {BigInt}
+ * @returns {BigInt}
+ */
+function isqrt(n) {
+  if (n < 2n)
+    return n
+
+  let x = 1n << BigInt(Math.ceil(bitLength(n) / 2))
+
+  while (true) {
+    const y = (x + n / x) >> 1n
+
+    if (y >= x)
+      return x
+
+    x = y
+  }
+}
+
+// Used to decompose doubles exactly
+const floatStore = new Float64Array(1)
+const intStore = new BigUint64Array(floatStore.buffer)
+
+/**
+ * Abstraction of an arbitrary-precision binary floating point number mantissa * 2^exponent, where mantissa is a BigInt
+ * and exponent is an integer. Non-finite values are stored in nonFinite as NaN, Infinity or -Infinity, in which case
+ * mantissa and exponent are meaningless. BigFloats are immutable.
+ */
+class BigFloat {
+  constructor(mantissa = 0n, exponent = 0, nonFinite = null) {
+    this.mantissa = mantissa
+    this.exponent = exponent
+    this.nonFinite = nonFinite
+  }
+
+  isFinite() {
+    return this.nonFinite === null
+  }
+
+  isNaN() {
+    return this.nonFinite !== null && this.nonFinite !== this.nonFinite
+  }
+
+  isZero() {
+    return this.nonFinite === null && this.mantissa === 0n
+  }
+
+  // Whether the number is a (finite) integer
+  isInteger() {
+    if (!this.isFinite())
+      return false
+    if (this.exponent >= 0 || this.mantissa === 0n)
+      return true
+
+    const shift = BigInt(-this.exponent)
+
+    return ((this.mantissa >> shift) << shift) === this.mantissa
+  }
+
+  // -1, 0 or 1, or NaN for NaN
+  sign() {
+    if (!this.isFinite())
+      return Math.sign(this.nonFinite)
+
+    return (this.mantissa > 0n) ? 1 : ((this.mantissa < 0n) ? -1 : 0)
+  }
+
+  /**
+   * floor(log2(|x|)) + 1 for finite nonzero x, i.e. the exponent of the leading bit plus one. -Infinity for zero.
+   * @returns {number}
+   */
+  magnitude() {
+    if (this.mantissa === 0n)
+      return -Infinity
+
+    return this.exponent + bitLength(bigAbs(this.mantissa))
+  }
+
+  /**
+   * Convert to the nearest (or nearly nearest) double
+   * @returns {number}
+   */
+  toNumber() {
+    if (!this.isFinite())
+      return this.nonFinite
+
+    let m = this.mantissa
+    let e = this.exponent
+    const len = bitLength(bigAbs(m))
+
+    // Reduce the mantissa to 64 bits so that Number(m) doesn't overflow
+    if (len > 64) {
+      m >>= BigInt(len - 64)
+      e += len - 64
+    }
+
+    // Multiply in two steps to avoid premature overflow or underflow of the power of two
+    const half = Math.trunc(e / 2)
+
+    return Number(m) * Math.pow(2, half) * Math.pow(2, e - half)
+  }
+
+  /**
+   * Convert to a decimal string with at most a given number of significant digits
+   * @param digits {number} Defaults to the number of digits corresponding to the current precision
+   * @returns {string}
+   */
+  toString(digits = Math.ceil(precision * Math.LOG10E * Math.LN2)) {
+    if (!this.isFinite())
+      return String(this.nonFinite)
+    if (this.mantissa === 0n)
+      return "0"
+
+    const neg = this.mantissa < 0n
+    const m = bigAbs(this.mantissa)
+    const e = this.exponent
+
+    // round(|x| * 10^s)
+    function scaled(s) {
+      let num = m, den = 1n
+
+      if (s >= 0)
+        num *= 10n ** BigInt(s)
+      else
+        den *= 10n ** BigInt(-s)
+
+      if (e >= 0)
+        num <<= BigInt(e)
+      else
+        den <<= BigInt(-e)
+
+      return (2n * num + den) / (2n * den)
+    }
+
+    // Estimate of floor(log10(|x|)), corrected below
+    let d = Math.floor((this.magnitude() - 1) * Math.LN2 / Math.LN10)
+    let n = scaled(digits - 1 - d)
+
+    if (n >= 10n ** BigInt(digits)) {
+      d++
+      n = scaled(digits - 1 - d)
+    } else if (n < 10n ** BigInt(digits - 1)) {
+      d--
+      n = scaled(digits - 1 - d)
+    }
+
+    // Rounding can carry into an extra digit
+    let str = n.toString()
+    if (str.length > digits) {
+      d++
+      str = str.slice(0, digits)
+    }
+
+    str = str.replace(/0+$/, "") || "0"
+
+    let ret
+
+    if (d >= -7 && d < 21) {
+      if (d >= 0)
+        ret = (d + 1 >= str.length) ? str + "0".repeat(d + 1 - str.length) : str.slice(0, d + 1) + '.' + str.slice(d + 1)
+      else
+        ret = "0." + "0".repeat(-d - 1) + str
+    } else {
+      ret = str[0] + (str.length > 1 ? '.' + str.slice(1) : "") + 'e' + (d < 0 ? '-' : '+') + Math.abs(d)
+    }
+
+    return (neg ? '-' : '') + ret
+  }
+
+  static NaN() {
+    return new BigFloat(0n, 0, NaN)
+  }
+
+  static Infinity(sign = 1) {
+    return new BigFloat(0n, 0, sign < 0 ? -Infinity : Infinity)
+  }
+
+  /**
+   * Convert a double to a BigFloat exactly
+   * @param x {number}
+   * @returns {BigFloat}
+   */
+  static fromNumber(x) {
+    if (!Number.isFinite(x))
+      return new BigFloat(0n, 0, x)
+    if (x === 0)
+      return new BigFloat(0n, 0)
+
+    floatStore[0] = x
+
+    const bits = intStore[0]
+    const biasedExponent = Number((bits >> 52n) & 0x7ffn)
+    let mantissa = bits & 0xfffffffffffffn
+
+    if (biasedExponent !== 0) // normal number, with implicit leading bit
+      mantissa |= 1n << 52n
+
+    const exponent = (biasedExponent === 0 ? 1 : biasedExponent) - 1075
+
+    return new BigFloat(x < 0 ? -mantissa : mantissa, exponent)
+  }
+
+  static fromBigInt(n) {
+    return new BigFloat(n, 0)
+  }
+
+  /**
+   * Parse a decimal string, like "3.14" or "-1e-20", correctly rounded to a given precision. Invalid strings give NaN.
+   * @param string {string}
+   * @param prec {number}
+   * @returns {BigFloat}
+   */
+  static fromString(string, prec = precision) {
+    string = string.trim()
+
+    switch (string) {
+      case "Infinity":
+      case "+Infinity":
+        return BigFloat.Infinity(1)
+      case "-Infinity":
+        return BigFloat.Infinity(-1)
+    }
+
+    const match = /^([+-])?([0-9]*)(?:\.([0-9]*))?(?:[eE]([+-]?[0-9]+))?$/.exec(string)
+
+    if (!match || (!match[2] && !match[3]))
+      return BigFloat.NaN()
+
+    const neg = match[1] === '-'
+    const fracPart = match[3] ?? ""
+    const digits = BigInt((match[2] + fracPart) || "0")
+    const exp10 = (match[4] ? parseInt(match[4]) : 0) - fracPart.length
+
+    if (digits === 0n)
+      return new BigFloat(0n, 0)
+
+    // Avoid computing absurdly large powers of ten
+    if (exp10 > MAX_DECIMAL_EXPONENT)
+      return BigFloat.Infinity(neg ? -1 : 1)
+    if (exp10 < -MAX_DECIMAL_EXPONENT)
+      return new BigFloat(0n, 0)
+
+    const signed = neg ? -digits : digits
+
+    if (exp10 >= 0)
+      return roundBigFloat(signed * 10n ** BigInt(exp10), 0, prec)
+
+    return divide(BigFloat.fromBigInt(signed), BigFloat.fromBigInt(10n ** BigInt(-exp10)), prec)
+  }
+}
+
+// Decimal exponents beyond this magnitude are treated as overflow/underflow when parsing
+const MAX_DECIMAL_EXPONENT = 100000
+
+/**
+ * Round mantissa * 2^exponent to a given number of bits, rounding half to even
+ * @param mantissa {BigInt}
+ * @param exponent {number}
+ * @param prec {number}
+ * @returns {BigFloat}
+ */
+function roundBigFloat(mantissa, exponent, prec) {
+  if (mantissa === 0n)
+    return new BigFloat(0n, 0)
+
+  const neg = mantissa < 0n
+  let m = bigAbs(mantissa)
+  const len = bitLength(m)
+
+  if (len > prec) {
+    const shift = BigInt(len - prec)
+    const q = m >> shift
+    const r = m - (q << shift)
+    const half = 1n << (shift - 1n)
+
+    m = (r > half || (r === half && (q & 1n) === 1n)) ? q + 1n : q
+    exponent += len - prec
+  }
+
+  return new BigFloat(neg ? -m : m, exponent)
+}
+
+function round(x, prec) {
+  return x.isFinite() ? roundBigFloat(x.mantissa, x.exponent, prec) : x
+}
+
+// Multiply by 2^k exactly
+function ldexp(x, k) {
+  return x.isFinite() ? new BigFloat(x.mantissa, x.exponent + k) : x
+}
+
+function negate(x) {
+  return x.isFinite() ? new BigFloat(-x.mantissa, x.exponent) : new BigFloat(0n, 0, -x.nonFinite)
+}
+
+// Result of an operation involving non-finite values, computed with doubles (which give the right answer in such cases)
+function nonFiniteResult(func, ...args) {
+  return BigFloat.fromNumber(func(...args.map(arg => arg.toNumber())))
+}
+
+function add(x, y, prec) {
+  if (!x.isFinite() || !y.isFinite())
+    return nonFiniteResult((a, b) => a + b, x, y)
+  if (x.mantissa === 0n)
+    return round(y, prec)
+  if (y.mantissa === 0n)
+    return round(x, prec)
+
+  const mx = x.magnitude(), my = y.magnitude()
+
+  // If one operand is negligible, it only affects the rounding of the other, which we simulate with a sticky bit. The
+  // sticky bit must be below the rounding position, so the mantissa is first widened to more than prec bits.
+  const withSticky = (big, small) => {
+    const shift = Math.max(0, prec + 2 - bitLength(bigAbs(big.mantissa)))
+
+    return roundBigFloat((big.mantissa << BigInt(shift + 2)) + BigInt(small.sign()), big.exponent - shift - 2, prec)
+  }
+
+  if (mx - my > prec + 2)
+    return withSticky(x, y)
+  if (my - mx > prec + 2)
+    return withSticky(y, x)
+
+  const e = Math.min(x.exponent, y.exponent)
+
+  return roundBigFloat((x.mantissa << BigInt(x.exponent - e)) + (y.mantissa << BigInt(y.exponent - e)), e, prec)
+}
+
+function subtract(x, y, prec) {
+  return add(x, negate(y), prec)
+}
+
+function multiply(x, y, prec) {
+  if (!x.isFinite() || !y.isFinite())
+    return nonFiniteResult((a, b) => a * b, x, y)
+
+  return roundBigFloat(x.mantissa * y.mantissa, x.exponent + y.exponent, prec)
+}
+
+function divide(x, y, prec) {
+  if (!x.isFinite() || !y.isFinite() || y.mantissa === 0n)
+    return nonFiniteResult((a, b) => a / b, x, y)
+  if (x.mantissa === 0n)
+    return x
+
+  // Shift the numerator so that the quotient has at least prec + 2 bits
+  const k = Math.max(0, prec + 2 + bitLength(bigAbs(y.mantissa)) - bitLength(bigAbs(x.mantissa)))
+  const num = x.mantissa << BigInt(k)
+  const q = num / y.mantissa
+  const r = num % y.mantissa
+
+  // Append a sticky bit so the inexact quotient rounds correctly
+  const sticky = (r === 0n) ? 0n : (((num < 0n) !== (y.mantissa < 0n)) ? -1n : 1n)
+
+  return roundBigFloat(q * 2n + sticky, x.exponent - y.exponent - k - 1, prec)
+}
+
+// The remainder of x divided by m, with the sign of m, which is computed exactly and then rounded
+function mod(x, m, prec) {
+  if (!x.isFinite() || !m.isFinite() || m.mantissa === 0n)
+    return nonFiniteResult(RealFunctions.Mod, x, m)
+
+  const e = Math.min(x.exponent, m.exponent)
+  const a = x.mantissa << BigInt(x.exponent - e), b = m.mantissa << BigInt(m.exponent - e)
+
+  return roundBigFloat(((a % b) + b) % b, e, prec)
+}
+
+function sqrt(x, prec) {
+  if (x.isNaN() || x.sign() < 0)
+    return BigFloat.NaN()
+  if (!x.isFinite() || x.mantissa === 0n)
+    return x
+
+  let m = x.mantissa
+  let e = x.exponent
+
+  // Give the mantissa enough bits, and make the exponent even
+  let k = Math.max(0, 2 * prec + 4 - bitLength(m))
+
+  if ((e - k) % 2 !== 0)
+    k++
+
+  m <<= BigInt(k)
+  e -= k
+
+  const s = isqrt(m)
+  const sticky = (s * s === m) ? 0n : 1n
+
+  return roundBigFloat(s * 2n + sticky, e / 2 - 1, prec)
+}
+
+/**
+ * Compare two BigFloats exactly, returning -1, 0 or 1, or NaN if either is NaN
+ * @param x {BigFloat}
+ * @param y {BigFloat}
+ * @returns {number}
+ */
+function compare(x, y) {
+  if (x.isNaN() || y.isNaN())
+    return NaN
+
+  if (!x.isFinite() || !y.isFinite()) {
+    const a = x.isFinite() ? 0 : x.nonFinite, b = y.isFinite() ? 0 : y.nonFinite
+
+    return Math.sign(a - b) || 0
+  }
+
+  const sx = x.sign(), sy = y.sign()
+
+  if (sx !== sy)
+    return (sx < sy) ? -1 : 1
+  if (sx === 0)
+    return 0
+
+  const mx = x.magnitude(), my = y.magnitude()
+
+  if (mx !== my)
+    return ((mx > my) === (sx > 0)) ? 1 : -1
+
+  const e = Math.min(x.exponent, y.exponent)
+  const a = x.mantissa << BigInt(x.exponent - e), b = y.mantissa << BigInt(y.exponent - e)
+
+  return (a < b) ? -1 : ((a > b) ? 1 : 0)
+}
+
+/**
+ * Round a finite BigFloat to the nearest integer, as a BigInt
+ * @param x {BigFloat}
+ * @returns {BigInt}
+ */
+function roundToBigInt(x) {
+  if (x.exponent >= 0)
+    return x.mantissa << BigInt(x.exponent)
+
+  const shift = BigInt(-x.exponent)
+
+  return (x.mantissa + (1n << (shift - 1n))) >> shift
+}
+
+const one = new BigFloat(1n, 0)
+
+// Caches of constants computed to some precision, which are reused for that precision and all lower precisions
+const constantCache = {
+  pi: null,
+  ln2: null
+}
+
+/**
+ * Get a constant to a given precision, computing it with computeFixed (which returns the constant times 2^bits as a
+ * BigInt) if the cached value isn't precise enough
+ * @param name {string}
+ * @param computeFixed {Function}
+ * @param prec {number}
+ * @returns {BigFloat}
+ */
+function getConstant(name, computeFixed, prec) {
+  const cached = constantCache[name]
+
+  if (cached && cached.prec >= prec)
+    return round(cached.value, prec)
+
+  const bits = prec + 32
+  const value = roundBigFloat(computeFixed(bits), -bits, prec + 16)
+
+  constantCache[name] = { prec: prec + 16, value }
+
+  return round(value, prec)
+}
+
+/**
+ * Compute atan(1/n) * 2^bits, for an integer n > 1, as a BigInt
+ * @param n {BigInt}
+ * @param bits {number}
+ * @returns {BigInt}
+ */
+function atanInverseFixed(n, bits) {
+  const n2 = n * n
+  let x = (1n << BigInt(bits)) / n
+  let sum = x
+
+  for (let k = 1n; x !== 0n; ++k) {
+    x /= n2
+
+    const term = x / (2n * k + 1n)
+    sum += (k & 1n) ? -term : term
+  }
+
+  return sum
+}
+
+function pi(prec) {
+  // Machin's formula: pi = 16 atan(1/5) - 4 atan(1/239)
+  return getConstant("pi", bits => 16n * atanInverseFixed(5n, bits) - 4n * atanInverseFixed(239n, bits), prec)
+}
+
+function ln2(prec) {
+  // ln 2 = 2 atanh(1/3) = 2 (1/3 + 1/(3 * 3^3) + 1/(5 * 3^5) + ...)
+  return getConstant("ln2", bits => {
+    let x = (1n << BigInt(bits)) / 3n
+    let sum = x
+
+    for (let k = 1n; x !== 0n; ++k) {
+      x /= 9n
+      sum += x / (2n * k + 1n)
+    }
+
+    return 2n * sum
+  }, prec)
+}
+
+/**
+ * Sum a series whose nth term is computed from the previous one, until the terms are negligible at a given precision
+ * @param first {BigFloat} The first term
+ * @param next {Function} Signature is (term, n) -> next term, where n is the index of the next term
+ * @param prec {number}
+ * @returns {BigFloat}
+ */
+function sumSeries(first, next, prec) {
+  let sum = first
+  let term = first
+
+  for (let n = 1; ; ++n) {
+    term = next(term, n)
+
+    if (term.mantissa === 0n || term.magnitude() < sum.magnitude() - prec - 2)
+      return sum
+
+    sum = add(sum, term, prec)
+  }
+}
+
+function exp(x, prec) {
+  if (!x.isFinite())
+    return nonFiniteResult(Math.exp, x)
+  if (x.mantissa === 0n)
+    return one
+
+  const approx = x.toNumber()
+
+  // The result would have an absurd exponent
+  if (Math.abs(approx) > 2 ** 40)
+    return (approx > 0) ? BigFloat.Infinity() : new BigFloat(0n, 0)
+
+  // Reduce x = k ln 2 + r, with |r| <= ln(2) / 2, then r further by a power of two s, so that exp(x) = exp(r / 2^s)^(2^s) * 2^k
+  const k = Math.round(approx / Math.LN2)
+  const s = Math.ceil(Math.sqrt(prec))
+  const wp = prec + 2 * s + 20 + bitLength(BigInt(Math.abs(k)))
+
+  let r = subtract(x, multiply(BigFloat.fromNumber(k), ln2(wp), wp), wp)
+  r = ldexp(r, -s)
+
+  let ret = sumSeries(one, (term, n) => divide(multiply(term, r, wp), BigFloat.fromNumber(n), wp), wp)
+
+  for (let i = 0; i < s; ++i)
+    ret = multiply(ret, ret, wp)
+
+  return round(ldexp(ret, k), prec)
+}
+
+function ln(x, prec) {
+  if (x.isNaN() || x.sign() < 0)
+    return BigFloat.NaN()
+  if (!x.isFinite())
+    return x
+  if (x.mantissa === 0n)
+    return BigFloat.Infinity(-1)
+
+  // Write x = y * 2^k with y in [sqrt(1/2), sqrt(2)), so that ln x = ln y + k ln 2
+  let k = x.magnitude()
+  let y = ldexp(x, -k)
+
+  if (compare(y, BigFloat.fromNumber(Math.SQRT1_2)) < 0) {
+    y = ldexp(y, 1)
+    k--
+  }
+
+  const wp = prec + 20 + bitLength(BigInt(Math.abs(k)))
+
+  // ln y = 2 atanh(t), where t = (y - 1) / (y + 1)
+  const t = divide(subtract(y, one, wp), add(y, one, wp), wp)
+  const t2 = multiply(t, t, wp)
+
+  let power = t
+  const atanh = (t.mantissa === 0n) ? t : sumSeries(t, (_, n) => {
+    power = multiply(power, t2, wp)
+
+    return divide(power, BigFloat.fromNumber(2 * n + 1), wp)
+  }, wp)
+
+  return round(add(ldexp(atanh, 1), multiply(BigFloat.fromNumber(k), ln2(wp), wp), wp), prec)
+}
+
+/**
+ * Compute [sin x, cos x]
+ * @param x {BigFloat}
+ * @param prec {number}
+ * @returns {Array}
+ */
+function sinCos(x, prec) {
+  if (!x.isFinite())
+    return [BigFloat.NaN(), BigFloat.NaN()]
+  if (x.mantissa === 0n)
+    return [x, one]
+
+  // Reduce x = k pi / 2 + r, with |r| <= pi / 4. Large x need more bits of pi
+  const wp = prec + 20 + Math.max(0, x.magnitude())
+  const halfPi = ldexp(pi(wp), -1)
+  const k = roundToBigInt(divide(x, halfPi, wp))
+  const r = subtract(x, multiply(BigFloat.fromBigInt(k), halfPi, wp), wp)
+  const r2 = multiply(r, r, wp)
+
+  const nextTerm = offset => (term, n) => negate(divide(multiply(term, r2, wp), BigFloat.fromNumber((2 * n + offset - 1) * (2 * n + offset)), wp))
+
+  const s = (r.mantissa === 0n) ? r : sumSeries(r, nextTerm(1), wp)
+  const c = sumSeries(one, nextTerm(0), wp)
+
+  let ret
+
+  switch (Number(((k % 4n) + 4n) % 4n)) {
+    case 0:
+      ret = [s, c]
+      break
+    case 1:
+      ret = [c, negate(s)]
+      break
+    case 2:
+      ret = [negate(s), negate(c)]
+      break
+    case 3:
+      ret = [negate(c), s]
+  }
+
+  return ret.map(v => round(v, prec))
+}
+
+function atan(x, prec) {
+  if (x.isNaN())
+    return x
+  if (!x.isFinite())
+    return round(ldexp(pi(prec + 2), -1), prec)
+  if (x.mantissa === 0n)
+    return x
+
+  const wp = prec + 20
+  const neg = x.sign() < 0
+  let a = neg ? negate(x) : x
+
+  // atan(a) = pi / 2 - atan(1 / a) for a > 1
+  const invert = compare(a, one) > 0
+
+  if (invert)
+    a = divide(one, a, wp)
+
+  // Halve the argument with atan(a) = 2 atan(a / (1 + sqrt(1 + a^2))) until the series converges quickly
+  let halvings = 0
+
+  while (a.mantissa !== 0n && a.magnitude() > -8) {
+    a = divide(a, add(one, sqrt(add(one, multiply(a, a, wp), wp), wp), wp), wp)
+    halvings++
+  }
+
+  const a2 = multiply(a, a, wp)
+  let power = a
+
+  let ret = (a.mantissa === 0n) ? a : sumSeries(a, (_, n) => {
+    power = negate(multiply(power, a2, wp))
+
+    return divide(power, BigFloat.fromNumber(2 * n + 1), wp)
+  }, wp)
+
+  ret = ldexp(ret, halvings)
+
+  if (invert)
+    ret = subtract(ldexp(pi(wp), -1), ret, wp)
+
+  return round(neg ? negate(ret) : ret, prec)
+}
+
+function atan2(y, x, prec) {
+  if (!x.isFinite() || !y.isFinite())
+    return nonFiniteResult(Math.atan2, y, x)
+
+  const sx = x.sign(), sy = y.sign()
+
+  if (sx === 0) {
+    if (sy === 0)
+      return new BigFloat(0n, 0)
+
+    const halfPi = round(ldexp(pi(prec + 2), -1), prec)
+
+    return (sy > 0) ? halfPi : negate(halfPi)
+  }
+
+  const wp = prec + 10
+  const ret = atan(divide(y, x, wp), wp)
+
+  if (sx > 0)
+    return round(ret, prec)
+
+  return (sy >= 0) ? add(ret, pi(wp), prec) : subtract(ret, pi(wp), prec)
+}
+
+// sqrt(1 - x^2), factored as sqrt((1 - x)(1 + x)) so that it stays accurate near |x| = 1, where 1 - x is exact
+function sqrtOneMinusSquare(x, wp) {
+  return sqrt(multiply(subtract(one, x, wp), add(one, x, wp), wp), wp)
+}
+
+// Whether |x| > 1, or x is NaN
+function outsideUnitInterval(x) {
+  return x.isNaN() || compare((x.sign() < 0) ? negate(x) : x, one) > 0
+}
+
+function asin(x, prec) {
+  if (outsideUnitInterval(x))
+    return BigFloat.NaN()
+
+  return atan2(x, sqrtOneMinusSquare(x, prec + 10), prec)
+}
+
+function acos(x, prec) {
+  if (outsideUnitInterval(x))
+    return BigFloat.NaN()
+
+  return atan2(sqrtOneMinusSquare(x, prec + 10), x, prec)
+}
+
+// Working precision for functions computed as the difference of nearly equal numbers when x is small, like sinh x =
+// (e^x - e^-x) / 2, which lose about -log2 |x| bits
+function smallArgumentPrecision(x, prec) {
+  return prec + 10 + Math.max(0, -x.magnitude())
+}
+
+function sinh(x, prec) {
+  if (!x.isFinite())
+    return nonFiniteResult(Math.sinh, x)
+  if (x.mantissa === 0n)
+    return x
+
+  const wp = smallArgumentPrecision(x, prec)
+  const e = exp(x, wp)
+
+  return round(ldexp(subtract(e, divide(one, e, wp), wp), -1), prec)
+}
+
+function cosh(x, prec) {
+  if (!x.isFinite())
+    return nonFiniteResult(Math.cosh, x)
+
+  const wp = prec + 10
+  const e = exp(x, wp)
+
+  return round(ldexp(add(e, divide(one, e, wp), wp), -1), prec)
+}
+
+function tanh(x, prec) {
+  if (!x.isFinite())
+    return nonFiniteResult(Math.tanh, x)
+  if (x.mantissa === 0n)
+    return x
+
+  // tanh x = 1 - 2 / (e^(2x) + 1) is within half an ulp of 1 well before |x| reaches prec
+  if (Math.abs(x.toNumber()) > prec)
+    return BigFloat.fromNumber(x.sign())
+
+  const wp = smallArgumentPrecision(x, prec)
+  const e = exp(ldexp(x, 1), wp)
+
+  return divide(subtract(e, one, wp), add(e, one, wp), prec)
+}
+
+// asinh x = ln(x + sqrt(x^2 + 1)), computed for |x| so that there is no cancellation
+function asinh(x, prec) {
+  if (!x.isFinite())
+    return nonFiniteResult(Math.asinh, x)
+  if (x.mantissa === 0n)
+    return x
+
+  const wp = smallArgumentPrecision(x, prec)
+  const a = (x.sign() < 0) ? negate(x) : x
+  const ret = ln(add(a, sqrt(add(multiply(a, a, wp), one, wp), wp), wp), prec)
+
+  return (x.sign() < 0) ? negate(ret) : ret
+}
+
+// acosh x = ln(x + sqrt((x - 1)(x + 1))), which is about sqrt(2 (x - 1)) near 1
+function acosh(x, prec) {
+  if (x.isNaN() || compare(x, one) < 0)
+    return BigFloat.NaN()
+  if (!x.isFinite())
+    return x
+
+  const d = subtract(x, one, prec + 10)
+
+  if (d.mantissa === 0n)
+    return d
+
+  const wp = smallArgumentPrecision(d, prec)
+
+  return ln(add(x, sqrt(multiply(d, add(x, one, wp), wp), wp), wp), prec)
+}
+
+// atanh x = ln((1 + x) / (1 - x)) / 2
+function atanh(x, prec) {
+  if (outsideUnitInterval(x))
+    return BigFloat.NaN()
+  if (x.mantissa === 0n)
+    return x
+  if (compare(x, one) === 0 || compare(x, negate(one)) === 0)
+    return BigFloat.Infinity(x.sign())
+
+  const wp = smallArgumentPrecision(x, prec)
+
+  return round(ldexp(ln(divide(add(one, x, wp), subtract(one, x, wp), wp), wp), -1), prec)
+}
+
+function log10(x, prec) {
+  const wp = prec + 10
+
+  return divide(ln(x, wp), ln(BigFloat.fromNumber(10), wp), prec)
+}
+
+function pow(x, y, prec) {
+  if (y.isInteger() && Math.abs(y.toNumber()) <= Number.MAX_SAFE_INTEGER) {
+    let n = roundToBigInt(y)
+
+    if (n === 0n)
+      return one
+    if (!x.isFinite())
+      return nonFiniteResult(Math.pow, x, y)
+
+    const invert = n < 0n
+    if (invert)
+      n = -n
+
+    // Exponentiation by squaring, with enough guard bits to absorb the rounding of each step
+    const wp = prec + 2 * bitLength(n) + 10
+    let ret = one
+    let base = x
+
+    while (n > 0n) {
+      if (n & 1n)
+        ret = multiply(ret, base, wp)
+
+      base = multiply(base, base, wp)
+      n >>= 1n
+    }
+
+    return invert ? divide(one, ret, prec) : round(ret, prec)
+  }
+
+  if (!x.isFinite() || !y.isFinite() || x.mantissa === 0n)
+    return nonFiniteResult(Math.pow, x, y)
+  if (x.sign() < 0) // negative base with non-integer exponent
+    return BigFloat.NaN()
+
+  // x^y = exp(y ln x); the error of ln x is magnified by the size of the result's exponent
+  const approx = Math.abs(y.toNumber() * Math.log2(Math.abs(x.toNumber()) || 1))
+  const wp = prec + 20 + (Number.isFinite(approx) ? bitLength(BigInt(Math.ceil(approx))) : 64)
+
+  return round(exp(multiply(y, ln(x, wp), wp), wp), prec)
+}
+
+// Factorials of integers larger than this are computed in double precision instead (and are likely infinite anyway)
+const MAX_EXACT_FACTORIAL = 100000
+
+function factorial(x, prec) {
+  if (x.isInteger() && x.sign() >= 0 && x.toNumber() <= MAX_EXACT_FACTORIAL) {
+    const n = x.toNumber()
+    const wp = prec + 2 * bitLength(BigInt(n)) + 10
+    let ret = one
+
+    for (let i = 2; i <= n; ++i)
+      ret = multiply(ret, BigFloat.fromNumber(i), wp)
+
+    return round(ret, prec)
+  }
+
+  // Non-integer factorials are only computed to double precision
+  return BigFloat.fromNumber(RealFunctions.Factorial(x.toNumber()))
+}
+
+function gamma(x, prec) {
+  if (x.isInteger() && x.sign() > 0)
+    return factorial(subtract(x, one, prec), prec)
+
+  // Non-integer arguments are only computed to double precision
+  return BigFloat.fromNumber(RealFunctions.Gamma(x.toNumber()))
+}
+
+// The value of x as a list index, or NaN if it isn't an integer
+function indexValue(x) {
+  return x.isInteger() ? x.toNumber() : NaN
+}
+
+// Functions are evaluated at the current precision
+const ArbitraryFunctions = {
+  FromString: s => BigFloat.fromString(s, precision),
+  FromNumber: x => round(BigFloat.fromNumber(x), precision),
+  Add: (x, y) => add(x, y, precision),
+  Subtract: (x, y) => subtract(x, y, precision),
+  Multiply: (x, y) => multiply(x, y, precision),
+  Divide: (x, y) => divide(x, y, precision),
+  Pow: (x, y) => pow(x, y, precision),
+  Sin: x => sinCos(x, precision)[0],
+  Cos: x => sinCos(x, precision)[1],
+  Tan: x => {
+    const [s, c] = sinCos(x, precision + 10)
+
+    return divide(s, c, precision)
+  },
+  Arcsin: x => asin(x, precision),
+  Arccos: x => acos(x, precision),
+  Arctan: x => atan(x, precision),
+  Sinh: x => sinh(x, precision),
+  Cosh: x => cosh(x, precision),
+  Tanh: x => tanh(x, precision),
+  Arsinh: x => asinh(x, precision),
+  Arcosh: x => acosh(x, precision),
+  Artanh: x => atanh(x, precision),
+  Atan2: (y, x) => atan2(y, x, precision),
+  Mod: (x, m) => mod(x, m, precision),
+  Abs: x => (x.sign() < 0) ? negate(x) : x,
+  Sqrt: x => sqrt(x, precision),
+  Exp: x => exp(x, precision),
+  Ln: x => ln(x, precision),
+  Log10: x => log10(x, precision),
+  Factorial: x => factorial(x, precision),
+  Gamma: x => gamma(x, precision),
+  Pi: () => pi(precision),
+  E: () => exp(one, precision),
+  UnaryMinus: negate,
+  UnaryPlus: x => x,
+  Equal: (x, y) => compare(x, y) === 0,
+  NotEqual: (x, y) => compare(x, y) !== 0,
+  Less: (x, y) => compare(x, y) < 0,
+  Greater: (x, y) => compare(x, y) > 0,
+  LessEqual: (x, y) => compare(x, y) <= 0,
+  GreaterEqual: (x, y) => compare(x, y) >= 0,
+  And: (x, y) => x && y,
+  Or: (x, y) => x || y,
+  Index: (list, i) => elementAt(list, indexValue(i)) ?? BigFloat.NaN(),
+  Slice: (list, start, end) => sliceList(list, indexValue(start), indexValue(end))
+}
+
+export { BigFloat, ArbitraryFunctions, setArbitraryPrecision, getArbitraryPrecision }
@@ -1,39 +1,543 @@
-import {applyToNodesRecursively} from "./traverse_nodes"
-import {ParserError} from "./parser_error"
-import {parseString} from "./parse_string"
-import {RealFunctions} from "./real_functions"
+import {applyToNodesRecursively} from "./traverse_nodes.js"
+import {ParserError} from "./parser_error.js"
+import {getOperatorPrecedence, parseString} from "./parse_string.js"
+import {RealFunctions} from "./real_functions.js"
+import {IntervalFunctions, getDecimalBounds} from "./interval_functions.js"
+import {ComplexFunctions} from "./complex_functions.js"
+import {ArbitraryFunctions} from "./arbitrary_functions.js"
+import {VectorFunctions} from "./vector_functions.js"
+import {getConstant, getDefaultOperator, getListOperator, getOperatorOverloads, OperatorFunctions} from "./operators.js"
+import {getTypecast} from "./typecasts.js"
+import {Type} from "./type.js"
+import {isValidCompilationMode} from "./compilation_mode.js"
+import {isValidVariableName} from "./expression_tokenizer.js"
+import {DefaultOperatorTable} from "./operator_table.js"
+import {getGlobalVariable, getGlobalVariableValue} from "./global_variables.js"
+import {inferTypes} from "./type_inference.js"
+import {getTypeDefinition, isInstance} from "./types.js"
+import {
+  escapeLatexText,
+  functionToLatex,
+  getLatexOptions,
+  numberToLatex,
+  operatorToLatex,
+  variableToLatex
+} from "./latex.js"
+import {
+  INVISIBLE_TIMES,
+  escapeXml,
+  functionToContentMathML,
+  functionToMathML,
+  getMathMLOptions,
+  mathmlParenthesize,
+  mrow,
+  numberToContentMathML,
+  numberToMathML,
+  operatorToContentMathML,
+  operatorToMathML,
+  startsWithNumber,
+  variableToContentMathML,
+  variableToMathML,
+  wrapMathML
+} from "./mathml.js"
 
 // List of valid compilation modes (prone to expand): "double", "interval", "arbitrary"
 
 // For testing. The full set will be used when I merge this into the main repo
 const GraphemeSubset = {
-  RealFunctions
+  RealFunctions,
+  IntervalFunctions,
+  ComplexFunctions,
+  ArbitraryFunctions,
+  VectorFunctions,
+  Operators: OperatorFunctions,
+  getGlobalVariableValue
 }
 
+/**
+ * Get the full name of the function, like RealFunctions.Add, implementing an operator in a given compilation mode.
+ * Throws if there is no such function.
+ * @param operator {Operator}
+ * @param compilationMode {string}
+ * @returns {string}
+ */
+function getOperatorFunctionName(operator, compilationMode) {
+  const functionName = operator.functionNames?.[compilationMode]
+
+  if (functionName)
+    return functionName
+
+  if (!operator.multifunction.getFunction(compilationMode))
+    throw operator.unsupportedModeError(compilationMode)
+
+  // Operators without a library function, like those registered by applications, are looked up by id
+  if (operator.id === null)
+    throw new TypeError("Operator " + operator.name + " " + operator.toString() + " cannot be compiled because it is not registered")
+
+  return "Operators." + operator.id + '.' + compilationMode
+}
+
+// A dependency name is a sequence of identifiers separated by periods, like RealFunctions.Add
+const validDependencyName = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/
+
 /**
  * Given a function name, like IntervalFunctions.Add, RealFunctions.Multiply, etc. to look up in GraphemeSubset. Throws
- * if the dependency is not found.
+ * if the dependency is not found. Returns the source code which accesses the function, given that GraphemeSubset is in
+ * scope.
  * @param funcName
+ * @returns {string}
  */
 function resolveDependency(funcName) {
+  // Only a strict set of names is allowed, so that nothing but property accesses are ever inserted into generated code
+  if (!validDependencyName.test(funcName))
+    throw new ReferenceError("Invalid dependency name " + funcName)
+
+  let obj = GraphemeSubset
+
+  for (const part of funcName.split('.')) {
+    if (!obj || !Object.prototype.hasOwnProperty.call(obj, part))
+      throw new ReferenceError("Could not find dependency " + funcName)
+
+    obj = obj[part]
+  }
+
+  if (typeof obj !== "function")
+    throw new TypeError("Dependency " + funcName + " is not a function")
+
+  return "GraphemeSubset." + funcName
+}
+
+/**
+ * Generate the source code evaluating an operator with a list of compiled arguments, returning the name of the variable
+ * containing the result
+ * @param compileInfo {Object}
+ * @param operator {Operator}
+ * @param args {Array} The strings returned by compileNode for each argument
+ * @returns {string}
+ */
+function compileOperatorCall(compileInfo, operator, args) {
+  const func = compileInfo.requestDependency(getOperatorFunctionName(operator, compileInfo.compilationMode))
+  const name = compileInfo.getUnusedName()
+
+  compileInfo.setVariableToFunctionEvaluation(name, func, args)
+
+  return name
+}
+
+/**
+ * Convert a number to source code which evaluates to exactly that number
+ * @param num {number}
+ * @returns {string}
+ */
+function numberToSource(num) {
+  if (Object.is(num, -0))
+    return "-0"
 
+  // String(num) round-trips for all finite numbers and also handles NaN and Infinity
+  return (num < 0) ? `(${num})` : String(num)
 }
 
+function unwrapTypecasts(node) {
+  while (node.nodeType() === "typecast")
+    node = node.children[0]
+
+  return node
+}
+
+/**
+ * The operator table of an operator node: the table it was parsed with, or the default one
+ * @param node {OperatorNode}
+ * @returns {OperatorTable}
+ */
+function operatorTableOf(node) {
+  return node.operatorTable ?? DefaultOperatorTable
+}
+
+/**
+ * The kind of operation an operator node is printed as: "binary", "unary" (prefix), "postfix", "property" (a.b),
+ * "index" (a[i] or a[i:j]) or "cchain"
+ * @param node {OperatorNode}
+ * @returns {string}
+ */
+function operatorKind(node) {
+  if (node.op === "cchain")
+    return "cchain"
+  if (node.op === "." && node.getChildren().length === 2)
+    return "property"
+  if ((node.op === "[]" && node.getChildren().length === 2) || (node.op === "[:]" && node.getChildren().length === 3))
+    return "index"
+  if (node.getChildren().length === 1)
+    return getOperatorPrecedence(node.op, "postfix", operatorTableOf(node)) ? "postfix" : "unary"
+
+  return "binary"
+}
+
+/**
+ * Get the precedence of an operator node, throwing if its operator table has no such operator
+ * @param node {OperatorNode}
+ * @returns {{precedence: number, rtl: boolean}}
+ */
+function getNodePrecedence(node) {
+  const precedence = getOperatorPrecedence(node.op, operatorKind(node), operatorTableOf(node))
+
+  if (!precedence)
+    throw new TypeError(`Cannot print operator ${node.op} with ${node.getChildren().length} operand(s)`)
+
+  return precedence
+}
+
+/**
+ * Get the symbol an op of an operator node is printed as, by default its own op; see OperatorTable.getSymbol. The
+ * relations of a comparison chain are infix ops.
+ * @param node {OperatorNode}
+ * @param op {string}
+ * @returns {string}
+ */
+function operatorSymbol(node, op = node.op) {
+  const fixity = {unary: "prefix", postfix: "postfix"}[operatorKind(node)] ?? "infix"
+
+  return operatorTableOf(node).getSymbol(op, fixity) ?? op
+}
+
+/**
+ * Whether a node is a comparison chain, which the parser only recognizes if it makes up an entire subexpression
+ * @param node {ASTNode}
+ * @returns {boolean}
+ */
+function isComparisonChain(node) {
+  node = unwrapTypecasts(node)
+
+  return node.nodeType() === "operator" && operatorKind(node) === "cchain"
+}
+
+/**
+ * The precedence of a node as an operand (see getOperatorPrecedence). Nodes which print as a single unit, like
+ * variables, function calls, property accesses and indexing, have precedence -1; arrow functions have precedence
+ * Infinity.
+ * @param node {ASTNode}
+ * @returns {number}
+ */
+function printPrecedence(node) {
+  node = unwrapTypecasts(node)
+
+  switch (node.nodeType()) {
+    case "arrow_function":
+      return Infinity
+    case "operator":
+      switch (operatorKind(node)) {
+        case "property":
+        case "index":
+          return -1
+      }
+
+      return getNodePrecedence(node).precedence
+  }
+
+  return -1
+}
+
+/**
+ * Whether child, the index-th operand of the operator node, must be parenthesized to parse as an operand of node
+ * @param node {OperatorNode}
+ * @param child {ASTNode}
+ * @param index {number}
+ * @returns {boolean}
+ */
+function needsParens(node, child, index) {
+  const kind = operatorKind(node)
+  const childPrecedence = printPrecedence(child)
+
+  if (kind === "index" && index > 0) // The bounds are delimited by the brackets
+    return false
+  if (kind === "property" || kind === "index") // 2.x would be read as the number 2. followed by x, and 2[x] as 2 [x]
+    return childPrecedence !== -1 || unwrapTypecasts(child).nodeType() === "number"
+  if (childPrecedence === -1)
+    return false
+  if (childPrecedence === Infinity || isComparisonChain(child))
+    return true
+
+  const {precedence, rtl} = getNodePrecedence(node)
+  const chainPrecedence = getOperatorPrecedence("cchain", "cchain", operatorTableOf(node))?.precedence ?? Infinity
+
+  // a < b == c would be read as a comparison chain
+  if (precedence >= chainPrecedence && childPrecedence >= chainPrecedence)
+    return true
+
+  switch (kind) {
+    case "unary":
+      return childPrecedence > precedence
+    case "postfix": { // x!! is a double factorial, not (x!)!, but x'' is (x')'
+      if (childPrecedence !== precedence)
+        return childPrecedence > precedence
+
+      const inner = unwrapTypecasts(child)
+
+      if (inner.nodeType() !== "operator" || operatorKind(inner) !== "postfix")
+        return true
+
+      const table = operatorTableOf(node), symbol = operatorSymbol(node), innerSymbol = operatorSymbol(inner)
+
+      // The symbols would run together into another one, like the !! of x!!
+      return !table.isWord(symbol) && !table.isWord(innerSymbol) &&
+        table.findSymbol(innerSymbol + symbol, 0) !== innerSymbol
+    }
+    case "cchain":
+      return false
+    default:
+      // Operands on the side which the pass processes second must bind more tightly
+      return childPrecedence > precedence || (childPrecedence === precedence && (index === 0) === rtl)
+  }
+}
+
+/**
+ * Whether a node, printed without enclosing parentheses, starts with a token after which the tokenizer inserts implicit
+ * multiplication: a number, variable, function, opening parenthesis or opening vertical bar
+ * @param node {ASTNode}
+ * @returns {boolean}
+ */
+function startsWithOperand(node) {
+  const children = node.getChildren()
+
+  switch (node.nodeType()) {
+    case "number":
+    case "variable":
+    case "function":
+      return true
+    case "typecast":
+      return startsWithOperand(children[0])
+    case "group":
+      return node.parenType === "(" || (node.parenType === "" && children.length > 0 && startsWithOperand(children[0]))
+    case "operator":
+      if (operatorKind(node) === "unary")
+        return false
+
+      return needsParens(node, children[0], 0) || startsWithOperand(children[0])
+  }
+
+  return false
+}
+
+/**
+ * Whether a node, printed without enclosing parentheses, ends with a token before which the tokenizer inserts implicit
+ * multiplication: a number, variable or closing parenthesis, bracket or vertical bar
+ * @param node {ASTNode}
+ * @returns {boolean}
+ */
+function endsWithOperand(node) {
+  const children = node.getChildren()
+  const last = children[children.length - 1]
+
+  switch (node.nodeType()) {
+    case "number":
+    case "variable":
+    case "function":
+      return true
+    case "typecast":
+      return endsWithOperand(last)
+    case "group":
+      return node.parenType !== "" || (children.length > 0 && endsWithOperand(last))
+    case "operator":
+      switch (operatorKind(node)) {
+        case "postfix":
+        case "property":
+          return false
+        case "index":
+          return true
+      }
+
+      return needsParens(node, last, children.length - 1) || endsWithOperand(last)
+  }
+
+  return false
+}
+
+function parenthesize(node) {
+  return `(${node.printNode(false)})`
+}
+
+/**
+ * Get the node an operand stands for in LaTeX and MathML. Parentheses in the source are dropped, since
+ * typesetNeedsParens decides where they are needed; e.g. the parentheses in (a + b) / c are made redundant by \frac.
+ * @param node {ASTNode}
+ * @returns {ASTNode}
+ */
+function unwrapTypesetOperand(node) {
+  node = unwrapTypecasts(node)
+
+  while (node.nodeType() === "group" && node.parenType === "(" && node.getChildren().length === 1)
+    node = unwrapTypecasts(node.children[0])
+
+  return node
+}
+
+/**
+ * Whether child, the index-th operand of the operator node, must be parenthesized in LaTeX and MathML. The rules are
+ * those of needsParens, except that fractions and superscripts delimit their operands, so that a / (b + c) is
+ * \frac{a}{b + c} and a * (b / c) is a \cdot \frac{b}{c}.
+ * @param node {OperatorNode}
+ * @param child {ASTNode} The operand, as returned by unwrapTypesetOperand
+ * @param index {number}
+ * @returns {boolean}
+ */
+function typesetNeedsParens(node, child, index) {
+  const kind = operatorKind(node)
+
+  if (kind === "binary" && (node.op === "/" || (node.op === "^" && index === 1)))
+    return false
+
+  if (child.nodeType() === "operator" && operatorKind(child) === "binary" && child.op === "/")
+    return kind === "postfix" || kind === "property" || (kind === "index" && index === 0) ||
+      (kind === "binary" && node.op === "^")
+
+  return needsParens(node, child, index)
+}
+
+function latexParenthesize(latex) {
+  return `\\left(${latex}\\right)`
+}
+
+// Version of the JSON representation of nodes returned by toJSON. Increment it whenever the representation changes.
+const AST_JSON_VERSION = 1
+
+/**
+ * Convert the signature of a resolved operator to JSON, so that the overload can be found again by operatorFromJSON
+ * @param operator {Operator}
+ * @returns {Array}
+ */
+function operatorToJSON(operator) {
+  return operator.signature.map(type => type.toString())
+}
+
+/**
+ * Find the registered overload of an operator with the given signature, as returned by operatorToJSON
+ * @param name {string}
+ * @param signature {Array}
+ * @returns {Operator}
+ */
+function operatorFromJSON(name, signature) {
+  if (!Array.isArray(signature))
+    throw new TypeError("Invalid signature of operator " + name)
+
+  const types = signature.map(type => Type.from(type))
+
+  // Indexing and slices of other list types are registered on first use, which may not have happened yet
+  if ((name === "[]" || name === "[:]") && types.length > 0)
+    getListOperator(name, types[0])
+
+  const operator = getOperatorOverloads(name).find(operator => operator.signature.length === types.length &&
+    operator.signature.every((type, i) => type.equals(types[i])))
+
+  if (!operator)
+    throw new TypeError(`No overload of ${name} with signature (${signature.join(", ")}) is registered`)
+
+  return operator
+}
+
+/**
+ * Check the version of an object returned by toJSON, returning its root node's description
+ * @param json {Object|string} The object, or its JSON string
+ * @returns {Object}
+ */
+function checkJSONVersion(json) {
+  if (typeof json === "string")
+    json = JSON.parse(json)
+
+  if (!json || typeof json !== "object")
+    throw new TypeError("Expected an object returned by toJSON")
+  if (json.version !== AST_JSON_VERSION)
+    throw new RangeError(`Unsupported AST JSON version ${json.version}; expected ${AST_JSON_VERSION}`)
+
+  return json
+}
+
+/**
+ * Construct a node and its descendants from their description, as returned by ASTNode.nodeToJSON
+ * @param json {Object}
+ * @returns {ASTNode}
+ */
+function nodeFromJSON(json) {
+  if (!json || typeof json !== "object")
+    throw new TypeError("Invalid node description " + JSON.stringify(json))
+
+  let node
+
+  switch (json.node) {
+    case "number":
+      node = new NumberNode({ value: json.value })
+      break
+    case "string":
+      node = new StringNode({ contents: json.value, quote: json.quote })
+      break
+    case "variable":
+      node = new VariableNode({ name: json.name, text: json.text })
+      break
+    case "error":
+      node = new ErrorNode({ message: json.message })
+      break
+    case "group":
+      node = new GroupingNode({ parenType: json.parenType })
+      break
+    case "operator":
+      node = new OperatorNode({ op: json.op, implicit: json.implicit })
+      break
+    case "function":
+      node = new FunctionNode({ name: json.name, implicit: json.implicit, parenInfo: { verticalBar: json.verticalBar } })
+      break
+    case "typecast": {
+      const typecast = getTypecast(json.from, json.to)
+
+      if (!typecast)
+        throw new TypeError(`No typecast from ${json.from} to ${json.to}`)
+
+      node = new TypecastNode({ typecast })
+      break
+    }
+    case "arrow_function":
+      node = new ArrowFunctionNode({ signature: null })
+
+      node.args = json.args
+      node.argTypes = json.argTypes
+      node.explicitArgTypes = json.explicitArgTypes
+      node.returnType = json.returnType ?? null
+      node.argTexts = json.argTexts ?? json.args.map(() => null)
+      break
+    default:
+      throw new TypeError("Unknown node type " + json.node)
+  }
+
+  json.children?.forEach(child => node.addChild(nodeFromJSON(child)))
+
+  if (json.operator)
+    node.operator = operatorFromJSON(node.op, json.operator)
+  if (json.comparisonOperators)
+    node.comparisonOperators = json.comparisonOperators.map((signature, i) =>
+      operatorFromJSON(node.getChildren()[2 * i + 1].value, signature))
+  if (json.type)
+    node.type = Type.from(json.type)
+  if (json.index !== undefined)
+    node.token = { index: json.index, endIndex: json.endIndex }
+
+  return node
+}
 
 /**
  * Abstraction of a node in a Grapheme expression. This is the base class; there are a variety of node types which
- * derive from this class. All classes should support a clone() function, toJSON() function,
+ * derive from this class. All classes support clone(), toJSON() and the conversions to source code, LaTeX and MathML.
  *
  * Fields common:
  *   children: null | Array. children is null if the node has no children to save memory (about 40 bytes / childless
  *   node). To make things easier, ASTNode provides a getChildren() function
  *   token?: the corresponding node from the parser, with its children property removed to save on memory
  *   This field is optional; in generated nodes, this may not be defined at all.
+ *   type: null | Type. The type of the node, set by inferTypes.
  */
 class ASTNode {
   constructor() {
     this.children = null
     this.token = null
+
+    // The Type of the node, if it has been inferred (see inferTypes)
+    this.type = null
   }
 
   /**
@@ -61,7 +565,83 @@ class ASTNode {
     return "node"
   }
 
-  compile(compilationMode="double") {
+  /**
+   * Copy this node and its descendants. The copies share their tokens, types and operators with the originals.
+   * @returns {ASTNode}
+   */
+  clone() {
+    const ret = Object.assign(Object.create(Object.getPrototypeOf(this)), this)
+
+    ret.children = null
+    this.getChildren().forEach(child => ret.addChild(child.clone()))
+
+    return ret
+  }
+
+  /**
+   * Convert this node and its descendants to a JSON-compatible object { version, root }, where root is the description
+   * returned by nodeToJSON. The result can be persisted and converted back with ASTNode.fromJSON, without reparsing.
+   * @returns {Object}
+   */
+  toJSON() {
+    return { version: AST_JSON_VERSION, root: this.nodeToJSON() }
+  }
+
+  /**
+   * Describe this node and its descendants as a plain object with the properties
+   *   node: the node type, as returned by nodeType()
+   *   the fields specific to the node type, returned by jsonFields()
+   *   type?: the type set by inferTypes, as a string like "real" or "function::<real, real>"
+   *   index?, endIndex?: the range of the node in the string it was parsed from
+   *   children?: the descriptions of the node's children
+   * Properties which don't apply are omitted.
+   * @returns {Object}
+   */
+  nodeToJSON() {
+    const json = Object.assign({ node: this.nodeType() }, this.jsonFields())
+
+    if (this.type)
+      json.type = this.type.toString()
+
+    if (this.token?.index !== undefined) {
+      json.index = this.token.index
+
+      if (this.token.endIndex !== undefined)
+        json.endIndex = this.token.endIndex
+    }
+
+    if (this.children)
+      json.children = this.children.map(child => child.nodeToJSON())
+
+    return json
+  }
+
+  /**
+   * The fields of this node's description which are specific to its type; see nodeToJSON
+   * @returns {Object}
+   */
+  jsonFields() {
+    throw new TypeError("Cannot convert node of type " + this.nodeType() + " to JSON")
+  }
+
+  /**
+   * Construct a node from the result of toJSON, or its JSON string. Resolved operators are looked up by signature, so
+   * functions registered by the application must be registered again before the node is loaded.
+   * @param json {Object|string}
+   * @returns {ASTNode}
+   */
+  static fromJSON(json) {
+    return nodeFromJSON(checkJSONVersion(json).root)
+  }
+
+  /**
+   * Compile this node into a JS function. The returned function accepts the arguments named in args, in that order,
+   * and returns the value of the node.
+   * @param compilationMode {string} The compilation mode, e.g. "double" or "interval"
+   * @param args {Array} Names of the variables which become arguments of the returned function
+   * @returns {Function}
+   */
+  compile(compilationMode="double", args=[]) {
     // When we compile a node, we create the source code of a JS function which will return the value of the node.
     // If we wish to compile a node as a function of variables, say x and y, we need to create an ArrowFunctionNode
     // which contains the parameters x and y as arguments and the return value as its child node. Then, when the JS
@@ -75,122 +655,872 @@ class ASTNode {
     // requestDependency(funcName), something like IntervalFunctions.Add or RealFunctions.Multiply
     // requestGlobalVariable(varName), something like "cow::a" or "my_namespace::chicken::feet", returning a string
     //   which can be used for that global variable
+    // Additionally, getVariable(varName) returns the generated name of an argument in scope, and
+    // compileFunction(argNames, node) compiles node into an inner function of the given arguments.
+    // The names of all generated variables are of the form $n, so user-provided names never appear in the source.
+
+    if (!isValidCompilationMode(compilationMode))
+      throw new RangeError("Invalid compilation mode " + compilationMode)
+    if (!Array.isArray(args))
+      throw new TypeError("args must be an array of variable names")
+
+    // Source of the outer function, which looks up the dependencies once
+    let preamble = ""
+
+    // Source of the function currently being generated
+    let sourceCode = ""
+
+    // Id for variables
+    let nameId = 0
+
+    function getUnusedName() {
+      return "$" + (nameId++)
+    }
+
+    function setVariable(name, string) {
+      sourceCode += `const ${name} = ${string};\n`
+    }
+
+    function setVariableToFunctionEvaluation(name, funcName, args) {
+      sourceCode += `const ${name} = ${funcName}(${args.join(', ')});\n`
+    }
+
+    const dependencies = {}
+
+    function getDependency(funcName) {
+      let name = dependencies[funcName]
+
+      if (name)
+        return name
+
+      name = dependencies[funcName] = getUnusedName() + "_func"
+
+      preamble += `const ${name} = ${resolveDependency(funcName)};\n`
+
+      return name
+    }
+
+    function requestDependency(funcName) {
+      // Remove whitespace, so the function is unambiguous
+      funcName = funcName.replace(/\s+/g, "")
+
+      return getDependency(funcName)
+    }
+
+    function requestGlobalVariable(varName) {
+      const variable = getGlobalVariable(varName)
+
+      if (!variable)
+        throw new ReferenceError("Unknown variable " + varName)
+
+      // The value is looked up on each call, so that the function sees redefinitions of the variable
+      const name = getUnusedName()
+
+      setVariableToFunctionEvaluation(name, requestDependency("getGlobalVariableValue"),
+        [JSON.stringify(variable.name), JSON.stringify(compilationMode)])
+
+      return name
+    }
+
+    // Stack of scopes, each of which is a Map of variable names to generated argument names. The innermost scope is last
+    const scopes = []
+
+    /**
+     * Create a new scope of arguments, returning the list of generated names of the arguments
+     * @param argNames {Array}
+     * @returns {Array}
+     */
+    function pushScope(argNames) {
+      const scope = new Map()
+
+      for (const argName of argNames) {
+        if (typeof argName !== "string" || !isValidVariableName(argName))
+          throw new TypeError("Invalid argument name " + argName)
+        if (scope.has(argName))
+          throw new TypeError("Duplicate argument name " + argName)
+
+        scope.set(argName, getUnusedName())
+      }
+
+      scopes.push(scope)
+
+      return Array.from(scope.values())
+    }
+
+    function getVariable(varName) {
+      for (let i = scopes.length - 1; i >= 0; --i) {
+        const name = scopes[i].get(varName)
+
+        if (name)
+          return name
+      }
+
+      // Constants like pi are operators with no arguments
+      const constant = getConstant(varName)
+
+      if (constant)
+        return compileOperatorCall(compileInfo, constant, [])
+
+      return requestGlobalVariable(varName)
+    }
+
+    function compileFunction(argNames, node) {
+      const name = getUnusedName()
+      const generatedArgs = pushScope(argNames)
+      const outerSource = sourceCode
+
+      sourceCode = ""
+
+      const result = node.compileNode(compileInfo)
+      const innerSource = sourceCode
+
+      sourceCode = outerSource
+      scopes.pop()
+
+      setVariable(name, `function (${generatedArgs.join(', ')}) {\n${innerSource}return ${result};\n}`)
+
+      return name
+    }
+
+    const compileInfo = {
+      getUnusedName,
+      setVariable,
+      setVariableToFunctionEvaluation,
+      requestDependency,
+      requestGlobalVariable,
+      getVariable,
+      compileFunction,
+      compilationMode
+    }
+
+    const generatedArgs = pushScope(args)
+    const result = this.compileNode(compileInfo)
+
+    const source = `"use strict";\n${preamble}return function (${generatedArgs.join(', ')}) {\n${sourceCode}return ${result};\n}`
+
+    return new Function("GraphemeSubset", source)(GraphemeSubset)
+  }
+
+  /**
+   * Generate the source code computing the value of this node, using the operations provided in compileInfo. Returns a
+   * string which is either the name of a generated variable containing the value or a literal.
+   * @param compileInfo {Object}
+   * @returns {string}
+   */
+  compileNode(compileInfo) {
+    throw new TypeError("Cannot compile node of type " + this.nodeType())
+  }
+
+  /**
+   * Evaluate this node directly, without generating any code. This gives the same results as the function returned by
+   * compile(), and can be used where new Function is not allowed.
+   * @param scope {Object|Map} Values of the variables, keyed by name
+   * @param mode {string} The compilation mode to evaluate in, e.g. "double" or "interval"
+   * @returns {*}
+   */
+  evaluate(scope={}, mode="double") {
+    if (!isValidCompilationMode(mode))
+      throw new RangeError("Invalid compilation mode " + mode)
+
+    if (!(scope instanceof Map))
+      scope = new Map(Object.entries(scope))
+
+    return this.evaluateNode(scope, mode)
+  }
+
+  /**
+   * Evaluate this node with a given scope (a Map of variable names to values) in a given mode
+   * @param scope {Map}
+   * @param mode {string}
+   * @returns {*}
+   */
+  evaluateNode(scope, mode) {
+    throw new TypeError("Cannot evaluate node of type " + this.nodeType())
+  }
+
+  /**
+   * Convert this node to source code which parses to the same tree. Parentheses are only inserted where the parser's
+   * operator precedence requires them, so that generated trees (e.g. from derivative) print like a human would write
+   * them; parenthesized groups already in the tree are kept. Vertical bars, implicit multiplication and arrow function
+   * signatures are printed as they were written.
+   * @returns {string}
+   */
+  toString() {
+    return this.printNode(false)
+  }
+
+  /**
+   * Print this node as source code; see toString
+   * @param inBars {boolean} Whether the innermost enclosing bracket is a vertical bar. Inside | ... |, a bar after an
+   *   operand is read as a closing bar, so opening bars may need to be parenthesized.
+   * @returns {string}
+   */
+  printNode(inBars) {
+    throw new TypeError("Cannot print node of type " + this.nodeType())
+  }
+
+  /**
+   * Convert this node to LaTeX, with parentheses where they are needed (see toString)
+   * @param options {Object} See getLatexOptions for the available options
+   * @returns {string}
+   */
+  toLatex(options={}) {
+    return this.latexNode(getLatexOptions(options))
+  }
+
+  /**
+   * Convert this node to LaTeX; see toLatex
+   * @param options {Object} The options, with defaults filled in by getLatexOptions
+   * @returns {string}
+   */
+  latexNode(options) {
+    throw new TypeError("Cannot convert node of type " + this.nodeType() + " to LaTeX")
+  }
+
+  /**
+   * Convert this node to a presentation MathML <math> element, with parentheses where they are needed (see toString).
+   * Implicit multiplication and function application are marked with invisible operators, so that screen readers
+   * announce them.
+   * @param options {Object} See getMathMLOptions for the available options
+   * @returns {string}
+   */
+  toMathML(options={}) {
+    options = getMathMLOptions(options)
+
+    let mathml = this.mathmlNode(options)
+
+    if (options.content)
+      mathml = `<semantics>${mathml}<annotation-xml encoding="MathML-Content">${this.contentMathMLNode()}` +
+        "</annotation-xml></semantics>"
+
+    return wrapMathML(mathml, options)
+  }
+
+  /**
+   * Convert this node to a single presentation MathML element; see toMathML
+   * @param options {Object} The options, with defaults filled in by getMathMLOptions
+   * @returns {string}
+   */
+  mathmlNode(options) {
+    throw new TypeError("Cannot convert node of type " + this.nodeType() + " to MathML")
+  }
+
+  /**
+   * Convert this node to a Content MathML <math> element, which describes the operations the expression performs
+   * @param options {Object} See getMathMLOptions; only display is used
+   * @returns {string}
+   */
+  toContentMathML(options={}) {
+    return wrapMathML(this.contentMathMLNode(), getMathMLOptions(options))
+  }
+
+  /**
+   * Convert this node to a single Content MathML element; see toContentMathML
+   * @returns {string}
+   */
+  contentMathMLNode() {
+    throw new TypeError("Cannot convert node of type " + this.nodeType() + " to Content MathML")
+  }
+}
+
+class ConstantNode extends ASTNode {
+  constructor({ value } = {}) {
+    super()
+
+    this.value = value
+  }
+
+  nodeType() {
+    return "constant"
+  }
+
+  jsonFields() {
+    return { value: this.value }
+  }
+}
+
+class NumberNode extends ConstantNode {
+  constructor(opts = {}) {
+    super(opts)
+  }
+
+  nodeType() {
+    return "number"
+  }
+
+  compileNode(compileInfo) {
+    if (compileInfo.compilationMode === "interval") {
+      // The constant becomes the smallest interval containing the exact decimal value
+      const [min, max] = getDecimalBounds(this.value)
+      const name = compileInfo.getUnusedName()
+
+      compileInfo.setVariableToFunctionEvaluation(name, compileInfo.requestDependency("IntervalFunctions.Constant"),
+        [numberToSource(min), numberToSource(max)])
+
+      return name
+    } else if (compileInfo.compilationMode === "arbitrary") {
+      // Parse the decimal value at the current precision, rather than going through a double
+      const name = compileInfo.getUnusedName()
+
+      compileInfo.setVariableToFunctionEvaluation(name, compileInfo.requestDependency("ArbitraryFunctions.FromString"),
+        [JSON.stringify(String(this.value))])
+
+      return name
+    }
+
+    return numberToSource(Number(this.value))
+  }
+
+  evaluateNode(scope, mode) {
+    if (mode === "interval")
+      return IntervalFunctions.Constant(...getDecimalBounds(this.value))
+    if (mode === "arbitrary")
+      return ArbitraryFunctions.FromString(String(this.value))
+
+    return Number(this.value)
+  }
+
+  printNode(inBars) {
+    return String(this.value)
+  }
+
+  latexNode(options) {
+    return numberToLatex(this.value, options)
+  }
+
+  mathmlNode(options) {
+    return numberToMathML(this.value, options)
+  }
+
+  contentMathMLNode() {
+    return numberToContentMathML(this.value)
+  }
+}
+
+class StringNode extends ConstantNode {
+  constructor({ contents, quote }) {
+    super()
+
+    this.value = contents
+    this.quote = quote
+  }
+
+  nodeType() {
+    return "string"
+  }
+
+  jsonFields() {
+    return (this.quote === undefined) ? { value: this.value } : { value: this.value, quote: this.quote }
+  }
+
+  compileNode(compileInfo) {
+    // JSON.stringify escapes the contents, so they cannot break out of the string literal
+    return JSON.stringify(this.value)
+  }
+
+  evaluateNode(scope, mode) {
+    return this.value
+  }
+
+  printNode(inBars) {
+    const quote = (this.quote === 1) ? "'" : '"'
+
+    return quote + this.value + quote
+  }
+
+  latexNode(options) {
+    return `\\text{${escapeLatexText(this.value)}}`
+  }
+
+  mathmlNode(options) {
+    return `<mtext>${escapeXml(this.value)}</mtext>`
+  }
+
+  contentMathMLNode() {
+    return `<cs>${escapeXml(this.value)}</cs>`
+  }
+}
+
+class OperatorNode extends ASTNode {
+  constructor({ op, implicit, operatorTable }) {
+    super()
+
+    this.op = op
+    this.implicit = implicit
+
+    // The OperatorTable the node was parsed with, if not the default one, which gives the precedence and symbol of its
+    // op when printed. It isn't converted to JSON.
+    if (operatorTable)
+      this.operatorTable = operatorTable
+
+    // The Operator this node evaluates, resolved by inferTypes. If null, the built-in operator is used. For comparison
+    // chains, it is the cchain operator combining the results of the comparisons, whose Operators are in
+    // comparisonOperators.
+    this.operator = null
+    this.comparisonOperators = null
+  }
+
+  nodeType() {
+    return "operator"
+  }
+
+  jsonFields() {
+    return Object.assign({ op: this.op, implicit: !!this.implicit }, this.operatorJSONFields())
+  }
+
+  /**
+   * The signatures of the operators resolved by inferTypes, for nodeToJSON
+   * @returns {Object}
+   */
+  operatorJSONFields() {
+    const fields = {}
+
+    if (this.operator)
+      fields.operator = operatorToJSON(this.operator)
+    if (this.comparisonOperators)
+      fields.comparisonOperators = this.comparisonOperators.map(operatorToJSON)
+
+    return fields
+  }
+
+  /**
+   * Get the Operator this node evaluates
+   * @returns {Operator}
+   */
+  getOperator() {
+    // A chain of n comparisons combines their results pairwise
+    const argCount = (this.op === "cchain") ? 2 : this.getChildren().length
+
+    return this.operator ?? getDefaultOperator(this.op, argCount)
+  }
+
+  /**
+   * Get the Operator of the ith comparison in a comparison chain
+   * @param i {number}
+   * @returns {Operator}
+   */
+  getComparisonOperator(i) {
+    return this.comparisonOperators?.[i] ?? getDefaultOperator(this.getChildren()[2 * i + 1].value, 2)
+  }
+
+  compileNode(compileInfo) {
+    if (this.op === "cchain")
+      return this.compileComparisonChain(compileInfo)
+
+    const args = this.getChildren().map(child => child.compileNode(compileInfo))
+
+    return compileOperatorCall(compileInfo, this.getOperator(), args)
+  }
+
+  /**
+   * Compile a comparison chain like a < b <= c, whose children are of the form [ a, "<", b, "<=", c ], into
+   * (a < b) and (b <= c), where the results are combined by the cchain operator. Each operand is only evaluated once.
+   * @param compileInfo
+   * @returns {string}
+   */
+  compileComparisonChain(compileInfo) {
+    const children = this.getChildren()
+    const operands = []
+
+    for (let i = 0; i < children.length; i += 2)
+      operands.push(children[i].compileNode(compileInfo))
+
+    let result = null
+
+    for (let i = 1; i < children.length; i += 2) {
+      const j = (i - 1) / 2
+      const comparison = compileOperatorCall(compileInfo, this.getComparisonOperator(j), [operands[j], operands[j + 1]])
+
+      result = result ? compileOperatorCall(compileInfo, this.getOperator(), [result, comparison]) : comparison
+    }
+
+    return result
+  }
+
+  evaluateNode(scope, mode) {
+    if (this.op === "cchain")
+      return this.evaluateComparisonChain(scope, mode)
 
-    let sourceCode = ""
+    const args = this.getChildren().map(child => child.evaluateNode(scope, mode))
 
-    // Id for variables
-    let nameId = 0
+    return this.getOperator().evaluateArray(mode, args)
+  }
 
-    function getUnusedName() {
-      return "$" + (nameId++)
+  /**
+   * Evaluate a comparison chain; see compileComparisonChain
+   * @param scope {Map}
+   * @param mode {string}
+   * @returns {*}
+   */
+  evaluateComparisonChain(scope, mode) {
+    const children = this.getChildren()
+    const operands = []
+
+    for (let i = 0; i < children.length; i += 2)
+      operands.push(children[i].evaluateNode(scope, mode))
+
+    let result = null
+
+    for (let i = 1; i < children.length; i += 2) {
+      const j = (i - 1) / 2
+      const comparison = this.getComparisonOperator(j).evaluate(mode, operands[j], operands[j + 1])
+
+      result = (result !== null) ? this.getOperator().evaluate(mode, result, comparison) : comparison
     }
 
-    function setVariable(name, string) {
-      sourceCode += `${name} = ${string};\n`
+    return result
+  }
+
+  printNode(inBars) {
+    const children = this.getChildren()
+    const operand = (child, i) => needsParens(this, child, i) ? parenthesize(child) : child.printNode(inBars)
+
+    const symbol = operatorSymbol(this)
+
+    // Words, like not, are separated from their operands
+    const space = operatorTableOf(this).isWord(symbol) ? " " : ""
+
+    switch (operatorKind(this)) {
+      case "cchain":
+        // Children are of the form [ a, "<", b, "<=", c ]
+        return children.map((child, i) => (i % 2) ? operatorSymbol(this, child.value) : operand(child, i)).join(" ")
+      case "property":
+        return operand(children[0], 0) + "." + children[1].value
+      case "index": {
+        // A bracket after a vertical bar doesn't index, as in |x|[1]
+        const object = operand(children[0], 0)
+
+        return (object.endsWith("|") ? `(${object})` : object) +
+          `[${children.slice(1).map(child => child.printNode(false)).join(":")}]`
+      }
+      case "unary":
+        return symbol + space + operand(children[0], 0)
+      case "postfix":
+        return operand(children[0], 0) + space + symbol
     }
 
-    function setVariableToFunctionEvaluation(name, funcName, args) {
-      sourceCode += `${name} = ${funcName}(${args.join(', ')});`
+    const [left, right] = children
+
+    if (!this.implicit) {
+      getNodePrecedence(this) // throws if the table has no such operator
+
+      return (symbol === "^") ? `${operand(left, 0)}^${operand(right, 1)}` :
+        `${operand(left, 0)} ${symbol} ${operand(right, 1)}`
     }
 
-    const dependencies = {}
+    // Implicit multiplication is only inserted between certain tokens, like the 2 and x in 2x
+    const leftStr = (needsParens(this, left, 0) || !endsWithOperand(left)) ? parenthesize(left) : left.printNode(inBars)
+    let rightStr = (needsParens(this, right, 1) || !startsWithOperand(right)) ? parenthesize(right) : right.printNode(inBars)
 
-    function getDependency(funcName) {
-      let name = dependencies[funcName]
+    if (inBars && rightStr.startsWith("|"))
+      rightStr = parenthesize(right)
 
-      if (name)
-        return name
+    // 2x, 2π and 2(x + 1), but 2 e, since 2e would be read as the start of a number in scientific notation
+    const omitSpace = unwrapTypecasts(left).nodeType() === "number" && leftStr === left.printNode(inBars) &&
+      /^([A-DF-Za-df-z_(]|\p{Script=Greek})/u.test(rightStr)
 
-      name = dependencies[funcName] = getUnusedName() + "_func"
+    return leftStr + (omitSpace ? "" : " ") + rightStr
+  }
 
-      setVariable(name, resolveDependency(funcName))
+  latexNode(options) {
+    const children = this.getChildren().map(unwrapTypesetOperand)
+    const operand = (child, i) => typesetNeedsParens(this, child, i) ?
+      latexParenthesize(child.latexNode(options)) : child.latexNode(options)
+
+    switch (operatorKind(this)) {
+      case "cchain":
+        return children.map((child, i) => (i % 2) ? operatorToLatex(child.value, operatorSymbol(this, child.value)) :
+          operand(child, i)).join(" ")
+      case "property":
+        return operand(children[0], 0) + "." + variableToLatex(children[1].value)
+      case "index":
+        return operand(children[0], 0) +
+          `\\left[${children.slice(1).map(child => child.latexNode(options)).join(":")}\\right]`
+      case "unary":
+        return operatorToLatex(this.op, operatorSymbol(this)) + operand(children[0], 0)
+      case "postfix":
+        return operand(children[0], 0) + operatorToLatex(this.op, operatorSymbol(this))
     }
 
-    function requestDependency(funcName) {
-      // Remove whitespace, so the function is unambiguous
-      funcName = funcName.replace(/\s+/g, "")
+    const [left, right] = children
 
-      return getDependency(funcName)
+    switch (this.op) {
+      case "/":
+        return `\\frac{${left.latexNode(options)}}{${right.latexNode(options)}}`
+      case "^":
+        return `${operand(left, 0)}^{${right.latexNode(options)}}`
+      case "*": {
+        const leftStr = operand(left, 0)
+        const symbol = ` ${options.multiplicationSymbol} `
+
+        if (!this.implicit || options.implicitMultiplication === "symbol")
+          return leftStr + symbol + operand(right, 1)
+
+        // Juxtaposition needs parentheses around a signed operand, as in 2 \left(-x\right), and is ambiguous before a
+        // digit, as in 2 3
+        const rightStr = startsWithOperand(right) ? operand(right, 1) : latexParenthesize(right.latexNode(options))
+
+        return leftStr + (/^[0-9.]/.test(rightStr) ? symbol : " ") + rightStr
+      }
     }
 
-    function requestGlobalVariable() {
+    return `${operand(left, 0)} ${operatorToLatex(this.op, operatorSymbol(this))} ${operand(right, 1)}`
+  }
 
+  mathmlNode(options) {
+    const children = this.getChildren().map(unwrapTypesetOperand)
+    const operand = (child, i) => typesetNeedsParens(this, child, i) ?
+      mathmlParenthesize(child.mathmlNode(options)) : child.mathmlNode(options)
+
+    switch (operatorKind(this)) {
+      case "cchain":
+        return mrow(children.map((child, i) => (i % 2) ?
+          operatorToMathML(child.value, operatorSymbol(this, child.value)) : operand(child, i)))
+      case "property":
+        return mrow([operand(children[0], 0), "<mo>.</mo>", variableToMathML(children[1].value)])
+      case "index": {
+        const bounds = children.slice(1).map(child => child.mathmlNode(options))
+
+        return mrow([operand(children[0], 0),
+          mathmlParenthesize(mrow(bounds.flatMap((bound, i) => i ? ["<mo>:</mo>", bound] : [bound])), "[", "]")])
+      }
+      case "unary":
+        return mrow([operatorToMathML(this.op, operatorSymbol(this)), operand(children[0], 0)])
+      case "postfix":
+        return mrow([operand(children[0], 0), operatorToMathML(this.op, operatorSymbol(this))])
     }
 
-    const compileInfo = {
-      getUnusedName,
-      setVariable,
-      compilationMode
+    const [left, right] = children
+
+    switch (this.op) {
+      case "/":
+        return `<mfrac>${left.mathmlNode(options)}${right.mathmlNode(options)}</mfrac>`
+      case "^":
+        return `<msup>${operand(left, 0)}${right.mathmlNode(options)}</msup>`
+      case "*": {
+        const leftStr = operand(left, 0)
+        const symbol = `<mo>${escapeXml(options.multiplicationSymbol)}</mo>`
+
+        if (!this.implicit || options.implicitMultiplication === "symbol")
+          return mrow([leftStr, symbol, operand(right, 1)])
+
+        // As in latexNode, a signed operand is parenthesized and juxtaposed numbers are separated by the symbol
+        const rightStr = startsWithOperand(right) ? operand(right, 1) : mathmlParenthesize(right.mathmlNode(options))
+
+        return mrow([leftStr, startsWithNumber(rightStr) ? symbol : `<mo>${INVISIBLE_TIMES}</mo>`, rightStr])
+      }
     }
 
+    return mrow([operand(left, 0), operatorToMathML(this.op, operatorSymbol(this)), operand(right, 1)])
+  }
+
+  contentMathMLNode() {
+    const children = this.getChildren()
+
+    switch (operatorKind(this)) {
+      case "cchain": {
+        // a < b <= c is (a < b) and (b <= c)
+        const operands = children.filter((child, i) => i % 2 === 0).map(child => child.contentMathMLNode())
+        const comparisons = []
+
+        for (let i = 1; i < children.length; i += 2) {
+          const j = (i - 1) / 2
+
+          comparisons.push(operatorToContentMathML(children[i].value, [operands[j], operands[j + 1]]))
+        }
+
+        return (comparisons.length === 1) ? comparisons[0] : operatorToContentMathML("and", comparisons)
+      }
+      case "property":
+        return operatorToContentMathML(".", [children[0].contentMathMLNode(),
+          `<ci>${escapeXml(children[1].value)}</ci>`])
+    }
 
+    return operatorToContentMathML(this.op, children.map(child => child.contentMathMLNode()))
   }
 }
 
-class ConstantNode extends ASTNode {
-  constructor({ value }) {
-    super()
+class FunctionNode extends OperatorNode {
+  constructor({ name, implicit = false, parenInfo }) {
+    super({op: name, implicit})
 
-    this.value = value
+    this.name = name
+
+    // Whether the function is an abs written as | ... |
+    this.verticalBar = !!parenInfo?.verticalBar
   }
 
   nodeType() {
-    return "constant"
+    return "function"
   }
-}
 
-class NumberNode extends ConstantNode {
-  constructor(opts = {}) {
-    super(opts)
+  jsonFields() {
+    return Object.assign({ name: this.name, implicit: !!this.implicit, verticalBar: this.verticalBar },
+      this.operatorJSONFields())
   }
 
-  nodeType() {
-    return "number"
+  printNode(inBars) {
+    const children = this.getChildren()
+
+    if (this.verticalBar && children.length === 1) {
+      const contents = children[0].printNode(true)
+
+      // In |x!|, the second bar would be read as an opening bar, since it follows an operator
+      return contents.endsWith("!") ? `|${parenthesize(children[0])}|` : `|${contents}|`
+    }
+
+    return `${this.name}(${children.map(child => child.printNode(false)).join(", ")})`
   }
-}
 
-class StringNode extends ConstantNode {
-  constructor({ contents, quote }) {
-    super()
+  latexNode(options) {
+    return functionToLatex(this.name, this.getChildren().map(child => child.latexNode(options)), options)
+  }
 
-    this.value = contents
-    this.quote = quote
+  mathmlNode(options) {
+    return functionToMathML(this.name, this.getChildren().map(child => child.mathmlNode(options)), options)
   }
 
-  nodeType() {
-    return "string"
+  contentMathMLNode() {
+    return functionToContentMathML(this.name, this.getChildren().map(child => child.contentMathMLNode()))
   }
 }
 
-class OperatorNode extends ASTNode {
-  constructor({ op, implicit }) {
-    super()
+/**
+ * A conversion of its only child to another type, inserted by inferTypes. operator is the Typecast being applied.
+ */
+class TypecastNode extends OperatorNode {
+  constructor({ typecast }) {
+    super({op: "typecast", implicit: true})
 
-    this.op = op
-    this.implicit = implicit
+    this.operator = typecast
+    this.type = typecast.to
   }
 
   nodeType() {
-    return "operator"
+    return "typecast"
   }
-}
 
-class FunctionNode extends OperatorNode {
-  constructor({ name, implicit = false }) {
-    super({op: name, implicit})
+  jsonFields() {
+    return { from: this.operator.from.toString(), to: this.operator.to.toString() }
+  }
 
-    this.name = name
+  compileNode(compileInfo) {
+    const arg = this.children[0].compileNode(compileInfo)
+
+    return this.operator.identity ? arg : compileOperatorCall(compileInfo, this.operator, [arg])
   }
 
-  nodeType() {
-    return "function"
+  evaluateNode(scope, mode) {
+    const arg = this.children[0].evaluateNode(scope, mode)
+
+    return this.operator.identity ? arg : this.operator.evaluate(mode, arg)
+  }
+
+  printNode(inBars) {
+    return this.children[0].printNode(inBars)
+  }
+
+  latexNode(options) {
+    return this.children[0].latexNode(options)
+  }
+
+  mathmlNode(options) {
+    return this.children[0].mathmlNode(options)
+  }
+
+  contentMathMLNode() {
+    return this.children[0].contentMathMLNode()
   }
 }
 
 class ArrowFunctionNode extends ASTNode {
+  constructor({ signature }) {
+    super()
+
+    // Names of the arguments, their types as strings, and the return type (null if not given)
+    this.args = signature ? signature.vars.map(variable => variable.name) : []
+    this.argTypes = signature ? signature.types.map(type => type.typename) : []
+    this.returnType = signature?.returnType ? signature.returnType.typename : null
+
+    // Whether each argument's type was written out, rather than assumed to be real
+    this.explicitArgTypes = signature ? signature.types.map(type => !type.implicit) : []
+
+    // The arguments as written, or null for those written as their names; see VariableNode
+    this.argTexts = signature ? signature.vars.map(variable => variable.text ?? null) : []
+  }
+
   nodeType() {
     return "arrow_function"
   }
+
+  jsonFields() {
+    const { args, argTypes, explicitArgTypes, returnType, argTexts } = this
+
+    return argTexts.some(text => text !== null) ? { args, argTypes, explicitArgTypes, returnType, argTexts } :
+      { args, argTypes, explicitArgTypes, returnType }
+  }
+
+  compileNode(compileInfo) {
+    return compileInfo.compileFunction(this.args, this.children[0])
+  }
+
+  evaluateNode(scope, mode) {
+    const args = this.args
+    const body = this.children[0]
+
+    return (...values) => {
+      const innerScope = new Map(scope)
+
+      args.forEach((arg, i) => innerScope.set(arg, values[i]))
+
+      return body.evaluateNode(innerScope, mode)
+    }
+  }
+
+  printNode(inBars) {
+    const { argTypes, explicitArgTypes, returnType } = this
+    const args = this.args.map((arg, i) => this.argTexts[i] ?? arg)
+    const body = this.children[0]
+    let signature
+
+    if (args.length === 1 && !explicitArgTypes[0] && !returnType) {
+      signature = args[0]
+    } else {
+      signature = "(" + args.map((arg, i) => explicitArgTypes[i] ? `${arg}: ${argTypes[i]}` : arg).join(", ") + ")"
+
+      if (returnType)
+        signature += ": " + returnType
+    }
+
+    let bodyStr = body.printNode(inBars)
+
+    // A comparison chain is only recognized if it is an entire subexpression
+    if (isComparisonChain(body) || (inBars && bodyStr.startsWith("|")))
+      bodyStr = parenthesize(body)
+
+    return `${signature} -> ${bodyStr}`
+  }
+
+  latexNode(options) {
+    const args = this.args.map(variableToLatex)
+    const signature = (args.length === 1) ? args[0] : latexParenthesize(args.join(", "))
+
+    return `${signature} \\mapsto ${this.children[0].latexNode(options)}`
+  }
+
+  mathmlNode(options) {
+    const args = this.args.map(variableToMathML)
+    const signature = (args.length === 1) ? args[0] :
+      mathmlParenthesize(mrow(args.flatMap((arg, i) => i ? ["<mo>,</mo>", arg] : [arg])))
+
+    return mrow([signature, "<mo>↦</mo>", this.children[0].mathmlNode(options)])
+  }
+
+  contentMathMLNode() {
+    const bvars = this.args.map((arg, i) => `<bvar>${variableToContentMathML(arg, this.argTypes[i])}</bvar>`)
+
+    return `<lambda>${bvars.join("")}${this.children[0].contentMathMLNode()}</lambda>`
+  }
 }
 
 class GroupingNode extends ASTNode {
@@ -203,18 +1533,155 @@ class GroupingNode extends ASTNode {
   nodeType() {
     return "group"
   }
+
+  jsonFields() {
+    return { parenType: this.parenType }
+  }
+
+  compileNode(compileInfo) {
+    const children = this.getChildren()
+
+    if (children.length !== 1)
+      throw new TypeError("Cannot compile a group with " + children.length + " children")
+
+    return children[0].compileNode(compileInfo)
+  }
+
+  evaluateNode(scope, mode) {
+    const children = this.getChildren()
+
+    if (children.length !== 1)
+      throw new TypeError("Cannot evaluate a group with " + children.length + " children")
+
+    return children[0].evaluateNode(scope, mode)
+  }
+
+  printNode(inBars) {
+    const contents = this.getChildren().map(child => child.printNode(inBars && this.parenType === "")).join(" ")
+
+    switch (this.parenType) {
+      case "(":
+        return `(${contents})`
+      case "[":
+        return `[${contents}]`
+      default:
+        return contents
+    }
+  }
+
+  latexNode(options) {
+    const contents = this.getChildren().map(child => child.latexNode(options)).join(" ")
+
+    switch (this.parenType) {
+      case "(":
+        return latexParenthesize(contents)
+      case "[":
+        return `\\left[${contents}\\right]`
+      default:
+        return contents
+    }
+  }
+
+  mathmlNode(options) {
+    const contents = mrow(this.getChildren().map(child => child.mathmlNode(options)))
+
+    switch (this.parenType) {
+      case "(":
+        return mathmlParenthesize(contents)
+      case "[":
+        return mathmlParenthesize(contents, "[", "]")
+      default:
+        return contents
+    }
+  }
+
+  contentMathMLNode() {
+    const children = this.getChildren()
+
+    if (children.length !== 1)
+      throw new TypeError("Cannot convert a group with " + children.length + " children to Content MathML")
+
+    return children[0].contentMathMLNode()
+  }
 }
 
 class VariableNode extends ASTNode {
-  constructor({ name }) {
+  constructor({ name, text }) {
     super()
 
     this.name = name
+
+    // The variable as written, if it differs from its name, like θ₁ for theta_1. It is printed instead of the name.
+    if (text !== undefined)
+      this.text = text
   }
 
   nodeType() {
     return "variable"
   }
+
+  jsonFields() {
+    const { name, text } = this
+
+    return (text === undefined) ? { name } : { name, text }
+  }
+
+  compileNode(compileInfo) {
+    return compileInfo.getVariable(this.name)
+  }
+
+  evaluateNode(scope, mode) {
+    if (scope.has(this.name))
+      return scope.get(this.name)
+
+    const constant = getConstant(this.name)
+
+    if (constant)
+      return constant.evaluate(mode)
+
+    const variable = getGlobalVariable(this.name)
+
+    if (variable)
+      return variable.evaluate(mode)
+
+    throw new ReferenceError("Unknown variable " + this.name)
+  }
+
+  printNode(inBars) {
+    return this.text ?? this.name
+  }
+
+  latexNode(options) {
+    return variableToLatex(this.name)
+  }
+
+  mathmlNode(options) {
+    return variableToMathML(this.name)
+  }
+
+  contentMathMLNode() {
+    return variableToContentMathML(this.name)
+  }
+}
+
+/**
+ * A broken region of an expression, produced by parseStringTolerant in place of the nodes that couldn't be parsed. Its
+ * children are the parts of the region that could be parsed. Error nodes can't be evaluated, compiled or printed.
+ */
+class ErrorNode extends ASTNode {
+  constructor({ message }) {
+    super()
+
+    this.message = message
+  }
+
+  nodeType() {
+    return "error"
+  }
+
+  jsonFields() {
+    return { message: this.message }
+  }
 }
 
 const typeClassMap = {
@@ -224,7 +1691,8 @@ const typeClassMap = {
   node: GroupingNode,
   function: FunctionNode,
   operator: OperatorNode,
-  arrow_function: ArrowFunctionNode
+  arrow_function: ArrowFunctionNode,
+  error: ErrorNode
 }
 
 function constructNodeFromObj(obj) {
@@ -277,6 +1745,59 @@ function parseExpression(string, options={}) {
   return new Expression(string, node)
 }
 
+export {
+  ASTNode,
+  ConstantNode,
+  NumberNode,
+  StringNode,
+  OperatorNode,
+  FunctionNode,
+  TypecastNode,
+  ArrowFunctionNode,
+  GroupingNode,
+  VariableNode,
+  ErrorNode,
+  AST_JSON_VERSION,
+  objectToNode
+}
+
+// Types of the values which Expression.evaluate recognizes in a scope, in order
+const SCOPE_VALUE_TYPES = ["real", "complex", "vec3", "vec2", "bool"]
+
+/**
+ * Guess the type of a value passed in the scope of Expression.evaluate, returning null if it isn't recognized
+ * @param value {*}
+ * @param mode {string}
+ * @returns {string|null}
+ */
+function typeOfValue(value, mode) {
+  return SCOPE_VALUE_TYPES.find(type =>
+    getTypeDefinition(type).supportedCompilationModes.includes(mode) && isInstance(value, type, mode)) ?? null
+}
+
+/**
+ * Whether type inference has to assume the type of some variable in a tree: an unannotated arrow function argument, or
+ * a free variable which isn't a constant, a global variable or one of the given names
+ * @param node {ASTNode}
+ * @param known {Set} Names of the free variables whose types are known
+ * @param bound {Map} Maps the names of the arrow function arguments in scope to whether their types were written out
+ * @returns {boolean}
+ */
+function assumesTypes(node, known, bound = new Map()) {
+  switch (node.nodeType()) {
+    case "variable":
+      if (bound.has(node.name))
+        return !bound.get(node.name)
+
+      return !known.has(node.name) && !getConstant(node.name) && !getGlobalVariable(node.name)
+    case "arrow_function":
+      bound = new Map(bound)
+      node.args.forEach((arg, i) => bound.set(arg, node.explicitArgTypes[i]))
+  }
+
+  return node.getChildren().some(child => assumesTypes(child, known, bound))
+}
+
 export class Expression {
   constructor(string, rootNode) {
     this.string = string
@@ -287,6 +1808,121 @@ export class Expression {
     this.rootNode = rootNode
   }
 
+  /**
+   * Compile the expression into a JS function of the given arguments. See ASTNode.compile.
+   * @param compilationMode {string}
+   * @param args {Array}
+   * @returns {Function}
+   */
+  compile(compilationMode="double", args=[]) {
+    const variableTypes = Object.fromEntries(args.map(arg => [arg, null]))
+
+    return this.withTypes(variableTypes).rootNode.compile(compilationMode, args)
+  }
+
+  /**
+   * Evaluate the expression without compiling it. See ASTNode.evaluate.
+   * @param scope {Object|Map}
+   * @param mode {string}
+   * @returns {*}
+   */
+  evaluate(scope={}, mode="double") {
+    const entries = (scope instanceof Map) ? [...scope] : Object.entries(scope)
+    const variableTypes = Object.fromEntries(entries.map(([name, value]) => [name, typeOfValue(value, mode)]))
+
+    return this.withTypes(variableTypes).rootNode.evaluate(scope, mode)
+  }
+
+  /**
+   * Get the expression with its types inferred, so that each operator uses the overload its operands call for (e.g.
+   * complex addition in i + 1). If the types have already been inferred (see inferTypes), that is the expression
+   * itself; otherwise they are inferred on a copy. Variables of unknown type are assumed to be real, so if the types
+   * can't be inferred and some variable's type was assumed (it might hold a list, say), the expression itself is
+   * returned, and each operator falls back to its default (real) overload. Otherwise the type error is thrown.
+   * @param variableTypes {Object} Types of the free variables, or null for those of unknown type. Other free variables
+   *   are constants, global variables or of unknown type.
+   * @returns {Expression}
+   */
+  withTypes(variableTypes={}) {
+    if (this.rootNode.type)
+      return this
+
+    const known = new Set(Object.keys(variableTypes).filter(name => variableTypes[name] !== null))
+    const types = Object.fromEntries(Object.entries(variableTypes).map(([name, type]) => [name, type ?? "real"]))
+
+    try {
+      return inferTypes(this.clone(), { variableTypes: types })
+    } catch (e) {
+      if (e instanceof ParserError && assumesTypes(this.rootNode, known))
+        return this
+
+      throw e
+    }
+  }
+
+  /**
+   * Convert the expression to source code; see ASTNode.toString
+   * @returns {string}
+   */
+  toString() {
+    return this.rootNode.toString()
+  }
+
+  /**
+   * Convert the expression to LaTeX; see ASTNode.toLatex
+   * @param options {Object}
+   * @returns {string}
+   */
+  toLatex(options={}) {
+    return this.rootNode.toLatex(options)
+  }
+
+  /**
+   * Copy the expression and its nodes; see ASTNode.clone
+   * @returns {Expression}
+   */
+  clone() {
+    return new Expression(this.string, this.rootNode.clone())
+  }
+
+  /**
+   * Convert the expression to a JSON-compatible object { version, string, root }; see ASTNode.toJSON
+   * @returns {Object}
+   */
+  toJSON() {
+    return { version: AST_JSON_VERSION, string: this.string, root: this.rootNode.nodeToJSON() }
+  }
+
+  /**
+   * Convert the expression to presentation MathML; see ASTNode.toMathML
+   * @param options {Object}
+   * @returns {string}
+   */
+  toMathML(options={}) {
+    return this.rootNode.toMathML(options)
+  }
+
+  /**
+   * Convert the expression to Content MathML; see ASTNode.toContentMathML
+   * @param options {Object}
+   * @returns {string}
+   */
+  toContentMathML(options={}) {
+    return this.rootNode.toContentMathML(options)
+  }
+
+  /**
+   * Construct an expression from the result of toJSON, or its JSON string, without reparsing it. The result of
+   * ASTNode.toJSON is also accepted, in which case the expression has no source string.
+   * @param json {Object|string}
+   * @returns {Expression}
+   */
+  static fromJSON(json) {
+    json = checkJSONVersion(json)
+
+    return new Expression(json.string ?? null, nodeFromJSON(json.root))
+  }
+
   static from(string, options={}) {
     switch (typeof string) {
       case "number":
@@ -296,7 +1932,8 @@ export class Expression {
       case "string":
         return parseExpression(string, options)
       case "object":
-        return objectToNode(string)
+        // The result of toJSON, or raw parser output
+        return (string.version !== undefined) ? Expression.fromJSON(string) : objectToNode(string)
       default:
         throw new TypeError("Invalid provided type")
     }
@@ -0,0 +1,428 @@
+// Cursor-aware completion of identifiers, namespaces, typenames and properties, for formula inputs. Like highlighting,
+// this never throws on invalid input, since the expression is usually incomplete while it is being typed.
+
+import {expressionTokenizer, isValidContinuationCharacter, isValidStartingCharacter} from "./expression_tokenizer.js"
+import {tokenizeTolerantly} from "./highlight.js"
+import {getFunctionNames, getOperatorOverloads} from "./operators.js"
+import {Variables} from "./global_variables.js"
+import {TypeDefinitions, getTypeDefinition} from "./types.js"
+import {Expression} from "./ast_node.js"
+import {inferTypes} from "./type_inference.js"
+import {Type} from "./type.js"
+
+// Order in which kinds of identifier completions with equally good matches are listed
+const kindRanks = ["variable", "constant", "function", "namespace"]
+
+/**
+ * Find the identifier, possibly namespaced, around index in string. Returns the range [start, end) of its last segment,
+ * which completions replace, and pathStart, the index of its first namespace segment (or of a leading ::)
+ * @param string {string}
+ * @param index {number}
+ * @returns {{start: number, end: number, pathStart: number}}
+ */
+function findIdentifierAt(string, index) {
+  const isContinuation = i => isValidContinuationCharacter(string.charCodeAt(i))
+
+  let start = index, end = index
+
+  while (start > 0 && isContinuation(start - 1))
+    --start
+  while (end < string.length && isContinuation(end))
+    ++end
+
+  let pathStart = start
+
+  // Extend over preceding namespace segments, like a::b:: in a::b::c
+  while (string.slice(pathStart - 2, pathStart) === "::" && string.charCodeAt(pathStart - 3) !== 58) {
+    pathStart -= 2
+
+    let segmentStart = pathStart
+
+    while (segmentStart > 0 && isContinuation(segmentStart - 1))
+      --segmentStart
+
+    // An absolute name, like ::a
+    if (segmentStart === pathStart)
+      break
+
+    pathStart = segmentStart
+  }
+
+  return {start, end, pathStart}
+}
+
+/**
+ * Find the first token of the operand of a property access, given the tokens before the . of the access. For example,
+ * the operand of (x+1).y is (x+1), the operand of f(x).y.z is f(x).y, and the operand of a[i].y is a[i]. Returns null if
+ * there is no operand.
+ * @param tokens {Array}
+ * @returns {number|null} The index of the first token of the operand in tokens
+ */
+function findOperandStart(tokens) {
+  let i = tokens.length - 1
+
+  while (true) {
+    while (i >= 0 && tokens[i].type === "property_access")
+      --i
+
+    if (i < 0)
+      return null
+
+    const token = tokens[i]
+
+    switch (token.type) {
+      case "variable":
+      case "number":
+      case "string":
+        return i
+      case "paren": {
+        if (token.paren !== ")" && token.paren !== "]")
+          return null
+
+        let depth = 0
+
+        // Find the matching opening parenthesis, and the function it's the call of, if any
+        for (; i >= 0; --i) {
+          if (tokens[i].type === "error")
+            return null
+
+          if (tokens[i].type === "paren")
+            depth += (tokens[i].paren === ")" || tokens[i].paren === "]") ? 1 :
+              ((tokens[i].paren === "(" || tokens[i].paren === "[") ? -1 : 0)
+
+          if (depth === 0)
+            break
+        }
+
+        if (i < 0)
+          return null
+
+        // An indexing bracket, as in a[i], is part of the operand it indexes
+        if (tokens[i].indexing) {
+          --i
+          continue
+        }
+
+        if (tokens[i].paren !== "(")
+          return null
+
+        return (i > 0 && tokens[i - 1].type === "function_token") ? i - 1 : i
+      }
+    }
+
+    return null
+  }
+}
+
+/**
+ * Get the parameters of the arrow function whose -> is at tokens[arrowIndex], as an Object mapping their names to
+ * their annotated typenames, or null if they aren't annotated
+ * @param tokens {Array}
+ * @param arrowIndex {number}
+ * @returns {Object}
+ */
+function arrowParameters(tokens, arrowIndex) {
+  const parameters = {}
+  let i = arrowIndex - 1
+
+  // A single parameter may be written without parentheses, as in x -> x or x: real -> x
+  const isClosed = tokens[i]?.type === "paren" && tokens[i].paren === ")"
+
+  if (isClosed)
+    --i
+
+  while (i >= 0) {
+    let typename = null
+
+    if (tokens[i].type === "typename" && tokens[i - 1]?.type === "colon") {
+      typename = tokens[i].typename
+      i -= 2
+    }
+
+    if (tokens[i]?.type !== "variable")
+      break
+
+    parameters[tokens[i].name] = typename
+
+    if (!isClosed || tokens[i - 1]?.type !== "comma")
+      break
+
+    i -= 2
+  }
+
+  return parameters
+}
+
+/**
+ * Get the types of the parameters of the arrow functions whose bodies contain the end of the tokens, like
+ * { z: "complex" } after (z: complex) -> z. An arrow function's body ends at the first comma or closing parenthesis
+ * at its depth. Inner parameters shadow outer ones, and parameters without an annotation have null types.
+ * @param tokens {Array}
+ * @returns {Object}
+ */
+function parameterTypesInScope(tokens) {
+  // The parameters of the enclosing arrow functions, innermost last, with the depth of parentheses of their bodies
+  const scopes = []
+  let depth = 0
+
+  tokens.forEach((token, i) => {
+    if (token.type === "paren" && (token.paren === "(" || token.paren === "[")) {
+      ++depth
+    } else if (token.type === "paren" && (token.paren === ")" || token.paren === "]")) {
+      --depth
+
+      while (scopes.length && scopes[scopes.length - 1].depth > depth)
+        scopes.pop()
+    } else if (token.type === "comma") {
+      while (scopes.length && scopes[scopes.length - 1].depth >= depth)
+        scopes.pop()
+    } else if (token.type === "arrow_function_token") {
+      scopes.push({ depth, parameters: arrowParameters(tokens, i) })
+    }
+  })
+
+  return Object.assign({}, ...scopes.map(scope => scope.parameters))
+}
+
+/**
+ * Infer the type of the source of a property access operand, or return null if it can't be inferred. Property
+ * accesses are typed using the properties of their operand's type definition.
+ * @param source {string}
+ * @param variableTypes {Object}
+ * @returns {Type|null}
+ */
+function inferOperandType(source, variableTypes) {
+  function inferNodeType(node) {
+    const children = node.getChildren()
+
+    if (node.nodeType() === "operator" && node.op === "." && children.length === 2) {
+      const type = inferNodeType(children[0])
+      const propType = type && getTypeDefinition(type.str)?.properties[children[1].value]
+
+      return propType ? Type.from(propType) : null
+    }
+
+    return inferTypes(new Expression(source, node), { variableTypes }).rootNode.type
+  }
+
+  try {
+    return inferNodeType(Expression.from(source).rootNode)
+  } catch (e) {
+    // Operands which don't parse or type check, like the incomplete (x+ in (x+.y, have no properties
+    return null
+  }
+}
+
+/**
+ * Get the detail shown for a function: the signature of its default overload, with argument names, like
+ * atan2(y: real, x: real) -> real, and the number of other overloads
+ * @param name {string}
+ * @param overloads {Array}
+ * @returns {string}
+ */
+function functionDetail(name, overloads) {
+  const [operator] = overloads
+  const args = operator.signature.map((type, i) => operator.argNames[i] + ": " + type.toString())
+  const others = overloads.length - 1
+
+  return `${name}(${args.join(", ")}) -> ${operator.returnType.toString()}` +
+    (others ? ` (+${others} overload${others === 1 ? "" : "s"})` : "")
+}
+
+/**
+ * Get the global variables and namespaces which can follow a namespace path, as completions { label, kind, detail }.
+ * Relative paths are looked up in the namespace and then its enclosing namespaces, as in resolveVariableName, with
+ * inner names shadowing outer ones.
+ * @param path {Array} The namespace segments before the identifier, like ["a", "b"] for a::b::c
+ * @param absolute {boolean} Whether the path starts with ::
+ * @param namespace {string}
+ * @returns {Array}
+ */
+function globalCompletions(path, absolute, namespace) {
+  const namespaceParts = (absolute || namespace === "" || namespace === "::") ? [] :
+    namespace.replace(/^::/, "").split("::")
+
+  const seen = new Set()
+  const completions = []
+
+  for (let i = namespaceParts.length; i >= 0; --i) {
+    const base = [...namespaceParts.slice(0, i), ...path]
+
+    for (const name in Variables) {
+      const parts = name.split("::")
+
+      if (parts.length <= base.length || !base.every((part, j) => parts[j] === part))
+        continue
+
+      const isVariable = parts.length === base.length + 1
+      const label = parts[base.length]
+      const key = (isVariable ? "v" : "n") + label
+
+      if (seen.has(key))
+        continue
+
+      seen.add(key)
+      completions.push(isVariable ? { label, kind: "variable", detail: "::" + name } :
+        { label, kind: "namespace", detail: "::" + parts.slice(0, base.length + 1).join("::") })
+    }
+
+    // Absolute paths aren't looked up in enclosing namespaces
+    if (absolute)
+      break
+  }
+
+  return completions
+}
+
+/**
+ * How well a label matches the text typed so far: 0 for a prefix, 1 for a prefix ignoring case, 2 for a substring
+ * ignoring case, and -1 for no match
+ * @param label {string}
+ * @param typed {string}
+ * @returns {number}
+ */
+function matchQuality(label, typed) {
+  if (label.startsWith(typed))
+    return 0
+
+  const lowerLabel = label.toLowerCase(), lowerTyped = typed.toLowerCase()
+
+  if (lowerLabel.startsWith(lowerTyped))
+    return 1
+
+  return lowerLabel.includes(lowerTyped) ? 2 : -1
+}
+
+/**
+ * Get completions for the identifier, namespace path (like ns::sub::), typename after a colon, or property access (like
+ * .x) under the cursor. Returns an array of completions, best first, each of the form
+ *   { label, kind, detail, insertText, index, length }
+ * where kind is "variable", "constant", "function", "namespace", "type" or "property", detail is a description (like
+ * the signature of a function, or the type of a property), and accepting the completion replaces the length
+ * characters of string at index with insertText. The replaced range is the whole identifier segment under the cursor,
+ * including any part after the cursor. Function completions insert their argument names, as in atan2(y, x), unless
+ * followed by a parenthesis. Completions are ranked by how well they match the text typed before the cursor (prefix,
+ * then prefix ignoring case, then substring), then by kind and label. Returns [] inside strings and numbers.
+ *
+ * Options:
+ *   variables: names of local variables to complete, like the arguments of the function being typed. Default [].
+ *   variableTypes: Object mapping names of variables to types, used to infer the types of property access operands, as
+ *     in inferTypes, along with the annotations of the parameters of enclosing arrow functions, which shadow them. Its
+ *     keys are also completed as local variables. Default {}.
+ *   namespace: the namespace to look up global variables in. Default "".
+ *   maxTemplateDepth: as for parseString
+ * @param string {string}
+ * @param cursorIndex {number} The index of the cursor; the cursor is before the character at this index
+ * @param options {Object}
+ * @returns {Array}
+ */
+function autocomplete(string, cursorIndex, options = {}) {
+  const {
+    variables = [],
+    variableTypes = {},
+    namespace = "",
+    maxTemplateDepth = expressionTokenizer.DEFAULT_MAX_TEMPLATE_DEPTH
+  } = options
+
+  cursorIndex = Math.max(0, Math.min(cursorIndex, string.length))
+
+  const {start, end, pathStart} = findIdentifierAt(string, cursorIndex)
+  const typed = string.slice(start, cursorIndex)
+
+  // Digits can't start an identifier, as in 2.5 or 3x
+  if (start < end && !isValidStartingCharacter(string.charCodeAt(start)))
+    return []
+
+  const tokens = tokenizeTolerantly(string.slice(0, pathStart), 0, maxTemplateDepth)
+  const lastToken = tokens[tokens.length - 1]
+
+  // Inside an unclosed string, which the tokenizer reports as an error at the opening quote
+  if (tokens.some(token => token.type === "error" && /["']/.test(string[token.index])))
+    return []
+
+  const path = string.slice(pathStart, start).split("::").filter(segment => segment !== "")
+  const absolute = string.startsWith("::", pathStart)
+
+  let candidates
+
+  if (string[pathStart - 1] === "." && pathStart === start) {
+    // The . may be the end of a number, as in 2.x, rather than a property access
+    if (lastToken?.type === "number")
+      return []
+
+    // The tokens of the operand, without the ., which alone is an error
+    const operandTokens = tokenizeTolerantly(string.slice(0, pathStart - 1), 0, maxTemplateDepth)
+    const operandStart = findOperandStart(operandTokens)
+
+    if (operandStart === null)
+      return []
+
+    // Parameters of enclosing arrow functions shadow the given variables
+    const operandTypes = Object.assign({}, variableTypes)
+
+    for (const [name, typename] of Object.entries(parameterTypesInScope(operandTokens))) {
+      if (typename)
+        operandTypes[name] = typename
+      else
+        delete operandTypes[name]
+    }
+
+    const type = inferOperandType(string.slice(operandTokens[operandStart].index, pathStart - 1), operandTypes)
+    const properties = type ? getTypeDefinition(type.str)?.properties ?? {} : {}
+
+    candidates = Object.keys(properties).map(label => ({ label, kind: "property", detail: properties[label] }))
+  } else if (lastToken?.type === "colon" && !lastToken.slice && pathStart === start) {
+    candidates = Array.from(TypeDefinitions.values(), definition =>
+      ({ label: definition.name, kind: "type", detail: definition.description ?? "" }))
+  } else {
+    candidates = globalCompletions(path, absolute, namespace)
+
+    if (path.length === 0 && !absolute) {
+      const locals = [...variables, ...Object.keys(variableTypes)]
+
+      candidates.unshift(...locals.filter((name, i) => locals.indexOf(name) === i).map(label => ({
+        label,
+        kind: "variable",
+        detail: variableTypes.hasOwnProperty(label) ? Type.from(variableTypes[label]).toString() : ""
+      })))
+
+      for (const name of getFunctionNames()) {
+        const overloads = getOperatorOverloads(name)
+        const functions = overloads.filter(operator => operator.signature.length > 0)
+        const constant = overloads.find(operator => operator.signature.length === 0)
+
+        if (constant)
+          candidates.push({ label: name, kind: "constant", detail: constant.returnType.toString() })
+
+        if (functions.length !== 0) {
+          const insertText = (string[end] === "(") ? name : `${name}(${functions[0].argNames.join(", ")})`
+
+          candidates.push({ label: name, kind: "function", detail: functionDetail(name, functions), insertText })
+        }
+      }
+    }
+  }
+
+  const ranked = []
+
+  for (const candidate of candidates) {
+    const quality = matchQuality(candidate.label, typed)
+
+    if (quality !== -1)
+      ranked.push({ candidate, quality, kindRank: kindRanks.indexOf(candidate.kind) })
+  }
+
+  ranked.sort((r1, r2) => (r1.quality - r2.quality) || (r1.kindRank - r2.kindRank) ||
+    ((r1.candidate.label < r2.candidate.label) ? -1 : (r1.candidate.label > r2.candidate.label) ? 1 : 0))
+
+  return ranked.map(({ candidate }) => ({
+    label: candidate.label,
+    kind: candidate.kind,
+    detail: candidate.detail,
+    insertText: candidate.insertText ?? candidate.label,
+    index: start,
+    length: end - start
+  }))
+}
+
+export {autocomplete}
@@ -1,5 +1,5 @@
 
-export const validCompilationModes = ["double", "interval"]
+export const validCompilationModes = ["double", "interval", "arbitrary"]
 
 export function isValidCompilationMode(str) {
   return validCompilationModes.includes(str)
@@ -0,0 +1,128 @@
+
+/**
+ * Abstraction of a complex number re + im * i, used by the complex type in double mode
+ */
+class Complex {
+  constructor(re = 0, im = 0) {
+    this.re = re
+    this.im = im
+  }
+
+  clone() {
+    return new Complex(this.re, this.im)
+  }
+
+  equals(z) {
+    return this.re === z.re && this.im === z.im
+  }
+
+  toString() {
+    const im = this.im
+
+    if (im === 0)
+      return String(this.re)
+
+    return `${this.re} ${(im < 0 || Object.is(im, -0)) ? '-' : '+'} ${Math.abs(im)}i`
+  }
+}
+
+/**
+ * Divide two complex numbers, using Smith's algorithm to avoid unnecessary overflow
+ * @param z {Complex}
+ * @param w {Complex}
+ * @returns {Complex}
+ */
+function divide(z, w) {
+  const {re: a, im: b} = z
+  const {re: c, im: d} = w
+
+  if (Math.abs(c) >= Math.abs(d)) {
+    const r = d / c
+    const denom = c + d * r
+
+    return new Complex((a + b * r) / denom, (b - a * r) / denom)
+  } else {
+    const r = c / d
+    const denom = c * r + d
+
+    return new Complex((a * r + b) / denom, (b * r - a) / denom)
+  }
+}
+
+/**
+ * Raise a complex number to a nonnegative integer power by repeated squaring, which is more accurate than exp(n ln z)
+ * @param z {Complex}
+ * @param n {number}
+ * @returns {Complex}
+ */
+function integerPow(z, n) {
+  let ret = new Complex(1, 0)
+  let base = z
+
+  while (n > 0) {
+    if (n & 1)
+      ret = ComplexFunctions.Multiply(ret, base)
+
+    base = ComplexFunctions.Multiply(base, base)
+    n = Math.floor(n / 2)
+  }
+
+  return ret
+}
+
+// Beyond this exponent, repeated squaring is no more accurate than exp(n ln z)
+const MAX_INTEGER_POW = 64
+
+const ComplexFunctions = {
+  Construct: (re, im) => new Complex(re, im),
+  FromReal: x => new Complex(x, 0),
+  I: () => new Complex(0, 1),
+  Re: z => z.re,
+  Im: z => z.im,
+  Add: (z, w) => new Complex(z.re + w.re, z.im + w.im),
+  Subtract: (z, w) => new Complex(z.re - w.re, z.im - w.im),
+  Multiply: (z, w) => new Complex(z.re * w.re - z.im * w.im, z.re * w.im + z.im * w.re),
+  Divide: divide,
+  UnaryMinus: z => new Complex(-z.re, -z.im),
+  UnaryPlus: z => z,
+  Conj: z => new Complex(z.re, -z.im),
+  Abs: z => Math.hypot(z.re, z.im),
+  Arg: z => Math.atan2(z.im, z.re),
+  Exp: z => {
+    const mag = Math.exp(z.re)
+
+    return new Complex(mag * Math.cos(z.im), mag * Math.sin(z.im))
+  },
+  // Principal branch of the logarithm
+  Ln: z => new Complex(Math.log(ComplexFunctions.Abs(z)), ComplexFunctions.Arg(z)),
+  // Principal square root
+  Sqrt: z => {
+    const r = ComplexFunctions.Abs(z)
+    const re = Math.sqrt((r + z.re) / 2)
+    const im = Math.sqrt((r - z.re) / 2)
+
+    return new Complex(re, (z.im < 0 || Object.is(z.im, -0)) ? -im : im)
+  },
+  Pow: (z, w) => {
+    if (w.im === 0 && Number.isInteger(w.re) && Math.abs(w.re) <= MAX_INTEGER_POW) {
+      const ret = integerPow(z, Math.abs(w.re))
+
+      return (w.re < 0) ? divide(new Complex(1, 0), ret) : ret
+    }
+
+    if (z.re === 0 && z.im === 0) {
+      // 0^w is 0 if Re(w) > 0 and undefined otherwise
+      return (w.re > 0) ? new Complex(0, 0) : new Complex(NaN, NaN)
+    }
+
+    return ComplexFunctions.Exp(ComplexFunctions.Multiply(w, ComplexFunctions.Ln(z)))
+  },
+  Sin: z => new Complex(Math.sin(z.re) * Math.cosh(z.im), Math.cos(z.re) * Math.sinh(z.im)),
+  Cos: z => new Complex(Math.cos(z.re) * Math.cosh(z.im), -Math.sin(z.re) * Math.sinh(z.im)),
+  Equal: (z, w) => z.re === w.re && z.im === w.im,
+  NotEqual: (z, w) => z.re !== w.re || z.im !== w.im,
+  // Read re or im, as in z.re. Type inference checks that the property exists.
+  Property: (z, name) => z[name]
+}
+
+export { Complex, ComplexFunctions }
@@ -0,0 +1,261 @@
+import {nodeError} from "./parser_error.js"
+import {Expression, FunctionNode, GroupingNode, NumberNode, OperatorNode} from "./ast_node.js"
+import {isValidVariableName} from "./expression_tokenizer.js"
+
+// Helpers for building the nodes of a derivative. The arithmetic helpers fold away trivial terms like 0 * u and 1 * u,
+// and combine integer constants, so that derivatives don't balloon in size.
+
+function num(value) {
+  return new NumberNode({ value: String(value) })
+}
+
+function withChildren(node, children) {
+  children.forEach(child => node.addChild(child))
+
+  return node
+}
+
+function op(name, ...children) {
+  return withChildren(new OperatorNode({ op: name, implicit: false }), children)
+}
+
+function func(name, ...children) {
+  return withChildren(new FunctionNode({ name }), children)
+}
+
+/**
+ * Whether node is a number node, with a given value if value is given
+ * @param node {ASTNode}
+ * @param value {number|undefined}
+ * @returns {boolean}
+ */
+function isNumber(node, value) {
+  return node.nodeType() === "number" && (value === undefined || Number(node.value) === value)
+}
+
+// If both nodes are integer constants, the node for the result of f on their values, otherwise null
+function foldIntegers(a, b, f) {
+  if (isNumber(a) && isNumber(b)) {
+    const result = f(Number(a.value), Number(b.value))
+
+    if (Number.isSafeInteger(result) && result >= 0)
+      return num(result)
+  }
+
+  return null
+}
+
+function add(a, b) {
+  if (isNumber(a, 0))
+    return b
+  if (isNumber(b, 0))
+    return a
+
+  return foldIntegers(a, b, (x, y) => x + y) ?? op("+", a, b)
+}
+
+function negate(a) {
+  if (isNumber(a, 0))
+    return a
+  if (a.nodeType() === "operator" && a.op === "-" && a.getChildren().length === 1)
+    return a.children[0]
+
+  return op("-", a)
+}
+
+function subtract(a, b) {
+  if (isNumber(b, 0))
+    return a
+  if (isNumber(a, 0))
+    return negate(b)
+
+  return foldIntegers(a, b, (x, y) => x - y) ?? op("-", a, b)
+}
+
+function multiply(a, b) {
+  if (isNumber(a, 0) || isNumber(b, 0))
+    return num(0)
+  if (isNumber(a, 1))
+    return b
+  if (isNumber(b, 1))
+    return a
+
+  return foldIntegers(a, b, (x, y) => x * y) ?? op("*", a, b)
+}
+
+function divide(a, b) {
+  if (isNumber(a, 0))
+    return a
+  if (isNumber(b, 1))
+    return a
+
+  return op("/", a, b)
+}
+
+function pow(a, b) {
+  if (isNumber(b, 1))
+    return a
+
+  return op("^", a, b)
+}
+
+/**
+ * Copy a subtree so that it can be reused in a derivative. Typecasts and inferred types are dropped, since the
+ * derivative must have its types inferred anew.
+ * @param node {ASTNode}
+ * @returns {ASTNode}
+ */
+function copy(node) {
+  if (node.nodeType() === "typecast")
+    return copy(node.children[0])
+
+  const ret = Object.assign(Object.create(Object.getPrototypeOf(node)), node)
+
+  ret.children = null
+  ret.token = null
+  ret.type = null
+
+  if (ret instanceof OperatorNode) {
+    ret.operator = null
+    ret.comparisonOperators = null
+  }
+
+  node.getChildren().forEach(child => ret.addChild(copy(child)))
+
+  return ret
+}
+
+// (u^v)' = v u^(v-1) u' if v is constant, u^v ln(u) v' if u is constant, and u^v (v' ln(u) + v u' / u) otherwise
+function powerRule([u, v], d) {
+  const du = d(u), dv = d(v)
+
+  if (isNumber(dv, 0))
+    return multiply(multiply(copy(v), pow(copy(u), subtract(copy(v), num(1)))), du)
+  if (isNumber(du, 0))
+    return multiply(multiply(pow(copy(u), copy(v)), func("ln", copy(u))), dv)
+
+  return multiply(pow(copy(u), copy(v)), add(multiply(dv, func("ln", copy(u))), divide(multiply(copy(v), du), copy(u))))
+}
+
+// Rules for differentiating operators and functions, keyed by name and then by argument count. Each rule receives the
+// arguments and a function d which differentiates a node, and returns the derivative.
+const DerivativeRules = {
+  "+": {
+    1: ([u], d) => d(u),
+    2: ([u, v], d) => add(d(u), d(v))
+  },
+  "-": {
+    1: ([u], d) => negate(d(u)),
+    2: ([u, v], d) => subtract(d(u), d(v))
+  },
+  "*": {
+    2: ([u, v], d) => add(multiply(d(u), copy(v)), multiply(copy(u), d(v)))
+  },
+  "/": {
+    2: ([u, v], d) => {
+      const du = d(u), dv = d(v)
+
+      if (isNumber(dv, 0))
+        return divide(du, copy(v))
+
+      return divide(subtract(multiply(du, copy(v)), multiply(copy(u), dv)), pow(copy(v), num(2)))
+    }
+  },
+  "^": { 2: powerRule },
+  pow: { 2: powerRule },
+  sin: {
+    1: ([u], d) => multiply(func("cos", copy(u)), d(u))
+  },
+  cos: {
+    1: ([u], d) => negate(multiply(func("sin", copy(u)), d(u)))
+  },
+  tan: {
+    1: ([u], d) => divide(d(u), pow(func("cos", copy(u)), num(2)))
+  },
+  // atan2(y, x)' = (x y' - y x') / (x^2 + y^2)
+  atan2: {
+    2: ([y, x], d) => divide(subtract(multiply(copy(x), d(y)), multiply(copy(y), d(x))),
+      add(pow(copy(x), num(2)), pow(copy(y), num(2))))
+  },
+  // |u|' = u / |u| * u', which is undefined where u = 0
+  abs: {
+    1: ([u], d) => multiply(divide(copy(u), func("abs", copy(u))), d(u))
+  },
+  sqrt: {
+    1: ([u], d) => divide(d(u), multiply(num(2), func("sqrt", copy(u))))
+  },
+  exp: {
+    1: ([u], d) => multiply(func("exp", copy(u)), d(u))
+  },
+  ln: {
+    1: ([u], d) => divide(d(u), copy(u))
+  }
+}
+
+/**
+ * Compute the derivative of an expression with respect to a variable, as a new expression. The expression is not
+ * modified. The derivative is untyped, so inferTypes must be called on it before compiling with non-default operators.
+ *
+ * Arrow functions are differentiated by differentiating their bodies, except that an arrow function with a parameter of
+ * the same name as the variable does not depend on it, so its derivative is (...) -> 0. Throws a ParserError pointing at
+ * the offending node if the expression contains something which can't be differentiated, like a factorial, comparison
+ * or string.
+ * @param expression {Expression|string}
+ * @param variableName {string}
+ * @returns {Expression}
+ */
+export function derivative(expression, variableName) {
+  if (typeof expression === "string")
+    expression = Expression.from(expression)
+  if (!isValidVariableName(variableName))
+    throw new TypeError("Invalid variable name " + variableName)
+
+  const string = expression.string
+
+  function d(node) {
+    const children = node.getChildren()
+
+    switch (node.nodeType()) {
+      case "number":
+        return num(0)
+      case "variable":
+        return num(node.name === variableName ? 1 : 0)
+      case "typecast":
+        return d(children[0])
+      case "group":
+        if (children.length !== 1)
+          throw nodeError(string, node, "Cannot differentiate a group of " + children.length + " expressions", "",
+            { code: "not-differentiable" })
+
+        return withChildren(new GroupingNode({ parenType: node.parenType }), [d(children[0])])
+      case "arrow_function": {
+        const ret = copy(node)
+
+        ret.children = null
+        ret.addChild(node.args.includes(variableName) ? num(0) : d(children[0]))
+
+        return ret
+      }
+      case "operator":
+      case "function": {
+        const rule = DerivativeRules[node.op]?.[children.length]
+
+        if (!rule) {
+          const desc = (node.nodeType() === "function") ? "function" : "operator"
+          const name = (node.op === "cchain") ? "comparison" : node.op
+
+          throw nodeError(string, node, `Cannot differentiate ${desc} ${name}`,
+            "Note: Differentiable operators and functions are " + Object.keys(DerivativeRules).join(", "),
+            { code: "not-differentiable" })
+        }
+
+        return rule(children, d)
+      }
+      default:
+        throw nodeError(string, node, "Cannot differentiate node of type " + node.nodeType(), "",
+          { code: "not-differentiable" })
+    }
+  }
+
+  return new Expression(null, d(expression.rootNode))
+}
@@ -1,14 +1,5 @@
-/**
- * Checks whether string is all ASCII, and is thus potentially a valid Grapheme expression
- * @param string
- * @param onError {Function}
- */
-import {errorInString, getErrorInStringMessage, isString, ParserError} from "./parser_error.js"
-
-// Whether a string is all ASCII characters
-function isASCII(str) {
-  return /^[\x00-\x7F]*$/.test(str)
-}
+import {errorInString, isString, ParserError, singleEditFix} from "./parser_error.js"
+import {DefaultOperatorTable, OperatorTable} from "./operator_table.js"
 
 // The following functions search for tokens of a given type, starting at index i of the string. A return value of -1
 // signifies that no satisfying token was found. A return value of another index signifies that [i, index) is a valid
@@ -113,6 +104,9 @@ function findVariableToken(string, startIndex, firstChar) {
 
       i = newI - 1
       lastVarEnd = newI
+
+      // Namespaces may be nested, as in a::b::c
+      colonCount = 0
     } else {
       break
     }
@@ -211,45 +205,182 @@ function isWhitespace(char) {
   return (char === 0x20 || char === 0x9 || char === 0xa || char === 0xc || char === 0xd || char === 0xa0 || char === 0x2028 || char === 0x2029)
 }
 
-const simpleOperators = {
-  '+': '+',
-  '-': '-',
-  '*': '*',
-  '/': '/',
-  '!': '!',
-  '^': '^',
-  '!!': '!!',
-  '!=': '!=',
-  '==': '==',
-  '=': '==',
-  '<': '<',
-  '>': '>',
-  '<=': '<=',
-  '>=': '>='
+// Greek letters, which are variables with the names used by LaTeX, so π is pi and θ_0 is theta_0. Capital letters which
+// look like Latin letters are not included. Δ and δ directly followed by a name are increments, so Δx is the single
+// variable Deltax, while other letters are multiplied, so πr is pi r. The tokens of these variables have a text
+// property with the variable as written, which is how it is printed.
+const greekLetterNames = {
+  'α': "alpha", 'β': "beta", 'γ': "gamma", 'δ': "delta", 'ε': "epsilon", 'ϵ': "epsilon", 'ζ': "zeta", 'η': "eta",
+  'θ': "theta", 'ϑ': "theta", 'ι': "iota", 'κ': "kappa", 'λ': "lambda", 'μ': "mu", 'µ': "mu", 'ν': "nu", 'ξ': "xi",
+  'π': "pi", 'ρ': "rho", 'σ': "sigma", 'ς': "sigma", 'τ': "tau", 'υ': "upsilon", 'φ': "phi", 'ϕ': "phi", 'χ': "chi",
+  'ψ': "psi", 'ω': "omega", 'Γ': "Gamma", 'Δ': "Delta", 'Θ': "Theta", 'Λ': "Lambda", 'Ξ': "Xi", 'Π': "Pi",
+  'Σ': "Sigma", 'Υ': "Upsilon", 'Φ': "Phi", 'Ψ': "Psi", 'Ω': "Omega"
 }
 
-const operatorsFollowedByWhitespace = ["and", "or"]
+// Superscript digits and signs, which are exponents, as in x² or x⁻¹
+const superscriptCharacters = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-'
+}
 
-const operatorOrder = Object.keys(simpleOperators).sort((s1, s2) => s2.length - s1.length)
+// Subscript digits, which are subscripts of the preceding name, so x₁ is x_1 and θ₀ is theta_0
+const subscriptCharacters = {
+  '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9'
+}
 
-for (let op of operatorsFollowedByWhitespace) {
-  simpleOperators[op] = op
+// Functions whose powers may be written between the name and the arguments, so sin²(x) is sin(x)^2
+const poweredFunctionNames = ["sin", "cos", "tan", "cot", "sec", "csc", "sinh", "cosh", "tanh", "coth", "sech", "csch",
+  "ln", "log"]
+
+// Inverse functions of trigonometric and hyperbolic functions, so that sin⁻¹(x), like \sin^{-1} x in LaTeX, is
+// arcsin(x), not sin(x)^(-1)
+const inverseFunctions = {
+  sin: "arcsin",
+  cos: "arccos",
+  tan: "arctan",
+  cot: "arccot",
+  sec: "arcsec",
+  csc: "arccsc",
+  sinh: "arsinh",
+  cosh: "arcosh",
+  tanh: "artanh",
+  coth: "arcoth"
 }
 
-function findOperatorToken(string, startIndex, charCode) {
-  for (let op of operatorOrder) {
-    if (string.startsWith(op, startIndex)) {
-      return startIndex + op.length
+/**
+ * Find the end of the subscript digits starting at startIndex, as the index after them, or startIndex if there are none
+ * @param string {string}
+ * @param startIndex {number}
+ * @returns {number}
+ */
+function findSubscriptEnd(string, startIndex) {
+  let i = startIndex
+
+  while (subscriptCharacters[string[i]])
+    ++i
+
+  return i
+}
+
+/**
+ * Convert subscript digits to the suffix of a name, so ₁₂ is _12
+ * @param subscript {string}
+ * @returns {string}
+ */
+function subscriptToSuffix(subscript) {
+  return subscript ? "_" + Array.from(subscript, char => subscriptCharacters[char]).join("") : ""
+}
+
+/**
+ * Find the end of the character starting at startIndex, as the index after it. Astral characters, which are surrogate
+ * pairs, and any combining marks following the character, like the ̂ of x̂, are part of the character.
+ * @param string {string}
+ * @param startIndex {number}
+ * @returns {number}
+ */
+function findCharacterEnd(string, startIndex) {
+  const codePoint = string.codePointAt(startIndex)
+  let i = startIndex + ((codePoint > 0xffff) ? 2 : 1)
+
+  while (i < string.length && /\p{M}/u.test(String.fromCodePoint(string.codePointAt(i))))
+    i += (string.codePointAt(i) > 0xffff) ? 2 : 1
+
+  return i
+}
+
+/**
+ * Find the index of the last token of the operand of a prefix square root, starting at index i of tokens, or -1 if
+ * there is no operand. The operand is a number, variable or string, a function call or a parenthesized expression,
+ * followed by any superscript exponent, so that √x² is sqrt(x^2).
+ * @param tokens {Array}
+ * @param i {number}
+ * @returns {number}
+ */
+function findRootOperandEnd(tokens, i) {
+  const isCall = tokens[i]?.type === "function_token"
+
+  if (isCall)
+    ++i
+
+  const token = tokens[i]
+
+  if (!token)
+    return -1
+
+  if (token.type === "paren") {
+    if (token.paren !== '(')
+      return -1
+
+    // Find the corresponding closing parenthesis
+    let depth = 0
+
+    for (; i < tokens.length; ++i) {
+      const paren = tokens[i].paren
+
+      if (paren === '(' || paren === '[')
+        depth++
+      else if (paren === ')' || paren === ']')
+        depth--
+
+      if (depth === 0)
+        break
     }
+
+    if (i === tokens.length)
+      return -1
+  } else if (isCall || (token.type !== "number" && token.type !== "variable" && token.type !== "string")) {
+    return -1
   }
 
-  for (let op of operatorsFollowedByWhitespace) {
-    if (string.startsWith(op, startIndex) && isWhitespace(string.charCodeAt(startIndex + op.length + 1))) {
-      return startIndex + op.length
+  while (tokens[i + 1]?.superscript)
+    ++i
+
+  return i
+}
+
+/**
+ * Parenthesize the operands of prefix square roots, so that √x is tokenized like sqrt(x). The added parentheses have a
+ * synthetic property, since they don't appear in the string. Roots followed by ( need no parentheses, and roots
+ * without an operand are left for the parser to report.
+ * @param tokens {Array}
+ * @param roots {Array} The indices in tokens of the sqrt function tokens of the roots, in increasing order
+ */
+function parenthesizeRootOperands(tokens, roots) {
+  // From right to left, so that the operand of the outer root in √√x is the parenthesized inner root, and so that
+  // inserting tokens doesn't change the indices of the roots yet to be processed
+  for (let k = roots.length - 1; k >= 0; --k) {
+    const i = roots[k]
+    const first = tokens[i + 1]
+
+    if (!first || first.paren === '(')
+      continue
+
+    const end = findRootOperandEnd(tokens, i + 1)
+
+    if (end === -1)
+      continue
+
+    const last = tokens[end]
+    let endIndex = last.endIndex
+
+    if (endIndex === undefined) {
+      switch (last.type) {
+        case "number":
+          endIndex = last.index + last.value.length - 1
+          break
+        case "variable":
+          endIndex = last.index + last.name.length - 1
+          break
+        case "string":
+          endIndex = last.index + last.contents.length + 1
+          break
+        default:
+          endIndex = last.index
+      }
     }
-  }
 
-  return -1
+    tokens.splice(end + 1, 0, {type: "paren", paren: ')', index: endIndex, pID: -1, synthetic: true})
+    tokens.splice(i + 1, 0, {type: "paren", paren: '(', index: first.index, pID: -1, synthetic: true})
+  }
 }
 
 function findPropertyAccessToken(string, startIndex, charCode) {
@@ -295,27 +426,28 @@ export function findTemplateSpecialization(string, startIndex, charCode, maxTemp
   const secondColon = string.charCodeAt(startIndex + 1)
   if (secondColon !== 58) {
     if (secondColon === 60)
-      throw errorInString(string, startIndex + 1, "Unexpected <", getErrorInStringMessage(string,
-        startIndex, "Note: Try changing this colon to :: to turn this into a template specialization,"))
+      throw errorInString(string, startIndex + 1, "Unexpected <", "", {
+        code: "invalid-template",
+        related: [{index: startIndex, endIndex: startIndex,
+          message: "Try changing this colon to :: to turn this into a template specialization,"}],
+        fixes: [singleEditFix("Change : to ::", startIndex, 1, "::")]
+      })
     return -1
   } else if (string.charCodeAt(startIndex + 2) !== 60) { // found :: but didn't find <; this is an error
-    throw errorInString(string, startIndex + 2, "Expected < for template specialization")
+    throw errorInString(string, startIndex + 2, "Expected < for template specialization", "", {code: "invalid-template"})
   }
 
   let correspondingIndex = -1
   let expectingType = false
   let expectingTypeReasonIndex = -1
 
-  function getExpectedTypeNote() {
-    let char = string.charCodeAt(expectingTypeReasonIndex)
-
-    switch (char) {
-      case 60: // <
-      case 44: // ,
-        return getErrorInStringMessage(string, expectingTypeReasonIndex, "Note: expected type because of " + String.fromCharCode(char))
-    }
+  // Error for when a type was expected, pointing at the < or , that led to the expectation
+  function expectedTypeError(index, message) {
+    const char = string.charCodeAt(expectingTypeReasonIndex)
+    const related = (char === 60 || char === 44) ? [{index: expectingTypeReasonIndex, endIndex: expectingTypeReasonIndex,
+      message: "expected type because of " + String.fromCharCode(char)}] : []
 
-    return ""
+    return errorInString(string, index, message, "", {code: "expected-type", related})
   }
 
   let i = startIndex + 2
@@ -326,20 +458,20 @@ export function findTemplateSpecialization(string, startIndex, charCode, maxTemp
     switch (charCode) {
       case 60: // <
         if (expectingType)
-          throw errorInString(string, i, "Expected type, found opening angle bracket", getExpectedTypeNote())
+          throw expectedTypeError(i, "Expected type, found opening angle bracket")
 
         correspondingIndex = i
 
         if (currentDepth > maxTemplateDepth)
           throw errorInString(string, i, "Max template depth of " + maxTemplateDepth + " exceeded", "Note: maxTemplateDepth may be increased to a maximum of " +
-            MAX_TEMPLATE_DEPTH + ", though this will slow parse times.")
+            MAX_TEMPLATE_DEPTH + ", though this will slow parse times.", {code: "max-template-depth-exceeded"})
 
         expectingType = true
 
         break
       case 62: // >
         if (expectingType)
-          throw errorInString(string, i, "Expected type, found closing angle bracket", getExpectedTypeNote())
+          throw expectedTypeError(i, "Expected type, found closing angle bracket")
 
         if (correspondingIndex !== -1) {
           correspondingIndex = -1
@@ -348,10 +480,11 @@ export function findTemplateSpecialization(string, startIndex, charCode, maxTemp
           break main
         }
 
-        throw errorInString(string, i, "Unbalanced angle brackets in template specialization")
+        throw errorInString(string, i, "Unbalanced angle brackets in template specialization", "",
+          {code: "unbalanced-angle-bracket", fixes: [singleEditFix("Remove the angle bracket", i, 1)]})
       case 44: // ,
         if (expectingType)
-          throw errorInString(string, i, "Expected type, found comma", getExpectedTypeNote())
+          throw expectedTypeError(i, "Expected type, found comma")
 
         expectingType = true
         break
@@ -363,22 +496,26 @@ export function findTemplateSpecialization(string, startIndex, charCode, maxTemp
           const typeToken = findSimpleVariableToken(string, i, charCode)
 
           if (typeToken === -1)
-            throw errorInString(string, i, "Expected type", getExpectedTypeNote())
+            throw expectedTypeError(i, "Expected type")
           else if (string.charCodeAt(typeToken) === 60) // occurs when the typename is of the form type<, instead of type::<
-            throw errorInString(string, typeToken, "Unexpected token", "Note: perhaps insert :: before the opening angle bracket?")
+            throw errorInString(string, typeToken, "Unexpected token", "Note: perhaps insert :: before the opening angle bracket?",
+              {code: "invalid-template", fixes: [singleEditFix("Insert ::", typeToken, 0, "::")]})
 
           const specialization = findTemplateSpecialization(string, typeToken, string.charCodeAt(typeToken), maxTemplateDepth, currentDepth + 1)
 
           i = ((specialization === -1) ? typeToken : specialization) - 1
 
           expectingType = false
-        } else throw errorInString(string, i, "Unexpected token")
+        } else throw errorInString(string, i, "Unexpected token", "", {code: "unexpected-token"})
     }
   }
 
   if (correspondingIndex !== -1)
-    throw errorInString(string, string.length, "Unbalanced angle brackets in template specialization",
-      getErrorInStringMessage(string, correspondingIndex, "Note: Unclosed angle bracket"))
+    throw errorInString(string, string.length, "Unbalanced angle brackets in template specialization", "", {
+      code: "unbalanced-angle-bracket",
+      related: [{index: correspondingIndex, endIndex: correspondingIndex, message: "Unclosed angle bracket"}],
+      fixes: [singleEditFix("Close the angle bracket", string.length, 0, ">")]
+    })
 
   return i
 }
@@ -388,8 +525,16 @@ const DEFAULT_MAX_TEMPLATE_DEPTH = 16
 
 // The tokenizer converts a string expression into a stream of tokens. Each token is an object. All tokens share two
 // properties: the type property, which is the type of the token, and the index property, which is the index of the
-// token.
-function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH) {
+// token. If diagnostics is an array, unrecognized characters are recorded there and emitted as error tokens (see
+// parseStringTolerant) instead of throwing.
+// Operators are those of the given OperatorTable (see parseString), so by default common Unicode math symbols like ×
+// and ≤ are emitted as the operator tokens of their ASCII equivalents. So are Greek letters, superscript exponents like
+// ², and the prefix square root √. Indices remain indices into the original string, so tokens whose text differs from
+// their name or value have an endIndex (or, for operators, a text property), and tokens which don't appear in the
+// string, like the ^ of x², have a synthetic property. The exponent of a function like sin²(x) is emitted after the
+// arguments, as in sin(x)^2, so those tokens are not in the order of their indices.
+function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH, diagnostics = null,
+  operators = DefaultOperatorTable) {
   if (!isString(string))
     throw new TypeError("expressionTokenizer given a non-string type")
   if (!Number.isInteger(maxTemplateDepth) || maxTemplateDepth < 0 || maxTemplateDepth > MAX_TEMPLATE_DEPTH)
@@ -411,19 +556,93 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
     currentIndex = tokenIndex
   }
 
+  function pushOperatorToken(symbol) {
+    const op = operators.getOp(symbol)
+    const token = {type: "operator_token", op, index: currentIndex, implicit: false}
+
+    if (op !== symbol)
+      token.text = symbol
+
+    tokens.push(token)
+  }
+
   function checkTypenameExpected() {
     if (expectingTypename) {
-      throw errorInString(string, currentIndex, "Expected typename",
-        getErrorInStringMessage(string, tokens[tokens.length - 1].index, "Note: Typename expected because of preceding colon"))
+      const colonIndex = tokens[tokens.length - 1].index
+
+      throw errorInString(string, currentIndex, "Expected typename", "", {
+        code: "missing-typename",
+        related: [{index: colonIndex, endIndex: colonIndex, message: "Typename expected because of preceding colon"}]
+      })
     }
   }
 
   // Tokens to return
   const tokens = []
 
+  // Indices in tokens of the prefix square roots, whose operands are parenthesized at the end
+  const roots = []
+
   // Whether or not a typename would be expected next
   let expectingTypename = false
 
+  // For each enclosing ( or [, whether it is an indexing bracket, inside which a colon separates the bounds of a slice
+  const brackets = []
+
+  // For each enclosing ( or [, the power of the function it calls, as in sin²(x), or null. The power is { nameToken,
+  // start, count }, where start and count are the range of its superscript tokens, which are moved after the closing
+  // parenthesis. Until then, the name is a variable, so that an unclosed call is read as a multiplication.
+  const functionPowers = []
+
+  /**
+   * If the tokens end with a function name in poweredFunctionNames directly followed by superscript tokens, and the
+   * parenthesis at currentIndex directly follows them, return the power. A power of -1 is the inverse function, as in
+   * cos⁻¹(x), so then the name becomes that of the inverse function and null is returned. Otherwise, return null.
+   * @returns {Object|null}
+   */
+  function findFunctionPower() {
+    let i = tokens.length
+
+    while (tokens[i - 1]?.superscript)
+      --i
+
+    const nameToken = tokens[i - 1]
+    const last = tokens[tokens.length - 1]
+
+    if (i === tokens.length || i === 0 || nameToken.type !== "variable" || !poweredFunctionNames.includes(nameToken.name) ||
+      tokens[i].index !== nameToken.index + nameToken.name.length || (last.endIndex ?? last.index) !== currentIndex - 1)
+      return null
+
+    const count = tokens.length - i
+
+    if (inverseFunctions[nameToken.name] && count === 3 && tokens[i + 1].op === '-' && tokens[i + 2].value === "1") {
+      tokens.splice(i)
+
+      nameToken.type = "function_token"
+      nameToken.endIndex = currentIndex - 1
+      nameToken.name = inverseFunctions[nameToken.name]
+
+      return null
+    }
+
+    return {nameToken, start: i, count}
+  }
+
+  /**
+   * Make a function with a power a call, moving the tokens of its power to the end of the tokens, after its arguments
+   * @param power {Object} The power, as returned by findFunctionPower
+   */
+  function moveFunctionPower({nameToken, start, count}) {
+    nameToken.type = "function_token"
+    tokens.push(...tokens.splice(start, count))
+
+    // The roots in the arguments moved back
+    roots.forEach((root, k) => {
+      if (root > start)
+        roots[k] = root - count
+    })
+  }
+
   // The main token loop
   while (true) {
     // March along leading whitespace
@@ -463,7 +682,33 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
       // Check if a typename was expected. If a paren/comma was found, throw an error
       checkTypenameExpected()
 
-      tokens.push(singleCharToken)
+      switch (singleCharToken.paren) {
+        case '[':
+          // A bracket directly after an operand, as in a[1] or f(x)[1], indexes that operand
+          if (isIndexable(tokens[tokens.length - 1]))
+            singleCharToken.indexing = true
+          // fallthrough
+        case '(':
+          brackets.push(!!singleCharToken.indexing)
+          functionPowers.push((singleCharToken.paren === '(') ? findFunctionPower() : null)
+          tokens.push(singleCharToken)
+          break
+        case ']':
+        case ')': {
+          brackets.pop()
+          tokens.push(singleCharToken)
+
+          // The power of a function, as in sin²(x), follows its arguments
+          const power = functionPowers.pop()
+
+          if (power)
+            moveFunctionPower(power)
+          break
+        }
+        default:
+          tokens.push(singleCharToken)
+      }
+
       currentIndex++
 
       continue
@@ -472,7 +717,25 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
     // Search for a variable token. This might actually be a typename or a function, depending on what comes after
     tokenIndex = findVariableToken(string, currentIndex, charCode)
 
+    // Operators which are words, like and, are reserved
+    if (tokenIndex !== -1 && !expectingTypename && operators.isWord(string.slice(currentIndex, tokenIndex))) {
+      pushOperatorToken(getToken())
+      advanceCurrentIndex()
+
+      continue
+    }
+
     if (tokenIndex !== -1) {
+      // Subscript digits, as in x₁, are part of the name. Then the name differs from the text of the token.
+      const subscriptIndex = tokenIndex
+
+      tokenIndex = findSubscriptEnd(string, subscriptIndex)
+
+      const subscriptedName = string.slice(currentIndex, subscriptIndex) +
+        subscriptToSuffix(string.slice(subscriptIndex, tokenIndex))
+      const subscriptEnd = tokenIndex
+      const spelling = (subscriptEnd > subscriptIndex) ? {text: getToken(), endIndex: subscriptEnd - 1} : {}
+
       // tokenIndex is the index at which to check for a (, which would make the token a function
       // Look for a template specialization
       const templateSpecializationToken = findTemplateSpecialization(string, tokenIndex, string.charCodeAt(tokenIndex), maxTemplateDepth)
@@ -483,18 +746,25 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
 
       if (string.charCodeAt(tokenIndex) === 40) { // If the next char is (
         if (expectingTypename)
-          throw errorInString(string, tokenIndex, "Expected typename, found function",
-            getErrorInStringMessage(string, templateSpecializationToken, "Note: Perhaps remove parenthesis"))
+          throw errorInString(string, tokenIndex, "Expected typename, found function", "", {
+            code: "missing-typename",
+            related: [{index: templateSpecializationToken, endIndex: templateSpecializationToken,
+              message: "Perhaps remove parenthesis"}]
+          })
 
         // tokenIndex is now the index of the opening parenthesis, which we will emit on the next loop
-        tokens.push({type: "function_token", name: string.slice(currentIndex, tokenIndex), index: currentIndex})
+        const name = subscriptedName + string.slice(subscriptEnd, tokenIndex)
+
+        tokens.push({type: "function_token", name, index: currentIndex,
+          ...(spelling.text ? {text: getToken(), endIndex: tokenIndex - 1} : {})})
       } else { // If it's not a function, it's a typename or a variable
-        const name = getToken()
+        const name = subscriptedName + string.slice(subscriptEnd, tokenIndex)
 
         if (templateSpecializationToken !== -1) {
           // If there is a template, it must be a typename
           if (!expectingTypename) // If a typename here is illegal, through an error
-            throw errorInString(string, currentIndex, "Unexpected typename", "Note: variables cannot be templated.")
+            throw errorInString(string, currentIndex, "Unexpected typename", "Note: variables cannot be templated.",
+              {code: "unexpected-typename"})
 
           // Yield a typename token
           tokens.push({type: "typename", typename: name, index: currentIndex})
@@ -505,7 +775,7 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
             tokens.push({type: "typename", typename: name, index: currentIndex})
             expectingTypename = false
           } else {
-            tokens.push({type: "variable", name: name, index: currentIndex})
+            tokens.push({type: "variable", name: name, index: currentIndex, ...spelling})
           }
         }
       }
@@ -518,9 +788,16 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
     // Check whether a typename was expected. If it was, then we shouldn't be here! Throw an error
     checkTypenameExpected()
 
-    if (charCode === 58) { // :, meaning we have a typename after
+    if (charCode === 58) { // :, meaning we have a typename after, unless it separates the bounds of a slice
       tokenIndex = currentIndex + 1
 
+      if (brackets[brackets.length - 1]) {
+        tokens.push({type: "colon", index: currentIndex, slice: true})
+        advanceCurrentIndex()
+
+        continue
+      }
+
       tokens.push({type: "colon", index: currentIndex})
       advanceCurrentIndex()
 
@@ -531,6 +808,46 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
       expectingTypename = false
     }
 
+    tokenIndex = findNumericToken(string, currentIndex)
+
+    if (tokenIndex !== -1) {
+      const value = getToken()
+      tokens.push({type: "number", value: value, index: currentIndex})
+      advanceCurrentIndex()
+
+      continue
+    }
+
+    tokenIndex = findPropertyAccessToken(string, currentIndex, charCode)
+
+    if (tokenIndex !== -1) {
+      const prop = getToken().slice(1)
+      tokens.push({type: "property_access", prop: prop, index: currentIndex})
+      advanceCurrentIndex()
+
+      continue
+    }
+
+    tokenIndex = findArrowFunctionToken(string, currentIndex, charCode)
+
+    if (tokenIndex !== -1) {
+      tokens.push({type: "arrow_function_token", index: currentIndex})
+      advanceCurrentIndex()
+
+      continue
+    }
+
+    // Operators are checked before strings, so that ' can be a postfix operator
+    const symbol = operators.findSymbol(string, currentIndex)
+
+    if (symbol !== null) {
+      tokenIndex = currentIndex + symbol.length
+      pushOperatorToken(symbol)
+      advanceCurrentIndex()
+
+      continue
+    }
+
     tokenIndex = findStringToken(string, currentIndex, charCode)
 
     if (tokenIndex !== -1) {
@@ -550,48 +867,101 @@ function simpleTokenizer(string, maxTemplateDepth = DEFAULT_MAX_TEMPLATE_DEPTH)
       continue
     }
 
-    tokenIndex = findNumericToken(string, currentIndex)
+    // Unicode math symbols. Their tokens have an endIndex, since their text differs from their name or value.
+    const char = string[currentIndex]
 
-    if (tokenIndex !== -1) {
-      const value = getToken()
-      tokens.push({type: "number", value: value, index: currentIndex})
-      advanceCurrentIndex()
+    if (greekLetterNames[char]) {
+      // A subscript, like the _0 in θ_0 or the ₀ in θ₀, is part of the name, and so is the name after an increment
+      const nextCode = string.charCodeAt(currentIndex + 1)
+      const isIncrement = (char === 'Δ' || char === 'δ') && isValidStartingCharacter(nextCode)
 
-      continue
-    }
+      tokenIndex = (nextCode === 95 || isIncrement) ? findSimpleVariableToken(string, currentIndex + 1, nextCode) :
+        currentIndex + 1
 
-    tokenIndex = findPropertyAccessToken(string, currentIndex, charCode)
+      const subscriptIndex = tokenIndex
 
-    if (tokenIndex !== -1) {
-      const prop = getToken().slice(1)
-      tokens.push({type: "property_access", prop: prop, index: currentIndex})
+      tokenIndex = findSubscriptEnd(string, subscriptIndex)
+
+      const name = greekLetterNames[char] + string.slice(currentIndex + 1, subscriptIndex) +
+        subscriptToSuffix(string.slice(subscriptIndex, tokenIndex))
+      const type = (string.charCodeAt(tokenIndex) === 40) ? "function_token" : "variable"
+
+      tokens.push({type, name, index: currentIndex, endIndex: tokenIndex - 1, text: getToken()})
       advanceCurrentIndex()
 
       continue
     }
 
-    tokenIndex = findArrowFunctionToken(string, currentIndex, charCode)
+    if (superscriptCharacters[char]) {
+      // An exponent, like ² or ⁻¹, is emitted as ^ followed by its sign and digits. The ^ is synthetic, sharing the
+      // index of the first character of the exponent.
+      tokens.push({type: "operator_token", op: '^', text: char, index: currentIndex, implicit: false, synthetic: true,
+        superscript: true})
 
-    if (tokenIndex !== -1) {
-      tokens.push({type: "arrow_function_token", index: currentIndex})
-      advanceCurrentIndex()
+      let digits = ""
+      let digitsIndex = -1
+
+      for (; superscriptCharacters[string[currentIndex]]; ++currentIndex) {
+        const value = superscriptCharacters[string[currentIndex]]
+
+        if (value === '+' || value === '-') {
+          if (digits)
+            break
+
+          tokens.push({type: "operator_token", op: value, text: string[currentIndex], index: currentIndex,
+            implicit: false, superscript: true})
+        } else {
+          if (!digits)
+            digitsIndex = currentIndex
+
+          digits += value
+        }
+      }
+
+      if (digits)
+        tokens.push({type: "number", value: digits, index: digitsIndex, endIndex: currentIndex - 1, superscript: true})
 
       continue
     }
 
-    tokenIndex = findOperatorToken(string, currentIndex, charCode)
-
-    if (tokenIndex !== -1) {
-      const op = getToken()
-      tokens.push({type: "operator_token", op: simpleOperators[op], index: currentIndex, implicit: false})
-      advanceCurrentIndex()
+    if (char === '√') {
+      roots.push(tokens.length)
+      tokens.push({type: "function_token", name: "sqrt", index: currentIndex, endIndex: currentIndex, text: char})
+      currentIndex++
 
       continue
     }
 
-    throw errorInString(string, currentIndex, "Unrecognized token")
+    // Extend the previous error token if it ends right before this character, so a run of bad characters is one error.
+    // Astral characters and combining marks are never split.
+    const characterEnd = findCharacterEnd(string, currentIndex)
+    const lastToken = tokens[tokens.length - 1]
+    const extendsLast = lastToken?.type === "error" && lastToken.endIndex === currentIndex - 1
+    const errorIndex = extendsLast ? lastToken.index : currentIndex
+
+    const error = errorInString(string, errorIndex, "Unrecognized token", "", {
+      code: "unrecognized-token",
+      endIndex: characterEnd - 1,
+      fixes: [singleEditFix("Remove the unrecognized characters", errorIndex, characterEnd - errorIndex)]
+    })
+
+    if (!diagnostics)
+      throw error
+
+    if (extendsLast) {
+      lastToken.endIndex = characterEnd - 1
+      diagnostics[diagnostics.length - 1] = error.diagnostic
+    } else {
+      diagnostics.push(error.diagnostic)
+      tokens.push({type: "error", message: error.description, index: currentIndex, endIndex: characterEnd - 1,
+        children: []})
+    }
+
+    currentIndex = characterEnd
   }
 
+  parenthesizeRootOperands(tokens, roots)
+
   return tokens
 }
 
@@ -622,11 +992,17 @@ function parenToCompleteDescriptor(token, plural = false) {
 /**
  * The function checks whether the tokens are balanced. It also modifies the tokens modifying their pID properties,
  * signifying for each paren what the corresponding closing/opening paren is. For vertical bars, it also sets their
- * opening property to true/false, depending on whether the bar is an opening or closing bar.
+ * opening property to true/false, depending on whether the bar is an opening or closing bar, unless it is already set
+ * (as for \left| in LaTeX).
+ *
+ * If diagnostics is an array, errors are recorded there instead of thrown, and the tokens are repaired: unmatched
+ * closing parens are removed, and parens left open are closed by tokens at the end of the string, whose unclosed
+ * property is the diagnostic.
  * @param string
  * @param tokens
+ * @param diagnostics {Array|null}
  */
-function checkParensBalanced(string, tokens) {
+function checkParensBalanced(string, tokens, diagnostics = null) {
   // The stack of parens
   const stack = []
 
@@ -641,13 +1017,30 @@ function checkParensBalanced(string, tokens) {
 
   // Fancy unbalanced parentheses error, including information about the corresponding parenthesis that led to the error
   function unbalancedParenError(token, prevId) {
-    const prevParen = findParenWithId(prevId)
+    // prevId is undefined if no paren is open
+    const prevParen = (prevId === undefined) ? null : findParenWithId(prevId)
+    const endIndex = token.endIndex ?? token.index
+
+    return errorInString(string, token.index, "Unbalanced " + parenToDescriptor(token, true),
+      prevParen ? "Note: Perhaps change this to an opening " + parenToDescriptor(token) + '?' : "", {
+        code: "unbalanced-paren",
+        endIndex,
+        related: prevParen ? [{index: prevParen.index, endIndex: prevParen.endIndex ?? prevParen.index,
+          message: "Corresponds to a " + parenToCompleteDescriptor(prevParen)}] : [],
+        fixes: [singleEditFix("Remove the " + parenToDescriptor(token), token.index, endIndex - token.index + 1)]
+      })
+  }
+
+  // Throw error, or in tolerant mode, record it and remove the unmatched closing paren at i, returning the index to
+  // continue from
+  function removeUnmatched(i, error) {
+    if (!diagnostics)
+      throw error
 
-    const helpMessage = prevParen ? getErrorInStringMessage(string, prevParen.index, "Note: Corresponds to a " +
-      parenToCompleteDescriptor(prevParen), "Perhaps change this to an opening " +
-      parenToDescriptor(token) + '?') : ""
+    diagnostics.push(error.diagnostic)
+    tokens.splice(i, 1)
 
-    return errorInString(string, token.index, "Unbalanced " + parenToDescriptor(token, true), helpMessage)
+    return i - 1
   }
 
   let id = 0 // id for paren pairs
@@ -691,7 +1084,14 @@ function checkParensBalanced(string, tokens) {
           // Whether this is an opening |
           let pushBar = true
 
-          if (last === 3) { // last item is |
+          if (token.opening !== undefined) { // The bar is known to be opening or closing
+            pushBar = token.opening
+
+            if (!pushBar && last !== 3) {
+              i = removeUnmatched(i, unbalancedParenError(token, stack[stack.length - 2]))
+              break
+            }
+          } else if (last === 3) { // last item is |
             const prevToken = tokens[i - 1] // prevToken will always exist, since if last === 3 the stack is nonempty
             const prevTokenType = prevToken.type
 
@@ -711,27 +1111,17 @@ function checkParensBalanced(string, tokens) {
 
           break
         }
-        case ')': {
-          const last = stack.pop()
-          const lastId = stack.pop()
-
-          // Check if popped paren is (
-          if (last !== 1)
-            throw unbalancedParenError(token, lastId)
-
-          token.pID = lastId
-          token.opening = false
-          break
-        }
+        case ')':
         case ']': {
-          const last = stack.pop()
-          const lastId = stack.pop()
+          // Check if the last paren is the corresponding ( or [
+          if (peek() !== ((token.paren === ')') ? 1 : 2)) {
+            i = removeUnmatched(i, unbalancedParenError(token, stack[stack.length - 2]))
+            break
+          }
 
-          // Check if popped paren is [
-          if (last !== 2)
-            throw unbalancedParenError(token, lastId)
+          stack.pop()
 
-          token.pID = lastId
+          token.pID = stack.pop()
           token.opening = false
           break
         }
@@ -739,21 +1129,56 @@ function checkParensBalanced(string, tokens) {
     }
   }
 
-  if (stack.length !== 0) {
+  while (stack.length !== 0) {
     // Get the id of the last unclosed paren
-    const unclosedTokenId = (stack.pop(), stack.pop())
+    const last = stack.pop()
+    const unclosedTokenId = stack.pop()
     const unclosedToken = findParenWithId(unclosedTokenId)
 
-    const helpMessage = getErrorInStringMessage(string, unclosedToken.index, "Note: Unclosed " +
-      parenToCompleteDescriptor(unclosedToken))
+    const closingParen = ")]|"[last - 1]
+
+    const error = errorInString(string, string.length, "Unbalanced parentheses/brackets/vertical bars", "", {
+      code: "unbalanced-paren",
+      related: [{index: unclosedToken.index, endIndex: unclosedToken.endIndex ?? unclosedToken.index,
+        message: "Unclosed " + parenToCompleteDescriptor(unclosedToken)}],
+      fixes: [singleEditFix("Close the " + parenToDescriptor(unclosedToken), string.length, 0, closingParen)]
+    })
+
+    if (!diagnostics)
+      throw error
+
+    const diagnostic = error.diagnostic
+
+    diagnostics.push(diagnostic)
+
+    // Close the paren at the end of the string
+    tokens.push({type: "paren", paren: closingParen, index: string.length, pID: unclosedTokenId, opening: false,
+      unclosed: diagnostic})
+  }
+}
 
-    throw errorInString(string, string.length, "Unbalanced parentheses/brackets/vertical bars", helpMessage)
+/**
+ * Whether a [ following token indexes it, as in a[1], "abc"[0], p.x[1], f(x)[1] or m[1][2]. A | is never indexed,
+ * since whether it closes a group isn't known until checkParensBalanced.
+ * @param token {Object|undefined}
+ * @returns {boolean}
+ */
+function isIndexable(token) {
+  switch (token?.type) {
+    case "variable":
+    case "string":
+    case "property_access":
+      return true
+    case "paren":
+      return token.paren === ')' || token.paren === ']'
   }
+
+  return false
 }
 
 function isOpenParen(token) {
   switch (token.paren) {
-    case '(': // We return false for [ because we want "arr [3]" to turn into a subscript operator, not arr * [3]
+    case '(': // We return false for [ because "arr [3]" indexes arr rather than being arr * [3]
       return true
     case '|':
       return token.opening
@@ -775,54 +1200,78 @@ function isCloseParen(token) {
 }
 
 /**
- * This basically just forwards the result of the simpleTokenizer, but with automatically-inserted * operators as well.
- * List of options:
- *  implicitMultiplication: true/false; whether to insert multiplication stuff
- *
- * @param string
- * @param options
+ * Insert implicit * operators between tokens, as in 2x or (a)(b). Returns the new array of tokens. The tokens must have
+ * been checked by checkParensBalanced, so that it is known whether vertical bars are opening or closing.
+ * @param tokens {Array}
+ * @returns {Array}
  */
-function expressionTokenizer(string, options = {implicitMultiplication: true, maxTemplateDepth: DEFAULT_MAX_TEMPLATE_DEPTH}) {
-  let tokens = simpleTokenizer(string, options.maxTemplateDepth ?? DEFAULT_MAX_TEMPLATE_DEPTH)
+function insertImplicitMultiplication(tokens) {
+  if (tokens.length === 0)
+    return tokens
+
+  let token1, token2 = tokens[0]
+  const newTokens = []
 
-  checkParensBalanced(string, tokens)
+  for (let i = 1; i < tokens.length; ++i) {
+    token1 = token2
+    token2 = tokens[i]
 
-  const {
-    implicitMultiplication
-  } = options
+    // For each pair of tokens, we insert * operators if they match any of the following:
+    // [number/variable] (
+    // ) [number/variable/function]
+    // ) (
+    // [number/variable] [number/variable/function]
 
-  if (implicitMultiplication) {
-    let token1, token2 = tokens[0]
-    const newTokens = []
+    newTokens.push(token1)
 
-    for (let i = 1; i < tokens.length; ++i) {
-      token1 = token2
-      token2 = tokens[i]
+    const type1 = token1.type, type2 = token2.type
+    const implicitMult = (type1 === "number" || type1 === "variable" || (type1 === "paren" && isCloseParen(token1)))
+      && ((type2 === "paren" && isOpenParen(token2)) || (type2 === "number" || type2 === "variable" || type2 === "function_token"))
 
-      // For each pair of tokens, we insert * operators if they match any of the following:
-      // [number/variable] (
-      // ) [number/variable/function]
-      // ) (
-      // [number/variable] [number/variable/function]
+    if (implicitMult)
+      newTokens.push({type: "operator_token", op: '*', index: token2.index - 1, implicit: true})
+  }
 
-      newTokens.push(token1)
+  newTokens.push(token2)
 
-      const type1 = token1.type, type2 = token2.type
-      const implicitMult = (type1 === "number" || type1 === "variable" || (type1 === "paren" && isCloseParen(token1)))
-        && ((type2 === "paren" && isOpenParen(token2)) || (type2 === "number" || type2 === "variable" || type2 === "function_token"))
+  return newTokens
+}
 
-      if (implicitMult)
-        newTokens.push({type: "operator_token", op: '*', index: token2.index - 1, implicit: true})
-    }
+/**
+ * This basically just forwards the result of the simpleTokenizer, but with automatically-inserted * operators as well.
+ * List of options:
+ *  implicitMultiplication: true/false; whether to insert multiplication stuff
+ *  diagnostics: if an array, recoverable errors are recorded there instead of thrown (see parseStringTolerant)
+ *  operators: the OperatorTable, or list of operator definitions, whose operators are recognized. Default
+ *    DefaultOperatorTable.
+ *
+ * @param string
+ * @param options
+ */
+function expressionTokenizer(string, options = {implicitMultiplication: true, maxTemplateDepth: DEFAULT_MAX_TEMPLATE_DEPTH}) {
+  const diagnostics = options.diagnostics ?? null
+  let tokens = simpleTokenizer(string, options.maxTemplateDepth ?? DEFAULT_MAX_TEMPLATE_DEPTH, diagnostics,
+    OperatorTable.from(options.operators))
 
-    newTokens.push(token2)
+  checkParensBalanced(string, tokens, diagnostics)
 
-    tokens = newTokens
-  }
+  if (options.implicitMultiplication)
+    tokens = insertImplicitMultiplication(tokens)
 
   return tokens
 }
 
 expressionTokenizer.DEFAULT_MAX_TEMPLATE_DEPTH = DEFAULT_MAX_TEMPLATE_DEPTH
 
-export {expressionTokenizer}
+export {
+  expressionTokenizer,
+  simpleTokenizer,
+  isValidVariableName,
+  isValidStartingCharacter,
+  isValidContinuationCharacter,
+  isWhitespace,
+  checkParensBalanced,
+  insertImplicitMultiplication,
+  inverseFunctions,
+  isIndexable
+}
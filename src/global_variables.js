@@ -1,3 +1,7 @@
+import {Expression} from "./ast_node.js"
+import {getConstant} from "./operators.js"
+import {isValidVariableName} from "./expression_tokenizer.js"
+import {Type} from "./type.js"
 
 // What is a variable? A variable is a thing that is stored in Variables. It is stored as any other
 // expression, except it also has an associated name (and namespace).
@@ -5,8 +9,441 @@
 // this var, no matter the current namespace. Now, my_namespace::var will be stored in Variables["my_namespace::var"].
 // ::my_namespace::sub::var will be stored in Variables["my_namespace::sub::var"], et cetera. This leads to an
 // unambiguous reference for each variable.
+// A relative name like sub::var, used in the namespace my_namespace, is looked up in my_namespace, then in each
+// enclosing namespace in turn, so it resolves to my_namespace::sub::var if that exists and to sub::var otherwise.
 
+// Keyed by fully qualified name. No prototype, so that names like constructor are not already "defined"
+const Variables = Object.create(null)
 
-const Variables = {}
+/**
+ * A variable in Variables. Its expression refers to other global variables by their absolute names (::name), so that
+ * the expression means the same thing no matter the namespace it is evaluated in.
+ */
+class GlobalVariable {
+  constructor(name, expression, dependencies) {
+    // The fully qualified name, without the leading ::
+    this.name = name
 
-export { Variables }
+    this.expression = expression
+
+    // Set of the fully qualified names of the global variables the expression refers to
+    this.dependencies = dependencies
+
+    // Compiled functions computing the value, keyed by compilation mode
+    this.compiled = {}
+
+    // Cached values, keyed by compilation mode. They are recomputed when a dependency changes.
+    this.values = {}
+
+    // The type of the value, or null if it hasn't been inferred yet
+    this.type = null
+  }
+
+  /**
+   * Get the type of the variable's value, inferring it from the expression if necessary. Expressions whose types can't
+   * be inferred are real; see Expression.withTypes.
+   * @returns {Type}
+   */
+  getType() {
+    if (!this.type)
+      this.type = this.expression.withTypes().rootNode.type ?? Type.from("real")
+
+    return this.type
+  }
+
+  /**
+   * The namespace of this variable, e.g. "my_namespace::sub" for my_namespace::sub::var and "" for the global namespace
+   * @returns {string}
+   */
+  getNamespace() {
+    return getNamespaceOf(this.name)
+  }
+
+  /**
+   * Get the value of the variable, compiling its expression if necessary. The value is cached until a dependency
+   * changes.
+   * @param mode {string}
+   * @returns {*}
+   */
+  getValue(mode = "double") {
+    if (this.values.hasOwnProperty(mode))
+      return this.values[mode]
+
+    let func = this.compiled[mode]
+
+    if (!func)
+      func = this.compiled[mode] = this.expression.compile(mode)
+
+    return this.values[mode] = func()
+  }
+
+  /**
+   * Recompute the cached values of the variable, after one of its dependencies changed. The dependency's type may have
+   * changed too, so the type is inferred and the expression compiled again. Values which fail to compute are dropped,
+   * so that the error is thrown when the value is next requested.
+   */
+  refresh() {
+    const modes = Object.keys(this.values)
+
+    this.values = {}
+    this.compiled = {}
+    this.type = null
+
+    for (const mode of modes) {
+      try {
+        this.getValue(mode)
+      } catch (e) {
+        // Thrown again by getValue
+      }
+    }
+  }
+
+  /**
+   * Compute the value of the variable without compiling its expression; see ASTNode.evaluate
+   * @param mode {string}
+   * @returns {*}
+   */
+  evaluate(mode = "double") {
+    return this.expression.evaluate({}, mode)
+  }
+}
+
+/**
+ * Split a variable name like ::a::b or a::b into its parts, checking that each part is a valid variable name
+ * @param name {string}
+ * @returns {{absolute: boolean, parts: Array}}
+ */
+function parseVariableName(name) {
+  if (typeof name !== "string")
+    throw new TypeError("Variable name must be a string")
+
+  const absolute = name.startsWith("::")
+  const parts = (absolute ? name.slice(2) : name).split("::")
+
+  if (!parts.every(isValidVariableName))
+    throw new TypeError("Invalid variable name " + name)
+
+  return { absolute, parts }
+}
+
+/**
+ * Split a namespace like my_namespace::sub or ::my_namespace::sub into its parts. The global namespace is "" (or "::").
+ * @param namespace {string}
+ * @returns {Array}
+ */
+function getNamespaceParts(namespace) {
+  if (namespace === "" || namespace === "::")
+    return []
+
+  try {
+    return parseVariableName(namespace).parts
+  } catch (e) {
+    throw new TypeError("Invalid namespace " + namespace)
+  }
+}
+
+function getNamespaceOf(qualifiedName) {
+  const index = qualifiedName.lastIndexOf("::")
+
+  return (index === -1) ? "" : qualifiedName.slice(0, index)
+}
+
+/**
+ * Get the fully qualified name that a variable defined with a given name in a given namespace has. For example, var in
+ * namespace a::b is a::b::var, while ::var in any namespace is var.
+ * @param name {string}
+ * @param namespace {string}
+ * @returns {string}
+ */
+function qualifyVariableName(name, namespace = "") {
+  const { absolute, parts } = parseVariableName(name)
+
+  return (absolute ? parts : [...getNamespaceParts(namespace), ...parts]).join("::")
+}
+
+/**
+ * Get the fully qualified name of the variable that a name refers to in a given namespace, or null if it doesn't refer
+ * to any variable. Absolute names (starting with ::) are looked up directly; relative names are looked up in the
+ * namespace and then its enclosing namespaces, innermost first.
+ * @param name {string}
+ * @param namespace {string}
+ * @returns {string|null}
+ */
+function resolveVariableName(name, namespace = "") {
+  const { absolute, parts } = parseVariableName(name)
+  const relative = parts.join("::")
+
+  if (absolute)
+    return (relative in Variables) ? relative : null
+
+  const namespaceParts = getNamespaceParts(namespace)
+
+  for (let i = namespaceParts.length; i >= 0; --i) {
+    const candidate = [...namespaceParts.slice(0, i), relative].join("::")
+
+    if (candidate in Variables)
+      return candidate
+  }
+
+  return null
+}
+
+/**
+ * Get the variable that a name refers to in a given namespace, or null if there is none; see resolveVariableName
+ * @param name {string}
+ * @param namespace {string}
+ * @returns {GlobalVariable|null}
+ */
+function getGlobalVariable(name, namespace = "") {
+  const qualified = resolveVariableName(name, namespace)
+
+  return qualified ? Variables[qualified] : null
+}
+
+/**
+ * Get the value of the global variable with a given fully qualified name. Used by compiled expressions.
+ * @param name {string}
+ * @param mode {string}
+ * @returns {*}
+ */
+function getGlobalVariableValue(name, mode) {
+  const variable = Variables[name]
+
+  if (!variable)
+    throw new ReferenceError("Unknown variable ::" + name)
+
+  return variable.getValue(mode)
+}
+
+/**
+ * Call callback on each variable node in a tree which refers to a global variable, i.e. which isn't an arrow function
+ * parameter or (unless it is qualified with ::) a constant like pi
+ * @param node {ASTNode}
+ * @param callback {Function}
+ * @param bound {Set} Names of the arrow function parameters in scope
+ */
+function forEachGlobalReference(node, callback, bound = new Set()) {
+  switch (node.nodeType()) {
+    case "arrow_function":
+      bound = new Set([...bound, ...node.args])
+      break
+    case "variable":
+      if (!bound.has(node.name) && (node.name.includes("::") || !getConstant(node.name)))
+        callback(node)
+  }
+
+  node.getChildren().forEach(child => forEachGlobalReference(child, callback, bound))
+}
+
+/**
+ * Get the fully qualified names of the global variables an expression refers to, as if it were evaluated in a given
+ * namespace. Names which don't refer to any variable are ignored.
+ * @param expression {Expression|string}
+ * @param namespace {string}
+ * @param args {Array} Names of the arguments the expression is compiled with, which shadow global variables
+ * @returns {Set}
+ */
+function getGlobalDependencies(expression, namespace = "", args = []) {
+  if (typeof expression === "string")
+    expression = Expression.from(expression)
+
+  const dependencies = new Set()
+
+  forEachGlobalReference(expression.rootNode, node => {
+    const qualified = resolveVariableName(node.name, namespace)
+
+    if (qualified)
+      dependencies.add(qualified)
+  }, new Set(args))
+
+  return dependencies
+}
+
+/**
+ * Get the fully qualified names of the variables which directly depend on a variable
+ * @param name {string} Fully qualified name
+ * @returns {Array}
+ */
+function getGlobalDependents(name) {
+  return Object.keys(Variables).filter(other => Variables[other].dependencies.has(name))
+}
+
+/**
+ * Find a chain of dependencies from one variable to another, as a list of fully qualified names starting with from and
+ * ending with to, or null if there is none
+ * @param from {string}
+ * @param to {string}
+ * @param visited {Set}
+ * @returns {Array|null}
+ */
+function findDependencyPath(from, to, visited = new Set()) {
+  if (from === to)
+    return [to]
+  if (visited.has(from))
+    return null
+
+  visited.add(from)
+
+  for (const dependency of Variables[from]?.dependencies ?? []) {
+    const path = findDependencyPath(dependency, to, visited)
+
+    if (path)
+      return [from, ...path]
+  }
+
+  return null
+}
+
+// Functions called after each change to Variables
+const changeListeners = new Set()
+
+/**
+ * Listen for changes to global variables. After a variable is defined, redefined or deleted, and the variables
+ * depending on it have been recomputed, callback is called with an object { variable, deleted, dependents }, where
+ * variable is the fully qualified name of the changed variable, deleted is whether it was deleted, and dependents is the
+ * list of the fully qualified names of the variables which depend on it, directly or indirectly, in the (topological)
+ * order they were recomputed. Returns a function which removes the listener.
+ * @param callback {Function}
+ * @returns {Function}
+ */
+function onVariablesChanged(callback) {
+  if (typeof callback !== "function")
+    throw new TypeError("Listener must be a function")
+
+  changeListeners.add(callback)
+
+  return () => changeListeners.delete(callback)
+}
+
+/**
+ * Get a variable and all the variables which depend on it, directly or indirectly, ordered so that each variable comes
+ * after all of its dependencies
+ * @param name {string} Fully qualified name
+ * @returns {Array}
+ */
+function getAffectedVariables(name) {
+  const affected = new Set([name])
+  const queue = [name]
+
+  while (queue.length !== 0) {
+    for (const dependent of getGlobalDependents(queue.shift())) {
+      if (!affected.has(dependent)) {
+        affected.add(dependent)
+        queue.push(dependent)
+      }
+    }
+  }
+
+  // Repeatedly take the variables none of whose dependencies are still pending. Definitions are acyclic, so this ends.
+  const sorted = []
+  const pending = affected
+
+  while (pending.size !== 0) {
+    const ready = [...pending].filter(variable =>
+      ![...(Variables[variable]?.dependencies ?? [])].some(dependency => pending.has(dependency)))
+
+    ready.forEach(variable => {
+      sorted.push(variable)
+      pending.delete(variable)
+    })
+  }
+
+  return sorted
+}
+
+/**
+ * Recompute the variables depending on a changed variable, in topological order, then notify the listeners
+ * @param name {string} Fully qualified name
+ */
+function notifyChange(name) {
+  const dependents = getAffectedVariables(name).slice(1)
+
+  dependents.forEach(dependent => Variables[dependent].refresh())
+
+  const change = { variable: name, deleted: !(name in Variables), dependents }
+
+  changeListeners.forEach(listener => listener(change))
+}
+
+/**
+ * Define or redefine a global variable as an expression. Names in the expression are resolved in the namespace of the
+ * variable (see resolveVariableName) when it is defined, and must refer to existing variables, constants or arrow
+ * function parameters. Throws a ReferenceError if a name doesn't refer to anything, and an Error if the definition
+ * would make a variable depend on itself.
+ * @param name {string} Name of the variable, like var, ::var or sub::var
+ * @param expression {Expression|string}
+ * @param namespace {string} The namespace to define the variable in; see qualifyVariableName
+ * @returns {GlobalVariable}
+ */
+function defineVariable(name, expression, namespace = "") {
+  const qualified = qualifyVariableName(name, namespace)
+  const variableNamespace = getNamespaceOf(qualified)
+
+  if (typeof expression === "string")
+    expression = Expression.from(expression)
+
+  const rootNode = expression.rootNode.clone()
+  const dependencies = new Set()
+
+  forEachGlobalReference(rootNode, node => {
+    const resolved = resolveVariableName(node.name, variableNamespace)
+
+    if (!resolved)
+      throw new ReferenceError(`Unknown variable ${node.name} in the definition of ${qualified}`)
+
+    node.name = "::" + resolved
+    dependencies.add(resolved)
+  })
+
+  for (const dependency of dependencies) {
+    const path = findDependencyPath(dependency, qualified)
+
+    if (path)
+      throw new Error(`Cyclic definition of ${qualified}: ${[qualified, ...path].join(" -> ")}`)
+  }
+
+  const variable = Variables[qualified] = new GlobalVariable(qualified, new Expression(expression.string, rootNode), dependencies)
+
+  notifyChange(qualified)
+
+  return variable
+}
+
+/**
+ * Delete the global variable a name refers to in a given namespace. Throws if other variables depend on it. Returns
+ * whether there was such a variable.
+ * @param name {string}
+ * @param namespace {string}
+ * @returns {boolean}
+ */
+function deleteVariable(name, namespace = "") {
+  const qualified = resolveVariableName(name, namespace)
+
+  if (!qualified)
+    return false
+
+  const dependents = getGlobalDependents(qualified)
+
+  if (dependents.length !== 0)
+    throw new Error(`Cannot delete ${qualified}, since ${dependents.join(", ")} depend${dependents.length === 1 ? "s" : ""} on it`)
+
+  delete Variables[qualified]
+
+  notifyChange(qualified)
+
+  return true
+}
+
+export {
+  Variables,
+  GlobalVariable,
+  qualifyVariableName,
+  resolveVariableName,
+  getGlobalVariable,
+  getGlobalVariableValue,
+  getGlobalDependencies,
+  getGlobalDependents,
+  defineVariable,
+  deleteVariable,
+  onVariablesChanged
+}
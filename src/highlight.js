@@ -0,0 +1,254 @@
+// Classification of the text of an expression for syntax highlighting. Unlike the parser, this never throws on invalid
+// input, since expressions are highlighted as they are typed.
+
+import {
+  checkParensBalanced,
+  expressionTokenizer,
+  insertImplicitMultiplication,
+  isWhitespace,
+  simpleTokenizer
+} from "./expression_tokenizer.js"
+import {ParserError} from "./parser_error.js"
+import {getConstant, getOperatorOverloads} from "./operators.js"
+import {getGlobalVariable} from "./global_variables.js"
+
+// Characters which end the word containing a tokenizer error, besides whitespace: ( ) [ ] | ,
+const wordBoundaries = [40, 41, 91, 93, 124, 44]
+
+/**
+ * Tokenize string with simpleTokenizer, recovering from errors. If the tokenizer throws, the word containing the error
+ * becomes an error token and the text before and after it is tokenized separately. The indices of the tokens are
+ * offset by offset, and error tokens have an endIndex.
+ * @param string {string}
+ * @param offset {number}
+ * @param maxTemplateDepth {number}
+ * @returns {Array}
+ */
+function tokenizeTolerantly(string, offset, maxTemplateDepth) {
+  let tokens
+
+  try {
+    tokens = simpleTokenizer(string, maxTemplateDepth, [])
+  } catch (e) {
+    if (!(e instanceof ParserError))
+      throw e
+
+    // Errors like unclosed templates are reported at the end of the string, so the earliest related range is used
+    let errorIndex = Math.min(e.index ?? 0, string.length - 1, ...e.related.map(range => range.index))
+    const isBoundary = i => isWhitespace(string.charCodeAt(i)) || wordBoundaries.includes(string.charCodeAt(i))
+
+    // An error at a boundary, like the ) in f(x::<), is in the word before it
+    if (errorIndex > 0 && isBoundary(errorIndex) && !isBoundary(errorIndex - 1))
+      --errorIndex
+
+    let start = errorIndex, end = errorIndex
+
+    while (start > 0 && !isBoundary(start - 1))
+      --start
+    while (end < string.length - 1 && !isBoundary(end + 1))
+      ++end
+
+    return [
+      ...tokenizeTolerantly(string.slice(0, start), offset, maxTemplateDepth),
+      {type: "error", index: start + offset, endIndex: end + offset},
+      ...tokenizeTolerantly(string.slice(end + 1), end + 1 + offset, maxTemplateDepth)
+    ]
+  }
+
+  tokens.forEach(token => {
+    token.index += offset
+
+    if (token.endIndex !== undefined)
+      token.endIndex += offset
+  })
+
+  return tokens
+}
+
+/**
+ * Split a possibly namespaced name, like a::b::c, from index to endIndex into spans: a "namespace" span for each
+ * namespace segment, including the following ::, and a span with the given category for the last segment, which ends
+ * at endIndex. (The last segment may be written differently from its name, like π for pi.)
+ * @param name {string}
+ * @param index {number}
+ * @param endIndex {number}
+ * @param category {string}
+ * @returns {Array}
+ */
+function namespacedNameSpans(name, index, endIndex, category) {
+  const segments = name.split("::")
+  const spans = []
+
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1
+    const length = segment.length + (last ? 0 : 2)
+
+    spans.push({category: last ? category : "namespace", index, endIndex: last ? endIndex : index + length - 1})
+    index += length
+  })
+
+  return spans
+}
+
+/**
+ * Classify the text of an expression for syntax highlighting. Never throws on invalid input; text which can't be
+ * tokenized is classified as an error. Returns { spans, implicitMultiplications }, where spans are contiguous and cover
+ * the whole string, each of the form { category, index, endIndex } with endIndex inclusive. The categories are:
+ *   number, string
+ *   function: a call of a known function, like sin(x)
+ *   variable: a known constant (like pi), global variable, or one of options.variables
+ *   unknown: any other identifier, including calls of unknown functions
+ *   namespace: a namespace segment of an identifier, like a:: in a::b
+ *   type: a typename, or the template specialization of a function
+ *   operator: an operator, including ->
+ *   punctuation: a comma or colon
+ *   property: a property access, like .x
+ *   paren: a parenthesis, bracket or vertical bar. Its depth property is its nesting depth, starting at 0, for rainbow
+ *     brackets; its unclosed property is true if it is an opening paren which is never closed, as while typing.
+ *   whitespace
+ *   error: text which can't be tokenized, or an unmatched closing paren
+ * implicitMultiplications are the indices right after the left operand of each implicit multiplication, as in 2x.
+ *
+ * Options:
+ *   variables: names of variables to classify as known, like the arguments of the function being typed. Default [].
+ *   namespace: the namespace to look up global variables in. Default "".
+ *   maxTemplateDepth: as for parseString
+ * @param string {string}
+ * @param options {Object}
+ * @returns {{spans: Array, implicitMultiplications: Array}}
+ */
+function highlightExpression(string, options = {}) {
+  const {
+    variables = [],
+    namespace = "",
+    maxTemplateDepth = expressionTokenizer.DEFAULT_MAX_TEMPLATE_DEPTH
+  } = options
+
+  const allTokens = tokenizeTolerantly(string, 0, maxTemplateDepth)
+
+  // Tokens which don't appear in the string, like the ^ of x² and the parentheses around the operand of √x, aren't
+  // highlighted. The others are highlighted in the order they appear, which for the exponent of sin²(x) isn't the order
+  // of the tokens.
+  const tokens = allTokens.filter(token => !token.synthetic).sort((token1, token2) => token1.index - token2.index)
+
+  // Each token extends up to the next one, not including whitespace
+  tokens.forEach((token, i) => {
+    let endIndex = ((i === tokens.length - 1) ? string.length : tokens[i + 1].index) - 1
+
+    while (endIndex > token.index && isWhitespace(string.charCodeAt(endIndex)))
+      --endIndex
+
+    token.endIndex = endIndex
+  })
+
+  // Match the parens. Unmatched closing parens are removed from balanced, and parens left open are closed by tokens at
+  // the end, which have an unclosed property.
+  const balanced = allTokens.slice()
+
+  checkParensBalanced(string, balanced, [])
+
+  const matched = new Set(balanced)
+  const unclosedIDs = new Set(balanced.filter(token => token.unclosed).map(token => token.pID))
+
+  let depth = 0
+
+  for (const token of balanced) {
+    if (token.type === "paren" && !token.unclosed && !token.synthetic)
+      token.depth = token.opening ? depth++ : --depth
+  }
+
+  const implicitMultiplications = []
+
+  insertImplicitMultiplication(balanced).forEach((token, i, arr) => {
+    if (token.implicit)
+      implicitMultiplications.push((arr[i - 1].endIndex ?? arr[i - 1].index) + 1)
+  })
+
+  /**
+   * Whether a name refers to a known function or variable
+   * @param name {string}
+   * @param isFunction {boolean}
+   * @returns {boolean}
+   */
+  function isKnown(name, isFunction) {
+    try {
+      if (isFunction && getOperatorOverloads(name).some(operator => operator.signature.length > 0))
+        return true
+
+      return (!isFunction && (variables.includes(name) || !!getConstant(name))) || !!getGlobalVariable(name, namespace)
+    } catch (e) {
+      // Invalid names aren't known
+      return false
+    }
+  }
+
+  const spans = []
+  let currentIndex = 0
+
+  for (const token of tokens) {
+    if (token.index > currentIndex)
+      spans.push({category: "whitespace", index: currentIndex, endIndex: token.index - 1})
+
+    const {index, endIndex} = token
+
+    switch (token.type) {
+      case "number":
+      case "string":
+        spans.push({category: token.type, index, endIndex})
+        break
+      case "variable":
+        spans.push(...namespacedNameSpans(token.name, index, endIndex,
+          isKnown(token.name, false) ? "variable" : "unknown"))
+        break
+      case "function_token": {
+        // The name may be followed by a template specialization, as in f::<int>
+        const templateIndex = token.name.indexOf("::<")
+        const name = (templateIndex === -1) ? token.name : token.name.slice(0, templateIndex)
+
+        spans.push(...namespacedNameSpans(name, index, (templateIndex === -1) ? endIndex : index + templateIndex - 1,
+          isKnown(name, true) ? "function" : "unknown"))
+
+        if (templateIndex !== -1)
+          spans.push({category: "type", index: index + templateIndex, endIndex})
+        break
+      }
+      case "typename":
+        spans.push({category: "type", index, endIndex})
+        break
+      case "operator_token":
+      case "arrow_function_token":
+        spans.push({category: "operator", index, endIndex})
+        break
+      case "comma":
+      case "colon":
+        spans.push({category: "punctuation", index, endIndex})
+        break
+      case "property_access":
+        spans.push({category: "property", index, endIndex})
+        break
+      case "paren":
+        if (matched.has(token)) {
+          const span = {category: "paren", index, endIndex, depth: token.depth}
+
+          if (token.opening && unclosedIDs.has(token.pID))
+            span.unclosed = true
+
+          spans.push(span)
+        } else {
+          spans.push({category: "error", index, endIndex})
+        }
+        break
+      default:
+        spans.push({category: "error", index, endIndex})
+    }
+
+    currentIndex = endIndex + 1
+  }
+
+  if (currentIndex < string.length)
+    spans.push({category: "whitespace", index: currentIndex, endIndex: string.length - 1})
+
+  return {spans, implicitMultiplications}
+}
+
+export {highlightExpression, tokenizeTolerantly}
@@ -0,0 +1,495 @@
+import {RealFunctions, elementAt, sliceList} from "./real_functions.js"
+
+// Used to step floats up and down by one unit in the last place (ulp)
+const floatStore = new Float64Array(1)
+const intStore = new BigInt64Array(floatStore.buffer)
+
+/**
+ * Return the smallest float greater than x. NaN and Infinity are returned unchanged.
+ * @param x {number}
+ * @returns {number}
+ */
+function roundUp(x) {
+  if (x !== x || x === Infinity)
+    return x
+  if (x === 0)
+    return Number.MIN_VALUE
+
+  floatStore[0] = x
+  intStore[0] += (x > 0) ? 1n : -1n
+
+  return floatStore[0]
+}
+
+/**
+ * Return the largest float less than x. NaN and -Infinity are returned unchanged.
+ * @param x {number}
+ * @returns {number}
+ */
+function roundDown(x) {
+  return -roundUp(-x)
+}
+
+/**
+ * Abstraction of an interval [min, max] of the extended real line, used in the "interval" compilation mode. Every
+ * operation in IntervalFunctions rounds outward, so the true result of an operation on any reals in the input intervals
+ * is always contained in the output interval.
+ *
+ * Intervals also track whether the function being evaluated is defined on them. defMin is true if the function is
+ * defined everywhere on the input; defMax is true if the function is defined somewhere on the input. For example, sqrt
+ * on [-1, 1] gives [0, 1] with defMin = false and defMax = true, while sqrt on [-2, -1] is entirely undefined. Boolean
+ * results (of comparisons, and, or) are represented by [0, 0] (false), [1, 1] (true), and [0, 1] (indeterminate).
+ */
+class Interval {
+  constructor(min, max, defMin = true, defMax = true) {
+    this.min = min
+    this.max = max
+
+    this.defMin = defMin
+    this.defMax = defMax
+  }
+
+  /**
+   * Whether x is in the interval
+   * @param x {number}
+   * @returns {boolean}
+   */
+  contains(x) {
+    return this.min <= x && x <= this.max
+  }
+
+  // Whether the interval consists of a single number
+  isPoint() {
+    return this.min === this.max
+  }
+
+  // Whether the interval is entirely undefined
+  isUndefined() {
+    return !this.defMax
+  }
+
+  clone() {
+    return new Interval(this.min, this.max, this.defMin, this.defMax)
+  }
+
+  toString() {
+    return `[${this.min}, ${this.max}]` + (this.defMin ? "" : (this.defMax ? " (partially defined)" : " (undefined)"))
+  }
+
+  static point(x) {
+    return new Interval(x, x)
+  }
+
+  static undefined() {
+    return new Interval(NaN, NaN, false, false)
+  }
+}
+
+/**
+ * Compute the bounds of the interval containing the number written as a decimal string. Parsing is correctly rounded,
+ * so the bounds are exact for integer strings and otherwise one ulp on either side of the parsed value.
+ * @param string {string|number} If a number, it is assumed to be exact
+ * @returns {Array} [min, max]
+ */
+function getDecimalBounds(string) {
+  const value = Number(string)
+
+  if (typeof string === "number" || !Number.isFinite(value) || (/^[0-9]+$/.test(string) && value <= Number.MAX_SAFE_INTEGER))
+    return [value, value]
+
+  return [roundDown(value), roundUp(value)]
+}
+
+/**
+ * Set the definedness of ret from its arguments: it is defined everywhere if it is defined everywhere on all arguments,
+ * and somewhere only if it is defined somewhere on all arguments.
+ * @param ret {Interval}
+ * @param args {Interval}
+ * @returns {Interval}
+ */
+function inheritDefinedness(ret, ...args) {
+  for (const arg of args) {
+    ret.defMin = ret.defMin && arg.defMin
+    ret.defMax = ret.defMax && arg.defMax
+  }
+
+  return ret
+}
+
+/**
+ * Create the interval bounding a list of values computed with at most one ulp of error, rounding outward
+ * @param values {Array}
+ * @returns {Interval}
+ */
+function boundValues(values) {
+  let min = Infinity, max = -Infinity
+
+  for (let value of values) {
+    // 0 * Infinity and similar indeterminate corner cases are treated as their limit, 0
+    if (value !== value)
+      value = 0
+
+    if (value < min)
+      min = value
+    if (value > max)
+      max = value
+  }
+
+  return new Interval(roundDown(min), roundUp(max))
+}
+
+/**
+ * Widen the bounds of a function value whose relative error may be larger than one ulp
+ * @param min {number}
+ * @param max {number}
+ * @param relError {number}
+ * @returns {Interval}
+ */
+function widenByRelativeError(min, max, relError) {
+  // Infinite bounds, as from overflow, stay as they are; widening them would give Infinity - Infinity = NaN
+  const lower = Number.isFinite(min) ? min - Math.abs(min) * relError : min
+  const upper = Number.isFinite(max) ? max + Math.abs(max) * relError : max
+
+  return new Interval(roundDown(lower), roundUp(upper))
+}
+
+// Beyond this magnitude, the spacing of floats is too coarse to locate extrema of periodic functions; they return
+// their full range instead
+const MAX_PERIODIC_ARG = 2 ** 40
+
+/**
+ * Whether [min, max] contains offset + k * period for some integer k. Errs on the side of returning true, which is
+ * always sound for the callers.
+ * @param min {number}
+ * @param max {number}
+ * @param offset {number}
+ * @param period {number}
+ * @returns {boolean}
+ */
+function containsPeriodicPoint(min, max, offset, period) {
+  const tolerance = 1e-12 * (1 + Math.max(Math.abs(min), Math.abs(max)))
+  const k = Math.ceil((min - tolerance - offset) / period)
+
+  return offset + k * period <= max + tolerance
+}
+
+/**
+ * Compute the interval of a sinusoid on [min, max], given the offsets at which it has maxima and minima
+ * @param x {Interval}
+ * @param func {Function} Math.sin or Math.cos
+ * @param maxOffset {number}
+ * @param minOffset {number}
+ * @returns {Interval}
+ */
+function sinusoid(x, func, maxOffset, minOffset) {
+  const {min, max} = x
+  const period = 2 * Math.PI
+
+  if (max - min >= period || Math.abs(min) > MAX_PERIODIC_ARG || Math.abs(max) > MAX_PERIODIC_ARG)
+    return inheritDefinedness(new Interval(-1, 1), x)
+
+  const ret = boundValues([func(min), func(max)])
+
+  ret.min = containsPeriodicPoint(min, max, minOffset, period) ? -1 : Math.max(ret.min, -1)
+  ret.max = containsPeriodicPoint(min, max, maxOffset, period) ? 1 : Math.min(ret.max, 1)
+
+  return inheritDefinedness(ret, x)
+}
+
+/**
+ * Compute the interval of a monotonic function defined on [lo, hi], or on (lo, hi) if open is true, and undefined
+ * elsewhere. func must have at most one ulp of error.
+ * @param x {Interval}
+ * @param func {Function}
+ * @param lo {number}
+ * @param hi {number}
+ * @param open {boolean}
+ * @returns {Interval}
+ */
+function monotonic(x, func, lo = -Infinity, hi = Infinity, open = false) {
+  if (open ? (x.max <= lo || x.min >= hi) : (x.max < lo || x.min > hi))
+    return Interval.undefined()
+
+  const ret = boundValues([func(Math.max(x.min, lo)), func(Math.min(x.max, hi))])
+
+  ret.defMin = open ? (x.min > lo && x.max < hi) : (x.min >= lo && x.max <= hi)
+
+  return inheritDefinedness(ret, x)
+}
+
+// Location and value of the minimum of gamma on the positive reals
+const GAMMA_MIN_X = 1.4616321449683623
+const GAMMA_MIN = 0.8856031944108887
+
+// Relative error of the Lanczos approximation used in RealFunctions.Gamma, which grows to about 1e-13 near where gamma
+// overflows
+const GAMMA_REL_ERROR = 1e-12
+
+/**
+ * Whether the interval contains a nonpositive integer, aka a pole of the gamma function
+ * @param x {Interval}
+ * @returns {boolean}
+ */
+function containsGammaPole(x) {
+  return x.min <= 0 && Math.floor(Math.min(x.max, 0)) >= x.min
+}
+
+/**
+ * Raise an interval to a constant integer power
+ * @param x {Interval}
+ * @param n {number}
+ * @returns {Interval}
+ */
+function integerPow(x, n) {
+  const {min, max} = x
+
+  if (n === 0)
+    return new Interval(1, 1)
+
+  const containsZero = min <= 0 && 0 <= max
+
+  if (n < 0 && containsZero) {
+    // x^n has a pole at 0, where it is undefined
+    if (min === 0 && max === 0)
+      return Interval.undefined()
+
+    const ret = (n % 2 === 0) ? new Interval(roundDown(Math.pow(Math.max(-min, max), n)), Infinity) : new Interval(-Infinity, Infinity)
+    ret.defMin = false
+
+    return ret
+  }
+
+  if (n % 2 === 0 && containsZero)
+    return new Interval(0, roundUp(Math.pow(Math.max(-min, max), n)))
+
+  return boundValues([Math.pow(min, n), Math.pow(max, n)])
+}
+
+/**
+ * Raise an interval of nonpositive bases to the integers in an interval of exponents, which are the only exponents at
+ * which negative bases are defined. Returns null if there are no such integers.
+ * @param x {Interval}
+ * @param y {Interval}
+ * @returns {Interval|null}
+ */
+function nonpositiveBasePow(x, y) {
+  const first = Math.ceil(y.min), last = Math.floor(y.max)
+
+  if (first > last)
+    return null
+  if (!Number.isFinite(first) || !Number.isFinite(last))
+    return new Interval(-Infinity, Infinity, false, true)
+
+  // For a fixed base, the powers with exponents of the same parity have the same sign and are monotonic in the
+  // exponent, so the extrema are at the least and greatest exponents of each parity
+  const exponents = [first, Math.min(first + 1, last), Math.max(last - 1, first), last]
+  let ret = null
+
+  for (const n of exponents) {
+    const power = integerPow(x, n)
+
+    if (power.isUndefined())
+      continue
+
+    ret = ret ? new Interval(Math.min(ret.min, power.min), Math.max(ret.max, power.max), ret.defMin && power.defMin)
+      : power
+  }
+
+  return ret ?? Interval.undefined()
+}
+
+// The number an interval consists of, if it is a defined point, or NaN otherwise. List indices must be known exactly.
+function pointValue(x) {
+  return (x.isPoint() && x.defMin) ? x.min : NaN
+}
+
+const IntervalFunctions = {
+  Constant: (min, max) => new Interval(min, max),
+  Pi: () => new Interval(roundDown(Math.PI), roundUp(Math.PI)),
+  E: () => new Interval(roundDown(Math.E), roundUp(Math.E)),
+  Add: (x, y) => inheritDefinedness(new Interval(roundDown(x.min + y.min), roundUp(x.max + y.max)), x, y),
+  Subtract: (x, y) => inheritDefinedness(new Interval(roundDown(x.min - y.max), roundUp(x.max - y.min)), x, y),
+  Multiply: (x, y) => inheritDefinedness(boundValues([x.min * y.min, x.min * y.max, x.max * y.min, x.max * y.max]), x, y),
+  Divide: (x, y) => {
+    let ret
+
+    if (y.min > 0 || y.max < 0) {
+      ret = boundValues([x.min / y.min, x.min / y.max, x.max / y.min, x.max / y.max])
+    } else if (y.min === 0 && y.max === 0) {
+      ret = Interval.undefined()
+    } else {
+      // Division by an interval containing zero is undefined at zero and unbounded
+      ret = new Interval(-Infinity, Infinity, false, true)
+    }
+
+    return inheritDefinedness(ret, x, y)
+  },
+  Pow: (x, y) => {
+    let ret
+
+    if (y.isPoint() && Number.isInteger(y.min)) {
+      ret = integerPow(x, y.min)
+    } else {
+      // Negative bases are only defined at integer exponents
+      ret = (x.min < 0) ? nonpositiveBasePow(new Interval(x.min, Math.min(x.max, 0)), y) : null
+
+      if (x.max >= 0) {
+        // x^y is monotonic in both x and y for x >= 0, so the extrema are at the corners
+        const min = Math.max(x.min, 0)
+        const nonnegative = boundValues([Math.pow(min, y.min), Math.pow(min, y.max), Math.pow(x.max, y.min),
+          Math.pow(x.max, y.max)])
+
+        nonnegative.min = Math.max(nonnegative.min, 0)
+        ret = (ret && !ret.isUndefined()) ? new Interval(Math.min(ret.min, nonnegative.min),
+          Math.max(ret.max, nonnegative.max)) : nonnegative
+      }
+
+      if (!ret)
+        ret = Interval.undefined()
+      else if (x.min < 0)
+        ret.defMin = false
+    }
+
+    return inheritDefinedness(ret, x, y)
+  },
+  Sin: x => sinusoid(x, Math.sin, Math.PI / 2, 3 * Math.PI / 2),
+  Cos: x => sinusoid(x, Math.cos, 0, Math.PI),
+  Tan: x => {
+    const {min, max} = x
+
+    if (max - min >= Math.PI || Math.abs(min) > MAX_PERIODIC_ARG || Math.abs(max) > MAX_PERIODIC_ARG ||
+      containsPeriodicPoint(min, max, Math.PI / 2, Math.PI))
+      return inheritDefinedness(new Interval(-Infinity, Infinity, false, true), x)
+
+    return inheritDefinedness(boundValues([Math.tan(min), Math.tan(max)]), x)
+  },
+  Arcsin: x => monotonic(x, Math.asin, -1, 1),
+  Arccos: x => monotonic(x, Math.acos, -1, 1),
+  Arctan: x => monotonic(x, Math.atan),
+  Sinh: x => monotonic(x, Math.sinh),
+  Cosh: x => {
+    // cosh decreases to its minimum, 1, at 0, then increases
+    const ret = (x.min <= 0 && 0 <= x.max) ? new Interval(1, roundUp(Math.cosh(Math.max(-x.min, x.max)))) :
+      boundValues([Math.cosh(x.min), Math.cosh(x.max)])
+
+    return inheritDefinedness(ret, x)
+  },
+  Tanh: x => monotonic(x, Math.tanh),
+  Arsinh: x => monotonic(x, Math.asinh),
+  Arcosh: x => monotonic(x, Math.acosh, 1),
+  Artanh: x => monotonic(x, Math.atanh, -1, 1, true),
+  Atan2: (y, x) => {
+    let ret
+
+    if (y.min <= 0 && 0 <= y.max && x.min <= 0) {
+      // The box touches the branch cut along the negative real axis (or the origin), so all angles are possible
+      ret = new Interval(roundDown(-Math.PI), roundUp(Math.PI))
+    } else {
+      // Otherwise atan2 is continuous on the box and its extrema are at the corners
+      ret = boundValues([Math.atan2(y.min, x.min), Math.atan2(y.min, x.max), Math.atan2(y.max, x.min), Math.atan2(y.max, x.max)])
+    }
+
+    return inheritDefinedness(ret, y, x)
+  },
+  Mod: (x, m) => {
+    let ret
+
+    if (m.min <= 0 && 0 <= m.max) {
+      // x mod 0 is undefined
+      ret = (m.min === 0 && m.max === 0) ? Interval.undefined() : new Interval(m.min, m.max, false, true)
+    } else if (m.isPoint() && Math.floor(x.min / m.min) === Math.floor(x.max / m.min)) {
+      // x is within one period, so the remainders are x minus the same multiple of m
+      const shift = Math.floor(x.min / m.min) * m.min
+
+      ret = new Interval(roundDown(x.min - shift), roundUp(x.max - shift))
+    } else {
+      // Otherwise the remainders are between 0 and m
+      ret = (m.min > 0) ? new Interval(0, m.max) : new Interval(m.min, 0)
+    }
+
+    return inheritDefinedness(ret, x, m)
+  },
+  Abs: x => {
+    let ret
+
+    if (x.min >= 0)
+      ret = new Interval(x.min, x.max)
+    else if (x.max <= 0)
+      ret = new Interval(-x.max, -x.min)
+    else
+      ret = new Interval(0, Math.max(-x.min, x.max))
+
+    return inheritDefinedness(ret, x)
+  },
+  Sqrt: x => {
+    if (x.max < 0)
+      return Interval.undefined()
+
+    const ret = new Interval(x.min <= 0 ? 0 : roundDown(Math.sqrt(x.min)), roundUp(Math.sqrt(x.max)), x.min >= 0)
+
+    return inheritDefinedness(ret, x)
+  },
+  Exp: x => inheritDefinedness(new Interval(Math.max(roundDown(Math.exp(x.min)), 0), roundUp(Math.exp(x.max))), x),
+  Ln: x => {
+    if (x.max <= 0)
+      return Interval.undefined()
+
+    const ret = new Interval(x.min <= 0 ? -Infinity : roundDown(Math.log(x.min)), roundUp(Math.log(x.max)), x.min > 0)
+
+    return inheritDefinedness(ret, x)
+  },
+  Log10: x => monotonic(x, Math.log10, 0, Infinity, true),
+  Gamma: x => {
+    const {min, max} = x
+    const gamma = RealFunctions.Gamma
+    let ret
+
+    if (min > 0) {
+      if (max <= GAMMA_MIN_X) // gamma is decreasing on (0, GAMMA_MIN_X]
+        ret = widenByRelativeError(gamma(max), gamma(min), GAMMA_REL_ERROR)
+      else if (min >= GAMMA_MIN_X) // and increasing on [GAMMA_MIN_X, Infinity)
+        ret = widenByRelativeError(gamma(min), gamma(max), GAMMA_REL_ERROR)
+      else
+        ret = widenByRelativeError(GAMMA_MIN, Math.max(gamma(min), gamma(max)), GAMMA_REL_ERROR)
+    } else if (min === max) {
+      const value = gamma(min)
+
+      ret = (value === value) ? widenByRelativeError(value, value, GAMMA_REL_ERROR) : Interval.undefined()
+    } else {
+      // On the negative reals gamma alternates sign between poles, so we give up on tight bounds
+      ret = new Interval(-Infinity, Infinity, !containsGammaPole(x), true)
+    }
+
+    return inheritDefinedness(ret, x)
+  },
+  Factorial: x => IntervalFunctions.Gamma(IntervalFunctions.Add(x, new Interval(1, 1))),
+  UnaryMinus: x => inheritDefinedness(new Interval(-x.max, -x.min), x),
+  UnaryPlus: x => x,
+  Equal: (x, y) => {
+    let ret
+
+    if (x.isPoint() && y.isPoint() && x.min === y.min)
+      ret = new Interval(1, 1)
+    else if (x.max < y.min || y.max < x.min)
+      ret = new Interval(0, 0)
+    else
+      ret = new Interval(0, 1)
+
+    return inheritDefinedness(ret, x, y)
+  },
+  NotEqual: (x, y) => {
+    const ret = IntervalFunctions.Equal(x, y)
+
+    return new Interval(1 - ret.max, 1 - ret.min, ret.defMin, ret.defMax)
+  },
+  Less: (x, y) => inheritDefinedness(x.max < y.min ? new Interval(1, 1) : (x.min >= y.max ? new Interval(0, 0) : new Interval(0, 1)), x, y),
+  Greater: (x, y) => IntervalFunctions.Less(y, x),
+  LessEqual: (x, y) => inheritDefinedness(x.max <= y.min ? new Interval(1, 1) : (x.min > y.max ? new Interval(0, 0) : new Interval(0, 1)), x, y),
+  GreaterEqual: (x, y) => IntervalFunctions.LessEqual(y, x),
+  And: (x, y) => inheritDefinedness(new Interval(Math.min(x.min, y.min), Math.min(x.max, y.max)), x, y),
+  Or: (x, y) => inheritDefinedness(new Interval(Math.max(x.min, y.min), Math.max(x.max, y.max)), x, y),
+  Index: (list, i) => elementAt(list, pointValue(i)) ?? Interval.undefined(),
+  Slice: (list, start, end) => sliceList(list, pointValue(start), pointValue(end))
+}
+
+export { Interval, IntervalFunctions, getDecimalBounds, roundUp, roundDown }
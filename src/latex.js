@@ -0,0 +1,196 @@
+// Helpers for converting expressions to and from LaTeX. The conversion of each kind of node is in ASTNode.latexNode,
+// and LaTeX is parsed by parseLatex.
+
+// Functions with their own LaTeX command, like \sin
+const latexFunctionCommands = ["sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh",
+  "tanh", "coth", "exp", "ln", "log", "lg", "arg", "max", "min", "gcd", "det", "deg"]
+
+// Variable names written as Greek letters
+const greekLetters = ["alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta", "iota", "kappa", "lambda",
+  "mu", "nu", "xi", "pi", "rho", "sigma", "tau", "upsilon", "phi", "chi", "psi", "omega", "Gamma", "Delta", "Theta",
+  "Lambda", "Xi", "Pi", "Sigma", "Upsilon", "Phi", "Psi", "Omega"]
+
+const latexOperators = {
+  "==": "=",
+  "!=": "\\neq",
+  "<": "<",
+  ">": ">",
+  "<=": "\\leq",
+  ">=": "\\geq",
+  "+": "+",
+  "-": "-",
+  "and": "\\land",
+  "or": "\\lor",
+  "mod": "\\bmod"
+}
+
+const functionNameFormats = {
+  operatorname: name => `\\operatorname{${escapeLatexText(name)}}`,
+  mathrm: name => `\\mathrm{${escapeLatexText(name)}}`
+}
+
+/**
+ * Fill in the default options of toLatex, checking their validity. The options are:
+ *   multiplicationSymbol: LaTeX for explicit multiplication, like "\\times". Default "\\cdot".
+ *   implicitMultiplication: "juxtapose" to write implicit multiplication like 2x as juxtaposition where that is
+ *     unambiguous, or "symbol" to always use multiplicationSymbol. Default "juxtapose".
+ *   functionName: how names of functions without a LaTeX command (like \sin) are formatted: "operatorname" for
+ *     \operatorname{gamma}, "mathrm" for \mathrm{gamma}, or a function taking the name and returning LaTeX. Default
+ *     "operatorname".
+ * @param options {Object}
+ * @returns {Object}
+ */
+function getLatexOptions(options = {}) {
+  options = Object.assign({
+    multiplicationSymbol: "\\cdot",
+    implicitMultiplication: "juxtapose",
+    functionName: "operatorname"
+  }, options)
+
+  if (typeof options.multiplicationSymbol !== "string")
+    throw new TypeError("multiplicationSymbol must be a string")
+  if (options.implicitMultiplication !== "juxtapose" && options.implicitMultiplication !== "symbol")
+    throw new RangeError("implicitMultiplication must be \"juxtapose\" or \"symbol\"")
+
+  const functionName = options.functionName
+
+  if (typeof functionName !== "function") {
+    if (!functionNameFormats[functionName])
+      throw new RangeError("functionName must be \"operatorname\", \"mathrm\" or a function")
+
+    options.functionName = functionNameFormats[functionName]
+  }
+
+  return options
+}
+
+/**
+ * Escape text so that it can be used in \text{...} and similar
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeLatexText(text) {
+  return text.replace(/[\\{}#$%&_^~]/g, char => {
+    switch (char) {
+      case "\\":
+        return "\\textbackslash{}"
+      case "^":
+        return "\\textasciicircum{}"
+      case "~":
+        return "\\textasciitilde{}"
+      default:
+        return "\\" + char
+    }
+  })
+}
+
+/**
+ * Undo escapeLatexText
+ * @param text {string}
+ * @returns {string}
+ */
+function unescapeLatexText(text) {
+  return text.replace(/\\textbackslash\{}|\\textasciicircum\{}|\\textasciitilde\{}|\\([{}#$%&_])/g, (match, char) => {
+    switch (match) {
+      case "\\textbackslash{}":
+        return "\\"
+      case "\\textasciicircum{}":
+        return "^"
+      case "\\textasciitilde{}":
+        return "~"
+      default:
+        return char
+    }
+  })
+}
+
+/**
+ * Convert a variable name to LaTeX. Greek letter names become the letter, a suffix after an underscore becomes a
+ * subscript (x_1 -> x_{1}), and other multi-letter names are set in italics as a single unit.
+ * @param name {string}
+ * @returns {string}
+ */
+function variableToLatex(name) {
+  if (greekLetters.includes(name))
+    return "\\" + name
+  if (name.length === 1)
+    return name
+
+  const underscore = name.indexOf("_")
+
+  if (underscore > 0 && underscore < name.length - 1 && !name.includes(":"))
+    return variableToLatex(name.slice(0, underscore)) + `_{${variableToLatex(name.slice(underscore + 1))}}`
+
+  return `\\mathit{${escapeLatexText(name)}}`
+}
+
+/**
+ * Convert a number, as written in the source, to LaTeX. Scientific notation like 1e-5 becomes 1 \cdot 10^{-5}.
+ * @param value {string}
+ * @param options {Object}
+ * @returns {string}
+ */
+function numberToLatex(value, options) {
+  const [mantissa, exponent] = String(value).split(/[eE]/)
+
+  if (exponent === undefined)
+    return mantissa
+
+  return `${mantissa} ${options.multiplicationSymbol} 10^{${Number(exponent)}}`
+}
+
+/**
+ * Convert a function call to LaTeX, given the LaTeX of its arguments
+ * @param name {string}
+ * @param args {Array}
+ * @param options {Object}
+ * @returns {string}
+ */
+function functionToLatex(name, args, options) {
+  if (args.length === 1) {
+    switch (name) {
+      case "abs":
+        return `\\left|${args[0]}\\right|`
+      case "sqrt":
+        return `\\sqrt{${args[0]}}`
+      case "conj":
+        return `\\overline{${args[0]}}`
+    }
+  }
+
+  const command = latexFunctionCommands.includes(name) ? "\\" + name : options.functionName(name)
+
+  return `${command}\\left(${args.join(", ")}\\right)`
+}
+
+/**
+ * Convert an operator, including the relations in comparison chains, to LaTeX. Operators without a notation of their
+ * own are written as their symbol (see OperatorTable), with words like xor set upright as an operator name.
+ * @param op {string}
+ * @param symbol {string|null} The symbol the operator is printed as, if known
+ * @returns {string}
+ */
+function operatorToLatex(op, symbol = null) {
+  const latex = latexOperators[op]
+
+  if (latex !== undefined)
+    return latex
+  if (symbol === null)
+    throw new TypeError("Cannot convert operator " + op + " to LaTeX")
+
+  const text = escapeLatexText(symbol)
+
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(symbol) ? `\\operatorname{${text}}` : text
+}
+
+export {
+  latexFunctionCommands,
+  greekLetters,
+  getLatexOptions,
+  escapeLatexText,
+  unescapeLatexText,
+  variableToLatex,
+  numberToLatex,
+  functionToLatex,
+  operatorToLatex
+}
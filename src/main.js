@@ -1,8 +1,23 @@
 export * from "./parser_error.js"
+export * from "./operator_table.js"
 export * from "./expression_tokenizer.js"
 export * from "./parse_string.js"
+export * from "./parse_latex.js"
+export * from "./highlight.js"
+export * from "./autocomplete.js"
 export * from "./traverse_nodes.js"
 export * from "./type.js"
 export * from "./ast_node.js"
 export * from "./multifunction.js"
 export * from "./operator.js"
+export * from "./interval_functions.js"
+export * from "./operators.js"
+export * from "./type_inference.js"
+export * from "./types.js"
+export * from "./complex_functions.js"
+export * from "./vector_functions.js"
+export * from "./arbitrary_functions.js"
+export * from "./derivative.js"
+export * from "./simplify.js"
+export * from "./global_variables.js"
+export * from "./reactive_expression.js"
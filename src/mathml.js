@@ -0,0 +1,294 @@
+// Helpers for converting expressions to MathML: presentation markup, which is what browsers and screen readers display,
+// and Content MathML, which encodes what the expression means. The conversion of each kind of node is in
+// ASTNode.mathmlNode and ASTNode.contentMathMLNode.
+
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML"
+
+// Invisible operators, which screen readers announce (e.g. 2x as "2 times x") but which are not displayed
+const INVISIBLE_TIMES = "&#x2062;"
+const FUNCTION_APPLICATION = "&#x2061;"
+
+// Variable names written as Greek letters; see greekLetters in latex.js
+const greekLetterCharacters = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", zeta: "ζ", eta: "η", theta: "θ", iota: "ι", kappa: "κ",
+  lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π", rho: "ρ", sigma: "σ", tau: "τ", upsilon: "υ", phi: "φ", chi: "χ",
+  psi: "ψ", omega: "ω", Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Upsilon: "Υ",
+  Phi: "Φ", Psi: "Ψ", Omega: "Ω"
+}
+
+const mathmlOperators = {
+  "==": "=",
+  "!=": "≠",
+  "<": "&lt;",
+  ">": "&gt;",
+  "<=": "≤",
+  ">=": "≥",
+  "+": "+",
+  "-": "−",
+  "!": "!",
+  "!!": "!!",
+  "and": "∧",
+  "or": "∨",
+  "mod": "mod"
+}
+
+// Content MathML elements of operators. Other operators become csymbols.
+const contentOperators = {
+  "+": "plus",
+  "-": "minus",
+  "*": "times",
+  "/": "divide",
+  "^": "power",
+  "!": "factorial",
+  "==": "eq",
+  "!=": "neq",
+  "<": "lt",
+  ">": "gt",
+  "<=": "leq",
+  ">=": "geq",
+  "and": "and",
+  "or": "or"
+}
+
+// Content MathML elements of functions. Other functions become identifiers.
+const contentFunctions = {
+  sin: "sin", cos: "cos", tan: "tan", cot: "cot", sec: "sec", csc: "csc", arcsin: "arcsin", arccos: "arccos",
+  arctan: "arctan", sinh: "sinh", cosh: "cosh", tanh: "tanh", coth: "coth", exp: "exp", ln: "ln", log: "log",
+  abs: "abs", sqrt: "root", pow: "power", arg: "arg", conj: "conjugate", re: "real", im: "imaginary", max: "max",
+  min: "min", gcd: "gcd", floor: "floor", ceil: "ceiling"
+}
+
+// Content MathML elements of constants
+const contentConstants = {
+  pi: "pi",
+  e: "exponentiale",
+  i: "imaginaryi"
+}
+
+/**
+ * Fill in the default options of toMathML and toContentMathML, checking their validity. The options are:
+ *   display: "inline" or "block", the display attribute of the <math> element. Default "inline".
+ *   multiplicationSymbol: the operator shown for explicit multiplication, like "×". Default "⋅".
+ *   implicitMultiplication: "invisible" to write implicit multiplication like 2x with the invisible times operator,
+ *     which is announced but not displayed, where that is unambiguous, or "symbol" to always use multiplicationSymbol.
+ *     Default "invisible".
+ *   content: whether toMathML also includes the Content MathML, as an annotation of the presentation markup. Default
+ *     false.
+ * @param options {Object}
+ * @returns {Object}
+ */
+function getMathMLOptions(options = {}) {
+  options = Object.assign({
+    display: "inline",
+    multiplicationSymbol: "⋅",
+    implicitMultiplication: "invisible",
+    content: false
+  }, options)
+
+  if (options.display !== "inline" && options.display !== "block")
+    throw new RangeError("display must be \"inline\" or \"block\"")
+  if (typeof options.multiplicationSymbol !== "string")
+    throw new TypeError("multiplicationSymbol must be a string")
+  if (options.implicitMultiplication !== "invisible" && options.implicitMultiplication !== "symbol")
+    throw new RangeError("implicitMultiplication must be \"invisible\" or \"symbol\"")
+
+  return options
+}
+
+/**
+ * Escape text so that it can be used as the contents or attribute value of an XML element
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Enclose MathML in a <math> element
+ * @param mathml {string}
+ * @param options {Object} The options, with defaults filled in by getMathMLOptions
+ * @returns {string}
+ */
+function wrapMathML(mathml, options) {
+  const display = (options.display === "block") ? " display=\"block\"" : ""
+
+  return `<math xmlns="${MATHML_NAMESPACE}"${display}>${mathml}</math>`
+}
+
+/**
+ * Group a list of elements into a single element, so that it can be the operand of elements like <mfrac>
+ * @param elements {Array}
+ * @returns {string}
+ */
+function mrow(elements) {
+  return (elements.length === 1) ? elements[0] : `<mrow>${elements.join("")}</mrow>`
+}
+
+function mathmlParenthesize(mathml, open = "(", close = ")") {
+  return `<mrow><mo>${open}</mo>${mathml}<mo>${close}</mo></mrow>`
+}
+
+/**
+ * Whether MathML begins with a number, so that juxtaposing it with a preceding number would read as one number
+ * @param mathml {string}
+ * @returns {boolean}
+ */
+function startsWithNumber(mathml) {
+  return /^(<(mrow|msup|msub|mfrac)>)*<mn>/.test(mathml)
+}
+
+/**
+ * Convert a variable name to presentation MathML. Greek letter names become the letter, and a suffix after an
+ * underscore becomes a subscript (x_1 -> x with subscript 1), as in variableToLatex.
+ * @param name {string}
+ * @returns {string}
+ */
+function variableToMathML(name) {
+  if (greekLetterCharacters[name])
+    return `<mi>${greekLetterCharacters[name]}</mi>`
+  if (name.length === 1)
+    return `<mi>${escapeXml(name)}</mi>`
+
+  const underscore = name.indexOf("_")
+
+  if (underscore > 0 && underscore < name.length - 1 && !name.includes(":")) {
+    const subscript = name.slice(underscore + 1)
+
+    return `<msub>${variableToMathML(name.slice(0, underscore))}${/^[0-9]+$/.test(subscript) ?
+      `<mn>${subscript}</mn>` : variableToMathML(subscript)}</msub>`
+  }
+
+  // Identifiers with several characters are upright by default
+  return `<mi mathvariant="italic">${escapeXml(name)}</mi>`
+}
+
+/**
+ * Convert a number, as written in the source, to presentation MathML. Scientific notation like 1e-5 becomes 1 ⋅ 10^-5.
+ * @param value {string}
+ * @param options {Object}
+ * @returns {string}
+ */
+function numberToMathML(value, options) {
+  const [mantissa, exponent] = String(value).split(/[eE]/)
+
+  if (exponent === undefined)
+    return `<mn>${mantissa}</mn>`
+
+  const power = Number(exponent)
+  const exponentMathML = (power < 0) ? `<mrow><mo>−</mo><mn>${-power}</mn></mrow>` : `<mn>${power}</mn>`
+
+  return mrow([`<mn>${mantissa}</mn>`, `<mo>${escapeXml(options.multiplicationSymbol)}</mo>`,
+    `<msup><mn>10</mn>${exponentMathML}</msup>`])
+}
+
+/**
+ * Convert a function call to presentation MathML, given the MathML of its arguments
+ * @param name {string}
+ * @param args {Array}
+ * @param options {Object}
+ * @returns {string}
+ */
+function functionToMathML(name, args, options) {
+  if (args.length === 1) {
+    switch (name) {
+      case "abs":
+        return mathmlParenthesize(args[0], "|", "|")
+      case "sqrt":
+        return `<msqrt>${args[0]}</msqrt>`
+      case "conj":
+        return `<mover>${args[0]}<mo>¯</mo></mover>`
+    }
+  }
+
+  const argList = mrow(args.flatMap((arg, i) => i ? ["<mo>,</mo>", arg] : [arg]))
+
+  return `<mrow><mi>${escapeXml(name)}</mi><mo>${FUNCTION_APPLICATION}</mo>${mathmlParenthesize(argList)}</mrow>`
+}
+
+/**
+ * Convert an operator, including the relations in comparison chains, to a presentation MathML <mo> element. Operators
+ * without a notation of their own are written as their symbol (see OperatorTable).
+ * @param op {string}
+ * @param symbol {string|null} The symbol the operator is printed as, if known
+ * @returns {string}
+ */
+function operatorToMathML(op, symbol = null) {
+  const mathml = mathmlOperators[op]
+
+  if (mathml !== undefined)
+    return `<mo>${mathml}</mo>`
+  if (symbol === null)
+    throw new TypeError("Cannot convert operator " + op + " to MathML")
+
+  return `<mo>${escapeXml(symbol)}</mo>`
+}
+
+/**
+ * Convert a variable name to Content MathML. Built-in constants become their Content MathML elements, like <pi/>.
+ * @param name {string}
+ * @param type {string|null} The type of the variable, if known
+ * @returns {string}
+ */
+function variableToContentMathML(name, type = null) {
+  if (contentConstants[name] && !type)
+    return `<${contentConstants[name]}/>`
+
+  return type ? `<ci type="${escapeXml(type)}">${escapeXml(name)}</ci>` : `<ci>${escapeXml(name)}</ci>`
+}
+
+/**
+ * Convert a number, as written in the source, to Content MathML
+ * @param value {string}
+ * @returns {string}
+ */
+function numberToContentMathML(value) {
+  const [mantissa, exponent] = String(value).split(/[eE]/)
+
+  if (exponent === undefined)
+    return `<cn>${mantissa}</cn>`
+
+  return `<cn type="e-notation">${mantissa}<sep/>${Number(exponent)}</cn>`
+}
+
+/**
+ * Convert the application of an operator to the Content MathML of its operands to Content MathML
+ * @param op {string}
+ * @param args {Array}
+ * @returns {string}
+ */
+function operatorToContentMathML(op, args) {
+  const head = contentOperators[op] ? `<${contentOperators[op]}/>` : `<csymbol>${escapeXml(op)}</csymbol>`
+
+  return `<apply>${head}${args.join("")}</apply>`
+}
+
+/**
+ * Convert a function call to Content MathML, given the Content MathML of its arguments
+ * @param name {string}
+ * @param args {Array}
+ * @returns {string}
+ */
+function functionToContentMathML(name, args) {
+  const head = contentFunctions[name] ? `<${contentFunctions[name]}/>` : `<ci type="function">${escapeXml(name)}</ci>`
+
+  return `<apply>${head}${args.join("")}</apply>`
+}
+
+export {
+  INVISIBLE_TIMES,
+  getMathMLOptions,
+  escapeXml,
+  wrapMathML,
+  mrow,
+  mathmlParenthesize,
+  startsWithNumber,
+  variableToMathML,
+  numberToMathML,
+  functionToMathML,
+  operatorToMathML,
+  variableToContentMathML,
+  numberToContentMathML,
+  operatorToContentMathML,
+  functionToContentMathML
+}
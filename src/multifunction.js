@@ -1,4 +1,4 @@
-import {isValidCompilationMode} from "./compilation_mode"
+import {isValidCompilationMode} from "./compilation_mode.js"
 
 function assertSameArgCount(arr) {
   const cnt = arr[0].length
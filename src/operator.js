@@ -1,5 +1,5 @@
-import {Multifunction} from "./multifunction"
-import {Type} from "./type"
+import {Multifunction} from "./multifunction.js"
+import {Type} from "./type.js"
 
 /**
  * Find the ith item of the 0-indexed infinite sequence a, b, ..., z, aa, ab, ..., zz, aaa, ...
@@ -41,12 +41,19 @@ function getDefaultArgNames(len) {
 
 /**
  * Abstracts an operator, which has some signature of well-defined types and some return type. The function called
- * when evaluating the operator depends on the evaluation mode, which can currently be either "double" or "interval".
- * One day, arbitrary precision may be implemented, as well as limited floating point and quadruple precision arithmetic,
- * so that is open for future usage.
+ * when evaluating the operator depends on the evaluation mode, which can currently be "double", "interval" or
+ * "arbitrary". One day, limited floating point and quadruple precision arithmetic may be implemented, so that is open
+ * for future usage.
  */
 export class Operator {
   constructor(params={}) {
+    // The name of the operator, as emitted by the parser (e.g. "+", "^", "and") or as a function name (e.g. "sin")
+    this.name = params.name ?? ""
+
+    // Optional map of compilation modes to the names of the functions implementing this operator, used by the compiler,
+    // e.g. { double: "RealFunctions.Add", interval: "IntervalFunctions.Add" }
+    this.functionNames = params.functionNames ?? null
+
     // The return type of the operator. A return type of "void" signifies the function does nothing.
     this.returnType = Type.from(params.returnType)
 
@@ -67,8 +74,16 @@ export class Operator {
 
     this.multifunction = new Multifunction(params.multi)
 
-    // A list of properties this operator satisfies, for the purposes of optimization/simplification etc.
-    this.properties = []
+    // Id of the operator in the operator registry, or null if it is not registered
+    this.id = null
+
+    // A list of properties this operator satisfies, for the purposes of optimization/simplification etc. Properties used
+    // by simplify are "commutative", "associative", "identity" (identityElement is a two-sided identity) and
+    // "rightIdentity" (identityElement is a right identity, like 0 for subtraction)
+    this.properties = params.properties ?? []
+
+    // The identity element of the operator, as a number, if it has the "identity" or "rightIdentity" property
+    this.identityElement = params.identityElement ?? null
   }
 
   toString() {
@@ -87,6 +102,36 @@ export class Operator {
     return this.properties.includes(prop)
   }
 
+  /**
+   * Get the function implementing the operator in a given mode, throwing if the operator doesn't support that mode
+   * @param mode {string}
+   * @returns {Function}
+   */
+  getFunction(mode) {
+    const func = this.multifunction.getFunction(mode)
+
+    if (!func)
+      throw this.unsupportedModeError(mode)
+
+    return func
+  }
+
+  /**
+   * The error thrown when the operator is evaluated or compiled in a mode it doesn't support. Complex operators (and
+   * casts to complex) are only implemented in double mode, which the message says, since that is the usual cause.
+   * @param mode {string}
+   * @returns {TypeError}
+   */
+  unsupportedModeError(mode) {
+    let complex = false
+
+    this.signature.concat(this.returnType).forEach(type => type.applyAll(t => complex = complex || t.str === "complex"))
+
+    const description = `Operator ${this.name} ${this.toString()} does not support compilation mode ${mode}`
+
+    return new TypeError(complex ? `${description}: complex is only supported in double mode` : description)
+  }
+
   /**
    * Evaluate in a given mode, with given args
    * @param mode
@@ -94,7 +139,7 @@ export class Operator {
    * @returns {*}
    */
   evaluate(mode, ...args) {
-    return this.multifunction.getFunction(mode)(...args)
+    return this.getFunction(mode)(...args)
   }
 
   /**
@@ -104,6 +149,6 @@ export class Operator {
    * @returns {*}
    */
   evaluateArray(mode, args) {
-    return this.multifunction.getFunction(mode)(...args)
+    return this.getFunction(mode)(...args)
   }
 }
@@ -0,0 +1,296 @@
+// The operators recognized by parseString: how they are written, and their fixities, precedences and associativities.
+// Applications can parse with their own table, adding operators like mod or a postfix ', or changing the built-in ones.
+
+// Symbols which are words, like and, are recognized only as whole identifiers
+const wordSymbol = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Characters which can't appear in symbols: letters, digits and underscores (except in words), whitespace, parentheses,
+// brackets, vertical bars and commas
+const invalidSymbolCharacter = /[A-Za-z0-9_\s()[\]|,]/
+
+/**
+ * Check and fill in the defaults of an operator definition; see OperatorTable
+ * @param definition {Object}
+ * @returns {Object} A new definition
+ */
+function normalizeDefinition(definition) {
+  const {symbol, op = symbol, arity, precedence, chainable = false} = definition
+  const describe = () => JSON.stringify(definition)
+
+  if (typeof symbol !== "string" || symbol === "" || (!wordSymbol.test(symbol) && invalidSymbolCharacter.test(symbol)))
+    throw new TypeError("Invalid operator symbol in definition " + describe())
+  if (typeof op !== "string" || op === "")
+    throw new TypeError("Invalid op in operator definition " + describe())
+
+  const fixity = definition.fixity ?? ((arity === 1) ? "prefix" : "infix")
+
+  if (!["prefix", "infix", "postfix"].includes(fixity))
+    throw new TypeError(`Invalid fixity ${fixity} in operator definition ${describe()}; expected prefix, infix or postfix`)
+  if (arity !== undefined && arity !== ((fixity === "infix") ? 2 : 1))
+    throw new TypeError(`Arity ${arity} conflicts with fixity ${fixity} in operator definition ${describe()}`)
+  if (typeof precedence !== "number" || Number.isNaN(precedence))
+    throw new TypeError("Operator definition " + describe() + " must have a numeric precedence")
+
+  const associativity = definition.associativity ?? ((fixity === "prefix") ? "right" : "left")
+
+  if (associativity !== "left" && associativity !== "right")
+    throw new TypeError(`Invalid associativity ${associativity} in operator definition ${describe()}; expected left or right`)
+  if (fixity === "prefix" && associativity !== "right")
+    throw new TypeError(`Prefix operator ${symbol} must be right associative`)
+  if (fixity === "postfix" && associativity !== "left")
+    throw new TypeError(`Postfix operator ${symbol} must be left associative`)
+  if (chainable && fixity !== "infix")
+    throw new TypeError(`Only infix operators can be chainable, but ${symbol} is ${fixity}`)
+
+  return {symbol, op, fixity, arity: (fixity === "infix") ? 2 : 1, precedence, associativity, chainable}
+}
+
+/**
+ * A table of operators, built from a list of definitions of the form
+ *   { symbol, op, fixity, arity, precedence, associativity, chainable }
+ * where:
+ *   symbol: the operator as written, like "+", "**" or "mod". Symbols consisting of letters, digits and underscores are
+ *     words, which are only recognized as whole identifiers and are reserved, so mod can't be used as a variable or
+ *     function name. Other symbols can't contain letters, digits, underscores, whitespace, parentheses, brackets,
+ *     vertical bars or commas. The longest symbol matching the input is used. Symbols take priority over strings, so
+ *     if ' is an operator, strings must be quoted with ".
+ *   op: the op of the operator nodes emitted, like "^" for a ** which is another way of writing ^. Defaults to the
+ *     symbol. Operator nodes are evaluated by the operator registered under their op (see registerOperator). They
+ *     remember the table they were parsed with (see OperatorNode.operatorTable), so toString prints them with the
+ *     precedences of the table and the symbol of the first definition of their op and fixity, and toLatex and toMathML
+ *     write ops without a notation of their own, like mod, as that symbol.
+ *   fixity: "prefix", "infix" or "postfix". Defaults to "prefix" if arity is 1 and "infix" otherwise.
+ *   arity: 1 for prefix and postfix operators, 2 for infix operators. Optional.
+ *   precedence: a number; operators with lower precedences bind more tightly. The default table uses multiples of 10.
+ *   associativity: "left" or "right". Prefix operators are right associative and postfix operators left associative,
+ *     which are the defaults; infix operators default to left associative.
+ *   chainable: whether a sequence of the operator and other chainable operators forms a comparison chain, like
+ *     a < b <= c. Only for infix operators; default false.
+ * A TypeError is thrown for invalid definitions, and an Error for conflicting ones: operators with the same precedence
+ * but different associativities, chainable operators with different precedences, definitions of the same symbol with the
+ * same fixity or different ops, symbols which are both postfix and prefix or infix (like x ' y), and definitions with the
+ * same op and fixity but different precedences, associativities or chainability.
+ */
+class OperatorTable {
+  /**
+   * @param definitions {Array}
+   */
+  constructor(definitions) {
+    if (!Array.isArray(definitions))
+      throw new TypeError("OperatorTable expects an array of operator definitions")
+
+    // The normalized definitions, in the order given
+    this.definitions = definitions.map(normalizeDefinition)
+
+    // Map of each symbol to its op, and of each op and fixity (as "op fixity") to its definition
+    this.symbols = new Map()
+    const byOpAndFixity = new Map()
+    const fixitiesOfSymbol = new Map()
+
+    for (const definition of this.definitions) {
+      const {symbol, op, fixity} = definition
+      const fixities = fixitiesOfSymbol.get(symbol) ?? new Set()
+
+      if (fixities.has(fixity))
+        throw new Error(`The ${fixity} operator ${symbol} is defined more than once`)
+      if (this.symbols.has(symbol) && this.symbols.get(symbol) !== op)
+        throw new Error(`The definitions of operator ${symbol} emit different ops, ${this.symbols.get(symbol)} and ${op}`)
+
+      fixities.add(fixity)
+
+      if (fixities.has("postfix") && fixities.size > 1)
+        throw new Error(`Operator ${symbol} can't be both postfix and ${fixities.has("infix") ? "infix" : "prefix"}`)
+
+      fixitiesOfSymbol.set(symbol, fixities)
+      this.symbols.set(symbol, op)
+
+      const key = op + " " + fixity
+      const existing = byOpAndFixity.get(key)
+
+      if (existing && (existing.precedence !== definition.precedence || existing.associativity !== definition.associativity ||
+        existing.chainable !== definition.chainable))
+        throw new Error(`Operators ${existing.symbol} and ${symbol} are both the ${fixity} operator ${op}, but have different ` +
+          "precedences, associativities or chainability")
+
+      byOpAndFixity.set(key, definition)
+    }
+
+    // Symbols which aren't words, longest first, so that the longest match is found first
+    this.punctuationSymbols = Array.from(this.symbols.keys()).filter(symbol => !wordSymbol.test(symbol))
+      .sort((s1, s2) => s2.length - s1.length)
+
+    // One pass of the parser per precedence, in increasing order of precedence. Each pass is of the form
+    // { ops: { unaries, binaries, postfixes }, rtl }, where the arrays contain ops.
+    const precedences = Array.from(new Set(this.definitions.map(definition => definition.precedence))).sort((a, b) => a - b)
+
+    this.passes = precedences.map(precedence => {
+      const definitions = this.definitions.filter(definition => definition.precedence === precedence)
+      const ops = {unaries: [], binaries: [], postfixes: []}
+      const associativity = definitions[0].associativity
+
+      for (const definition of definitions) {
+        if (definition.associativity !== associativity)
+          throw new Error(`Operators ${definitions[0].symbol} and ${definition.symbol} have the same precedence, ${precedence}, ` +
+            "but different associativities")
+
+        const list = ops[{prefix: "unaries", infix: "binaries", postfix: "postfixes"}[definition.fixity]]
+
+        if (!list.includes(definition.op))
+          list.push(definition.op)
+      }
+
+      return {ops, rtl: associativity === "right"}
+    })
+
+    // The index of the pass of the chainable operators, before which comparison chains are found, or -1 if there are none
+    const chainable = this.definitions.filter(definition => definition.chainable)
+
+    this.chainPass = chainable.length ? precedences.indexOf(chainable[0].precedence) : -1
+
+    for (const definition of chainable) {
+      if (definition.precedence !== chainable[0].precedence)
+        throw new Error(`Chainable operators ${chainable[0].symbol} and ${definition.symbol} must have the same precedence`)
+    }
+
+    this.prefixOps = new Set(this.definitions.filter(d => d.fixity === "prefix").map(d => d.op))
+    this.postfixOps = new Set(this.definitions.filter(d => d.fixity === "postfix").map(d => d.op))
+    this.chainableOps = new Set(chainable.map(definition => definition.op))
+  }
+
+  /**
+   * Find the longest symbol, other than a word, starting at index in string, or null if there is none
+   * @param string {string}
+   * @param index {number}
+   * @returns {string|null}
+   */
+  findSymbol(string, index) {
+    return this.punctuationSymbols.find(symbol => string.startsWith(symbol, index)) ?? null
+  }
+
+  /**
+   * Whether a name, like "and", is a word symbol of this table
+   * @param name {string}
+   * @returns {boolean}
+   */
+  isWord(name) {
+    return this.symbols.has(name) && wordSymbol.test(name)
+  }
+
+  /**
+   * Get the op emitted for a symbol, or undefined if it isn't in the table
+   * @param symbol {string}
+   * @returns {string|undefined}
+   */
+  getOp(symbol) {
+    return this.symbols.get(symbol)
+  }
+
+  /**
+   * Get the symbol of the first definition of an op with the given fixity, or null if there is none. This is how the
+   * operator is printed; e.g. the symbol of the infix - in the default table is -, not −.
+   * @param op {string}
+   * @param fixity {string} "prefix", "infix" or "postfix"
+   * @returns {string|null}
+   */
+  getSymbol(op, fixity) {
+    return this.definitions.find(definition => definition.op === op && definition.fixity === fixity)?.symbol ?? null
+  }
+
+  /**
+   * Whether an op could be a prefix operator, like -
+   * @param op {string}
+   * @returns {boolean}
+   */
+  isPrefix(op) {
+    return this.prefixOps.has(op)
+  }
+
+  /**
+   * Whether an op could be a postfix operator, like !
+   * @param op {string}
+   * @returns {boolean}
+   */
+  isPostfix(op) {
+    return this.postfixOps.has(op)
+  }
+
+  /**
+   * Whether an op is a chainable infix operator, like <
+   * @param op {string}
+   * @returns {boolean}
+   */
+  isChainable(op) {
+    return this.chainableOps.has(op)
+  }
+
+  /**
+   * Get the precedence of an operator, which is the index of the pass that processes it, and whether that pass goes
+   * right to left. Lower precedences bind more tightly. Comparison chains (op "cchain") are found right before the pass
+   * of the chainable operators, and count as a pass of their own. Returns null if the operator isn't processed as the
+   * given kind of operator.
+   * @param op {string}
+   * @param kind {string} "binary", "unary" (aka prefix), "postfix" or "cchain"
+   * @returns {{precedence: number, rtl: boolean}|null}
+   */
+  getPrecedence(op, kind) {
+    if (kind === "cchain")
+      return (op === "cchain" && this.chainPass !== -1) ? {precedence: this.chainPass, rtl: false} : null
+
+    const key = {binary: "binaries", unary: "unaries", postfix: "postfixes"}[kind]
+
+    for (let i = 0; i < this.passes.length; ++i) {
+      const pass = this.passes[i]
+
+      if (pass.ops[key]?.includes(op))
+        return {precedence: (this.chainPass !== -1 && i >= this.chainPass) ? i + 1 : i, rtl: pass.rtl}
+    }
+
+    return null
+  }
+
+  /**
+   * Get an OperatorTable from a table or a list of definitions. Returns DefaultOperatorTable if operators is undefined.
+   * @param operators {OperatorTable|Array|undefined}
+   * @returns {OperatorTable}
+   */
+  static from(operators) {
+    if (operators === undefined)
+      return DefaultOperatorTable
+
+    return (operators instanceof OperatorTable) ? operators : new OperatorTable(operators)
+  }
+}
+
+/**
+ * The operators of parseString by default. Applications can extend them with new OperatorTable([
+ * ...DefaultOperatorTable.definitions, ...]).
+ * @type {OperatorTable}
+ */
+const DefaultOperatorTable = new OperatorTable([
+  {symbol: "!", fixity: "postfix", precedence: 10},
+  {symbol: "!!", fixity: "postfix", precedence: 10},
+  {symbol: "+", fixity: "prefix", precedence: 20},
+  {symbol: "-", fixity: "prefix", precedence: 20},
+  {symbol: "−", op: "-", fixity: "prefix", precedence: 20},
+  {symbol: "^", fixity: "infix", precedence: 20, associativity: "right"},
+  {symbol: "*", fixity: "infix", precedence: 30},
+  {symbol: "×", op: "*", fixity: "infix", precedence: 30},
+  {symbol: "·", op: "*", fixity: "infix", precedence: 30},
+  {symbol: "⋅", op: "*", fixity: "infix", precedence: 30},
+  {symbol: "/", fixity: "infix", precedence: 30},
+  {symbol: "÷", op: "/", fixity: "infix", precedence: 30},
+  {symbol: "+", fixity: "infix", precedence: 40},
+  {symbol: "-", fixity: "infix", precedence: 40},
+  {symbol: "−", op: "-", fixity: "infix", precedence: 40},
+  {symbol: "and", fixity: "infix", precedence: 50},
+  {symbol: "∧", op: "and", fixity: "infix", precedence: 50},
+  {symbol: "or", fixity: "infix", precedence: 50},
+  {symbol: "∨", op: "or", fixity: "infix", precedence: 50},
+  ...["==", "!=", "<", ">", "<=", ">="].map(symbol => ({symbol, fixity: "infix", precedence: 60, chainable: true})),
+  {symbol: "=", op: "==", fixity: "infix", precedence: 60, chainable: true},
+  {symbol: "≠", op: "!=", fixity: "infix", precedence: 60, chainable: true},
+  {symbol: "≤", op: "<=", fixity: "infix", precedence: 60, chainable: true},
+  {symbol: "≥", op: ">=", fixity: "infix", precedence: 60, chainable: true}
+])
+
+export {OperatorTable, DefaultOperatorTable}
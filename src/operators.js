@@ -0,0 +1,384 @@
+import {Operator} from "./operator.js"
+import {RealFunctions} from "./real_functions.js"
+import {IntervalFunctions} from "./interval_functions.js"
+import {ComplexFunctions} from "./complex_functions.js"
+import {ArbitraryFunctions} from "./arbitrary_functions.js"
+import {VectorFunctions} from "./vector_functions.js"
+import {Type} from "./type.js"
+import {getTypecast} from "./typecasts.js"
+import {isValidVariableName} from "./expression_tokenizer.js"
+
+// Objects containing the functions implementing the built-in operators
+const libraryObjects = {
+  RealFunctions,
+  IntervalFunctions,
+  ComplexFunctions,
+  ArbitraryFunctions,
+  VectorFunctions
+}
+
+// The library used in each compilation mode by each kind of built-in operator. For example, a real operator with
+// functionName "Add" is implemented by RealFunctions.Add in double mode, IntervalFunctions.Add in interval mode and
+// ArbitraryFunctions.Add in arbitrary mode, while a complex operator with functionName "Add" is implemented by ComplexFunctions.Add in double mode only.
+// Vector operators, on vec2 and vec3, are likewise implemented by VectorFunctions in double mode only.
+const libraries = {
+  real: {
+    double: "RealFunctions",
+    interval: "IntervalFunctions",
+    arbitrary: "ArbitraryFunctions"
+  },
+  complex: {
+    double: "ComplexFunctions"
+  },
+  vector: {
+    double: "VectorFunctions"
+  }
+}
+
+// Definitions of the built-in operators (keyed by the op emitted by the parser), functions (keyed by name) and constants
+// (functions with no arguments). Operators are real unless library is given. properties and identityElement are used by
+// simplify; see Operator. The property access operator "." takes the property name as a string, and type inference
+// checks that the property exists (see TypeDefinition.properties).
+const BuiltinOperators = [
+  { name: "+", signature: ["real", "real"], returnType: "real", functionName: "Add", properties: ["commutative", "associative", "identity"], identityElement: 0 },
+  { name: "+", signature: ["real"], returnType: "real", functionName: "UnaryPlus" },
+  { name: "-", signature: ["real", "real"], returnType: "real", functionName: "Subtract", properties: ["rightIdentity"], identityElement: 0 },
+  { name: "-", signature: ["real"], returnType: "real", functionName: "UnaryMinus" },
+  { name: "*", signature: ["real", "real"], returnType: "real", functionName: "Multiply", properties: ["commutative", "associative", "identity"], identityElement: 1 },
+  { name: "/", signature: ["real", "real"], returnType: "real", functionName: "Divide", properties: ["rightIdentity"], identityElement: 1 },
+  { name: "^", signature: ["real", "real"], returnType: "real", functionName: "Pow", properties: ["rightIdentity"], identityElement: 1 },
+  { name: "!", signature: ["real"], returnType: "real", functionName: "Factorial" },
+  { name: "==", signature: ["real", "real"], returnType: "bool", functionName: "Equal", properties: ["commutative"] },
+  { name: "!=", signature: ["real", "real"], returnType: "bool", functionName: "NotEqual", properties: ["commutative"] },
+  { name: "<", signature: ["real", "real"], returnType: "bool", functionName: "Less" },
+  { name: ">", signature: ["real", "real"], returnType: "bool", functionName: "Greater" },
+  { name: "<=", signature: ["real", "real"], returnType: "bool", functionName: "LessEqual" },
+  { name: ">=", signature: ["real", "real"], returnType: "bool", functionName: "GreaterEqual" },
+  { name: "and", signature: ["bool", "bool"], returnType: "bool", functionName: "And", properties: ["commutative", "associative"] },
+  { name: "or", signature: ["bool", "bool"], returnType: "bool", functionName: "Or", properties: ["commutative", "associative"] },
+  { name: "cchain", signature: ["bool", "bool"], returnType: "bool", functionName: "And", description: "Combines the results of the comparisons in a chain like a < b < c" },
+  { name: "[]", signature: ["list::<real>", "real"], returnType: "real", functionName: "Index", argNames: ["list", "index"] },
+  { name: "[:]", signature: ["list::<real>", "real", "real"], returnType: "list::<real>", functionName: "Slice", argNames: ["list", "start", "end"] },
+  { name: "sin", signature: ["real"], returnType: "real", functionName: "Sin", argNames: ["x"] },
+  { name: "cos", signature: ["real"], returnType: "real", functionName: "Cos", argNames: ["x"] },
+  { name: "tan", signature: ["real"], returnType: "real", functionName: "Tan", argNames: ["x"] },
+  { name: "arcsin", signature: ["real"], returnType: "real", functionName: "Arcsin", argNames: ["x"] },
+  { name: "arccos", signature: ["real"], returnType: "real", functionName: "Arccos", argNames: ["x"] },
+  { name: "arctan", signature: ["real"], returnType: "real", functionName: "Arctan", argNames: ["x"] },
+  { name: "atan2", signature: ["real", "real"], returnType: "real", functionName: "Atan2", argNames: ["y", "x"] },
+  { name: "sinh", signature: ["real"], returnType: "real", functionName: "Sinh", argNames: ["x"] },
+  { name: "cosh", signature: ["real"], returnType: "real", functionName: "Cosh", argNames: ["x"] },
+  { name: "tanh", signature: ["real"], returnType: "real", functionName: "Tanh", argNames: ["x"] },
+  { name: "arsinh", signature: ["real"], returnType: "real", functionName: "Arsinh", argNames: ["x"] },
+  { name: "arcosh", signature: ["real"], returnType: "real", functionName: "Arcosh", argNames: ["x"] },
+  { name: "artanh", signature: ["real"], returnType: "real", functionName: "Artanh", argNames: ["x"] },
+  { name: "mod", signature: ["real", "real"], returnType: "real", functionName: "Mod", argNames: ["x", "m"], description: "The remainder of x divided by m, with the sign of m" },
+  { name: "pow", signature: ["real", "real"], returnType: "real", functionName: "Pow", argNames: ["base", "exponent"], properties: ["rightIdentity"], identityElement: 1 },
+  { name: "abs", signature: ["real"], returnType: "real", functionName: "Abs", argNames: ["x"] },
+  { name: "sqrt", signature: ["real"], returnType: "real", functionName: "Sqrt", argNames: ["x"] },
+  { name: "exp", signature: ["real"], returnType: "real", functionName: "Exp", argNames: ["x"] },
+  { name: "ln", signature: ["real"], returnType: "real", functionName: "Ln", argNames: ["x"] },
+  { name: "log", signature: ["real"], returnType: "real", functionName: "Log10", argNames: ["x"], description: "The base-10 logarithm of x" },
+  { name: "gamma", signature: ["real"], returnType: "real", functionName: "Gamma", argNames: ["x"] },
+  { name: "pi", signature: [], returnType: "real", functionName: "Pi" },
+  { name: "e", signature: [], returnType: "real", functionName: "E" },
+
+  { name: "+", signature: ["complex", "complex"], returnType: "complex", functionName: "Add", library: "complex", properties: ["commutative", "associative"] },
+  { name: "+", signature: ["complex"], returnType: "complex", functionName: "UnaryPlus", library: "complex" },
+  { name: "-", signature: ["complex", "complex"], returnType: "complex", functionName: "Subtract", library: "complex" },
+  { name: "-", signature: ["complex"], returnType: "complex", functionName: "UnaryMinus", library: "complex" },
+  { name: "*", signature: ["complex", "complex"], returnType: "complex", functionName: "Multiply", library: "complex", properties: ["commutative", "associative"] },
+  { name: "/", signature: ["complex", "complex"], returnType: "complex", functionName: "Divide", library: "complex" },
+  { name: "^", signature: ["complex", "complex"], returnType: "complex", functionName: "Pow", library: "complex" },
+  { name: "==", signature: ["complex", "complex"], returnType: "bool", functionName: "Equal", library: "complex", properties: ["commutative"] },
+  { name: "!=", signature: ["complex", "complex"], returnType: "bool", functionName: "NotEqual", library: "complex", properties: ["commutative"] },
+  { name: "sin", signature: ["complex"], returnType: "complex", functionName: "Sin", argNames: ["z"], library: "complex" },
+  { name: "cos", signature: ["complex"], returnType: "complex", functionName: "Cos", argNames: ["z"], library: "complex" },
+  { name: "pow", signature: ["complex", "complex"], returnType: "complex", functionName: "Pow", argNames: ["base", "exponent"], library: "complex" },
+  { name: "exp", signature: ["complex"], returnType: "complex", functionName: "Exp", argNames: ["z"], library: "complex" },
+  { name: "ln", signature: ["complex"], returnType: "complex", functionName: "Ln", argNames: ["z"], library: "complex" },
+  { name: "sqrt", signature: ["complex"], returnType: "complex", functionName: "Sqrt", argNames: ["z"], library: "complex" },
+  { name: "abs", signature: ["complex"], returnType: "real", functionName: "Abs", argNames: ["z"], library: "complex" },
+  { name: "arg", signature: ["complex"], returnType: "real", functionName: "Arg", argNames: ["z"], library: "complex" },
+  { name: "conj", signature: ["complex"], returnType: "complex", functionName: "Conj", argNames: ["z"], library: "complex" },
+  { name: "re", signature: ["complex"], returnType: "real", functionName: "Re", argNames: ["z"], library: "complex" },
+  { name: "im", signature: ["complex"], returnType: "real", functionName: "Im", argNames: ["z"], library: "complex" },
+  { name: "complex", signature: ["real", "real"], returnType: "complex", functionName: "Construct", argNames: ["re", "im"], library: "complex" },
+  { name: "i", signature: [], returnType: "complex", functionName: "I", library: "complex" },
+  { name: ".", signature: ["complex", "string"], returnType: "real", functionName: "Property", argNames: ["z", "property"], library: "complex" },
+
+  { name: "+", signature: ["vec2", "vec2"], returnType: "vec2", functionName: "Add", library: "vector", properties: ["commutative", "associative"] },
+  { name: "+", signature: ["vec2"], returnType: "vec2", functionName: "UnaryPlus", library: "vector" },
+  { name: "-", signature: ["vec2", "vec2"], returnType: "vec2", functionName: "Subtract", library: "vector" },
+  { name: "-", signature: ["vec2"], returnType: "vec2", functionName: "UnaryMinus", library: "vector" },
+  { name: "*", signature: ["real", "vec2"], returnType: "vec2", functionName: "Scale", library: "vector" },
+  { name: "*", signature: ["vec2", "real"], returnType: "vec2", functionName: "ScaleRight", library: "vector" },
+  { name: "/", signature: ["vec2", "real"], returnType: "vec2", functionName: "DivideScalar", library: "vector" },
+  { name: "==", signature: ["vec2", "vec2"], returnType: "bool", functionName: "Equal", library: "vector", properties: ["commutative"] },
+  { name: "!=", signature: ["vec2", "vec2"], returnType: "bool", functionName: "NotEqual", library: "vector", properties: ["commutative"] },
+  { name: ".", signature: ["vec2", "string"], returnType: "real", functionName: "Property", argNames: ["v", "property"], library: "vector" },
+  { name: ".", signature: ["vec3", "string"], returnType: "real", functionName: "Property", argNames: ["v", "property"], library: "vector" },
+  { name: "vec2", signature: ["real", "real"], returnType: "vec2", functionName: "Construct", argNames: ["x", "y"], library: "vector" },
+  { name: "dot", signature: ["vec2", "vec2"], returnType: "real", functionName: "Dot", argNames: ["v", "w"], library: "vector" },
+  { name: "abs", signature: ["vec2"], returnType: "real", functionName: "Length", argNames: ["v"], library: "vector" }
+]
+
+// The registry of all operators, mapping each name to the list of its overloads, in order of registration
+const OperatorRegistry = new Map()
+
+// Functions implementing operators which aren't part of a library (e.g. those registered by applications), keyed by
+// each operator's id and then by compilation mode. The compiler looks up these functions as Operators.<id>.<mode>.
+const OperatorFunctions = {}
+
+// Id for registered operators
+let operatorId = 0
+
+// Names of operators emitted by the parser. All other operators must have valid function names.
+const parserOperatorNames = ["+", "-", "*", "/", "^", "!", "!!", "==", "!=", "<", ">", "<=", ">=", "and", "or", ".", "[]",
+  "[:]", "cchain"]
+
+/**
+ * Register an operator or function, adding it as an overload of its name. Overloads with the same name and signature
+ * as an existing overload are not allowed unless replace is true, in which case the old overload is removed.
+ * @param operator {Operator|Object} The operator, or the parameters to construct it with
+ * @param replace {boolean}
+ * @returns {Operator} The registered operator
+ */
+function registerOperator(operator, replace = false) {
+  if (!(operator instanceof Operator))
+    operator = new Operator(operator)
+
+  const name = operator.name
+
+  if (!parserOperatorNames.includes(name) && !isValidVariableName(name))
+    throw new TypeError("Invalid operator or function name " + name)
+
+  let overloads = OperatorRegistry.get(name)
+
+  if (!overloads)
+    OperatorRegistry.set(name, overloads = [])
+
+  const existing = overloads.find(overload => overload.signature.length === operator.signature.length &&
+    overload.signature.every((type, i) => type.equals(operator.signature[i])))
+
+  if (existing) {
+    if (!replace)
+      throw new Error(`An overload of ${name} with signature ${existing.toString()} is already registered`)
+
+    unregisterOperator(existing)
+  }
+
+  operator.id = "op" + (operatorId++)
+  OperatorFunctions[operator.id] = operator.multifunction.functions
+
+  overloads.push(operator)
+
+  return operator
+}
+
+/**
+ * Remove an operator from the registry. Returns whether the operator was registered.
+ * @param operator {Operator}
+ * @returns {boolean}
+ */
+function unregisterOperator(operator) {
+  const overloads = OperatorRegistry.get(operator.name)
+  const index = overloads ? overloads.indexOf(operator) : -1
+
+  if (index === -1)
+    return false
+
+  overloads.splice(index, 1)
+
+  if (overloads.length === 0)
+    OperatorRegistry.delete(operator.name)
+
+  delete OperatorFunctions[operator.id]
+  operator.id = null
+
+  return true
+}
+
+/**
+ * Register a function callable from expressions, like f(x, y). Shorthand for registerOperator; the name must be a valid
+ * variable name.
+ * @param name {string}
+ * @param params {Object} Parameters for the Operator, i.e. signature, returnType, multi, argNames, description
+ * @param replace {boolean}
+ * @returns {Operator}
+ */
+function registerFunction(name, params, replace = false) {
+  if (!isValidVariableName(name))
+    throw new TypeError("Invalid function name " + name)
+
+  return registerOperator(Object.assign({}, params, { name }), replace)
+}
+
+for (let i = 0; i < BuiltinOperators.length; ++i) {
+  const params = BuiltinOperators[i]
+  const modes = libraries[params.library ?? "real"]
+
+  const multi = {}
+  const functionNames = {}
+
+  for (const mode in modes) {
+    const library = modes[mode]
+
+    multi[mode] = libraryObjects[library][params.functionName]
+    functionNames[mode] = library + '.' + params.functionName
+  }
+
+  params.functionNames = functionNames
+
+  // Replace with actual operator objects
+  BuiltinOperators[i] = registerOperator(Object.assign({ multi }, params))
+}
+
+/**
+ * Get the overload of the indexing ("[]") or slice ("[:]") operator taking a list of a given type, like list::<vec2>, or
+ * null if listType isn't a list type. The built-in overloads take list::<real>; those for other element types are
+ * registered on first use, and share the functions of the built-in overloads, which don't depend on the element type.
+ * Indices count from 0. An index which isn't an integer in range gives an undefined real, and a slice a[i:j] contains
+ * the elements from index i up to, but not including, index j.
+ * @param name {string} "[]" or "[:]"
+ * @param listType {Type|string}
+ * @returns {Operator|null}
+ */
+function getListOperator(name, listType) {
+  listType = Type.from(listType)
+
+  if (listType.str !== "list")
+    return null
+
+  const existing = getOperatorOverloads(name).find(operator => operator.signature[0].equals(listType))
+
+  if (existing)
+    return existing
+
+  const builtin = BuiltinOperators.find(operator => operator.name === name)
+
+  return registerOperator({
+    name,
+    signature: [listType, ...builtin.signature.slice(1)],
+    returnType: (name === "[]") ? listType.children[0] : listType,
+    functionNames: builtin.functionNames,
+    multi: builtin.multifunction.functions,
+    argNames: builtin.argNames
+  })
+}
+
+/**
+ * Get all overloads of the operator or function with a given name
+ * @param name {string}
+ * @returns {Array}
+ */
+function getOperatorOverloads(name) {
+  return OperatorRegistry.get(name)?.slice() ?? []
+}
+
+/**
+ * Get the names of all registered functions and constants, i.e. all operators besides those emitted by the parser, in
+ * order of registration
+ * @returns {Array}
+ */
+function getFunctionNames() {
+  return Array.from(OperatorRegistry.keys()).filter(name => !parserOperatorNames.includes(name))
+}
+
+/**
+ * Get the operator or function with a given name and number of arguments, used when the types of the arguments are not
+ * known. This is the first registered overload with that number of arguments (for the built-in operators, the overload
+ * accepting reals). Throws if there is no such operator.
+ * @param name {string} An op emitted by the parser, like "+" or "and", or a function name, like "sin"
+ * @param argCount {number}
+ * @returns {Operator}
+ */
+function getDefaultOperator(name, argCount) {
+  const candidates = getOperatorOverloads(name)
+
+  if (candidates.length === 0)
+    throw new TypeError("Unknown operator or function " + name)
+
+  const operator = candidates.find(operator => operator.signature.length === argCount)
+
+  if (!operator)
+    throw new TypeError(`Operator or function ${name} does not accept ${argCount} argument${argCount === 1 ? "" : "s"}`)
+
+  return operator
+}
+
+/**
+ * Get the constant with a given name, which is an operator or function taking no arguments (like pi), or null if there is
+ * no such constant
+ * @param name {string}
+ * @returns {Operator|null}
+ */
+function getConstant(name) {
+  return getOperatorOverloads(name).find(operator => operator.signature.length === 0) ?? null
+}
+
+/**
+ * Find all overloads of an operator accepting the given argument types, possibly after casting some of them, ranked from
+ * best to worst. Each result is an object { operator, casts, cost }, where casts[i] is the Typecast to apply to the ith
+ * argument, or null if it needn't be cast. Overloads are ranked by the total cost of their casts, then by the number of
+ * casts, so exact matches always come first.
+ * @param name {string}
+ * @param argTypes {Array} Types of the arguments
+ * @returns {Array}
+ */
+function rankOverloads(name, argTypes) {
+  argTypes = argTypes.map(type => Type.from(type))
+
+  const results = []
+
+  for (const operator of getOperatorOverloads(name)) {
+    if (operator.signature.length !== argTypes.length)
+      continue
+
+    const casts = operator.signature.map((type, i) => type.equals(argTypes[i]) ? null : getTypecast(argTypes[i], type))
+
+    if (!casts.every((cast, i) => cast || operator.signature[i].equals(argTypes[i])))
+      continue
+
+    const castCount = casts.filter(cast => cast).length
+    const cost = casts.reduce((total, cast) => total + (cast ? cast.cost : 0), 0)
+
+    results.push({ operator, casts, cost, castCount })
+  }
+
+  return results.sort((r1, r2) => (r1.cost - r2.cost) || (r1.castCount - r2.castCount))
+}
+
+/**
+ * Find the best overload of an operator accepting the given argument types; see rankOverloads. Returns null if there is
+ * no such overload, and throws if the best overload is ambiguous.
+ * @param name {string}
+ * @param argTypes {Array}
+ * @returns {null|{operator: Operator, casts: Array, cost: number}}
+ */
+function findOverload(name, argTypes) {
+  const ranked = rankOverloads(name, argTypes)
+  const [best, second] = ranked
+
+  if (best && second && best.cost === second.cost && best.castCount === second.castCount)
+    throw new TypeError(`Ambiguous call to ${name} with arguments (${argTypes.join(", ")}); candidates are ` +
+      `${best.operator.toString()} and ${second.operator.toString()}`)
+
+  return best ?? null
+}
+
+export {
+  BuiltinOperators,
+  OperatorRegistry,
+  OperatorFunctions,
+  registerOperator,
+  unregisterOperator,
+  registerFunction,
+  getOperatorOverloads,
+  getFunctionNames,
+  getDefaultOperator,
+  getListOperator,
+  getConstant,
+  rankOverloads,
+  findOverload
+}
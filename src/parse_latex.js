@@ -0,0 +1,614 @@
+import {errorInString, singleEditFix} from "./parser_error.js"
+import {
+  checkParensBalanced,
+  insertImplicitMultiplication,
+  inverseFunctions,
+  isIndexable,
+  isValidVariableName
+} from "./expression_tokenizer.js"
+import {parseTokens} from "./parse_string.js"
+import {greekLetters, latexFunctionCommands, unescapeLatexText} from "./latex.js"
+
+// Commands which are skipped, like spacing
+const ignoredCommands = [",", ":", ";", "!", " ", "quad", "qquad", "displaystyle", "textstyle"]
+
+// Commands which are operators, and the operators they emit
+const operatorCommands = {
+  cdot: "*",
+  times: "*",
+  div: "/",
+  le: "<=",
+  leq: "<=",
+  leqslant: "<=",
+  ge: ">=",
+  geq: ">=",
+  geqslant: ">=",
+  ne: "!=",
+  neq: "!=",
+  lt: "<",
+  gt: ">",
+  land: "and",
+  wedge: "and",
+  lor: "or",
+  vee: "or"
+}
+
+// Operators written as characters, longest first, and the operators they emit
+const operatorCharacters = [["!=", "!="], ["<=", "<="], [">=", ">="], ["==", "=="], ["!!", "!!"], ["+", "+"],
+  ["-", "-"], ["*", "*"], ["/", "/"], ["!", "!"], ["=", "=="], ["<", "<"], [">", ">"]]
+
+// Delimiters which may follow \left and \right, and the parens they correspond to
+const delimiters = {
+  "(": "(",
+  ")": ")",
+  "[": "[",
+  "]": "]",
+  "|": "|",
+  "\\vert": "|",
+  "\\lvert": "|",
+  "\\rvert": "|"
+}
+
+/**
+ * Convert a LaTeX string into tokens of the same form as those of expressionTokenizer, with indices into the LaTeX.
+ * Constructs without a token equivalent are rewritten: \frac{a}{b} emits the tokens of ((a)/(b)), \sqrt[n]{x} those of
+ * ((x)^(1/(n))), and x^{a + b} those of x^(a + b). Single letters are separate variables, so xy is x * y. As in
+ * expressions, brackets directly following an operand index it, as in a\left[1:3\right], and a period followed by a
+ * name is a property access, as in a.x.
+ * @param string {string}
+ * @returns {Array}
+ */
+function latexTokenizer(string) {
+  const length = string.length
+  let index = 0
+
+  // Whether each open bracket indexes an operand, innermost last, so that colons inside indexing brackets are slices
+  const brackets = []
+
+  const paren = (paren, index) => ({type: "paren", paren, index, pID: -1})
+  const operator = (op, index) => ({type: "operator_token", op, index, implicit: false})
+  const number = (value, index, endIndex) => ({type: "number", value, index, endIndex})
+  const variable = (name, index, endIndex) => ({type: "variable", name, index, endIndex})
+
+  /**
+   * Add a paren or bracket from the source to tokens, marking brackets which follow an operand as indexing it
+   * @param tokens {Array}
+   * @param token {Object}
+   */
+  function pushParen(tokens, token) {
+    if (token.paren === "[" && isIndexable(tokens[tokens.length - 1]))
+      token.indexing = true
+
+    if (token.paren === "(" || token.paren === "[")
+      brackets.push(!!token.indexing)
+    else if (token.paren === ")" || token.paren === "]")
+      brackets.pop()
+
+    tokens.push(token)
+  }
+
+  /**
+   * Find the command whose backslash is at start. Commands are a backslash followed by either letters or a single
+   * other character.
+   * @param start {number}
+   * @returns {{name: string, end: number}} end is the index after the command
+   */
+  function peekCommand(start) {
+    let end = start + 1
+
+    while (end < length && /[A-Za-z]/.test(string[end]))
+      ++end
+
+    if (end === start + 1 && end < length)
+      ++end
+
+    return {name: string.slice(start + 1, end), end}
+  }
+
+  // Skip whitespace and spacing commands
+  function skipWhitespace() {
+    while (index < length) {
+      if (/\s/.test(string[index])) {
+        ++index
+      } else if (string[index] === "\\" && ignoredCommands.includes(peekCommand(index).name)) {
+        index = peekCommand(index).end
+      } else {
+        break
+      }
+    }
+  }
+
+  /**
+   * Read the tokens up to the end of the string or, if closingIndex isn't -1, up to the closing character (which is
+   * consumed) of the group opened at closingIndex
+   * @param openingIndex {number}
+   * @param closing {string}
+   * @returns {Array}
+   */
+  function readSequence(openingIndex = -1, closing = "}") {
+    const tokens = []
+
+    while (true) {
+      skipWhitespace()
+
+      if (index >= length) {
+        if (openingIndex !== -1)
+          throw errorInString(string, length, "Unbalanced braces", "", {
+            code: "unbalanced-brace",
+            related: [{index: openingIndex, endIndex: openingIndex, message: "Unclosed " + string[openingIndex]}],
+            fixes: [singleEditFix("Close the brace", length, 0, closing)]
+          })
+
+        return tokens
+      }
+
+      if (string[index] === closing && openingIndex !== -1) {
+        ++index
+
+        return tokens
+      }
+
+      if (string[index] === "}")
+        throw errorInString(string, index, "Unbalanced braces", "Note: Perhaps remove the brace?",
+          {code: "unbalanced-brace", fixes: [singleEditFix("Remove the brace", index, 1)]})
+
+      readItem(tokens)
+    }
+  }
+
+  /**
+   * Read a group in braces, starting at the opening brace
+   * @returns {{tokens: Array, index: number, endIndex: number}}
+   */
+  function readGroup() {
+    const start = index++
+    const tokens = readSequence(start)
+
+    return {tokens, index: start, endIndex: index - 1}
+  }
+
+  /**
+   * Read the contents of a group in braces as text, starting at the opening brace
+   * @param what {string} What the text is for, for error messages
+   * @returns {{text: string, index: number, endIndex: number}}
+   */
+  function readText(what) {
+    skipWhitespace()
+
+    if (string[index] !== "{")
+      throw errorInString(string, index, "Expected { after " + what, "", {code: "expected-argument"})
+
+    const start = index
+    let depth = 0
+
+    for (; index < length; ++index) {
+      const char = string[index]
+
+      if (char === "\\") {
+        ++index // escaped character
+      } else if (char === "{") {
+        ++depth
+      } else if (char === "}" && --depth === 0) {
+        ++index
+
+        return {text: string.slice(start + 1, index - 1), index: start, endIndex: index - 1}
+      }
+    }
+
+    throw errorInString(string, length, "Unbalanced braces", "", {
+      code: "unbalanced-brace",
+      related: [{index: start, endIndex: start, message: "Unclosed {"}],
+      fixes: [singleEditFix("Close the brace", length, 0, "}")]
+    })
+  }
+
+  /**
+   * Read the argument of a command or ^, which is a group in braces, a command, or a single digit or letter (so x^23 is
+   * x^2 * 3)
+   * @param what {string} What the argument is for, for error messages
+   * @returns {{tokens: Array, index: number, endIndex: number}}
+   */
+  function readArgument(what) {
+    skipWhitespace()
+
+    const start = index
+    const char = string[index]
+    const tokens = []
+
+    if (index >= length)
+      throw errorInString(string, start, "Expected argument of " + what, "", {code: "expected-argument"})
+    if (char === "{")
+      return readGroup()
+
+    if (char === "\\") {
+      readCommand(tokens)
+    } else if (/[0-9]/.test(char)) {
+      tokens.push(number(char, index, index))
+      ++index
+    } else if (/[A-Za-z]/.test(char)) {
+      tokens.push(variable(char, index, index))
+      ++index
+    } else {
+      throw errorInString(string, start, "Expected argument of " + what, "", {code: "expected-argument"})
+    }
+
+    return {tokens, index: start, endIndex: index - 1}
+  }
+
+  /**
+   * The tokens of an argument, parenthesized unless it is a single number or variable
+   * @param arg {{tokens: Array, index: number, endIndex: number}}
+   * @returns {Array}
+   */
+  function wrap(arg) {
+    const tokens = arg.tokens
+
+    if (tokens.length === 1 && (tokens[0].type === "number" || tokens[0].type === "variable"))
+      return tokens
+
+    return [paren("(", arg.index), ...tokens, paren(")", arg.endIndex)]
+  }
+
+  /**
+   * Read a subscript of a variable, like the 1 in x_1 or the max in v_{max}, returning the suffix to add to the
+   * variable's name, like "_1", or "" if there is no subscript
+   * @returns {string}
+   */
+  function readSubscript() {
+    if (string[index] !== "_")
+      return ""
+
+    const start = index++
+    let subscript
+
+    if (string[index] === "{") {
+      subscript = readText("_").text.trim()
+    } else {
+      subscript = string[index] ?? ""
+      ++index
+    }
+
+    if (!/^[A-Za-z0-9]+$/.test(subscript))
+      throw errorInString(string, start, "Invalid subscript", "Note: Subscripts of variables may only contain letters and digits.",
+        {code: "invalid-subscript"})
+
+    return "_" + subscript
+  }
+
+  // Read items until the parentheses, brackets or bars opened by the first item are closed
+  function readBracketed(tokens) {
+    let depth = 0
+
+    do {
+      const before = tokens.length
+
+      readItem(tokens)
+
+      for (let i = before; i < tokens.length; ++i) {
+        const token = tokens[i]
+
+        if (token.type === "paren")
+          depth += (token.opening ?? (token.paren === "|" ? depth === 0 : "([".includes(token.paren))) ? 1 : -1
+      }
+
+      skipWhitespace()
+    } while (depth > 0 && index < length && string[index] !== "}")
+  }
+
+  /**
+   * Read the argument of a function without parentheses, like the 2x in \sin 2x, into tokens. The argument extends over
+   * numbers, letters, Greek letters, powers and factorials.
+   * @param tokens {Array}
+   * @param what {string} What the argument is for, for error messages
+   * @returns {number} The index of the end of the argument
+   */
+  function readBareArgument(tokens, what) {
+    skipWhitespace()
+
+    if (index >= length || string[index] === "}")
+      throw errorInString(string, index, "Expected argument of " + what, "", {code: "expected-argument"})
+
+    if ("|[".includes(string[index]) || string.startsWith("\\left", index)) {
+      readBracketed(tokens)
+
+      return tokens[tokens.length - 1].index
+    }
+
+    let end
+
+    do {
+      readItem(tokens)
+      end = index - 1
+      skipWhitespace()
+    } while (index < length && (/[A-Za-z0-9.^!]/.test(string[index]) ||
+      (string[index] === "\\" && greekLetters.includes(peekCommand(index).name))))
+
+    return end
+  }
+
+  /**
+   * Read a function call, like \sin\left(x\right), \sin x or \sin^{2} x, whose name has been read. A power between the
+   * name and the argument applies to the result, so \sin^{2} x is (\sin x)^2, except that a power of -1 on a
+   * trigonometric or hyperbolic function is its inverse, so \sin^{-1} x is arcsin(x).
+   * @param tokens {Array}
+   * @param name {string}
+   * @param start {number} The index of the function's name
+   */
+  function readFunction(tokens, name, start) {
+    skipWhitespace()
+
+    let power = null
+
+    if (string[index] === "^") {
+      const caret = index++
+
+      power = {caret, arg: readArgument("^")}
+      skipWhitespace()
+    }
+
+    // \sin^{-1} x is the inverse function, arcsin(x)
+    if (power && inverseFunctions[name] && power.arg.tokens.length === 2 && power.arg.tokens[0].op === "-" &&
+      power.arg.tokens[1].value === "1") {
+      name = inverseFunctions[name]
+      power = null
+    }
+
+    const call = [{type: "function_token", name, index: start}]
+    let end
+
+    if (string[index] === "(" || string.startsWith("\\left(", index)) {
+      readBracketed(call)
+      end = call[call.length - 1].index
+    } else {
+      const argStart = index
+      const arg = []
+
+      end = readBareArgument(arg, name)
+      call.push(paren("(", argStart), ...arg, paren(")", end))
+    }
+
+    if (power)
+      tokens.push(paren("(", start), ...call, paren(")", end), operator("^", power.caret), ...wrap(power.arg))
+    else
+      tokens.push(...call)
+  }
+
+  /**
+   * Read a \left or \right delimiter, whose command has been read
+   * @param tokens {Array}
+   * @param opening {boolean} Whether this is a \left
+   * @param start {number} The index of the command
+   */
+  function readDelimiter(tokens, opening, start) {
+    skipWhitespace()
+
+    const delimiterStart = index
+    let delimiter
+
+    if (string[index] === "\\") {
+      const command = peekCommand(index)
+
+      delimiter = "\\" + command.name
+      index = command.end
+    } else {
+      delimiter = string[index++] ?? ""
+    }
+
+    const parenType = delimiters[delimiter]
+
+    if (!parenType)
+      throw errorInString(string, delimiterStart, "Unsupported delimiter " + delimiter,
+        "Note: Supported delimiters are " + Object.keys(delimiters).join(" "), {code: "unsupported-delimiter"})
+
+    const token = paren(parenType, opening ? start : index - 1)
+
+    if (parenType === "|")
+      token.opening = opening
+
+    pushParen(tokens, token)
+  }
+
+  /**
+   * Read a command, starting at its backslash
+   * @param tokens {Array}
+   */
+  function readCommand(tokens) {
+    const start = index
+    const {name, end} = peekCommand(index)
+
+    index = end
+
+    if (greekLetters.includes(name)) {
+      tokens.push(variable(name + readSubscript(), start, index - 1))
+      return
+    }
+
+    if (operatorCommands[name]) {
+      tokens.push(operator(operatorCommands[name], start))
+      return
+    }
+
+    if (latexFunctionCommands.includes(name)) {
+      readFunction(tokens, name, start)
+      return
+    }
+
+    switch (name) {
+      case "frac":
+      case "dfrac":
+      case "tfrac": {
+        const numerator = readArgument("\\" + name)
+        const denominator = readArgument("\\" + name)
+
+        tokens.push(paren("(", start), ...wrap(numerator), operator("/", denominator.index), ...wrap(denominator),
+          paren(")", denominator.endIndex))
+        break
+      }
+      case "sqrt": {
+        skipWhitespace()
+
+        if (string[index] === "[") {
+          // \sqrt[n]{x} is x^(1/n)
+          const degreeStart = index++
+          const degree = {tokens: readSequence(degreeStart, "]"), index: degreeStart, endIndex: index - 1}
+          const radicand = readArgument("\\sqrt")
+
+          tokens.push(paren("(", start), ...wrap(radicand), operator("^", degreeStart), paren("(", degreeStart),
+            number("1", degreeStart, degreeStart), operator("/", degreeStart), ...wrap(degree),
+            paren(")", degree.endIndex), paren(")", radicand.endIndex))
+        } else {
+          const radicand = readArgument("\\sqrt")
+
+          tokens.push({type: "function_token", name: "sqrt", index: start}, paren("(", radicand.index),
+            ...radicand.tokens, paren(")", radicand.endIndex))
+        }
+
+        break
+      }
+      case "overline": {
+        // The complex conjugate
+        const arg = readArgument("\\overline")
+
+        tokens.push({type: "function_token", name: "conj", index: start}, paren("(", arg.index), ...arg.tokens,
+          paren(")", arg.endIndex))
+        break
+      }
+      case "operatorname":
+      case "mathrm":
+      case "mathit": {
+        const {text, index: textIndex} = readText("\\" + name)
+        const fullName = unescapeLatexText(text).trim()
+
+        if (!isValidVariableName(fullName))
+          throw errorInString(string, textIndex + 1, "Invalid name " + fullName, "", {code: "invalid-name"})
+
+        skipWhitespace()
+
+        // \operatorname is always a function; \mathrm and \mathit are functions if they are called
+        if (name === "operatorname" || string[index] === "(" || string.startsWith("\\left(", index))
+          readFunction(tokens, fullName, start)
+        else
+          tokens.push(variable(fullName + readSubscript(), start, index - 1))
+
+        break
+      }
+      case "text": {
+        const {text} = readText("\\text")
+
+        tokens.push({type: "string", contents: unescapeLatexText(text), index: start, endIndex: index - 1, quote: 0,
+          src: "string"})
+        break
+      }
+      case "left":
+      case "right":
+        readDelimiter(tokens, name === "left", start)
+        break
+      case "lvert":
+      case "rvert":
+        tokens.push(Object.assign(paren("|", start), {opening: name === "lvert"}))
+        break
+      case "vert":
+        tokens.push(paren("|", start))
+        break
+      case "mapsto":
+      case "to":
+        tokens.push({type: "arrow_function_token", index: start})
+        break
+      default:
+        throw errorInString(string, start, "Unknown LaTeX command \\" + name, "",
+          {code: "unknown-command", endIndex: start + name.length})
+    }
+  }
+
+  /**
+   * Read a property access, like .x in a.x or .\mathit{re} in z.\mathit{re}, starting at the period. The property is
+   * written like a variable.
+   * @param tokens {Array}
+   */
+  function readPropertyAccess(tokens) {
+    const start = index++
+    const name = []
+
+    readItem(name)
+
+    if (name.length !== 1 || name[0].type !== "variable")
+      throw errorInString(string, start + 1, "Expected a property name", "",
+        {code: "invalid-property", endIndex: index - 1})
+
+    tokens.push({type: "property_access", prop: name[0].name, index: start, endIndex: index - 1})
+  }
+
+  // Read the next item, which may emit any number of tokens
+  function readItem(tokens) {
+    const start = index
+    const char = string[index]
+
+    if (char === "\\") {
+      readCommand(tokens)
+    } else if (char === "{") {
+      tokens.push(...wrap(readGroup()))
+    } else if (char === "^") {
+      ++index
+      tokens.push(operator("^", start), ...wrap(readArgument("^")))
+    } else if (char === "." && isIndexable(tokens[tokens.length - 1]) && /[A-Za-z\\]/.test(string[index + 1] ?? "")) {
+      readPropertyAccess(tokens)
+    } else if (/[0-9.]/.test(char)) {
+      const value = /^(\d+\.?\d*|\.\d+)/.exec(string.slice(index))?.[0]
+
+      if (!value)
+        throw errorInString(string, start, "Unrecognized token", "", {code: "unrecognized-token"})
+
+      index += value.length
+      tokens.push(number(value, start, index - 1))
+    } else if (/[A-Za-z]/.test(char)) {
+      ++index
+      tokens.push(variable(char + readSubscript(), start, index - 1))
+    } else if ("()[]|".includes(char)) {
+      ++index
+      pushParen(tokens, paren(char, start))
+    } else if (char === ":" && brackets[brackets.length - 1]) {
+      ++index
+      tokens.push({type: "colon", index: start, slice: true})
+    } else if (char === ",") {
+      ++index
+      tokens.push({type: "comma", index: start})
+    } else {
+      const op = operatorCharacters.find(([chars]) => string.startsWith(chars, index))
+
+      if (!op)
+        throw errorInString(string, start, (char === "_") ? "Unexpected subscript" : "Unrecognized token", "",
+          {code: (char === "_") ? "unexpected-subscript" : "unrecognized-token"})
+
+      index += op[0].length
+      tokens.push(operator(op[1], start))
+    }
+  }
+
+  return readSequence()
+}
+
+/**
+ * Convert a LaTeX formula, like \frac{1}{2}x^{2} or \sin\left(x\right), into the same dict representation of its AST
+ * as parseString, so that it can be passed to objectToNode. Errors are thrown with indices into the LaTeX.
+ * @param string {string}
+ * @param options {Object} implicitMultiplication (default true) and maxExpressionDepth (default Infinity), as for
+ *   parseString
+ * @returns {Object|null}
+ */
+function parseLatex(string, options = {}) {
+  options = Object.assign({
+    implicitMultiplication: true,
+    maxExpressionDepth: Infinity
+  }, options)
+
+  let tokens = latexTokenizer(string)
+
+  checkParensBalanced(string, tokens)
+
+  if (options.implicitMultiplication)
+    tokens = insertImplicitMultiplication(tokens)
+
+  return parseTokens(string, tokens, options)
+}
+
+export {parseLatex}
@@ -1,6 +1,7 @@
 import {expressionTokenizer} from "./expression_tokenizer.js"
-import {errorInString, getErrorInStringMessage, ParserError} from "./parser_error.js"
-import {applyToNodesRecursively} from "./traverse_nodes"
+import {errorInString, ParserError, singleEditFix} from "./parser_error.js"
+import {applyToNodesRecursively} from "./traverse_nodes.js"
+import {DefaultOperatorTable, OperatorTable} from "./operator_table.js"
 
 /**
  * Apply a function func to all pairs of an array
@@ -26,38 +27,85 @@ function pairwise(arr, func, includeEnds = true, rtl = false) {
 }
 
 /**
- * Apply a function func to all triples in an array
+ * Apply a function func to all triples in an array. Replacements take constant time, so a whole pass takes time linear
+ * in the length of the array, however many elements are replaced.
  * @param arr {Array}
- * @param func {Function} Signature is (elem1, elem2, elem3, elem2index, replaceWith)
+ * @param func {Function} Signature is (elem1, elem2, elem3, elem2index, replaceWith(subarr, keepLast))
  * @param includeEnds {boolean} Whether to call func with the additional calls (undefined, first, second), (penultimate, last, undefined)
  * @param rtl {boolean} Whether to make the calls from left to right or right to left
  */
 function triplewise(arr, func, includeEnds = true, rtl = true) {
   let lower = includeEnds ? 0 : 1
-  let upper = arr.length - lower - 1
-  let i = rtl ? upper : lower
+  let i = rtl ? arr.length - lower - 1 : lower
+
+  // The array is split into two stacks at index max(i - 1, 0), where replacements happen: before holds the elements
+  // before the split, in order, and after holds the rest, in reverse order, so that arr[i - 1] (or arr[0], if i is 0)
+  // is on top. Moving i by one moves one element between the stacks.
+  const before = []
+  const after = []
+
+  const split = () => Math.max(i - 1, 0)
+  const length = () => before.length + after.length
+
+  // Get the element at index j, which must be at most two after the split
+  const at = j => (j < 0) ? undefined : after[after.length - 1 - (j - before.length)]
+
+  function moveSplit() {
+    const target = split()
+
+    while (before.length < target && after.length)
+      before.push(after.pop())
+    while (before.length > target)
+      after.push(before.pop())
+  }
 
   /**
    * Function that might be called by func. Calling it with an array will replace the elements between i-1 and i+1,
-   * inclusive, with a subarray. This could definitely be optimized a lot.
+   * inclusive, with a subarray.
    * @param subarr {Array}
+   * @param keepLast {boolean} Whether the last element, which subarr ends with, should be the middle element of the
+   *   next call when iterating left to right, as when a postfix operator is followed by another
    */
-  function replaceWith(subarr) {
-    // Replace arr[i-1] through arr[i+1] with subarr
-    if (i === 0)
-      arr.splice(0, 2, ...subarr.slice(1))
-    else if (i === arr.length - 1)
-      arr.splice(arr.length - 2, 3, ...subarr.slice(0, 2))
-    else
-      arr.splice(i - 1, 3, ...subarr)
-
-    if (subarr.length === 1) // If this is the case we need to change i
+  function replaceWith(subarr, keepLast = false) {
+    moveSplit()
+
+    // Replace arr[i-1] through arr[i+1] with subarr. At the ends of the array, the undefined elements of subarr are
+    // dropped.
+    let removed = 3
+
+    if (i === 0) {
+      removed = 2
+      subarr = subarr.slice(1)
+    } else if (i === length() - 1) {
+      subarr = subarr.slice(0, 2)
+    }
+
+    after.length = Math.max(after.length - removed, 0)
+
+    for (let j = subarr.length - 1; j >= 0; --j)
+      after.push(subarr[j])
+
+    if (subarr.length === 1 || keepLast) // If this is the case we need to change i
       --i
   }
 
-  // i is the index of the middle element. Iterate either LTR or RTL
-  for (; rtl ? (i >= lower) : (i <= arr.length - lower - 1); rtl ? (--i) : (++i)) {
-    func(arr[i - 1], arr[i], arr[i + 1], i, replaceWith)
+  for (let j = arr.length - 1; j >= 0; --j)
+    after.push(arr[j])
+
+  try {
+    // i is the index of the middle element. Iterate either LTR or RTL
+    for (; rtl ? (i >= lower) : (i <= length() - lower - 1); rtl ? (--i) : (++i)) {
+      moveSplit()
+      func(at(i - 1), at(i), at(i + 1), i, replaceWith)
+    }
+  } finally {
+    // Write the result back into arr
+    arr.length = 0
+
+    for (const elem of before)
+      arr.push(elem)
+    for (let j = after.length - 1; j >= 0; --j)
+      arr.push(after[j])
   }
 }
 
@@ -69,19 +117,6 @@ function isSimpleVariable(str) {
   return !!/[A-Za-z_][A-Za-z0-9_]*/.exec(str)
 }
 
-/**
- * Return an error for when an arrow function with ambiguous arguments is given
- * @param typeAnnotation
- * @returns {string}
- */
-function getDisallowedArrowFunctionArgErr(typeAnnotation) {
-  const varName = typeAnnotation.children[0]
-  const typename = typeAnnotation.children[1]
-
-  return `Note: Arrow function arguments of the form \"${varName}: ${typename} -> ...\" are ` +
-    `disallowed because of potential ambiguity. Make it explicit with \"(${varName}): ${typename} -> ...\" or \"(${varName}: ${typename}) -> ...\".`
-}
-
 /**
  * Throw an error if the node is too deep
  * @param root {Object}
@@ -90,11 +125,36 @@ function getDisallowedArrowFunctionArgErr(typeAnnotation) {
 function checkExprDepth(root, maxDepth) {
   applyToNodesRecursively(root, (_node, _parent, depth) => {
     if (depth > maxDepth)
-      throw new ParserError("Expression is too deeply nested! Max depth of " + maxDepth + " exceeded." +
-        "\nNote: The max expression depth can be raised, and is in fact Infinity by default.")
+      throw new ParserError("Expression is too deeply nested! Max depth of " + maxDepth + " exceeded.", {
+        code: "max-depth-exceeded",
+        note: "Note: The max expression depth can be raised, and is in fact Infinity by default."
+      })
   })
 }
 
+/**
+ * Create an error node, which stands in for a broken region of the expression in the tolerant mode of parseString (see
+ * parseStringTolerant). Its children are whatever could be parsed in the region.
+ * @param diagnostic {Object} The diagnostic of the error; see errorInString
+ * @param children {Array}
+ * @param index {number} The first index of the region, by default that of the diagnostic
+ * @param endIndex {number} The last index of the region, by default that of the diagnostic
+ * @returns {Object}
+ */
+function createErrorNode(diagnostic, children = [], index = diagnostic.index, endIndex = diagnostic.endIndex) {
+  return {type: "error", message: diagnostic.message, index, endIndex, children}
+}
+
+/**
+ * Create a suggested fix removing a token or node from the string; see ParserError
+ * @param message {string} Description of the fix
+ * @param node {Object}
+ * @returns {Object}
+ */
+function removalFix(message, node) {
+  return singleEditFix(message, node.index, getEndingIndex(node) - node.index + 1)
+}
+
 /**
  * Takes in a string and args node and returns an arguments node. This node has the following form:
  * {type: "arrow_signature", index: (start index), endIndex: (end index), vars: (array of var tokens), types: (array of type tokens,
@@ -136,11 +196,12 @@ function processArrowFunctionSignature(string, args) {
     case "type_annotation":
       const realArgs = args.children[0]
 
-      if (realArgs.type !== "node") {
-        // Special note for the case  x: type -> ..., which is disallowed due to ambiguity
-        const note = realArgs.type === "variable" ? getDisallowedArrowFunctionArgErr(args) : ""
-        throw errorInString(string, realArgs.index, "Invalid argument list", note)
-      }
+      // The case  x: type -> ..., a single typed argument, like (x: type) -> ...
+      if (realArgs.type === "variable")
+        return processArrowFunctionSignature(string, {type: "node", index: args.index, children: [args]})
+
+      if (realArgs.type !== "node")
+        throw errorInString(string, realArgs.index, "Invalid argument list", "", {code: "invalid-arrow-arguments"})
 
       const ret = processArrowFunctionSignature(string, realArgs)
       const returnType = ret.returnType = args.children[1]
@@ -155,11 +216,14 @@ function processArrowFunctionSignature(string, args) {
       // Iterate through arguments and add them to vars/types
       for (const item of args.children) {
         if (item.type === "typename")
-          throw errorInString(string, item.index, "Unexpected typename in arrow function arguments")
+          throw errorInString(string, item.index, "Unexpected typename in arrow function arguments", "",
+            {code: "invalid-arrow-arguments", endIndex: getEndingIndex(item)})
         else if (item.type === "node")
-          throw errorInString(string, item.index, "Unexpected subexpression in arrow function arguments")
+          throw errorInString(string, item.index, "Unexpected subexpression in arrow function arguments", "",
+            {code: "invalid-arrow-arguments", endIndex: getEndingIndex(item)})
         else if (item.type === "colon")
-          throw errorInString(string, item.index, "Unexpected colon in arrow function arguments")
+          throw errorInString(string, item.index, "Unexpected colon in arrow function arguments", "",
+            {code: "invalid-arrow-arguments", endIndex: getEndingIndex(item)})
         else if (item.type === "comma") {
         }
         // Commas aren't processed, so we can just ignore it
@@ -168,7 +232,8 @@ function processArrowFunctionSignature(string, args) {
 
           // Make sure the variable has a valid name
           if (!isSimpleVariable(item.name))
-            throw errorInString(string, item.index, "Arguments to an arrow function cannot be namespaced")
+            throw errorInString(string, item.index, "Arguments to an arrow function cannot be namespaced", "",
+              {code: "namespaced-arrow-argument", endIndex: getEndingIndex(item)})
 
           vars.push(item)
           const endingIndex = getEndingIndex(item) + 1
@@ -186,12 +251,14 @@ function processArrowFunctionSignature(string, args) {
 
           // Make sure the variable has a valid name
           if (!isSimpleVariable(variable.name))
-            throw errorInString(string, item.index, "Arguments to an arrow function cannot be namespaced")
+            throw errorInString(string, item.index, "Arguments to an arrow function cannot be namespaced", "",
+              {code: "namespaced-arrow-argument", endIndex: getEndingIndex(item)})
 
           vars.push(variable)
           types.push(type)
         } else {
-          throw errorInString(string, item.index, "Unexpected token in arrow function arguments")
+          throw errorInString(string, item.index, "Unexpected token in arrow function arguments", "",
+            {code: "invalid-arrow-arguments", endIndex: getEndingIndex(item)})
         }
       }
 
@@ -208,7 +275,7 @@ function processArrowFunctionSignature(string, args) {
       }
     }
     default:
-      throw errorInString(string, args.index, "Invalid arrow function arguments")
+      throw errorInString(string, args.index, "Invalid arrow function arguments", "", {code: "invalid-arrow-arguments"})
   }
 }
 
@@ -233,28 +300,34 @@ function processArrowFunctionSignature(string, args) {
  * Only tokens:
  *   comma: { type: "comma", index: (number) }
  *     Description: corresponds to a comma in the original source.
- *   paren: { type: "paren", index: (number), paren: '(' | ')' | '[' | ']' | '|', opening: (boolean) }
+ *   paren: { type: "paren", index: (number), paren: '(' | ')' | '[' | ']' | '|', opening: (boolean), indexing?: true }
  *     Description: corresponds to a parenthesis, bracket or vertical bar in the original source.
  *     Properties:
  *       paren: a string representing which type of parenthesis the paren token is
  *       opening: a boolean representing whether the paren is an opening paren or closing paren. Most useful with vertical bars
+ *       indexing: set on a [ directly following an operand, as in a[1], which indexes the operand
+ *   colon: { type: "colon", index: (number), slice?: true }
+ *     Description: corresponds to a colon, which precedes a typename, or if slice is set, separates the bounds of a slice
  *   function_token: { type: "function_token", index: (number), name: (string) }
  *     Description: corresponds to a function declaration, not including the subsequent opening parenthesis.
  *     Properties:
  *       name: a string containing the function's name
- *   property_access: { type: "property_access", index: (number), prop: (string) }
+ *   property_access: { type: "property_access", index: (number), endIndex?: (number), prop: (string) }
  *     Description: corresponds to a property access.
  *     Properties:
  *       prop: a string containing what property to access
- *   operator_token: { type: "operator_token", index: (number), op: (string), implicit: (boolean) }
+ *   operator_token: { type: "operator_token", index: (number), op: (string), implicit: (boolean), text?: (string) }
  *     Properties:
  *       op: a string containing the operator itself
  *       implicit: whether the operator was implicitly added or explicitly done by the user
+ *       text: the operator as written, if it differs from op, like ≤ for <=
  * Only nodes:
- *   node: { type: "node", index: (number), endIndex: (number), parenType: '' | '(' | '[' | '|', children: (Array)}
+ *   node: { type: "node", index: (number), endIndex: (number), parenType: '' | '(' | '[' | '|', children: (Array),
+ *     indexing?: true }
  *     Description: a generic node, corresponding to a processed or unprocessed parenthesized expression in the source.
  *     Properties:
  *       parenType: a string containing the opening parenthesis of the node
+ *       indexing: whether the node is the brackets of an indexing or slice, as in a[1]; see the indexing paren token
  *   function: { type: "function", index: (number), endIndex: (number), children: (Array),
  *     parenInfo: { index: (number), endIndex: (number), verticalBar: (boolean) }}
  *     Description: a processed function call
@@ -263,26 +336,25 @@ function processArrowFunctionSignature(string, args) {
  *       parenInfo.endIndex: the index of the closing parenthesis of the function call
  *       parenInfo.verticalBar: (only used for | ... | style abs declarations) whether the function is instantiated from
  *         a vertical bar
- *   operator: { type: "operator", index: (number), endIndex: (number), children: (Array), op: (string), implicit: (boolean) }
+ *   operator: { type: "operator", index: (number), endIndex: (number), children: (Array), op: (string), implicit: (boolean),
+ *     operatorTable?: (OperatorTable) }
  *     Description: a processed operation
  *     Properties:
  *       op: a string containing the operation itself
  *       implicit: whether the operator was generated implicitly
+ *       operatorTable: the table the operator was parsed with, if it isn't DefaultOperatorTable
+ *     An indexing a[i] is an operator "[]" with children [a, i], and a slice a[i:j] is an operator "[:]" with children
+ *     [a, i, j]. Their ranges include the closing bracket.
  *   arrow_function
  *
  *   type_annotation
+ *
+ *   error: { type: "error", index: (number), endIndex: (number), message: (string), children: (Array) }
+ *     Description: a broken region of the expression, only emitted by parseStringTolerant
+ *     Properties:
+ *       message: the message of the corresponding diagnostic
  */
 
-// Check whether an operator (as a string) could be a prefix operator
-function couldBePrefixOp(op) {
-  return op === '-' || op === '+'
-}
-
-// Check whether an op could be a postfix operator. Note that this is actually always the case, unlike the previous fn
-function couldBePostfixOp(op) {
-  return op === '!' || op === '!!'
-}
-
 /**
  * Split an array by those elements of the array which satisfy func.
  * @param arr
@@ -326,20 +398,27 @@ function processFunctionArguments(arr) {
     return []
 
   // Split the arguments across commas and merge each group into a node
-  return splitByFunction(arr, node => node.type === "comma").map(subnode => {
-    if (subnode.length === 0)
-      throw new ParserError("This should never happen.")
-    if (subnode.length === 1) // this will happen in cases like f(3), where the subnode(s) can be expressed as a single token
-      return subnode[0]
+  return splitByFunction(arr, node => node.type === "comma").map(mergeIntoNode)
+}
 
-    return {
-      type: "node",
-      index: subnode[0].index,
-      endIndex: getEndingIndex(subnode),
-      parenType: "",
-      children: subnode
-    }
-  })
+/**
+ * Merge a nonempty array of tokens/nodes, like a function argument, into a single node without parentheses
+ * @param arr {Array}
+ * @returns {Object}
+ */
+function mergeIntoNode(arr) {
+  if (arr.length === 0)
+    throw new ParserError("This should never happen.")
+  if (arr.length === 1) // this will happen in cases like f(3), where the argument can be expressed as a single token
+    return arr[0]
+
+  return {
+    type: "node",
+    index: arr[0].index,
+    endIndex: getEndingIndex(arr),
+    parenType: "",
+    children: arr
+  }
 }
 
 /**
@@ -377,7 +456,10 @@ export function nodeToString(node) {
     case "comma":
       return ', '
     case "function":
-      return node.name + parenthesizeString('(', node.children.map(nodeToString).join(''))
+      if (node.parenInfo?.verticalBar)
+        return parenthesizeString('|', node.children.map(nodeToString).join(''))
+
+      return node.name + parenthesizeString('(', node.children.map(nodeToString).join(', '))
     case "function_token":
     case "variable":
       return node.name
@@ -386,24 +468,33 @@ export function nodeToString(node) {
     case "number":
       return node.value
     case "operator":
+      if (node.op === "cchain")
+        return node.children.map(nodeToString).join(' ')
+      if (node.op === "[]" || node.op === "[:]")
+        return nodeToString(node.children[0]) + parenthesizeString('[', node.children.slice(1).map(nodeToString).join(':'))
+
       switch (node.children.length) {
         case 1:
-          if (couldBePostfixOp(node.op)) {
+          // Postfix operators come after their operand
+          if (node.index > getStartingIndex(node.children[0])) {
             return nodeToString(node.children) + node.op
           } else {
             return node.op + nodeToString(node.children)
           }
         case 2:
-          return nodeToString(node.children[0]) + node.op + nodeToString(node.children[1])
+          return nodeToString(node.children[0]) + (node.implicit ? ' ' : node.op) + nodeToString(node.children[1])
         default:
           throw new Error("Operator somehow has arity that's not one or two??")
       }
     case "type_annotation":
       return `${nodeToString(node.children[0])}: ${nodeToString(node.children[1])}`
     case "arrow_function":
-      return `${nodeToString(node.arguments)} -> ${nodeToString(node.children)}`
-    case "arrow_signature":
-      return `(${node.vars.map((v, i) => nodeToString(v) + ': ' + nodeToString(node.types[i])).join(', ')}): ${nodeToString(node.returnType)}`
+      return `${nodeToString(node.signature)} -> ${nodeToString(node.children)}`
+    case "arrow_signature": {
+      const returnType = node.returnType ? ': ' + nodeToString(node.returnType) : ''
+
+      return `(${node.vars.map((v, i) => nodeToString(v) + ': ' + nodeToString(node.types[i])).join(', ')})${returnType}`
+    }
     case "typename":
       return node.typename
     case "operator_token":
@@ -412,9 +503,11 @@ export function nodeToString(node) {
       return '.' + node.prop
     case "paren":
       return node.paren
-    case "string":
-      const quote = (string.quote === 1) ? "'" : ((string.quote === 0) ? '"' : '')
-      return `${quote}${string.contents}${quote}`
+    case "string": {
+      const quote = (node.quote === 1) ? "'" : ((node.quote === 0) ? '"' : '')
+
+      return `${quote}${node.contents}${quote}`
+    }
     case "arrow_function_token":
       return "->"
     case "colon":
@@ -430,7 +523,7 @@ export function nodeToString(node) {
  * @returns {number}
  */
 function getStartingIndex(node) {
-  return node.index ?? (node.children ? node.children[0].index : NaN)
+  return node.index ?? (node.children ? getStartingIndex(node.children[0]) : NaN)
 }
 
 /**
@@ -464,7 +557,7 @@ function getEndingIndex(node) {
       return node.index + node.value.length - 1
     case "operator":
     case "operator_token":
-      return node.index + node.op.length - 1
+      return node.index + (node.text ?? node.op).length - 1
     case "property_access":
       return node.index + node.prop.length
     case "string":
@@ -515,46 +608,106 @@ function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1)
 }
 
-// Operator passes
-const firstOperatorPass = [{"ops": {"postfixes": ["!", "!!"]}, "rtl": false}, {
-  "ops": {
-    "unaries": ["+", "-"],
-    "binaries": ["^"]
-  }, "rtl": true
-}, {"ops": {"binaries": ["*", "/"]}, "rtl": false}, {
-  "ops": {"binaries": ["+", "-"]},
-  "rtl": false
-}, {"ops": {"binaries": ["and", "or"]}, "rtl": false}]
-const secondOperatorPass = [{"ops": {"binaries": ["==", "!=", "<", ">", "<=", ">="]}, "rtl": false}]
+/**
+ * Get the precedence of an operator in an operator table, by default the default one; see OperatorTable.getPrecedence.
+ * Nodes are printed with the precedences of the table they were parsed with.
+ * @param op {string}
+ * @param kind {string} "binary", "unary" (aka prefix), "postfix" or "cchain"
+ * @param operators {OperatorTable}
+ * @returns {{precedence: number, rtl: boolean}|null}
+ */
+export function getOperatorPrecedence(op, kind, operators = DefaultOperatorTable) {
+  return operators.getPrecedence(op, kind)
+}
 
 /**
  * Convert string into a dict representation of its AST.
  *
  * There are three types of operators: prefix (aka unary), postfix (also unary, but I won't call it that), and binary.
  * Most operators are, of course, binary. Prefix operators include - and +. Postfix operators include ! and !! (double
- * factorial).
+ * factorial). The operators, their precedences and their associativities are given by options.operators, an
+ * OperatorTable or a list of operator definitions (see OperatorTable), which defaults to DefaultOperatorTable.
  * @param string
  * @param options
  */
 function parseString(string, options = {}) {
+  // Default opts
+  options = Object.assign({
+    implicitMultiplication: true,
+    maxTemplateDepth: expressionTokenizer.DEFAULT_MAX_TEMPLATE_DEPTH, // 16 by default
+    maxExpressionDepth: Infinity
+  }, options)
+
+  // Built once, for both the tokenizer and the operator passes
+  options.operators = OperatorTable.from(options.operators)
+
+  // Step 1
+  const tokens = expressionTokenizer(string, options)
+
+  return parseTokens(string, tokens, options)
+}
+
+/**
+ * Parse string like parseString, but instead of throwing on the first error, collect as many errors as possible and
+ * return them along with a best-effort AST. Broken regions of the expression, like the missing operand in x + or an
+ * unclosed parenthesis, are represented by error nodes (see createErrorNode). Each diagnostic is the structured data of
+ * an error, { code, message, note, index, endIndex, related, fixes }, as returned by ParserError.diagnostic. Errors
+ * which can't be recovered from end parsing, in which case root is null.
+ * @param string {string}
+ * @param options {Object} As for parseString
+ * @returns {{root: Object|null, diagnostics: Array}}
+ */
+function parseStringTolerant(string, options = {}) {
+  const diagnostics = []
+  let root = null
+
+  try {
+    root = parseString(string, Object.assign({}, options, {diagnostics}))
+  } catch (e) {
+    if (!(e instanceof ParserError))
+      throw e
+
+    const diagnostic = e.diagnostic
+
+    // Errors without a location, like exceeding maxExpressionDepth, apply to the whole string
+    if (diagnostic.index === undefined)
+      Object.assign(diagnostic, {index: 0, endIndex: Math.max(string.length - 1, 0)})
+
+    diagnostics.push(diagnostic)
+  }
+
+  return {root, diagnostics}
+}
+
+/**
+ * Convert a list of tokens, as returned by expressionTokenizer, into a dict representation of its AST. This lets other
+ * syntaxes, like LaTeX (see parseLatex), produce the same AST as parseString by emitting the same tokens. The tokens
+ * must have been checked by checkParensBalanced. Their indices are into string, which is used for error messages.
+ * @param string {string}
+ * @param tokens {Array}
+ * @param options {Object} Only maxExpressionDepth, diagnostics and operators are used
+ * @returns {Object|null}
+ */
+function parseTokens(string, tokens, options = {}) {
   // The parsing steps are as follows:
-  // 1. Tokenize (this includes checking for balanced parens)
+  // 1. Tokenize (this includes checking for balanced parens); done by the caller, e.g. parseString
   // 2. Check certain common token patterns that will certainly lead to errors later
   //   a. operator followed by non-unary operator or closing parenthesis
   //   b. unary operator or opening parenthesis followed by non-unary operator
   // 3. Collapse parenthesized expressions into subnodes, recursively, keeping track of the paren types
   // 4. Convert | ... | into abs( ... )
   // 5. Process functions: convert f(node) into f{node.split(comma)}
-  // 6. Process property accesses from right to left
+  // 6. Process property accesses and indexing, from left to right
   // 7. Process type annotations
   // 8. Process operators recursively
-  //   a. Double factorials and factorials, in the same pass, from left to right
-  //   b. Exponentiation and unary minus/plus, in the same pass, from right to left
-  //   c. Multiplication and division, in the same pass, from left to right
-  //   d. Addition and subtraction, in the same pass, from left to right
-  //   e. and and or, in the same pass, from left to right
-  //   f. Chained comparison operators -> cchain
-  //   g. Comparison operators (==, !=, <, >, <=, >=), in the same pass, from left to right
+  //   a. Operators binding more tightly than the comparisons, one pass per precedence (see OperatorTable). By default:
+  //     i. Double factorials and factorials, in the same pass, from left to right
+  //     ii. Exponentiation and unary minus/plus, in the same pass, from right to left
+  //     iii. Multiplication and division, in the same pass, from left to right
+  //     iv. Addition and subtraction, in the same pass, from left to right
+  //     v. and and or, in the same pass, from left to right
+  //   b. Chained comparison operators (the chainable operators of the table) -> cchain
+  //   c. Comparison operators (==, !=, <, >, <=, >=) and any looser operators, one pass per precedence
   // 9. Process arrow functions into nodes of the form { type: "arrow_function", signature: (arrow_signature node), children:
   //   [ ... single item, the return value of the function ... ] }
   // 10. Check for spurious commas or empty subexpressions
@@ -562,15 +715,27 @@ function parseString(string, options = {}) {
   // 12. Add index / endIndex information to all nodes
   // 13. (optional) Party!
 
-  // Default opts
-  options = Object.assign({
-    implicitMultiplication: true,
-    maxTemplateDepth: expressionTokenizer.DEFAULT_MAX_TEMPLATE_DEPTH, // 16 by default
-    maxExpressionDepth: Infinity
-  }, options)
+  const maxExprDepth = options.maxExpressionDepth ?? Infinity
+  const operators = OperatorTable.from(options.operators)
 
-  // Step 1
-  const tokens = expressionTokenizer(string, options)
+  // In tolerant mode, errors are recorded in this array instead of thrown; see parseStringTolerant
+  const diagnostics = options.diagnostics ?? null
+
+  /**
+   * Throw error, or in tolerant mode, record it and return its diagnostic so that the caller can recover
+   * @param error {ParserError}
+   * @returns {Object}
+   */
+  function report(error) {
+    if (!diagnostics)
+      throw error
+
+    const diagnostic = error.diagnostic
+
+    diagnostics.push(diagnostic)
+
+    return diagnostic
+  }
 
   // If there are no tokens, return null
   if (tokens.length === 0)
@@ -591,61 +756,115 @@ function parseString(string, options = {}) {
   const extraCommaHelp = "Note: Perhaps remove the comma? Note that Grapheme does not have default arguments; extraneous commas cannot be used to omit a function argument."
   const dumbPropertyAccess = "Note: Perhaps remove the property access, or have it access some value?"
 
+  // In tolerant mode, error nodes to insert into tokens to stand in for missing operands and arguments, like the one
+  // after the + in (x +), keyed by their position in tokens
+  const missingOperands = new Map()
+
+  // The diagnostics of the tokens step 2 has reported, keyed by token
+  const reportedTokens = new Map()
+
+  // Descriptions of the tokens step 2 may suggest removing
+  const removableTokens = {operator_token: "operator", comma: "comma", property_access: "property access"}
+
+  /**
+   * Report an error about a missing operand or argument, which goes before tokens[position]
+   * @param position {number}
+   * @param token {Object} The offending token, which the suggested fix removes
+   * @param code {string} The code of the error; see ParserError
+   * @param message {string}
+   * @param note {string}
+   */
+  function missingOperand(position, token, code, message, note) {
+    // Only one error is reported at each position, like in strict mode
+    if (diagnostics && missingOperands.has(position))
+      return
+
+    // A token missing operands on both sides, like the comma in f(,), is only reported once, but both get error nodes
+    let diagnostic = reportedTokens.get(token)
+
+    if (!diagnostic) {
+      diagnostic = report(errorInString(string, token.index, message, note, {
+        code,
+        endIndex: getEndingIndex(token),
+        fixes: [removalFix("Remove the " + removableTokens[token.type], token)]
+      }))
+
+      reportedTokens.set(token, diagnostic)
+    }
+
+    missingOperands.set(position, createErrorNode(diagnostic))
+  }
+
   // Step 2: check common errors
-  pairwise(tokens, (tok1, tok2) => {
+  pairwise(tokens, (tok1, tok2, i) => {
     // Types of each token
     const type1 = tok1?.type
     const type2 = tok2?.type
 
-    // a. Check for operators followed by non-unary operators or closing parenthesis
+    // Commas and the colons of slices, as in a[1:2], separate subexpressions
+    const separator1 = type1 === "comma" || (type1 === "colon" && tok1.slice)
+    const separator2 = type2 === "comma" || (type2 === "colon" && tok2.slice)
+
+    // a. Check for operators, other than postfix operators as in 3! * 2, followed by non-unary operators or closing
+    // parenthesis
     if (type1 === "operator_token") {
       if (type2 === "operator_token") {
-        if (!couldBePrefixOp(tok2.op))
-          throw errorInString(string, tok2.index, "Operator followed by non-unary operator", "Note: Perhaps remove one of the operators?")
-      } else if (type2 === "paren" && !couldBePrefixOp(tok1.op)) {
+        if (!operators.isPrefix(tok2.op) && !operators.isPostfix(tok1.op))
+          missingOperand(i + 1, tok2, "consecutive-operators", "Operator followed by non-unary operator",
+            "Note: Perhaps remove one of the operators?")
+      } else if (type2 === "paren" && !operators.isPostfix(tok1.op)) {
         if (!tok2.opening)
-          throw errorInString(string, tok1.index, "Operator immediately followed by closing parenthesis", trailingOperatorHelp)
+          missingOperand(i + 1, tok1, "trailing-operator", "Operator immediately followed by closing parenthesis",
+            trailingOperatorHelp)
       }
     }
 
-    // b. Check for non-unary operators after opening parens, after commas, or at the beginning of the expression
-    if (type2 === "operator_token" && !couldBePrefixOp(tok2.op)) {
+    // b. Check for non-unary operators after opening parens, after commas or slice colons, or at the beginning of the
+    // expression
+    if (type2 === "operator_token" && !operators.isPrefix(tok2.op)) {
       if (!tok1)
-        throw errorInString(string, tok2.index, "Non-unary operator starting an expression", startingOperatorHelp)
-      else if ((type1 === "paren" && tok1.opening) || type1 === "comma")
-        throw errorInString(string, tok2.index, "Non-unary operator starting a " +
+        missingOperand(i + 1, tok2, "leading-operator", "Non-unary operator starting an expression", startingOperatorHelp)
+      else if ((type1 === "paren" && tok1.opening) || separator1)
+        missingOperand(i + 1, tok2, "leading-operator", "Non-unary operator starting a " +
           ((type1 === "paren") ? "parenthesized " : '') + "subexpression", startingOperatorHelp)
     }
 
-    // c. Check for non-postfix operators before closing parens, before commas, or at the end of an expression
-    if (type1 === "operator_token" && !couldBePostfixOp(tok1.op)) {
+    // c. Check for non-postfix operators before closing parens, before commas or slice colons, or at the end of an
+    // expression
+    if (type1 === "operator_token" && !operators.isPostfix(tok1.op)) {
       if (!tok2)
-        throw errorInString(string, tok1.index, "Trailing operator at end of expression", startingOperatorHelp)
-      else if ((type2 === "paren" && !tok2.opening) || type2 === "comma")
-        throw errorInString(string, tok1.index, "Trailing operator at end of " +
+        missingOperand(i + 1, tok1, "trailing-operator", "Trailing operator at end of expression", startingOperatorHelp)
+      else if ((type2 === "paren" && !tok2.opening) || separator2)
+        missingOperand(i + 1, tok1, "trailing-operator", "Trailing operator at end of " +
           ((type2 === "paren") ? "parenthesized " : '') + "subexpression", startingOperatorHelp)
     }
 
     // d. No starting commas in a subexpression
     if (type2 === "comma") {
       if (!tok1 || (type1 === "paren" && tok1.opening))
-        throw errorInString(string, tok2.index, "Comma at start of " + (tok1 ? "parenthesized subexpression" : "expression"), extraCommaHelp)
+        missingOperand(i + 1, tok2, "misplaced-comma", "Comma at start of " +
+          (tok1 ? "parenthesized subexpression" : "expression"), extraCommaHelp)
       else if (type1 === "comma")
-        throw errorInString(string, tok2.index, "Consecutive commas (empty subexpression)", extraCommaHelp)
+        missingOperand(i + 1, tok2, "empty-argument", "Consecutive commas (empty subexpression)", extraCommaHelp)
     }
 
     // e. No ending commas in a subexpression
-    if (type1 === "comma" && (!tok2 || (type2 === "paren" && !tok1.opening))) {
-      throw errorInString(string, tok1.index, "Comma at end of " + (tok2 ? "parenthesized subexpression" : "expression"), "Note: Perhaps remove the comma?")
+    if (type1 === "comma" && (!tok2 || (type2 === "paren" && !tok2.opening))) {
+      missingOperand(i + 1, tok1, "misplaced-comma", "Comma at end of " +
+        (tok2 ? "parenthesized subexpression" : "expression"), "Note: Perhaps remove the comma?")
     }
 
     // f. No random ass property accesses (after opening parens, operators, commas)
     if (type2 === "property_access") {
       if ((type1 === "paren" && tok1.opening) || !tok1 || type1 === "comma" || type1 === "operator_token")
-        throw new errorInString(string, tok2.index, "Property access on nothing", dumbPropertyAccess)
+        missingOperand(i + 1, tok2, "property-access-on-nothing", "Property access on nothing", dumbPropertyAccess)
     }
   }, true)
 
+  // Insert the error nodes from right to left, so that the positions of the remaining ones stay valid
+  Array.from(missingOperands.keys()).sort((a, b) => b - a)
+    .forEach(position => tokens.splice(position, 0, missingOperands.get(position)))
+
   // Step 3: Collapse parenthesized expressions into their own nodes, keeping track of the paren types and indices.
   // The way we do this is iterate over the tokens, keeping track of each pID's location. When we come across a closing
   // paren, we look up the location of its corresponding starting paren and collapse the tokens in between into a node
@@ -674,7 +893,8 @@ function parseString(string, options = {}) {
         const cLoc = startingParenLocations.get(pID)
 
         if (!cLoc) // should never happen, but just in case...
-          throw errorInString(string, token.index, "Unbalanced parenthesis/brackets/vertical bars")
+          throw errorInString(string, token.index, "Unbalanced parenthesis/brackets/vertical bars", "",
+            {code: "unbalanced-paren"})
 
         // The index, in newTokens, of the first node of this subexpression
         const ntIndex = cLoc.ntIndex
@@ -693,6 +913,14 @@ function parseString(string, options = {}) {
           children: tokensBetween
         }
 
+        if (startingToken.indexing)
+          node.indexing = true
+
+        // In tolerant mode, a paren left open is closed at the end of the string (see checkParensBalanced). The node
+        // is wrapped in an error node before step 12.
+        if (token.unclosed)
+          node.unclosed = token.unclosed
+
         // Remove the old tokens/nodes that we are parenthesizing
         newTokens.splice(newTokens.length - tokensBetween.length)
 
@@ -734,6 +962,9 @@ function parseString(string, options = {}) {
           endIndex: child.endIndex,
           children: child.children
         }
+
+        if (child.unclosed)
+          children[i].unclosed = child.unclosed
       }
     }
   }, false, false, true)
@@ -759,9 +990,18 @@ function parseString(string, options = {}) {
       const type2 = e2?.type
 
       if (type1 === "function_token") {
+        if (type2 !== "node" && e1.text === '√') {
+          throw errorInString(string, e1.index, "Square root without an operand",
+            "Note: The operand of √ is a number, variable, function call or parenthesized expression, optionally " +
+            "followed by an exponent. Parenthesize other operands, as in √(-x).", {code: "missing-root-operand"})
+        }
+
         if (type2 !== "node") { // This shouldn't ever happen, but just in case...
           throw errorInString(string, e1.index, "Function declaration without corresponding arguments in parentheses",
-            "Note: Add \"()\" after the function declaration to make this a proper function call.")
+            "Note: Add \"()\" after the function declaration to make this a proper function call.", {
+              code: "function-without-arguments",
+              fixes: [singleEditFix("Add \"()\"", getEndingIndex(e1) + 1, 0, "()")]
+            })
         }
 
         // New function node
@@ -778,6 +1018,9 @@ function parseString(string, options = {}) {
           children: processFunctionArguments(e2.children)
         }
 
+        if (e2.unclosed)
+          newNode.unclosed = e2.unclosed
+
         newChildren.push(newNode)
         skipNextPair() // We want to consume the two tokens, so we skip to the next pair
       } else {
@@ -788,13 +1031,83 @@ function parseString(string, options = {}) {
     node.children = newChildren
   }, true, false, true)
 
-  // Step 6: Process property accesses from right to left.
-  // Property accesses are abstracted as {type: "operator", op: ".", children: [ obj, string: prop ]}.
+  /**
+   * Convert an indexing bracket node following obj, as in a[i] or a[i:j], into an indexing or slice operator (see the
+   * node documentation). In tolerant mode, an invalid index is replaced by an error node containing obj and the bounds.
+   * @param obj {Object}
+   * @param brackets {Object}
+   * @returns {Object}
+   */
+  function processIndexing(obj, brackets) {
+    const index = getStartingIndex(obj)
+    const endIndex = brackets.endIndex
+
+    // Split the contents across slice colons, keeping empty bounds
+    const bounds = [[]]
+    const colons = []
+
+    for (const child of brackets.children) {
+      if (child.type === "colon" && child.slice) {
+        bounds.push([])
+        colons.push(child)
+      } else {
+        bounds[bounds.length - 1].push(child)
+      }
+    }
+
+    const comma = brackets.children.find(child => child.type === "comma")
+    let error = null
+
+    if (brackets.children.length === 0) {
+      error = errorInString(string, brackets.index, "Empty index", "Note: Perhaps put an index inside the brackets?", {
+        code: "empty-index",
+        endIndex
+      })
+    } else if (comma) {
+      error = errorInString(string, comma.index, "Index containing a comma", "Note: Lists are indexed by a single " +
+        "index, as in a[1], or sliced by two bounds separated by a colon, as in a[1:3].", {
+        code: "comma-in-index",
+        fixes: [removalFix("Remove the comma", comma)]
+      })
+    } else if (colons.length > 1) {
+      error = errorInString(string, colons[1].index, "Unexpected colon in slice", "Note: A slice has two bounds, as in " +
+        "a[1:3].", {code: "unexpected-colon", fixes: [removalFix("Remove the colon", colons[1])]})
+    } else if (bounds.some(bound => bound.length === 0)) {
+      const missingAfter = bounds[0].length !== 0
+
+      error = errorInString(string, colons[0].index, "Missing " + (missingAfter ? "end" : "start") + " of slice",
+        "Note: Both bounds of a slice are required, as in a[1:3].", {code: "missing-slice-bound"})
+    }
+
+    if (error) {
+      const children = [obj, ...bounds.flatMap(bound => splitByFunction(bound, child => child.type === "comma"))
+        .map(mergeIntoNode)]
+
+      return createErrorNode(report(error), children, index, endIndex)
+    }
+
+    const node = {
+      type: "operator",
+      op: (bounds.length === 1) ? "[]" : "[:]",
+      index,
+      endIndex,
+      children: [obj, ...bounds.map(mergeIntoNode)]
+    }
+
+    if (brackets.unclosed)
+      node.unclosed = brackets.unclosed
+
+    return node
+  }
+
+  // Step 6: Process property accesses and indexing, from left to right, so that chains like a.b[1].c and m[i][j] are
+  // nested correctly. Property accesses are abstracted as {type: "operator", op: ".", children: [ obj, string: prop ]},
+  // and indexing as {type: "operator", op: "[]" | "[:]", children: [ obj, ...bounds ]}.
   applyToNodesRecursively(rootNode, node => {
     const children = node.children
 
-    // Early exit condition; if there are no children or no property accesses, continue
-    if (!children.some(child => child.type === "property_access"))
+    // Early exit condition; if there are no children or no property accesses or indexing, continue
+    if (!children.some(child => child.type === "property_access" || child.indexing))
       return
 
     const newChildren = []
@@ -804,6 +1117,15 @@ function parseString(string, options = {}) {
       const c1 = children[i]
       const c2 = children[i + 1]
 
+      if (c2.indexing) {
+        // The tokenizer only marks brackets following an operand
+        if (!c1)
+          throw errorInString(string, c2.index, "Indexing nothing", "", {code: "invalid-operand"})
+
+        newChildren.push(processIndexing(newChildren.pop(), c2))
+        continue
+      }
+
       // If c2 is not a property access, just push it
       if (c2.type !== "property_access") {
         newChildren.push(c2)
@@ -811,7 +1133,8 @@ function parseString(string, options = {}) {
       }
 
       if (!c1) // Should never happen
-        throw errorInString(string, c2.index, "Property access on nothing", dumbPropertyAccess)
+        throw errorInString(string, c2.index, "Property access on nothing", dumbPropertyAccess,
+          {code: "property-access-on-nothing"})
 
       const lastChild = newChildren.pop()  // pop c1. In the case of chained accesses it might be a property access
 
@@ -826,7 +1149,7 @@ function parseString(string, options = {}) {
             type: "string",
             contents: c2.prop,
             index: c2.index + 1,
-            endIndex: c2.index + c2.prop.length,
+            endIndex: getEndingIndex(c2),
             src: "property_access"
           }
         ]
@@ -843,16 +1166,35 @@ function parseString(string, options = {}) {
 
     triplewise(children, (e1, e2, e3, _, replaceWith) => {
       if (e2.type === "colon") {
-        if (!e1)
-          throw errorInString(string, e2.index, "Unexpected colon")
-        if (!e3)
-          throw errorInString(string, e2.index, "Unexpected colon: missing typename",
-            getErrorInStringMessage(string, e2.index + 1, "Note: Add typename ", "or remove the colon to assume the variable is real"))
+        let error = null
 
-        if (e1.type !== "variable" && e1.type !== "node")
-          throw errorInString(string, e1.index, "Expected variable before colon")
-        if (e3.type !== "typename")
-          throw errorInString(string, e3.index, "Expected typename after colon")
+        // Each error suggests removing the colon
+        const fixes = [removalFix("Remove the colon", e2)]
+
+        if (!e1)
+          error = errorInString(string, e2.index, "Unexpected colon", "", {code: "unexpected-colon", fixes})
+        else if (!e3)
+          error = errorInString(string, e2.index, "Unexpected colon: missing typename", "", {
+            code: "missing-typename",
+            related: [{index: e2.index + 1, endIndex: e2.index + 1,
+              message: "Add typename, or remove the colon to assume the variable is real"}],
+            fixes
+          })
+        else if (e1.type !== "variable" && e1.type !== "node")
+          error = errorInString(string, e1.index, "Expected variable before colon", "",
+            {code: "invalid-type-annotation", endIndex: getEndingIndex(e1), fixes})
+        else if (e3.type !== "typename")
+          error = errorInString(string, e3.index, "Expected typename after colon", "", {code: "missing-typename", fixes})
+
+        if (error) {
+          // In tolerant mode, replace the colon and its typename, if any, with an error node
+          const dropTypename = e3?.type === "typename"
+          const endIndex = dropTypename ? getEndingIndex(e3) : e2.index
+          const errorNode = createErrorNode(report(error), [], e2.index, endIndex)
+
+          replaceWith((e3 && !dropTypename) ? [e1, errorNode, e3] : [e1, errorNode])
+          return
+        }
 
         // Create the type annotation
         replaceWith([
@@ -874,9 +1216,15 @@ function parseString(string, options = {}) {
    * @param type {string} "binary" | "unary" | "postfix"
    */
   function checkOperandValid(operator, other, type) {
+    if (!other)
+      throw errorInString(string, operator.index, `Missing operand of ${type} operator ${operator.op}`, "",
+        {code: "missing-operand", endIndex: getEndingIndex(operator)})
+
     if (!checkIfValidOperand(other)) {
-      throw errorInString(string, operator.index, `Can't process ${type} operator ${operator.op} on node "${nodeToString(other)}"`,
-        getErrorInStringMessage(string, other.index, "Note: Operating on node"))
+      throw errorInString(string, operator.index, `Can't process ${type} operator ${operator.op} on node "${nodeToString(other)}"`, "", {
+        code: "invalid-operand",
+        related: [{index: other.index, endIndex: getEndingIndex(other), message: "Operating on node"}]
+      })
     }
   }
 
@@ -901,8 +1249,6 @@ function parseString(string, options = {}) {
         // Note 1 to self: if there is ever a unary operator evaluated LTR or a postfix operator evaluated RTL, the code
         // will have to modified slightly to correspond with the index changes. As it is, coincidentally, only binary ops
         // need the index i to be adjusted in replaceWith.
-        // Note 2 to self: This is inefficient for large inputs because .splice is O(n). Ideally this should be
-        // reimplemented in another way.
         triplewise(children, (e1, e2, e3, index, replaceWith) => {
           if (e2.type === "operator_token") { // What we are actually concerned about
             if (binaries.includes(e2.op)) {
@@ -915,9 +1261,10 @@ function parseString(string, options = {}) {
 
               replaceWith([e2])
             } else if (unaries.includes(e2.op)) {
-              // Verify that this is indeed a unary operator. This is true if e1 is falsy or an operator.
+              // Verify that this is indeed a unary operator. This is true if e1 is falsy, an operator token or an arrow
+              // (as in x -> -x). Processed operator nodes, like 3! in 3! - 2, are operands.
 
-              if (!e1 || e1.type === "operator_token" || e1.type === "operator") {
+              if (!e1 || e1.type === "operator_token" || e1.type === "arrow_function_token") {
                 checkOperandValid(e2, e3, "unary")
 
                 e2.type = "operator"
@@ -934,7 +1281,7 @@ function parseString(string, options = {}) {
                 e2.type = "operator"
                 e2.children = [e1]
 
-                replaceWith(e3 ? [e2, e3] : [e2])
+                replaceWith(e3 ? [e2, e3] : [e2], true)
               }
             }
           }
@@ -944,59 +1291,109 @@ function parseString(string, options = {}) {
   }
 
   // Step 8: Process operators recursively.
-  // 8a-e. Process non-boolean operators
-  operatorPasses = firstOperatorPass
+  const {passes, chainPass} = operators
+
+  // 8a. Process the operators binding more tightly than the comparisons
+  operatorPasses = (chainPass === -1) ? passes : passes.slice(0, chainPass)
   doIt()
 
-  // 8f. Chained comparison operators -> cchain
+  // 8b. Chained comparison operators -> cchain
   // To find cchain nodes, we search through the nodes and greedily look for node patterns like
-  // [non op] boolean op [non op] boolean op [non op] ... . Once the largest such pattern has been matched,
+  // [non op] chainable op [non op] chainable op [non op] ... . Once the largest such pattern has been matched,
   // we collapse it to a single cchain node. cchain has the following signature:
   // { type: "operator", index, endIndex, children: [ e1, string, e2, ... ], implicit: false }
-  // Because there are no other operators at this stage, the entirety of the node must be a cchain for it to be valid.
-  // Thus, we can quickly eliminate most nodes from consideration by checking if their length is >= 5 and is odd.
-  applyToNodesRecursively(rootNode, node => {
-    const children = node.children
+  // With the default operators, there are no other operators at this stage, so the entirety of the node must be a
+  // cchain, and the node itself is converted. Looser operators, like an and in a custom table, leave runs of the
+  // pattern among the children, which are replaced by new cchain nodes.
+  if (chainPass !== -1) {
+    applyToNodesRecursively(rootNode, node => {
+      const children = node.children
 
-    // This means the node can't be a cchain
-    if (children.length < 5 || children.length % 2 === 0)
-      return
+      // This means the node can't contain a cchain
+      if (children.length < 5)
+        return
 
-    for (let i = 0; i < children.length; ++i) {
-      const child = children[i]
-      const parity = i % 2 === 0  // if true, it should be a non-operator. if false, it should be a boolean operator
+      // Processed operators, like the x + 1 in x + 1 < y < z, are operands
+      const isOperand = child => child.type !== "operator_token"
+      const isChainable = child => child.type === "operator_token" && operators.isChainable(child.op)
 
-      const isOperator = child.type === "operator_token" || child.type === "operator"
+      /**
+       * Make a cchain out of a node whose children are a run, converting the chainable ops to strings
+       * @param chain {Object}
+       */
+      function makeChain(chain) {
+        const chainChildren = chain.children
 
-      if (parity === isOperator)
-        return
-    }
+        chain.type = "operator"
+        chain.op = "cchain"
+        chain.implicit = false
 
-    // If we got here, this is a cchain!
+        for (let i = 1; i < chainChildren.length; i += 2) {
+          const opNode = chainChildren[i]
 
-    // Convert the node to a cchain
-    node.type = "operator"
-    node.op = "cchain"
-    delete node.parenType
-    node.implicit = false
+          chainChildren[i] = {
+            type: "string",
+            contents: opNode.op,
+            index: opNode.index,
+            endIndex: getEndingIndex(opNode),
+            src: "operator"
+          }
+        }
+      }
+
+      // The children with the runs replaced by cchains
+      const newChildren = []
+
+      for (let start = 0; start < children.length;) {
+        if (!isOperand(children[start])) {
+          newChildren.push(children[start++])
+          continue
+        }
+
+        // Find the end of the longest run starting at start, exclusive
+        let end = start + 1
+
+        while (end + 1 < children.length && isChainable(children[end]) && isOperand(children[end + 1]))
+          end += 2
+
+        if (end - start < 5) {
+          while (start < end)
+            newChildren.push(children[start++])
+
+          continue
+        }
+
+        // If we got here, this is a cchain!
+        if (end - start === children.length) {
+          // Convert the node to a cchain
+          delete node.parenType
+          makeChain(node)
+
+          return
+        }
 
-    // Convert the boolean ops to strings
-    for (let i = 1; i < children.length; i += 2) {
-      const opNode = children[i]
+        const chain = {type: "operator", children: children.slice(start, end)}
 
-      children[i] = {
-        type: "string",
-        contents: opNode.op,
-        index: opNode.index,
-        endIndex: opNode.index + opNode.op.length - 1,
-        src: "operator"
+        chain.index = getStartingIndex(chain)
+        chain.endIndex = getEndingIndex(chain)
+        makeChain(chain)
+
+        newChildren.push(chain)
+        start = end
       }
-    }
-  }, false, false, true)
 
-  // 8g. Comparison operators (==, !=, <, >, <=, >=), in the same pass, from left to right
-  operatorPasses = secondOperatorPass
-  doIt()
+      if (newChildren.length !== children.length) {
+        children.length = 0
+
+        for (const child of newChildren)
+          children.push(child)
+      }
+    }, false, false, true)
+
+    // 8c. Comparison operators (==, !=, <, >, <=, >=) and any looser operators
+    operatorPasses = passes.slice(chainPass)
+    doIt()
+  }
 
   // Step 9: Process arrow functions: collapse node1 -> node2 into
   // { type: "arrow_function", index: node1.index, endIndex: node2.endIndex, arrowIndex: (index of ->), children:
@@ -1009,19 +1406,45 @@ function parseString(string, options = {}) {
 
     triplewise(children, (e1, e2, e3, _, replaceWith) => {
       if (e2.type === "arrow_function_token") { // YUM
+        // In tolerant mode, a broken arrow function is replaced by an error node containing the parts that exist
         if (!e1) {
-          throw errorInString(string, e2.index, "Arrow function without arguments", "Note: To make an arrow function accepting no arguments, use the syntax () -> ....")
+          const diagnostic = report(errorInString(string, e2.index, "Arrow function without arguments",
+            "Note: To make an arrow function accepting no arguments, use the syntax () -> ....", {
+              code: "arrow-without-arguments",
+              endIndex: e2.index + 1,
+              fixes: [singleEditFix("Add an empty argument list", e2.index, 0, "() ")]
+            }))
+
+          replaceWith([e1, createErrorNode(diagnostic, e3 ? [e3] : [], e2.index, e3 ? getEndingIndex(e3) : e2.index + 1)])
+          return
         } else if (!e3) {
-          throw errorInString(string, e2.index, "Arrow function without definition", "Note: Add an expression after the arrow function.")
-        }
+          const diagnostic = report(errorInString(string, e2.index, "Arrow function without definition",
+            "Note: Add an expression after the arrow function.", {code: "arrow-without-definition", endIndex: e2.index + 1}))
 
-        if (e1.type !== "node" && e1.type !== "variable" && e1.type !== "type_annotation") {
-          throw errorInString(string, e1.index, "Invalid arrow function arguments",
-            "Note: Arrow functions must be of the form () -> ..., (a: type, b) -> ..., (a: type, b): type -> ..., a -> ...." +
-            "\nVariables without annotated types are assumed to be real.")
+          replaceWith([createErrorNode(diagnostic, [e1], e1.index, e2.index + 1)])
+          return
         }
 
-        const args = processArrowFunctionSignature(string, e1)
+        let args
+
+        try {
+          if (e1.type !== "node" && e1.type !== "variable" && e1.type !== "type_annotation") {
+            throw errorInString(string, e1.index, "Invalid arrow function arguments",
+              "Note: Arrow functions must be of the form () -> ..., (a: type, b) -> ..., (a: type, b): type -> ..., a -> ...." +
+              "\nVariables without annotated types are assumed to be real.",
+              {code: "invalid-arrow-arguments", endIndex: getEndingIndex(e1)})
+          }
+
+          args = processArrowFunctionSignature(string, e1)
+        } catch (e) {
+          if (!(e instanceof ParserError))
+            throw e
+
+          const diagnostic = report(e)
+
+          replaceWith([createErrorNode(diagnostic, [e3], e1.index, getEndingIndex(e3))])
+          return
+        }
 
         const node = {
           type: "arrow_function",
@@ -1037,8 +1460,9 @@ function parseString(string, options = {}) {
     })
   }, true, true, true)
 
-  // Step 10: Parenthesized expressions cannot be empty or contain commas
-  applyToNodesRecursively(rootNode, node => {
+  // Step 10: Parenthesized expressions cannot be empty or contain commas. In tolerant mode, such an expression is
+  // replaced by an error node containing its arguments.
+  applyToNodesRecursively(rootNode, (node, parent) => {
     if (node.type === "node") {
       const subchildren = node.children
 
@@ -1057,10 +1481,13 @@ function parseString(string, options = {}) {
 
       const expressionDesc = (node === rootNode) ? "expression" : "parenthesized subexpression"
 
-      let errorMsg = issue ? ("Empty " + expressionDesc) : (capitalizeFirstLetter(expressionDesc) + ", containing a comma,")
+      const message = issue ? ("Empty " + expressionDesc) : (capitalizeFirstLetter(expressionDesc) + ", containing a comma,")
+      const code = issue ? "empty-subexpression" : "comma-in-subexpression"
+      const endIndex = getEndingIndex(node)
 
-      // Index of the paren node
-      let tokI = findTokenIndexByIndex(node.index)
+      // Index of the paren node in tokens
+      const tokI = findTokenIndexByIndex(node.index)
+      let error = null
 
       if (tokI > 0) { // means the token was found and is not the first token in the string
         const prevToken = tokens[tokI - 1]
@@ -1080,10 +1507,16 @@ function parseString(string, options = {}) {
             const prevprevToken = tokens[ppTokenI]
 
             if (prevprevToken?.type === "variable") { // Yes!
-              throw errorInString(string, tokI, errorMsg, "Note: It looks like you intended to evaluate the function " + prevprevToken.name +
+              const whitespaceIndex = getEndingIndex(prevprevToken) + 1
+
+              error = errorInString(string, node.index, message, "Note: It looks like you intended to evaluate the function " + prevprevToken.name +
                 ", but because of the whitespace between the function name and the function's arguments, it was parsed as \"" +
-                nodeToString(tokens.slice(tokI - 1 - implicitLikely, tokI + 1)) + "...\" ." +
-                getErrorInStringMessage(string, getEndingIndex(prevprevToken) + 1, "\nNote: Consider removing this whitespace", ""))
+                nodeToString(tokens.slice(tokI - 1 - implicitLikely, tokI + 1)) + "...\" .", {
+                  code,
+                  endIndex,
+                  related: [{index: whitespaceIndex, endIndex: node.index - 1, message: "Consider removing this whitespace"}],
+                  fixes: [singleEditFix("Remove the whitespace", whitespaceIndex, node.index - whitespaceIndex)]
+                })
             }
 
             break
@@ -1092,18 +1525,37 @@ function parseString(string, options = {}) {
         }
       }
 
-      if (tokI && offendingCommaOperator) {
-        errorMsg = getErrorInStringMessage(string, tokI, errorMsg, "Note: Comma")
-        tokI = offendingCommaOperator.index
+      if (!error) {
+        const commaIndex = offendingCommaOperator?.index
+
+        error = errorInString(string, node.index, message, issue ? "Note: Perhaps put an expression inside?" :
+          "Note: Perhaps remove the comma? Grapheme does not have the concept of a comma operator; commas are only valid in function calls.", {
+            code,
+            endIndex,
+            related: offendingCommaOperator ? [{index: commaIndex, endIndex: commaIndex, message: "Comma"}] : []
+          })
       }
 
-      throw errorInString(string, tokI, errorMsg, issue ? "Note: Perhaps put an expression inside?" :
-        "Note: Perhaps remove the comma? Grapheme does not have the concept of a comma operator; commas are only valid in function calls.")
+      // If step 2 already reported all the commas, as in (,), the error is only recorded in the error node
+      const commasReported = !issue && subchildren.every(child => child.type !== "comma" || reportedTokens.has(child))
+      const diagnostic = commasReported ? error.diagnostic : report(error)
+      const errorNode = createErrorNode(diagnostic, processFunctionArguments(subchildren), node.index, endIndex)
+
+      if (parent)
+        parent.children[parent.children.indexOf(node)] = errorNode
+      else
+        rootNode.children = [errorNode]
     }
   }, false, false, false)
 
-  // Step 11: Make sure there are no residual tokens
-  applyToNodesRecursively(rootNode, node => {
+  // Residual tokens which have been replaced by error nodes in tolerant mode; their children are not checked again
+  const replacedTokens = new Set()
+
+  // Step 11: Make sure there are no residual tokens. In tolerant mode, each one is replaced by an error node.
+  applyToNodesRecursively(rootNode, (node, parent) => {
+    if (replacedTokens.has(parent))
+      return
+
     switch (node.type) {
       case "comma":
       case "paren":
@@ -1113,21 +1565,61 @@ function parseString(string, options = {}) {
       case "colon":
       case "typename":
       case "arrow_function_token":
-      case "type_annotation":
-        throw errorInString(string, node.index, "Unprocessed token \"" + node.type + "\"", "Note: Perhaps remove the token?")
+      case "type_annotation": {
+        const endIndex = getEndingIndex(node)
+        const next = parent.children[parent.children.indexOf(node) + 1]
+        let error
+
+        if (node.type === "operator_token" && operators.isPostfix(node.op) && next && checkIfValidOperand(next)) {
+          // A postfix operator followed by an operand, as in x!y, which isn't an implicit multiplication
+          const symbol = node.text ?? node.op
+
+          error = errorInString(string, next.index, `Missing operator after postfix operator ${symbol}`,
+            `Note: Multiplication after a postfix operator must be written out, as in x${symbol} * y.`, {
+              code: "missing-operator",
+              related: [{index: node.index, endIndex, message: "Postfix operator"}],
+              fixes: [singleEditFix("Add \"*\"", endIndex + 1, 0, (next.index === endIndex + 1) ? " * " : " *")]
+            })
+        } else {
+          error = errorInString(string, node.index, "Unprocessed token \"" + node.type + "\"",
+            "Note: Perhaps remove the token?",
+            {code: "unprocessed-token", endIndex, fixes: [removalFix("Remove the token", node)]})
+        }
+
+        const diagnostic = report(error)
+
+        // A stray type annotation keeps its variable
+        const children = (node.type === "type_annotation") ? [node.children[0]] : []
+
+        parent.children[parent.children.indexOf(node)] = createErrorNode(diagnostic, children, node.index, endIndex)
+        replacedTokens.add(node)
+      }
     }
   }, false, false, false)
 
-  // Step 12: Provide index and endIndex information for all nodes
+  // In tolerant mode, wrap the nodes of parentheses which were never closed in error nodes (see Step 3)
+  if (diagnostics) {
+    applyToNodesRecursively(rootNode, node => {
+      node.children.forEach((child, i) => {
+        if (child.unclosed) {
+          node.children[i] = createErrorNode(child.unclosed, [child], child.index, getEndingIndex(child))
+          delete child.unclosed
+        }
+      })
+    }, true, false, true)
+  }
+
+  // Step 12: Provide index and endIndex information for all nodes, and the table of operators parsed with a custom one
   applyToNodesRecursively(rootNode, node => {
     if (node.index === undefined) {
       node.index = getStartingIndex(node)
     } else if (node.endIndex === undefined) {
       node.endIndex = getEndingIndex(node)
     }
-  }, true)
 
-  const maxExprDepth = options.maxExpressionDepth
+    if (node.type === "operator" && operators !== DefaultOperatorTable)
+      node.operatorTable = operators
+  }, true)
 
   if (maxExprDepth !== Infinity)
     checkExprDepth(rootNode, maxExprDepth)
@@ -1135,4 +1627,4 @@ function parseString(string, options = {}) {
   return rootNode
 }
 
-export {parseString}
+export {parseString, parseTokens, parseStringTolerant}
@@ -1,11 +1,82 @@
-// ParserError class; represents errors encountered while parsing expressions
+/**
+ * ParserError class; represents errors encountered while parsing expressions. The message is formatted for display, but
+ * errors also carry structured data for editors and other tools:
+ *   code: a stable identifier of the kind of error, like "unbalanced-paren" or "trailing-operator". "parse-error" if
+ *     the error has no more specific kind.
+ *   string: the string in which the error occurred, or null if unknown
+ *   index, endIndex: the range of the error in string, inclusive, or undefined if unknown
+ *   description: the message, without the location of the error
+ *   note: a hint about the error, or ""
+ *   related: other ranges relevant to the error, like the parenthesis an unbalanced one corresponds to, as objects
+ *     {index, endIndex, message}
+ *   fixes: suggested fixes, as objects {message, edits}. Each edit {index, length, text} replaces the length
+ *     characters of string at index with text, and the edits of a fix apply to the original string.
+ */
 class ParserError extends Error {
   name = "ParserError"
+
+  /**
+   * @param message {String} The message, without location information if string is given
+   * @param details {Object} The structured data of the error, as above. If string and index are given, the message is
+   *   formatted with an excerpt of string showing the error and related ranges.
+   */
+  constructor(message, details = {}) {
+    const {code = "parse-error", string = null, index, endIndex = index, note = "", related = [], fixes = []} = details
+
+    super((string !== null && index !== undefined) ? formatErrorInString(string, index, message, note, related) :
+      message + (note ? '\n' + note : ''))
+
+    this.code = code
+    this.string = string
+    this.index = index
+    this.endIndex = endIndex
+    this.description = message
+    this.note = note
+    this.related = related
+    this.fixes = fixes
+  }
+
+  /**
+   * The structured data of the error as a plain object {code, message, note, index, endIndex, related, fixes}, as
+   * collected by parseStringTolerant. message is the description of the error.
+   * @returns {Object}
+   */
+  get diagnostic() {
+    const {code, description, note, index, endIndex, related, fixes} = this
+
+    return {code, message: description, note, index, endIndex, related, fixes}
+  }
+
+  /**
+   * The error formatted for display, with excerpts of the string pointing at the error and the related ranges
+   * @returns {string}
+   */
+  toString() {
+    if (this.string === null || this.index === undefined)
+      return this.message
+
+    return formatErrorInString(this.string, this.index, this.description, this.note, this.related)
+  }
 }
 
 // The maximum length of string before the error message will include ellipses surrounding the string for brevity
 const MAX_LENGTH = 75
 
+/**
+ * Get the column at which the character at index of a line is displayed, for positioning carets. Astral characters,
+ * which take two indices, take one column, and combining marks take none, so a combining mark is pointed at by pointing
+ * at the character it modifies.
+ * @param line {string}
+ * @param index {number}
+ * @returns {number}
+ */
+function displayColumn(line, index) {
+  const isCombiningMark = char => /\p{M}/u.test(char)
+  const column = Array.from(line.slice(0, index)).filter(char => !isCombiningMark(char)).length
+
+  return (column > 0 && isCombiningMark(line.charAt(index))) ? column - 1 : column
+}
+
 /**
  * Returns the string of an error message for a given line, with an error at a given index and line number.
  * @param line
@@ -54,7 +125,7 @@ function generateErrorMessage(line, index, lineIndex, message, suggestedFix, inc
   // Synthesize the text of the error message, potentially with index and line information
   const errorMessage = message + (includeIndexInfo ? indexInfo : '') + ':'
 
-  const spaces = " ".repeat(newIndex)
+  const spaces = " ".repeat(displayColumn(excerpt, newIndex))
 
   return errorMessage + '\n' + excerpt + '\n' + spaces + "^" + (suggestedFix ? "\n" : "") + suggestedFix
 }
@@ -121,11 +192,68 @@ function getErrorInStringMessage(string, index, message = "Unknown error", sugge
 }
 
 /**
- * Get a ParserError for a given string. See getErrorInStringMessage for parameter details.
+ * Format an error in a string: the message and note, followed by an excerpt of the string for each related range
+ * @param string {String}
+ * @param index {number}
+ * @param message {String}
+ * @param note {String}
+ * @param related {Array} Related ranges, as in ParserError
+ * @returns {string}
+ */
+function formatErrorInString(string, index, message, note, related) {
+  const notes = related.map(range => getErrorInStringMessage(string, range.index, "Note: " + range.message))
+
+  if (note)
+    notes.unshift(note)
+
+  return getErrorInStringMessage(string, index, message, notes.join('\n'))
+}
+
+/**
+ * Get a ParserError for a given string
+ * @param string {String}
+ * @param index {number} The index of the error
+ * @param message {String}
+ * @param note {String} Optional string coming after the error message, suggesting how to fix the error
+ * @param details {Object} The code, endIndex, related ranges and fixes of the error; see ParserError
  * @returns {ParserError}
  */
-function errorInString(...args) {
-  return new ParserError(getErrorInStringMessage(...args))
+function errorInString(string, index, message = "Unknown error", note = "", details = {}) {
+  return new ParserError(message, Object.assign({}, details, {string, index, note}))
+}
+
+/**
+ * Create a suggested fix consisting of a single edit, which replaces length characters at index with text; see
+ * ParserError
+ * @param message {String} Description of the fix
+ * @param index {number}
+ * @param length {number}
+ * @param text {String}
+ * @returns {Object}
+ */
+function singleEditFix(message, index, length, text = "") {
+  return {message, edits: [{index, length, text}]}
+}
+
+/**
+ * Create an error about a node. If the source string of the expression is known, the error points at the node's index;
+ * either way, the error's index and endIndex properties give the range of the offending node.
+ * @param string {String|undefined} The source of the expression
+ * @param node {ASTNode}
+ * @param message {String}
+ * @param note {String}
+ * @param details {Object} The code, related ranges and fixes of the error; see ParserError
+ * @returns {ParserError}
+ */
+function nodeError(string, node, message, note = "", details = {}) {
+  const index = node.token?.index
+  const endIndex = node.token?.endIndex
+
+  if (string && index !== undefined)
+    return errorInString(string, index, message, note, Object.assign({endIndex}, details))
+
+  // The range is still useful to callers which know the string
+  return new ParserError(message, Object.assign({}, details, {index, endIndex, note}))
 }
 
 /**
@@ -146,4 +274,4 @@ function isString(s) {
   return typeof s === "string"
 }
 
-export {ParserError, errorInString, getErrorInStringMessage, isFunction, isString}
+export {ParserError, errorInString, nodeError, singleEditFix, getErrorInStringMessage, isFunction, isString}
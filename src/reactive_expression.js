@@ -0,0 +1,112 @@
+import {Expression} from "./ast_node.js"
+import {getGlobalDependencies, onVariablesChanged} from "./global_variables.js"
+
+/**
+ * An expression which tracks the global variables it depends on. Its compiled function and value are cached, and are
+ * invalidated when one of its dependencies changes, at which point its subscribers are notified. For example, a plot of
+ * a * x^2 + b can subscribe to its ReactiveExpression and redraw only when a or b (or a variable they depend on) change.
+ */
+class ReactiveExpression {
+  /**
+   * @param expression {Expression|string}
+   * @param mode {string} The compilation mode
+   * @param args {Array} Names of the arguments of the compiled function; see ASTNode.compile
+   */
+  constructor(expression, mode = "double", args = []) {
+    if (typeof expression === "string")
+      expression = Expression.from(expression)
+
+    this.expression = expression
+    this.mode = mode
+    this.args = args
+
+    // Set of the fully qualified names of the global variables the expression refers to. Changes to variables those
+    // depend on are reported as changes to them, since each change lists all the affected variables.
+    this.dependencies = getGlobalDependencies(expression, "", args)
+
+    // Cached compiled function and value (the latter only if there are no arguments)
+    this.compiled = null
+    this.value = undefined
+    this.hasValue = false
+
+    this.subscribers = new Set()
+    this.removeListener = onVariablesChanged(change => this.onVariablesChanged(change))
+  }
+
+  /**
+   * Get the compiled function, compiling it if it has been invalidated
+   * @returns {Function}
+   */
+  getFunction() {
+    if (!this.compiled)
+      this.compiled = this.expression.compile(this.mode, this.args)
+
+    return this.compiled
+  }
+
+  /**
+   * Get the value of the expression, which must have no arguments. The value is cached until a dependency changes.
+   * @returns {*}
+   */
+  getValue() {
+    if (this.args.length !== 0)
+      throw new TypeError("Cannot get the value of an expression with arguments; use getFunction instead")
+
+    if (!this.hasValue) {
+      this.value = this.getFunction()()
+      this.hasValue = true
+    }
+
+    return this.value
+  }
+
+  /**
+   * Drop the cached function and value, so that they are recomputed when next requested
+   */
+  invalidate() {
+    this.compiled = null
+    this.value = undefined
+    this.hasValue = false
+  }
+
+  /**
+   * Call callback whenever the expression is invalidated because of a change to its dependencies. callback is called
+   * with the list of the fully qualified names of the dependencies which changed, and this ReactiveExpression. Returns
+   * a function which removes the subscription.
+   * @param callback {Function}
+   * @returns {Function}
+   */
+  subscribe(callback) {
+    if (typeof callback !== "function")
+      throw new TypeError("Subscriber must be a function")
+
+    this.subscribers.add(callback)
+
+    return () => this.subscribers.delete(callback)
+  }
+
+  onVariablesChanged({ variable, dependents }) {
+    // A new definition may change which variables the expression's names refer to
+    const previous = this.dependencies
+
+    this.dependencies = getGlobalDependencies(this.expression, "", this.args)
+
+    const changed = [variable, ...dependents].filter(name => previous.has(name) || this.dependencies.has(name))
+
+    if (changed.length === 0)
+      return
+
+    this.invalidate()
+    this.subscribers.forEach(subscriber => subscriber(changed, this))
+  }
+
+  /**
+   * Stop tracking changes to global variables. The expression will no longer be invalidated.
+   */
+  dispose() {
+    this.removeListener()
+    this.subscribers.clear()
+  }
+}
+
+export { ReactiveExpression }
@@ -1,4 +1,81 @@
 
+// Lanczos approximation coefficients (g = 7, n = 9), used for the gamma function
+const lanczosCoefficients = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+]
+
+// Beyond this, gamma overflows
+const GAMMA_OVERFLOW_X = 171.62437695630272
+
+/**
+ * Gamma function on the reals, using the reflection formula for x < 0.5
+ * @param x {number}
+ * @returns {number}
+ */
+function gamma(x) {
+  if (Number.isInteger(x) && x <= 0)
+    return NaN
+
+  if (x < 0.5)
+    return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x))
+  if (x > GAMMA_OVERFLOW_X)
+    return Infinity
+
+  x -= 1
+
+  let a = lanczosCoefficients[0]
+  const t = x + 7.5
+
+  for (let i = 1; i < 9; ++i)
+    a += lanczosCoefficients[i] / (x + i)
+
+  // t^(x + 0.5) alone overflows well before gamma does, so it's split in two
+  const halfPower = Math.pow(t, (x + 0.5) / 2)
+
+  return Math.sqrt(2 * Math.PI) * halfPower * Math.exp(-t) * halfPower * a
+}
+
+/**
+ * Factorial, extended to the reals as gamma(x + 1). Exact for small nonnegative integers
+ * @param x {number}
+ * @returns {number}
+ */
+function factorial(x) {
+  if (Number.isInteger(x) && x >= 0 && x <= 170) {
+    let ret = 1
+
+    for (let i = 2; i <= x; ++i)
+      ret *= i
+
+    return ret
+  }
+
+  return gamma(x + 1)
+}
+
+/**
+ * The element of a list at index i, counting from 0, or undefined if i isn't an integer in range
+ * @param list {Array}
+ * @param i {number}
+ * @returns {*}
+ */
+function elementAt(list, i) {
+  return (Number.isInteger(i) && i >= 0 && i < list.length) ? list[i] : undefined
+}
+
+/**
+ * The elements of a list from index start up to, but not including, index end. Negative bounds are treated as 0, and
+ * bounds which aren't integers give an empty list.
+ * @param list {Array}
+ * @param start {number}
+ * @param end {number}
+ * @returns {Array}
+ */
+function sliceList(list, start, end) {
+  return (Number.isInteger(start) && Number.isInteger(end)) ? list.slice(Math.max(start, 0), Math.max(end, 0)) : []
+}
+
 const RealFunctions = {
   Add: (x, y) => x + y,
   Multiply: (x, y) => x * y,
@@ -6,9 +83,40 @@ const RealFunctions = {
   Subtract: (x, y) => x - y,
   Sin: Math.sin,
   Cos: Math.cos,
+  Tan: Math.tan,
+  Arcsin: Math.asin,
+  Arccos: Math.acos,
+  Arctan: Math.atan,
+  Sinh: Math.sinh,
+  Cosh: Math.cosh,
+  Tanh: Math.tanh,
+  Arsinh: Math.asinh,
+  Arcosh: Math.acosh,
+  Artanh: Math.atanh,
   Pow: Math.pow,
   Atan2: Math.atan2,
-  UnaryMinus: x => -x
+  Mod: (x, m) => ((x % m) + m) % m,
+  Abs: Math.abs,
+  Sqrt: Math.sqrt,
+  Exp: Math.exp,
+  Ln: Math.log,
+  Log10: Math.log10,
+  Factorial: factorial,
+  Gamma: gamma,
+  Pi: () => Math.PI,
+  E: () => Math.E,
+  UnaryMinus: x => -x,
+  UnaryPlus: x => x,
+  Equal: (x, y) => x === y,
+  NotEqual: (x, y) => x !== y,
+  Less: (x, y) => x < y,
+  Greater: (x, y) => x > y,
+  LessEqual: (x, y) => x <= y,
+  GreaterEqual: (x, y) => x >= y,
+  And: (x, y) => x && y,
+  Or: (x, y) => x || y,
+  Index: (list, i) => elementAt(list, i) ?? NaN,
+  Slice: sliceList
 }
 
-export { RealFunctions }
+export { RealFunctions, elementAt, sliceList }
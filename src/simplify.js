@@ -0,0 +1,323 @@
+import {Expression, NumberNode, OperatorNode} from "./ast_node.js"
+import {getDefaultOperator} from "./operators.js"
+
+/**
+ * Copy a node with new children. The copy keeps the node's type and resolved operator.
+ * @param node {ASTNode}
+ * @param children {Array}
+ * @returns {ASTNode}
+ */
+function copyWithChildren(node, children) {
+  const ret = Object.assign(Object.create(Object.getPrototypeOf(node)), node)
+
+  ret.children = null
+  children.forEach(child => ret.addChild(child))
+
+  return ret
+}
+
+function isRealType(type) {
+  return type.str === "real" || type.str === "int"
+}
+
+/**
+ * The value of a node if it is a real constant, i.e. a number, possibly negated and behind identity typecasts like
+ * int -> real. Otherwise null.
+ * @param node {ASTNode}
+ * @returns {number|null}
+ */
+function numericValue(node) {
+  switch (node.nodeType()) {
+    case "number":
+      return Number(node.value)
+    case "typecast":
+      return node.operator.identity ? numericValue(node.children[0]) : null
+    case "operator":
+      if (node.op === "-" && node.getChildren().length === 1 && isRealType(node.getOperator().returnType)) {
+        const value = numericValue(node.children[0])
+
+        return (value === null) ? null : -value
+      }
+  }
+
+  return null
+}
+
+/**
+ * Whether a node can replace another node without changing its type. Untyped nodes always can.
+ * @param node {ASTNode}
+ * @param original {ASTNode}
+ * @returns {boolean}
+ */
+function hasSameType(node, original) {
+  return !original.type || !!node.type?.equals(original.type)
+}
+
+/**
+ * Whether a node's value is certainly real. Untyped variables might hold anything, so an untyped node is only known to
+ * be real if it is a real constant, or a real operator whose operands are known to be real.
+ * @param node {ASTNode}
+ * @returns {boolean}
+ */
+function isKnownReal(node) {
+  if (node.type)
+    return isRealType(node.type)
+  if (numericValue(node) !== null)
+    return true
+  if (node.nodeType() !== "operator" && node.nodeType() !== "function" || node.op === "cchain")
+    return false
+
+  let operator
+
+  try {
+    operator = node.getOperator()
+  } catch (e) {
+    return false
+  }
+
+  return isRealType(operator.returnType) && operator.signature.every(isRealType) && node.getChildren().every(isKnownReal)
+}
+
+/**
+ * Whether the operand of a real operator can replace the operation when its other operand is the identity element. In
+ * an untyped expression the operand must be known to be real, since x * 1 isn't x if x is a list, say, and "s" + 0 is
+ * a type error rather than "s".
+ * @param operand {ASTNode}
+ * @param node {ASTNode}
+ * @returns {boolean}
+ */
+function canDropIdentity(operand, node) {
+  return node.type ? hasSameType(operand, node) : isKnownReal(operand)
+}
+
+/**
+ * Create a node for a constant, which replaces original. Negative constants are negated numbers, since the parser
+ * never produces negative numbers.
+ * @param value {number}
+ * @param original {ASTNode}
+ * @returns {ASTNode}
+ */
+function constantNode(value, original) {
+  const number = new NumberNode({ value: String(Math.abs(value)) })
+
+  number.type = original.type
+
+  if (value >= 0)
+    return number
+
+  const negated = new OperatorNode({ op: "-", implicit: false })
+
+  negated.addChild(number)
+
+  if (original.type) {
+    negated.type = original.type
+    negated.operator = getDefaultOperator("-", 1)
+  }
+
+  return negated
+}
+
+/**
+ * Evaluate a real operator on constant arguments in double mode. Only integer results are folded, since they are exact
+ * in every compilation mode (0.1 + 0.2 can't be folded to a double without changing its value in interval mode, say).
+ * Returns the node for the result, or null if it can't be folded.
+ * @param operator {Operator}
+ * @param values {Array} The numeric values of the arguments
+ * @param original {ASTNode} The node being replaced
+ * @returns {ASTNode|null}
+ */
+function foldConstants(operator, values, original) {
+  if (!isRealType(operator.returnType) || !operator.signature.every(isRealType))
+    return null
+
+  const func = operator.multifunction.getFunction("double")
+
+  if (!func)
+    return null
+
+  const result = func(...values)
+
+  if (!Number.isSafeInteger(result) || Object.is(result, -0))
+    return null
+
+  return constantNode(result, original)
+}
+
+/**
+ * Key by which the operands of commutative operators are sorted: constants first, then variables in alphabetical
+ * order, then everything else by structure
+ * @param node {ASTNode}
+ * @returns {string}
+ */
+function sortKey(node) {
+  if (numericValue(node) !== null)
+    return "0"
+
+  switch (node.nodeType()) {
+    case "variable":
+      return "1" + node.name
+    case "typecast":
+      return sortKey(node.children[0])
+  }
+
+  return "2" + node.nodeType() + ":" + (node.op ?? node.name ?? node.value ?? "") + "(" +
+    node.getChildren().map(sortKey).join(",") + ")"
+}
+
+/**
+ * Simplify a chain of an associative operator like a + (b + c) + d. The chain is flattened into a list of operands;
+ * constants are folded, identity elements removed and, if the operator is commutative, the operands sorted. The result
+ * is rebuilt as a left-leaning chain ((a + b) + c) + d.
+ * @param node {OperatorNode}
+ * @param operator {Operator}
+ * @param children {Array} The node's simplified children
+ * @returns {ASTNode}
+ */
+function simplifyAssociative(node, operator, children) {
+  const isSameOperator = child => child.nodeType() === node.nodeType() && child.op === node.op &&
+    child.getChildren().length === 2 && child.getOperator() === operator
+
+  let operands = []
+  const collect = child => isSameOperator(child) ? child.getChildren().forEach(collect) : operands.push(child)
+
+  children.forEach(collect)
+
+  const commutative = operator.hasProperty("commutative")
+  const isConstant = operand => numericValue(operand) !== null
+
+  // Fold constants. Commutative operators may have all their constants gathered; otherwise only adjacent constants
+  // may be combined.
+  if (commutative)
+    operands = [...operands.filter(isConstant), ...operands.filter(operand => !isConstant(operand))]
+
+  const folded = []
+
+  for (const operand of operands) {
+    const prev = folded[folded.length - 1]
+
+    if (prev && isConstant(prev) && isConstant(operand)) {
+      const result = foldConstants(operator, [numericValue(prev), numericValue(operand)], node)
+
+      if (result) {
+        folded[folded.length - 1] = result
+        continue
+      }
+    }
+
+    folded.push(operand)
+  }
+
+  operands = folded
+
+  // Remove identity elements, keeping one if it's needed to preserve the type of the result
+  if (operator.hasProperty("identity")) {
+    const isIdentity = operand => numericValue(operand) === operator.identityElement
+    const identity = operands.find(isIdentity)
+
+    operands = operands.filter(operand => !isIdentity(operand))
+
+    if (operands.length === 0)
+      return constantNode(operator.identityElement, node)
+    if (operands.length === 1 && identity && !canDropIdentity(operands[0], node))
+      operands.push(identity)
+  }
+
+  if (commutative)
+    operands.sort((a, b) => {
+      const ka = sortKey(a), kb = sortKey(b)
+
+      return (ka < kb) ? -1 : ((ka > kb) ? 1 : 0)
+    })
+
+  if (operands.length === 1 && hasSameType(operands[0], node))
+    return operands[0]
+
+  return operands.reduce((acc, operand) => copyWithChildren(node, [acc, operand]))
+}
+
+/**
+ * Simplify an operator or function node whose children have been simplified
+ * @param node {OperatorNode}
+ * @param children {Array}
+ * @returns {ASTNode}
+ */
+function simplifyOperator(node, children) {
+  let operator
+
+  try {
+    operator = node.getOperator()
+  } catch (e) {
+    // Unknown operators are left alone
+    return copyWithChildren(node, children)
+  }
+
+  if (children.length === 2 && operator.hasProperty("associative"))
+    return simplifyAssociative(node, operator, children)
+
+  const values = children.map(numericValue)
+
+  if (children.length > 0 && values.every(value => value !== null)) {
+    const folded = foldConstants(operator, values, node)
+
+    if (folded)
+      return folded
+  }
+
+  if (children.length === 2) {
+    const identity = operator.identityElement
+
+    if (operator.hasProperty("identity") && values[0] === identity && canDropIdentity(children[1], node))
+      return children[1]
+    if ((operator.hasProperty("identity") || operator.hasProperty("rightIdentity")) && values[1] === identity &&
+      canDropIdentity(children[0], node))
+      return children[0]
+  }
+
+  return copyWithChildren(node, children)
+}
+
+/**
+ * Simplify a node and its descendants, returning a new node
+ * @param node {ASTNode}
+ * @returns {ASTNode}
+ */
+function simplifyNode(node) {
+  const children = node.getChildren().map(simplifyNode)
+
+  switch (node.nodeType()) {
+    case "group":
+      // Parentheses are only needed for parsing
+      if (node.parenType === "(" && children.length === 1)
+        return children[0]
+
+      break
+    case "operator":
+    case "function":
+      if (node.op !== "cchain")
+        return simplifyOperator(node, children)
+  }
+
+  return copyWithChildren(node, children)
+}
+
+/**
+ * Simplify an expression algebraically, returning a new, smaller expression with the same value. The expression is not
+ * modified. Simplification is driven by the properties of each node's operator (see Operator):
+ *   - constant subexpressions of real operators are folded, if the result is an integer (so that folding is exact in
+ *     every compilation mode)
+ *   - identity elements are eliminated, e.g. x * 1, x + 0 and x ^ 1 become x, if x is known to be real. In an
+ *     untyped expression, variables might hold anything, so x * 1 is kept unless the expression is typed first
+ *   - chains of associative operators are flattened, so that their constants can be folded together, and the operands
+ *     of commutative operators are sorted into a canonical order, e.g. 2 + x + 3 becomes 5 + x
+ *   - redundant parentheses are removed
+ * Reassociating operations may change the rounding of results in double mode. The expression may have been typed by
+ * inferTypes, in which case types are preserved; otherwise, each node is simplified using its default operator.
+ * @param expression {Expression|string}
+ * @returns {Expression}
+ */
+export function simplify(expression) {
+  if (typeof expression === "string")
+    expression = Expression.from(expression)
+
+  return new Expression(null, simplifyNode(expression.rootNode))
+}
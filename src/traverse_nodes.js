@@ -1,4 +1,4 @@
-import {isFunction} from "./parser_error"
+import {isFunction} from "./parser_error.js"
 
 /**
  * Error raised if a cycle is detected
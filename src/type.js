@@ -1,4 +1,4 @@
-import {errorInString} from "./parser_error"
+import {errorInString} from "./parser_error.js"
 
 const matchType = /^[a-zA-Z_][a-zA-Z_0-9]*/
 
@@ -24,14 +24,14 @@ function checkAngleBracketsBalanced(string) {
         if (last === '<')
           break
 
-        throw errorInString(string, i, 'Unbalanced angle brackets in type definition')
+        throw errorInString(string, i, 'Unbalanced angle brackets in type definition', "", {code: "invalid-type"})
     }
   }
 
   if (stack.length === 0)
     return
 
-  throw errorInString(string, i, 'Unbalanced angle brackets in type definition')
+  throw errorInString(string, i, 'Unbalanced angle brackets in type definition', "", {code: "invalid-type"})
 }
 
 const tokenizerStrings = ['<', '>', '::', ',']
@@ -75,7 +75,7 @@ export function* typeTokenizer(string) {
         index: i,
         str: match[0]
       }
-    } else throw errorInString(originalString, i, 'Unrecognized token in type definition')
+    } else throw errorInString(originalString, i, 'Unrecognized token in type definition', "", {code: "invalid-type"})
 
     string = string.slice(match[0].length)
   }
@@ -107,7 +107,7 @@ function parseTypeFromTokens(tokens, originalString) {
   const overallType = tokens[0].str
 
   if (!overallType)
-    throw errorInString(originalString, tokens[0].index, "First token must be a type")
+    throw errorInString(originalString, tokens[0].index, "First token must be a type", "", {code: "invalid-type"})
 
   // If the type is just a simple string, return it
   if (tokens.length === 1)
@@ -119,7 +119,7 @@ function parseTypeFromTokens(tokens, originalString) {
   const lastToken = tokens[tokens.length - 1]
 
   if (lastToken.type !== '>')
-    throw errorInString(originalString, lastToken.index, "Last token of a template must be >")
+    throw errorInString(originalString, lastToken.index, "Last token of a template must be >", "", {code: "invalid-type"})
 
   let currentReadyForSpecialization = false
 
@@ -134,16 +134,16 @@ function parseTypeFromTokens(tokens, originalString) {
 
     if (token.type === "::") {
       if (currentReadyForSpecialization)
-        throw errorInString(originalString, token.index, "Successive ::")
+        throw errorInString(originalString, token.index, "Successive ::", "", {code: "invalid-type"})
 
       currentReadyForSpecialization = true
       const nextToken = tokens[i + 1]
 
       if (nextToken.type !== '<')
-        throw errorInString(originalString, token.index, ":: must always be followed by <")
+        throw errorInString(originalString, token.index, ":: must always be followed by <", "", {code: "invalid-type"})
     } else if (token.type === "<") {
       if (!currentReadyForSpecialization)
-        throw errorInString(originalString, token.index, "Starting angle bracket immediately after type name; probably missing ::")
+        throw errorInString(originalString, token.index, "Starting angle bracket immediately after type name; probably missing ::", "", {code: "invalid-type"})
 
       currentReadyForSpecialization = false
     } else if (token.type === ">") {
@@ -213,7 +213,10 @@ export class Type {
     if (type.str !== this.str || this.argCount() !== type.argCount())
       return false
 
-    return this.children.every((child, i) => child.equals())
+    if (!this.children)
+      return true
+
+    return this.children.every((child, i) => child.equals(type.children[i]))
   }
 
   // Whether the type has a template specialization
@@ -1,5 +1,5 @@
-import {validCompilationModes} from "./compilation_mode"
-import {Multifunction} from "./multifunction"
+import {validCompilationModes} from "./compilation_mode.js"
+import {Multifunction} from "./multifunction.js"
 
 /**
  * Provides information about a given type. Should only be used internally
@@ -8,14 +8,16 @@ export class TypeDefinition {
   constructor(params={}) {
     // Parameters:
     // name (string): The name of the type. e.g. "complex", "real", "list"
-    // checkValid (Function -> Function): A function; when passed the template arguments of the type, it will return another
-    // function which, when called with the Type instance, checks whether it is valid. This returned fn does NOT have the
-    // responsibility of checking whether its child types are valid.
-    // isInstance: Fn returning Multifunction that checks whether an object is a valid instance of this type. Note that this will include conventional
+    // supportedCompilationModes (Array): The compilation modes in which the type has a representation
+    // checkValid (Function): A function; when passed the template arguments of the type (an Array of Types), it throws
+    // if they are invalid. It does NOT have the responsibility of checking whether its child types are valid.
+    // isInstance: Fn which, when passed the template arguments, returns a Multifunction that checks whether an object is a valid instance of this type. Note that this will include conventional
     // undefined values such as null for vec2 and NaN for real
-    // isDefined: Fn returning Multifunction whether an object is a defined instance of this type. For example, vec2(NaN, y), vec2(x, NaN)
+    // isDefined: Fn which, when passed the template arguments, returns a Multifunction checking whether an object is a defined instance of this type. For example, vec2(NaN, y), vec2(x, NaN)
     // are both undefined forms of the type. list::<vec2>::isDefined([ vec2(NaN, 0), vec2(1, 1) ]) is still true though;
     // it doesn't check whether every element is defined.
+    // properties (Object): Maps the names of the properties of instances, like x and y for vec2, to their types as
+    // strings. Used for autocompletion of property accesses.
 
     this.name = params.name
     this.supportedCompilationModes = params.supportedCompilationModes
@@ -24,6 +26,8 @@ export class TypeDefinition {
     this.isInstance = params.isInstance
     this.isDefined = params.isDefined
 
+    this.properties = params.properties ?? {}
+
     this.description = params.description
   }
 }
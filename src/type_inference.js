@@ -0,0 +1,220 @@
+import {nodeError} from "./parser_error.js"
+import {Type} from "./type.js"
+import {findOverload, getConstant, getListOperator, getOperatorOverloads, rankOverloads} from "./operators.js"
+import {getTypecast} from "./typecasts.js"
+import {TypecastNode} from "./ast_node.js"
+import {getTypeDefinition, validateType} from "./types.js"
+import {getGlobalVariable} from "./global_variables.js"
+
+// Operators and functions of reals which may have complex results, used by the complex option of inferTypes
+const COMPLEX_RESULT_OPERATORS = ["sqrt", "ln", "^", "pow"]
+
+/**
+ * Wrap the ith child of a node in a TypecastNode, if a cast is given
+ * @param node {ASTNode}
+ * @param i {number}
+ * @param cast {Typecast|null}
+ */
+function applyCast(node, i, cast) {
+  if (!cast)
+    return
+
+  const castNode = new TypecastNode({ typecast: cast })
+
+  castNode.addChild(node.children[i])
+  node.children[i] = castNode
+}
+
+/**
+ * Infer the types of all nodes in an expression, resolving each operator and function to a concrete overload and
+ * inserting implicit typecasts (e.g. int -> real) where necessary. Modifies the expression's nodes in place, setting
+ * each node's type property and each OperatorNode's operator property. Throws a ParserError if an operator or function
+ * has no overload accepting its arguments.
+ *
+ * List of options:
+ *   variableTypes: Object mapping names of free variables to types (as strings or Types). Free variables whose types
+ *     are not given are the type of the constant of that name (like pi or i) if there is one, and otherwise are assumed
+ *     to be real, like unannotated arrow function arguments.
+ * @param expression {Expression}
+ * @param options {Object}
+ * @returns {Expression} The same expression
+ */
+export function inferTypes(expression, options = {}) {
+  const string = expression.string
+  const variableTypes = options.variableTypes ?? {}
+
+  const real = Type.from("real")
+  const complex = Type.from("complex")
+
+  /**
+   * Resolve the overload of an operator with given children, inserting casts
+   * @param node {ASTNode} The node whose children are the arguments
+   * @param name {String} The name of the operator
+   * @param argIndices {Array} The indices in node.children of the arguments
+   * @param errorNode {ASTNode} The node to point at if there is no such overload
+   * @returns {Operator}
+   */
+  function resolveOverload(node, name, argIndices, errorNode) {
+    const argTypes = argIndices.map(i => node.children[i].type)
+    let overload
+
+    try {
+      overload = findOverload(name, argTypes)
+    } catch (e) {
+      throw nodeError(string, errorNode, e.message, "", { code: "no-overload" })
+    }
+
+    // Functions of reals whose results may be complex, like sqrt(-1), use their complex overloads if requested
+    if (overload && options.complex && COMPLEX_RESULT_OPERATORS.includes(name))
+      overload = rankOverloads(name, argTypes).find(ranked => ranked.operator.returnType.equals(complex)) ?? overload
+
+    if (!overload) {
+      const overloads = getOperatorOverloads(name)
+      const desc = (errorNode.nodeType() === "function") ? "function" : "operator"
+
+      if (overloads.length === 0)
+        throw nodeError(string, errorNode, `Unknown ${desc} ${name}`, "", { code: "unknown-" + desc })
+
+      throw nodeError(string, errorNode, `No overload of ${desc} ${name} accepts arguments (${argTypes.join(", ")})`,
+        "Note: Available overloads are " + overloads.map(operator => operator.toString()).join(", "), { code: "no-overload" })
+    }
+
+    overload.casts.forEach((cast, j) => applyCast(node, argIndices[j], cast))
+
+    return overload.operator
+  }
+
+  /**
+   * Parse and validate a type annotation, throwing an error pointing at node if it is not a known type
+   * @param node {ASTNode}
+   * @param type {string}
+   * @returns {Type}
+   */
+  function checkedType(node, type) {
+    try {
+      return validateType(type)
+    } catch (e) {
+      throw nodeError(string, node, "Invalid type " + type, "Note: " + e.message, { code: "invalid-type" })
+    }
+  }
+
+  /**
+   * Infer the type of a node, given a scope mapping variable names to types
+   * @param node {ASTNode}
+   * @param scope {Map}
+   * @returns {Type}
+   */
+  function inferNode(node, scope) {
+    const children = node.getChildren()
+
+    switch (node.nodeType()) {
+      case "number": {
+        const value = node.value
+        const isInt = (typeof value === "string") ? /^[0-9]+$/.test(value) : Number.isInteger(value)
+
+        return Type.from(isInt ? "int" : "real")
+      }
+      case "string":
+        return Type.from("string")
+      case "variable":
+        if (scope.has(node.name))
+          return scope.get(node.name)
+        if (variableTypes.hasOwnProperty(node.name))
+          return Type.from(variableTypes[node.name])
+
+        return getConstant(node.name)?.returnType ?? getGlobalVariable(node.name)?.getType() ?? real
+      case "group":
+        if (children.length !== 1)
+          throw nodeError(string, node, "Expected a single subexpression", "", { code: "comma-in-subexpression" })
+
+        return children[0].type
+      case "typecast":
+        return node.type
+      case "arrow_function": {
+        const argTypes = node.argTypes.map(type => checkedType(node, type))
+        const innerScope = new Map(scope)
+
+        node.args.forEach((arg, i) => innerScope.set(arg, argTypes[i]))
+
+        inferAll(children[0], innerScope)
+
+        let returnType = children[0].type
+
+        if (node.returnType) {
+          const declared = checkedType(node, node.returnType)
+
+          if (!declared.equals(returnType)) {
+            const cast = getTypecast(returnType, declared)
+
+            if (!cast)
+              throw nodeError(string, node, `Arrow function returns ${returnType}, which cannot be converted to its declared return type ${declared}`,
+                "", { code: "type-mismatch" })
+
+            applyCast(node, 0, cast)
+          }
+
+          returnType = declared
+        }
+
+        return new Type("function", [returnType, ...argTypes])
+      }
+      case "operator":
+      case "function":
+        if (node.op === "cchain") {
+          // Resolve each comparison a < b in turn. An operand shared by two comparisons is cast by the first, if
+          // necessary, so the second comparison sees the cast type.
+          node.comparisonOperators = []
+
+          for (let i = 1; i < children.length; i += 2)
+            node.comparisonOperators.push(resolveOverload(node, children[i].value, [i - 1, i + 1], children[i]))
+
+          // The results are combined pairwise by the cchain operator, which takes bools
+          const bool = Type.from("bool")
+          const resultTypes = node.comparisonOperators.map(operator => operator.returnType)
+
+          if (!resultTypes.every(type => type.equals(bool)))
+            throw nodeError(string, node, `Comparisons returning (${resultTypes.join(", ")}) cannot be chained`, "",
+              { code: "no-overload" })
+
+          node.operator = findOverload("cchain", [bool, bool]).operator
+
+          return bool
+        }
+
+        // The overloads of property access take any property name, so check that the operand's type has the property
+        if (node.op === "." && children.length === 2) {
+          const property = children[1].value
+
+          if (!getTypeDefinition(children[0].type.str)?.properties.hasOwnProperty(property))
+            throw nodeError(string, children[1], `Type ${children[0].type} has no property ${property}`, "",
+              { code: "unknown-property" })
+        }
+
+        // Indexing and slices are overloaded for each list type as needed
+        if (node.op === "[]" || node.op === "[:]")
+          getListOperator(node.op, children[0].type)
+
+        node.operator = resolveOverload(node, node.op, children.map((_, i) => i), node)
+
+        return node.operator.returnType
+      default:
+        throw nodeError(string, node, "Cannot infer the type of node of type " + node.nodeType(), "", { code: "type-error" })
+    }
+  }
+
+  /**
+   * Infer the types of a node and its descendants. Arrow functions infer their own bodies, since they have a new scope.
+   * @param node {ASTNode}
+   * @param scope {Map}
+   */
+  function inferAll(node, scope) {
+    if (node.nodeType() !== "arrow_function")
+      node.getChildren().forEach(child => inferAll(child, scope))
+
+    node.type = inferNode(node, scope)
+  }
+
+  inferAll(expression.rootNode, new Map())
+
+  return expression
+}
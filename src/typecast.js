@@ -1,3 +1,6 @@
+import {Operator} from "./operator.js"
+import {Type} from "./type.js"
+
 /**
  * Abstraction of an allowed typecast from the type from to the type to
  */
@@ -5,14 +8,24 @@ export class Typecast extends Operator {
   constructor(params={}) {
     params.returnType = params.to
     params.signature = params.from
+    params.name = params.name ?? "typecast"
 
     if (!params.description)
       params.description = `Typecast from ${params.from} to ${params.to}`
 
     super(params)
 
-    this.from = params.from
-    this.to = params.to
+    this.from = Type.from(params.from)
+    this.to = Type.from(params.to)
+
+    // Whether the typecast doesn't change the underlying value, meaning it can be elided in compiled code
+    this.identity = !!params.identity
+
+    // The cost of the typecast, used to rank overloads when resolving operators. Defaults to the largest cost attached
+    // to the typecast's functions (like the identity function, whose cost is 0), or 1 if none is attached.
+    const costs = Object.values(this.multifunction.functions).map(fn => fn.cost).filter(cost => cost !== undefined)
+
+    this.cost = params.cost ?? (costs.length ? Math.max(...costs) : 1)
   }
 
   canCast(type) {
@@ -1,21 +1,41 @@
-import {Typecast} from "./typecast"
-import {Multifunction} from "./multifunction"
+import {Typecast} from "./typecast.js"
+import {Type} from "./type.js"
+import {ComplexFunctions} from "./complex_functions.js"
 
 
 const identity = Object.assign(x => x, { cost: 0 })
-const identityMulti = new Multifunction({
+const identityMulti = {
   "interval": identity,
-  "double": identity
-})
+  "double": identity,
+  "arbitrary": identity
+}
 
 const Typecasts = [
   {
     from: "int",
     to: "real",
-    identityMulti
+    multi: identityMulti,
+    identity: true
   },
   {
-
+    from: "real",
+    to: "complex",
+    multi: {
+      "double": ComplexFunctions.FromReal
+    },
+    functionNames: {
+      "double": "ComplexFunctions.FromReal"
+    }
+  },
+  {
+    from: "int",
+    to: "complex",
+    multi: {
+      "double": ComplexFunctions.FromReal
+    },
+    functionNames: {
+      "double": "ComplexFunctions.FromReal"
+    }
   }
 ]
 
@@ -23,3 +43,18 @@ const Typecasts = [
 for (let i = 0; i < Typecasts.length; ++i) {
   Typecasts[i] = new Typecast(Typecasts[i])
 }
+
+/**
+ * Find the typecast from one type to another, or null if there is no such typecast
+ * @param from {Type|string}
+ * @param to {Type|string}
+ * @returns {Typecast|null}
+ */
+function getTypecast(from, to) {
+  from = Type.from(from)
+  to = Type.from(to)
+
+  return Typecasts.find(cast => cast.canCast(from) && cast.to.equals(to)) ?? null
+}
+
+export { Typecasts, getTypecast }
@@ -1,5 +1,8 @@
-import {TypeDefinition} from "./type_definition"
-import {Type} from "./type"
+import {TypeDefinition} from "./type_definition.js"
+import {Type} from "./type.js"
+import {Multifunction} from "./multifunction.js"
+import {Interval} from "./interval_functions.js"
+import {BigFloat} from "./arbitrary_functions.js"
 
 function checkValidNoArgs(typename) {
   return function(args) {
@@ -10,6 +13,57 @@ function checkValidNoArgs(typename) {
   }
 }
 
+function checkValidArgCount(typename, count) {
+  return function(args) {
+    if (args.length === count)
+      return
+
+    throw new TypeError(`${typename} should have ${count} template parameter${count === 1 ? "" : "s"}, but found definition ` +
+      new Type(typename, args).toString())
+  }
+}
+
+/**
+ * For types without template parameters, create a function returning the same Multifunction for any template arguments
+ * @param funcMap {Object}
+ * @returns {Function}
+ */
+function templatelessMulti(funcMap) {
+  const multi = new Multifunction(funcMap)
+
+  return () => multi
+}
+
+const isNumber = x => typeof x === "number"
+const isInterval = x => x instanceof Interval
+const isBigFloat = x => x instanceof BigFloat
+const isNotNaN = x => x === x
+const intervalIsDefined = x => x.defMax
+const bigFloatIsDefined = x => !x.isNaN()
+const always = x => true
+
+/**
+ * Type definition for a class abstracting an integer. NaN is its undefined value.
+ *
+ * @type {TypeDefinition}
+ */
+const int = new TypeDefinition({
+  name: "int",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidNoArgs("int"),
+  isInstance: templatelessMulti({
+    double: x => isNumber(x) && (Number.isInteger(x) || x !== x),
+    interval: x => isInterval(x) && ((Number.isInteger(x.min) && Number.isInteger(x.max)) || !x.defMax),
+    arbitrary: x => isBigFloat(x) && (x.isInteger() || x.isNaN())
+  }),
+  isDefined: templatelessMulti({
+    double: isNotNaN,
+    interval: intervalIsDefined,
+    arbitrary: bigFloatIsDefined
+  }),
+  description: "An integer"
+})
+
 /**
  * Type definition for a class abstracting a real number on the extended number line.
  *
@@ -17,7 +71,319 @@ function checkValidNoArgs(typename) {
  */
 const real = new TypeDefinition({
   name: "real",
-  checkValid: type => {
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidNoArgs("real"),
+  isInstance: templatelessMulti({
+    double: isNumber,
+    interval: isInterval,
+    arbitrary: isBigFloat
+  }),
+  isDefined: templatelessMulti({
+    double: isNotNaN,
+    interval: intervalIsDefined,
+    arbitrary: bigFloatIsDefined
+  }),
+  description: "A real number on the extended number line"
+})
 
-  }
+/**
+ * Type definition for a complex number, represented as an object with re and im properties.
+ *
+ * @type {TypeDefinition}
+ */
+const complex = new TypeDefinition({
+  name: "complex",
+  supportedCompilationModes: ["double"],
+  checkValid: checkValidNoArgs("complex"),
+  isInstance: templatelessMulti({
+    double: z => !!z && isNumber(z.re) && isNumber(z.im)
+  }),
+  isDefined: templatelessMulti({
+    double: z => isNotNaN(z.re) && isNotNaN(z.im)
+  }),
+  properties: { re: "real", im: "real" },
+  description: "A complex number"
+})
+
+/**
+ * Type definition for a boolean. In interval mode, booleans are represented as intervals [0, 0] (false), [1, 1] (true)
+ * or [0, 1] (indeterminate); in double and arbitrary modes, they are plain booleans.
+ *
+ * @type {TypeDefinition}
+ */
+const bool = new TypeDefinition({
+  name: "bool",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidNoArgs("bool"),
+  isInstance: templatelessMulti({
+    double: x => typeof x === "boolean",
+    interval: x => isInterval(x) && ((x.min === 0 || x.min === 1) && (x.max === 0 || x.max === 1) || !x.defMax),
+    arbitrary: x => typeof x === "boolean"
+  }),
+  isDefined: templatelessMulti({
+    double: always,
+    interval: intervalIsDefined,
+    arbitrary: always
+  }),
+  description: "A boolean"
+})
+
+/**
+ * Type definition for a 2D vector, represented as an object with x and y properties. It is undefined if either
+ * component is NaN.
+ *
+ * @type {TypeDefinition}
+ */
+const vec2 = new TypeDefinition({
+  name: "vec2",
+  supportedCompilationModes: ["double"],
+  checkValid: checkValidNoArgs("vec2"),
+  isInstance: templatelessMulti({
+    double: v => !!v && isNumber(v.x) && isNumber(v.y)
+  }),
+  isDefined: templatelessMulti({
+    double: v => isNotNaN(v.x) && isNotNaN(v.y)
+  }),
+  properties: { x: "real", y: "real" },
+  description: "A 2D vector"
+})
+
+/**
+ * Type definition for a 3D vector, represented as an object with x, y and z properties.
+ *
+ * @type {TypeDefinition}
+ */
+const vec3 = new TypeDefinition({
+  name: "vec3",
+  supportedCompilationModes: ["double"],
+  checkValid: checkValidNoArgs("vec3"),
+  isInstance: templatelessMulti({
+    double: v => !!v && isNumber(v.x) && isNumber(v.y) && isNumber(v.z)
+  }),
+  isDefined: templatelessMulti({
+    double: v => isNotNaN(v.x) && isNotNaN(v.y) && isNotNaN(v.z)
+  }),
+  properties: { x: "real", y: "real", z: "real" },
+  description: "A 3D vector"
+})
+
+/**
+ * Type definition for a string.
+ *
+ * @type {TypeDefinition}
+ */
+const string = new TypeDefinition({
+  name: "string",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidNoArgs("string"),
+  isInstance: templatelessMulti({
+    double: s => typeof s === "string",
+    interval: s => typeof s === "string",
+    arbitrary: s => typeof s === "string"
+  }),
+  isDefined: templatelessMulti({
+    double: always,
+    interval: always,
+    arbitrary: always
+  }),
+  description: "A string"
+})
+
+/**
+ * Type definition for a list of elements of a single type, like list::<real>. A list is defined even if some of its
+ * elements are not.
+ *
+ * @type {TypeDefinition}
+ */
+const list = new TypeDefinition({
+  name: "list",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidArgCount("list", 1),
+  isInstance: ([elemType]) => new Multifunction({
+    double: arr => Array.isArray(arr) && arr.every(elem => isInstance(elem, elemType, "double")),
+    interval: arr => Array.isArray(arr) && arr.every(elem => isInstance(elem, elemType, "interval")),
+    arbitrary: arr => Array.isArray(arr) && arr.every(elem => isInstance(elem, elemType, "arbitrary"))
+  }),
+  isDefined: templatelessMulti({
+    double: always,
+    interval: always,
+    arbitrary: always
+  }),
+  description: "A list of elements of the same type"
+})
+
+/**
+ * Type definition for a pair of elements, like pair::<complex, complex>, represented as an array of length 2.
+ *
+ * @type {TypeDefinition}
+ */
+const pair = new TypeDefinition({
+  name: "pair",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidArgCount("pair", 2),
+  isInstance: ([type1, type2]) => new Multifunction({
+    double: arr => Array.isArray(arr) && arr.length === 2 && isInstance(arr[0], type1, "double") && isInstance(arr[1], type2, "double"),
+    interval: arr => Array.isArray(arr) && arr.length === 2 && isInstance(arr[0], type1, "interval") && isInstance(arr[1], type2, "interval"),
+    arbitrary: arr => Array.isArray(arr) && arr.length === 2 && isInstance(arr[0], type1, "arbitrary") && isInstance(arr[1], type2, "arbitrary")
+  }),
+  isDefined: templatelessMulti({
+    double: always,
+    interval: always,
+    arbitrary: always
+  }),
+  description: "A pair of elements"
+})
+
+/**
+ * Pseudo-type representing a non-existent quantity, e.g. the return type of an operator which returns nothing.
+ *
+ * @type {TypeDefinition}
+ */
+const voidType = new TypeDefinition({
+  name: "void",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: checkValidNoArgs("void"),
+  isInstance: templatelessMulti({
+    double: x => x === undefined,
+    interval: x => x === undefined,
+    arbitrary: x => x === undefined
+  }),
+  isDefined: templatelessMulti({
+    double: x => false,
+    interval: x => false,
+    arbitrary: x => false
+  }),
+  description: "A non-existent quantity"
+})
+
+/**
+ * Type definition for a function, like the value of an arrow function. function::<ret, arg1, arg2, ...> is a function
+ * taking arguments of types arg1, arg2, ... and returning ret.
+ *
+ * @type {TypeDefinition}
+ */
+const func = new TypeDefinition({
+  name: "function",
+  supportedCompilationModes: ["double", "interval", "arbitrary"],
+  checkValid: args => {
+    if (args.length === 0)
+      throw new TypeError("function should have at least one template parameter (the return type)")
+  },
+  isInstance: templatelessMulti({
+    double: f => typeof f === "function",
+    interval: f => typeof f === "function",
+    arbitrary: f => typeof f === "function"
+  }),
+  isDefined: templatelessMulti({
+    double: always,
+    interval: always,
+    arbitrary: always
+  }),
+  description: "A function"
 })
+
+// Map of type names to their definitions
+const TypeDefinitions = new Map()
+
+/**
+ * Register a type definition. Throws if a type of that name already exists, unless replace is true.
+ * @param definition {TypeDefinition}
+ * @param replace {boolean}
+ * @returns {TypeDefinition}
+ */
+function registerTypeDefinition(definition, replace = false) {
+  if (!(definition instanceof TypeDefinition))
+    throw new TypeError("registerTypeDefinition expects a TypeDefinition")
+  if (TypeDefinitions.has(definition.name) && !replace)
+    throw new Error("Type " + definition.name + " is already defined")
+
+  TypeDefinitions.set(definition.name, definition)
+
+  return definition
+}
+
+[int, real, complex, bool, vec2, vec3, string, list, pair, voidType, func].forEach(def => registerTypeDefinition(def))
+
+/**
+ * Get the definition of the type with a given name, or null if there is no such type
+ * @param name {string}
+ * @returns {TypeDefinition|null}
+ */
+function getTypeDefinition(name) {
+  return TypeDefinitions.get(name) ?? null
+}
+
+/**
+ * Check that a type and all its template arguments are known types with valid template arguments, throwing a TypeError
+ * if not. For example, list::<vec2> is valid, but list::<vec2, vec2>, list and lisst::<vec2> are not.
+ * @param type {Type|string}
+ * @returns {Type} The type
+ */
+function validateType(type) {
+  type = Type.from(type)
+
+  type.applyAll(child => {
+    const definition = getTypeDefinition(child.str)
+
+    if (!definition)
+      throw new TypeError("Unknown type " + child.str + (child === type ? "" : " in " + type.toString()))
+
+    definition.checkValid(child.children ?? [])
+  })
+
+  return type
+}
+
+/**
+ * Get the function from a type definition's isInstance or isDefined for a given type and compilation mode
+ * @param type {Type}
+ * @param mode {string}
+ * @param prop {string} "isInstance" or "isDefined"
+ * @returns {Function}
+ */
+function getTypeFunction(type, mode, prop) {
+  const definition = getTypeDefinition(type.str)
+
+  if (!definition)
+    throw new TypeError("Unknown type " + type.str)
+
+  const func = definition[prop](type.children ?? []).getFunction(mode)
+
+  if (!func)
+    throw new RangeError("Type " + type.toString() + " is not supported in compilation mode " + mode)
+
+  return func
+}
+
+/**
+ * Whether value is an instance of a type in a given compilation mode. Undefined values like NaN count as instances.
+ * @param value {*}
+ * @param type {Type|string}
+ * @param mode {string}
+ * @returns {boolean}
+ */
+function isInstance(value, type, mode = "double") {
+  return getTypeFunction(Type.from(type), mode, "isInstance")(value)
+}
+
+/**
+ * Whether value is a defined instance of a type in a given compilation mode
+ * @param value {*}
+ * @param type {Type|string}
+ * @param mode {string}
+ * @returns {boolean}
+ */
+function isDefinedInstance(value, type, mode = "double") {
+  type = Type.from(type)
+
+  return isInstance(value, type, mode) && getTypeFunction(type, mode, "isDefined")(value)
+}
+
+export {
+  TypeDefinitions,
+  registerTypeDefinition,
+  getTypeDefinition,
+  validateType,
+  isInstance,
+  isDefinedInstance
+}
@@ -0,0 +1,42 @@
+/**
+ * Abstraction of a 2D vector (x, y), used by the vec2 type in double mode
+ */
+class Vec2 {
+  constructor(x = 0, y = 0) {
+    this.x = x
+    this.y = y
+  }
+
+  clone() {
+    return new Vec2(this.x, this.y)
+  }
+
+  equals(v) {
+    return this.x === v.x && this.y === v.y
+  }
+
+  toString() {
+    return `(${this.x}, ${this.y})`
+  }
+}
+
+// Functions implementing the vec2 operators, which are only supported in double mode. Vectors need not be Vec2
+// instances; any object with numeric x and y properties is a vec2.
+const VectorFunctions = {
+  Construct: (x, y) => new Vec2(x, y),
+  Add: (v, w) => new Vec2(v.x + w.x, v.y + w.y),
+  Subtract: (v, w) => new Vec2(v.x - w.x, v.y - w.y),
+  UnaryMinus: v => new Vec2(-v.x, -v.y),
+  UnaryPlus: v => v,
+  Scale: (c, v) => new Vec2(c * v.x, c * v.y),
+  ScaleRight: (v, c) => new Vec2(v.x * c, v.y * c),
+  DivideScalar: (v, c) => new Vec2(v.x / c, v.y / c),
+  Dot: (v, w) => v.x * w.x + v.y * w.y,
+  Length: v => Math.hypot(v.x, v.y),
+  Equal: (v, w) => v.x === w.x && v.y === w.y,
+  NotEqual: (v, w) => v.x !== w.x || v.y !== w.y,
+  // Read a property, like x in v.x. Type inference checks that the type has the property.
+  Property: (v, name) => v[name]
+}
+
+export { Vec2, VectorFunctions }
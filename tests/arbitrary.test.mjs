@@ -0,0 +1,64 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {BigFloat, Expression, getArbitraryPrecision, setArbitraryPrecision} from "../src/main.js"
+
+/**
+ * Evaluate a string in arbitrary mode at a given precision, restoring the precision afterwards
+ * @param string {string}
+ * @param bits {number}
+ * @param scope {Object}
+ * @returns {BigFloat}
+ */
+function evaluateAt(string, bits, scope = {}) {
+  const previous = getArbitraryPrecision()
+
+  setArbitraryPrecision(bits)
+
+  try {
+    return Expression.from(string).evaluate(scope, "arbitrary")
+  } finally {
+    setArbitraryPrecision(previous)
+  }
+}
+
+test("constants and functions are computed to the precision", () => {
+  assert.equal(evaluateAt("sqrt(2)", 256).toString(60), "1.41421356237309504880168872420969807856967187537694807317668")
+  assert.equal(evaluateAt("pi", 256).toString(60), "3.14159265358979323846264338327950288419716939937510582097494")
+  assert.equal(evaluateAt("exp(1)", 256).toString(60), "2.71828182845904523536028747135266249775724709369995957496697")
+  assert.equal(evaluateAt("x^2", 128, {x: BigFloat.fromString("1.1")}).toString(30), "1.21")
+})
+
+test("results are correctly rounded, so at 53 bits the basic operations match doubles", () => {
+  const operations = ["x + y", "x - y", "x * y", "x / y", "sqrt(x)"]
+
+  // A deterministic sequence of numbers in [0, 1)
+  let seed = 7
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+
+  for (const string of operations) {
+    const f = Expression.from(string).compile("double", ["x", "y"])
+
+    for (let i = 0; i < 40; ++i) {
+      const x = random() * 2 ** (random() * 40 - 20), y = (random() - 0.5) * 2 ** (random() * 80 - 40)
+      const scope = {x: BigFloat.fromNumber(x), y: BigFloat.fromNumber(y)}
+
+      assert.equal(evaluateAt(string, 53, scope).toNumber(), f(x, y), `${string} at ${x}, ${y}`)
+    }
+  }
+})
+
+test("negligible operands only affect the rounding", () => {
+  assert.equal(evaluateAt("1e-40 + 1 - 1", 53).toNumber(), 0)
+  assert.equal(evaluateAt("1e-40 + 1 - 1", 64).toNumber(), 0)
+  assert.equal(evaluateAt("1e-40 + 1 - 1", 256).toString(20), "1e-40")
+  assert.equal(evaluateAt("1 - 1e-40", 53).toNumber(), 1)
+})
+
+test("non-finite results and invalid precisions", () => {
+  assert.deepEqual(["1/0", "0/0", "ln(0)", "sqrt(-1)"].map(string => evaluateAt(string, 53).toNumber()),
+    [Infinity, NaN, -Infinity, NaN])
+
+  for (const bits of [0, 1.5, 100000])
+    assert.throws(() => setArbitraryPrecision(bits), RangeError)
+})
@@ -0,0 +1,87 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {autocomplete, defineVariable, deleteVariable} from "../src/main.js"
+
+/**
+ * The completions of a string as [label, kind, insertText, index, length]
+ * @param string {string}
+ * @param cursorIndex {number}
+ * @param options {Object}
+ * @returns {Array}
+ */
+function completionsOf(string, cursorIndex = string.length, options = {}) {
+  return autocomplete(string, cursorIndex, options).map(({label, kind, insertText, index, length}) =>
+    [label, kind, insertText, index, length])
+}
+
+test("functions complete with their argument names", () => {
+  assert.deepEqual(completionsOf("atan"), [["atan2", "function", "atan2(y, x)", 0, 4]])
+  assert.deepEqual(completionsOf("mo"), [["mod", "function", "mod(x, m)", 0, 2]])
+  assert.equal(autocomplete("atan", 4)[0].detail, "atan2(y: real, x: real) -> real")
+
+  // The whole identifier under the cursor is replaced, and existing parentheses are kept
+  assert.deepEqual(completionsOf("at + 1", 2), [["atan2", "function", "atan2(y, x)", 0, 2]])
+  assert.deepEqual(completionsOf("atan2(1, 2)", 3), [["atan2", "function", "atan2", 0, 5]])
+})
+
+test("completions are ranked by how well they match, then by kind", () => {
+  const labels = autocomplete("t", 1, {variables: ["theta", "t"]}).map(completion => completion.label)
+
+  // Prefixes come before substrings, and variables before functions
+  assert.deepEqual(labels.slice(0, 3), ["t", "theta", "tan"])
+  assert.ok(labels.indexOf("tan") < labels.indexOf("atan2"))
+
+  // Case is ignored if nothing else matches
+  assert.equal(autocomplete("SI", 2)[0].label, "sin")
+})
+
+test("global variables complete in their namespaces", () => {
+  defineVariable("geo::radius", "2")
+  defineVariable("geo::area", "pi * geo::radius^2")
+  defineVariable("height", "1")
+
+  try {
+    assert.deepEqual(completionsOf("ge"), [["geo", "namespace", "geo", 0, 2]])
+    assert.deepEqual(completionsOf("geo::"),
+      [["area", "variable", "area", 5, 0], ["radius", "variable", "radius", 5, 0]])
+    assert.deepEqual(completionsOf("geo::r"),
+      [["radius", "variable", "radius", 5, 1], ["area", "variable", "area", 5, 1]])
+    assert.deepEqual(completionsOf("::he"), [["height", "variable", "height", 2, 2]])
+  } finally {
+    deleteVariable("geo::area")
+    deleteVariable("geo::radius")
+    deleteVariable("height")
+  }
+
+  assert.deepEqual(completionsOf("geo::"), [])
+})
+
+test("typenames complete after a colon", () => {
+  assert.deepEqual(completionsOf("(x: ve"), [["vec2", "type", "vec2", 4, 2], ["vec3", "type", "vec3", 4, 2]])
+})
+
+test("properties complete from the type of the operand", () => {
+  const labels = (string, variableTypes) => autocomplete(string, string.length, {variableTypes}).map(c => c.label)
+
+  assert.deepEqual(labels("v.", {v: "vec3"}), ["x", "y", "z"])
+  assert.deepEqual(labels("z.r", {z: "complex"}), ["re"])
+  assert.deepEqual(labels("(x: vec2) -> x."), ["x", "y"])
+  assert.equal(autocomplete("v.", 2, {variableTypes: {v: "vec3"}})[0].detail, "real")
+})
+
+test("properties complete from the annotations of enclosing arrow function parameters", () => {
+  const labels = (string, variableTypes) => autocomplete(string, string.length, {variableTypes}).map(c => c.label)
+
+  assert.deepEqual(labels("(z: complex) -> z."), ["im", "re"])
+  assert.deepEqual(labels("w: vec3 -> w."), ["x", "y", "z"])
+  assert.deepEqual(labels("(a: real, b: vec2) -> f(a, b."), ["x", "y"])
+  assert.deepEqual(labels("((z: complex) -> z.re)(1) + z.", {z: "vec2"}), ["x", "y"])
+  assert.deepEqual(labels("(z: complex) -> (z: vec2) -> z."), ["x", "y"])
+  assert.deepEqual(labels("(z) -> z.", {z: "vec2"}), [])
+})
+
+test("nothing completes inside strings and numbers", () => {
+  assert.deepEqual(completionsOf("\"at"), [])
+  assert.deepEqual(completionsOf("2.5"), [])
+})
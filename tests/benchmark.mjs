@@ -0,0 +1,47 @@
+// Benchmark of parseString on large machine-generated expressions: fitted polynomials and Fourier series with doubling
+// numbers of terms. Parsing takes time linear in the length of the expression, so each doubling should roughly double
+// the time, keeping the time per term roughly constant. Run with npm run bench.
+
+import {parseString} from "../src/main.js"
+
+const SIZES = [2500, 5000, 10000, 20000, 40000]
+const RUNS = 5
+
+const generators = {
+  polynomial: n => Array.from({length: n}, (_, k) => `${(k * 0.37 % 5).toFixed(3)}*x^${k}`).join(" + "),
+  fourier: n => Array.from({length: n}, (_, k) => `${k % 7 - 3}sin(${k}x) - 0.5cos(${k} x)`).join(" + ")
+}
+
+// The median time of RUNS parses of string, in milliseconds
+function timeParse(string) {
+  const times = []
+
+  for (let i = 0; i < RUNS; ++i) {
+    const start = performance.now()
+
+    parseString(string)
+    times.push(performance.now() - start)
+  }
+
+  return times.sort((a, b) => a - b)[RUNS >> 1]
+}
+
+for (const [name, generate] of Object.entries(generators)) {
+  // Warm up the JIT
+  timeParse(generate(SIZES[0]))
+
+  console.log(`${name}:`)
+
+  let previous = null
+
+  for (const terms of SIZES) {
+    const string = generate(terms)
+    const time = timeParse(string)
+    const ratio = previous ? (time / previous).toFixed(2) + "x" : ""
+
+    console.log(`  ${String(terms).padStart(6)} terms, ${String(string.length).padStart(8)} chars: ` +
+      `${time.toFixed(1).padStart(8)} ms  ${(time / terms * 1000).toFixed(1).padStart(6)} µs/term  ${ratio}`)
+
+    previous = time
+  }
+}
@@ -0,0 +1,51 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression} from "../src/main.js"
+
+test("expressions compile to functions of their arguments", () => {
+  const f = Expression.from("x^2 + sin(x)").compile("double", ["x"])
+
+  assert.equal(f(2), 4 + Math.sin(2))
+  assert.equal(Expression.from("3").compile()(), 3)
+  assert.equal(Expression.from("x - y").compile("double", ["y", "x"])(1, 10), 9)
+  assert.equal(Expression.from("1 < x <= 3").compile("double", ["x"])(3), true)
+  assert.ok(Number.isNaN(Expression.from("sqrt(x)").compile("double", ["x"])(-1)))
+})
+
+test("arrow functions compile to closures", () => {
+  assert.equal(Expression.from("(a, b) -> a^b").compile()()(2, 10), 1024)
+  assert.equal(Expression.from("(a: real) -> a + x").compile("double", ["x"])(1)(2), 3)
+})
+
+test("the generated source is straight-line code of generated names", () => {
+  const source = Expression.from("x^2 + sin(x)").compile("double", ["x"]).toString()
+
+  assert.equal(source, "function ($0) {\nconst $2 = $1_func($0, 2);\nconst $4 = $3_func($0);\n" +
+    "const $6 = $5_func($2, $4);\nreturn $6;\n}")
+})
+
+test("names and strings can't inject code", () => {
+  const f = Expression.from("__proto__ + constructor").compile("double", ["x", "__proto__", "constructor"])
+
+  assert.equal(f(1, 2, 3), 5)
+  assert.ok(!/__proto__|constructor/.test(f.toString()))
+
+  const string = Expression.from("\"a\\\"); throw 1; (\"")
+
+  assert.equal(string.compile()(), string.evaluate())
+})
+
+test("gamma and factorial overflow to Infinity", () => {
+  const gamma = Expression.from("gamma(x)").compile("double", ["x"])
+  const factorial = Expression.from("x!").compile("double", ["x"])
+
+  assert.ok(Math.abs(gamma(150.5) / 4.66107262709695e261 - 1) < 1e-12)
+  assert.ok(gamma(171.6) < Infinity)
+
+  for (const x of [171.7, 806, 1e10, Infinity])
+    assert.equal(gamma(x), Infinity)
+
+  assert.equal(factorial(800.5), Infinity)
+  assert.equal(factorial(170), 7.257415615307994e306)
+})
@@ -0,0 +1,90 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {defineVariable, deleteVariable, Expression, inferTypes} from "../src/main.js"
+
+/**
+ * Assert that a complex number is close to re + im i
+ * @param z {Object}
+ * @param re {number}
+ * @param im {number}
+ */
+function assertComplex(z, re, im) {
+  assert.ok(Math.abs(z.re - re) < 1e-12 && Math.abs(z.im - im) < 1e-12, `${JSON.stringify(z)} is not ${re} + ${im}i`)
+}
+
+test("complex expressions evaluate and compile without inferring types first", () => {
+  assertComplex(Expression.from("i + 1").evaluate(), 1, 1)
+  assertComplex(Expression.from("i + 1").compile()(), 1, 1)
+  assertComplex(Expression.from("e^(i*pi)").evaluate(), -1, 0)
+  assertComplex(Expression.from("(2 + i) * x").compile("double", ["x"])(2), 4, 2)
+  assertComplex(Expression.from("w * w").evaluate({w: {re: 0, im: 1}}), -1, 0)
+  assert.equal(Expression.from("abs(3 + 4i)").evaluate(), 5)
+})
+
+test("type errors are only ignored if a variable's type is unknown", () => {
+  assert.throws(() => Expression.from("1 < i").evaluate(), error => error.code === "no-overload")
+  assert.throws(() => Expression.from("(z: complex) -> z < 1").compile(), error => error.code === "no-overload")
+
+  // a might be a list, so the default (real) overloads are used
+  assert.equal(Expression.from("a[1] + 1").evaluate({a: [1, 2]}), 3)
+  assert.equal(Expression.from("a[1] + 1").compile("double", ["a"])([1, 2]), 3)
+})
+
+test("inferred types are kept", () => {
+  const expression = Expression.from("x + 1")
+
+  inferTypes(expression, {variableTypes: {x: "complex"}})
+
+  assertComplex(expression.evaluate({x: {re: 1, im: 2}}), 2, 2)
+})
+
+test("global variables have the types of their expressions", () => {
+  defineVariable("zz", "i + 2")
+
+  try {
+    assertComplex(Expression.from("zz*zz").evaluate(), 3, 4)
+    assertComplex(Expression.from("zz*zz").compile()(), 3, 4)
+
+    // Arguments and scope values shadow the global variable
+    assert.equal(Expression.from("zz*zz").evaluate({zz: 3}), 9)
+    assert.equal(Expression.from("zz*zz").compile("double", ["zz"])(3), 9)
+
+    defineVariable("ww", "2zz")
+    assertComplex(Expression.from("ww").evaluate(), 4, 2)
+
+    // Dependents are recompiled when a dependency's type changes
+    defineVariable("zz", "5")
+    assert.equal(Expression.from("ww + 1").compile()(), 11)
+  } finally {
+    deleteVariable("ww")
+    deleteVariable("zz")
+  }
+})
+
+test("a single typed arrow function argument needs no parentheses", () => {
+  const func = Expression.from("z: complex -> z^2 + 1")
+
+  assert.equal(func.toString(), "(z: complex) -> z^2 + 1")
+  assertComplex(func.evaluate()({re: 0, im: 2}), -3, 0)
+  assertComplex(func.compile()()({re: 0, im: 2}), -3, 0)
+  assert.equal(Expression.from("x: real -> 2x").evaluate()(3), 6)
+})
+
+test("real functions of reals stay real unless complex results are requested", () => {
+  assert.ok(Number.isNaN(Expression.from("sqrt(-1)").evaluate()))
+
+  assertComplex(inferTypes(Expression.from("sqrt(-1)"), {complex: true}).evaluate(), 0, 1)
+  assertComplex(inferTypes(Expression.from("ln(-1)"), {complex: true}).evaluate(), 0, Math.PI)
+  assertComplex(inferTypes(Expression.from("(-8)^(1/3)"), {complex: true}).compile()(), 1, Math.sqrt(3))
+})
+
+test("complex numbers are only supported in double mode", () => {
+  const onlyDouble = /complex is only supported in double mode/
+
+  for (const mode of ["interval", "arbitrary"]) {
+    assert.throws(() => Expression.from("i + 1").evaluate({}, mode), onlyDouble, mode)
+    assert.throws(() => Expression.from("i + x").compile(mode, ["x"]), onlyDouble, mode)
+    assert.equal(typeof Expression.from("x + 1").compile(mode, ["x"]), "function", mode)
+  }
+})
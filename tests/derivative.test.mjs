@@ -0,0 +1,56 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {derivative, Expression, ParserError} from "../src/main.js"
+
+test("derivatives agree with difference quotients", () => {
+  const strings = ["x^2", "3x^3 - 2x + 1", "sin(x) * cos(x)", "x / (1 + x)", "-x", "|x|", "atan2(2, x)", "pow(x, 3)",
+    "x^x", "exp(2x)", "ln(x)", "sqrt(x)", "2^x", "sin(x)^2 / (x + 3)"]
+
+  for (const string of strings) {
+    const f = Expression.from(string).compile("double", ["x"])
+    const df = derivative(string, "x").compile("double", ["x"])
+
+    for (const x of [0.3, 0.9, 1.7, 4.2]) {
+      const h = 1e-6
+      const quotient = (f(x + h) - f(x - h)) / (2 * h)
+
+      assert.ok(Math.abs(df(x) - quotient) < 1e-5 * Math.max(1, Math.abs(quotient)), `${string} at ${x}`)
+    }
+  }
+})
+
+test("derivatives are expressions of the same variables", () => {
+  const cases = [["x^2", "x", "2 * x"], ["y * x", "y", "x"], ["5", "x", "0"], ["ln(x)", "x", "1 / x"],
+    ["x_1^2", "x_1", "2 * x_1"], ["pow(x, 3)", "x", "3 * x^2"]]
+
+  for (const [string, variable, expected] of cases) {
+    const result = derivative(Expression.from(string), variable)
+
+    assert.ok(result instanceof Expression)
+    assert.equal(result.toString(), expected, string)
+  }
+
+  assert.equal(derivative("atan2(y, x)", "x").evaluate({x: 1, y: 2}), -2 / 5)
+})
+
+test("arrow function parameters shadow the variable", () => {
+  assert.equal(derivative("(t) -> t * x", "x").toString(), "t -> t")
+  assert.equal(derivative("(x) -> x^2", "x").toString(), "x -> 0")
+})
+
+test("expressions which can't be differentiated are errors", () => {
+  for (const [string, index] of [["x!", 1], ["x > 1", 2]]) {
+    assert.throws(() => derivative(string, "x"), error => error instanceof ParserError &&
+      error.code === "not-differentiable" && error.index === index, string)
+  }
+
+  assert.throws(() => derivative("x", "2x"), TypeError)
+})
+
+test("the expression is not modified", () => {
+  const expression = Expression.from("sin(x) * x")
+
+  derivative(expression, "x")
+  assert.equal(expression.toString(), "sin(x) * x")
+})
@@ -0,0 +1,51 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression, Interval} from "../src/main.js"
+
+const strings = ["x^2 + sin(x)", "-x^2", "x!", "gamma(x) / 2", "ln(x) - exp(-x)", "mod(x, 3)", "1 < x <= 3",
+  "(x > 1) and (x < 3)", "atan2(1, x)", "\"hi\""]
+
+test("evaluation gives the same results as the compiled functions", () => {
+  for (const string of strings) {
+    const expression = Expression.from(string)
+
+    for (const x of [-1.5, 0, 0.5, 2.5, 7]) {
+      assert.deepEqual(expression.evaluate({x}), expression.compile("double", ["x"])(x), `${string} at ${x}`)
+      assert.deepEqual(expression.evaluate({x: Interval.point(x)}, "interval"),
+        expression.compile("interval", ["x"])(Interval.point(x)), `${string} at ${x}`)
+    }
+  }
+
+  const complex = Expression.from("i * x + 1")
+
+  assert.deepEqual(complex.evaluate({x: 2}), complex.compile("double", ["x"])(2))
+})
+
+test("arrow functions evaluate to functions", () => {
+  const f = Expression.from("(a) -> a * x").evaluate({x: 2.5})
+
+  assert.equal(f(3), 7.5)
+  assert.equal(Expression.from("(a, b) -> a^b").evaluate()(2, 10), 1024)
+})
+
+test("scopes may be objects or maps", () => {
+  assert.equal(Expression.from("x + 1").evaluate(new Map([["x", 2]])), 3)
+  assert.throws(() => Expression.from("x + 1").rootNode.evaluate({}), ReferenceError)
+  assert.throws(() => Expression.from("x").evaluate({x: 1}, "quad"), RangeError)
+})
+
+test("evaluation doesn't generate code", () => {
+  const OriginalFunction = globalThis.Function
+
+  globalThis.Function = function () {
+    throw new Error("Code was generated")
+  }
+
+  try {
+    for (const string of strings)
+      Expression.from(string).evaluate({x: 2})
+  } finally {
+    globalThis.Function = OriginalFunction
+  }
+})
@@ -0,0 +1,99 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {
+  defineVariable,
+  deleteVariable,
+  Expression,
+  getGlobalDependencies,
+  getGlobalDependents,
+  getGlobalVariable,
+  onVariablesChanged,
+  qualifyVariableName,
+  resolveVariableName,
+  Variables
+} from "../src/main.js"
+
+/**
+ * Define variables for the duration of a callback, then delete them, dependents first
+ * @param definitions {Array} Arguments of defineVariable
+ * @param callback {Function}
+ */
+function withVariables(definitions, callback) {
+  const names = definitions.map(([name, expression, namespace]) => defineVariable(name, expression, namespace).name)
+
+  try {
+    callback()
+  } finally {
+    names.reverse().forEach(name => deleteVariable("::" + name))
+  }
+
+  assert.deepEqual(Object.keys(Variables), [])
+}
+
+const definitions = [["a", "2"], ["b", "a + 1", "geo"], ["c", "b * 2", "geo"], ["a", "10", "geo::sub"]]
+
+test("names are qualified by their namespace", () => {
+  assert.equal(qualifyVariableName("x", "geo"), "geo::x")
+  assert.equal(qualifyVariableName("::x", "geo"), "x")
+  assert.equal(qualifyVariableName("sub::x", "geo"), "geo::sub::x")
+  assert.throws(() => qualifyVariableName("2x"), TypeError)
+})
+
+test("relative names resolve in the innermost namespace defining them", () => {
+  withVariables(definitions, () => {
+    assert.equal(resolveVariableName("a", "geo::sub"), "geo::sub::a")
+    assert.equal(resolveVariableName("a", "geo"), "a")
+    assert.equal(resolveVariableName("::a", "geo::sub"), "a")
+    assert.equal(resolveVariableName("b", "geo::sub"), "geo::b")
+    assert.equal(resolveVariableName("unknown"), null)
+
+    // Definitions refer to variables by their absolute names
+    assert.equal(getGlobalVariable("c", "geo").expression.toString(), "::geo::b * 2")
+  })
+})
+
+test("variables are evaluated and compiled in expressions", () => {
+  withVariables(definitions, () => {
+    assert.equal(getGlobalVariable("geo::c").getValue(), 6)
+    assert.equal(Expression.from("geo::c + a").evaluate(), 8)
+    assert.equal(Expression.from("geo::c + a").compile()(), 8)
+
+    // Arguments shadow variables
+    assert.equal(Expression.from("x + a").compile("double", ["a", "x"])(100, 1), 101)
+  })
+})
+
+test("dependencies are tracked, and dependents recomputed when they change", () => {
+  withVariables(definitions, () => {
+    const changes = []
+    const removeListener = onVariablesChanged(change => changes.push(change))
+
+    assert.deepEqual([...getGlobalDependencies("geo::c + a + x + pi")], ["geo::c", "a"])
+    assert.deepEqual(getGlobalDependents("a"), ["geo::b"])
+
+    defineVariable("a", "5")
+    removeListener()
+
+    assert.equal(getGlobalVariable("geo::c").getValue(), 12)
+    assert.deepEqual(changes, [{variable: "a", deleted: false, dependents: ["geo::b", "geo::c"]}])
+  })
+})
+
+test("invalid definitions and deletions are errors", () => {
+  withVariables(definitions, () => {
+    assert.throws(() => defineVariable("a", "geo::c"), /Cyclic definition of a: a -> geo::c -> geo::b -> a/)
+    assert.throws(() => defineVariable("d", "unknown + 1"), ReferenceError)
+    assert.throws(() => deleteVariable("a"), /Cannot delete a, since geo::b depends on it/)
+  })
+
+  assert.equal(deleteVariable("a"), false)
+})
+
+test("names of Object properties are ordinary names", () => {
+  withVariables([["constructor", "1"]], () => {
+    assert.equal(getGlobalVariable("constructor").getValue(), 1)
+  })
+
+  assert.equal(getGlobalVariable("toString"), null)
+})
@@ -0,0 +1,72 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {highlightExpression} from "../src/main.js"
+
+/**
+ * The spans of a string as [category, index, endIndex], followed by the depth of parens
+ * @param string {string}
+ * @param options {Object}
+ * @returns {Array}
+ */
+function spansOf(string, options = {}) {
+  return highlightExpression(string, options).spans.map(({category, index, endIndex, depth}) =>
+    (depth === undefined) ? [category, index, endIndex] : [category, index, endIndex, depth])
+}
+
+test("spans are contiguous and cover the whole string, even when it's invalid", () => {
+  const strings = ["", "  x  ", "2x + sin(y)", "f(a, b) $ 3", "x + 1))", "(x + [1", "\"unclosed", "f::<int", "a::::b",
+    "(x: vec2) -> x.y", "√-x", "x ++ ** y", "²(x)"]
+
+  for (const string of strings) {
+    const {spans} = highlightExpression(string)
+    let index = 0
+
+    for (const span of spans) {
+      assert.equal(span.index, index, string)
+      assert.ok(span.endIndex >= span.index, string)
+      index = span.endIndex + 1
+    }
+
+    assert.equal(index, string.length, string)
+  }
+})
+
+test("tokens are classified by what they refer to", () => {
+  assert.deepEqual(spansOf("2x + sin(y)"), [["number", 0, 0], ["unknown", 1, 1], ["whitespace", 2, 2],
+    ["operator", 3, 3], ["whitespace", 4, 4], ["function", 5, 7], ["paren", 8, 8, 0], ["unknown", 9, 9],
+    ["paren", 10, 10, 0]])
+
+  // Constants and the given variables are known
+  assert.deepEqual(spansOf("pi + t", {variables: ["t"]}),
+    [["variable", 0, 1], ["whitespace", 2, 2], ["operator", 3, 3], ["whitespace", 4, 4], ["variable", 5, 5]])
+
+  assert.deepEqual(spansOf("a::b + c").slice(0, 2), [["namespace", 0, 2], ["unknown", 3, 3]])
+  assert.deepEqual(spansOf("(x: vec2) -> x.y").map(span => span[0]), ["paren", "unknown", "punctuation", "whitespace",
+    "type", "paren", "whitespace", "operator", "whitespace", "unknown", "property"])
+  assert.deepEqual(spansOf("\"hi\" + f::<int>(1)").filter(span => span[0] !== "whitespace").slice(0, 4),
+    [["string", 0, 3], ["operator", 5, 5], ["unknown", 7, 7], ["type", 8, 14]])
+
+  // A power without a base is still a superscript
+  assert.deepEqual(spansOf("²(x)"), [["number", 0, 0], ["paren", 1, 1, 0], ["unknown", 2, 2], ["paren", 3, 3, 0]])
+})
+
+test("parens have their nesting depth, and unclosed ones are marked", () => {
+  assert.deepEqual(spansOf("((x)) + |y|").filter(span => span[0] === "paren").map(span => span[3]), [0, 1, 1, 0, 0, 0])
+
+  const parens = highlightExpression("(x + [1").spans.filter(span => span.category === "paren")
+
+  assert.deepEqual(parens, [{category: "paren", index: 0, endIndex: 0, depth: 0, unclosed: true},
+    {category: "paren", index: 5, endIndex: 5, depth: 1, unclosed: true}])
+})
+
+test("untokenizable text and unmatched closing parens are errors", () => {
+  assert.deepEqual(spansOf("x + 1))").slice(-2), [["error", 5, 5], ["error", 6, 6]])
+  assert.deepEqual(spansOf("f(a) $ 3").filter(span => span[0] === "error"), [["error", 5, 5]])
+})
+
+test("implicit multiplications are marked after their left operand", () => {
+  assert.deepEqual(highlightExpression("2x + sin(y)").implicitMultiplications, [1])
+  assert.deepEqual(highlightExpression("3(x)(y)").implicitMultiplications, [1, 4])
+  assert.deepEqual(highlightExpression("2 * x").implicitMultiplications, [])
+})
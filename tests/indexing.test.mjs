@@ -0,0 +1,137 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {BigFloat, Expression, inferTypes, Interval, parseString, parseStringTolerant, ParserError} from "../src/main.js"
+
+const variableTypes = {a: "list::<real>", m: "list::<list::<real>>"}
+
+/**
+ * Parse, infer the types of and evaluate an expression of a and m
+ * @param string {string}
+ * @param scope {Object}
+ * @param mode {string}
+ * @returns {*}
+ */
+function evaluate(string, scope, mode = "double") {
+  const expression = Expression.from(string)
+
+  inferTypes(expression, {variableTypes})
+
+  return expression.evaluate(scope, mode)
+}
+
+/**
+ * The codes of the diagnostics of parsing string tolerantly
+ * @param string {string}
+ * @returns {Array}
+ */
+function diagnosticCodes(string) {
+  return parseStringTolerant(string).diagnostics.map(diagnostic => diagnostic.code)
+}
+
+test("brackets after an operand index it", () => {
+  const [node] = parseString("a[1]").children
+
+  assert.equal(node.op, "[]")
+  assert.deepEqual([node.index, node.endIndex], [0, 3])
+  assert.deepEqual(node.children.map(child => child.name ?? child.value), ["a", "1"])
+
+  for (const string of ["a [1]", "f(x)[0]", "(x + 1)[2]", "\"abc\"[1]", "a.b[1]"])
+    assert.equal(parseString(string).children[0].op, "[]", string)
+})
+
+test("brackets which don't follow an operand are groups", () => {
+  for (const string of ["[x]", "x + [1]", "2[x]"])
+    assert.ok(!JSON.stringify(parseString(string)).includes("\"[]\""), string)
+})
+
+test("indexing chains from left to right", () => {
+  const [outer] = parseString("m[i][j]").children
+
+  assert.equal(outer.op, "[]")
+  assert.equal(outer.children[0].op, "[]")
+  assert.deepEqual([outer.index, outer.endIndex], [0, 6])
+  assert.deepEqual([outer.children[0].index, outer.children[0].endIndex], [0, 3])
+
+  assert.equal(Expression.from("a.b[1].c").toString(), "a.b[1].c")
+})
+
+test("slices have a start and an end", () => {
+  const [node] = parseString("a[1:3]").children
+
+  assert.equal(node.op, "[:]")
+  assert.deepEqual([node.index, node.endIndex], [0, 5])
+  assert.deepEqual(node.children.slice(1).map(child => child.value), ["1", "3"])
+})
+
+test("invalid indices are errors", () => {
+  const codes = {
+    "a[]": "empty-index",
+    "a[1,2]": "comma-in-index",
+    "a[1:2:3]": "unexpected-colon",
+    "a[:3]": "missing-slice-bound",
+    "a[1:]": "missing-slice-bound"
+  }
+
+  for (const [string, code] of Object.entries(codes)) {
+    assert.throws(() => parseString(string), error => error instanceof ParserError && error.code === code, string)
+    assert.deepEqual(diagnosticCodes(string), [code], string)
+  }
+})
+
+test("tolerant parsing recovers from operators in slice bounds", () => {
+  const cases = {
+    "x[y:/]": ["leading-operator"],
+    "x[:/]": ["leading-operator", "missing-slice-bound"],
+    "x[/:y]": ["leading-operator"],
+    "x[y:*z]": ["leading-operator"],
+    "x[+:1]": ["trailing-operator"],
+    "x[1:!] + 1": ["leading-operator"]
+  }
+
+  for (const [string, codes] of Object.entries(cases)) {
+    const {root, diagnostics} = parseStringTolerant(string)
+
+    assert.ok(root, string)
+    assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), codes, string)
+    assert.throws(() => parseString(string), ParserError, string)
+  }
+})
+
+test("indexing prints and reparses", () => {
+  for (const string of ["a[1]", "m[i][j]", "a[1:3]", "f(x)[0]", "(x + 1)[2]", "-a[1]", "(-a)[1]", "a[i + 1]^2", "2a[1]"]) {
+    const printed = Expression.from(string).toString()
+
+    assert.equal(Expression.from(printed).toString(), printed, string)
+  }
+
+  assert.equal(Expression.from("a [1]").toString(), "a[1]")
+  assert.equal(Expression.from("(2)[1]").toString(), "(2)[1]")
+})
+
+test("indexing evaluates against lists in each mode", () => {
+  assert.equal(evaluate("a[1]", {a: [1, 2, 3]}), 2)
+  assert.ok(Number.isNaN(evaluate("a[3]", {a: [1, 2, 3]})))
+  assert.ok(Number.isNaN(evaluate("a[1.5]", {a: [1, 2, 3]})))
+  assert.equal(evaluate("m[1][0]", {m: [[1, 2], [3, 4]]}), 3)
+  assert.deepEqual(evaluate("a[1:3]", {a: [1, 2, 3, 4]}), [2, 3])
+  assert.deepEqual(evaluate("a[-2:9]", {a: [1, 2]}), [1, 2])
+
+  const point = x => Interval.point(x)
+
+  assert.deepEqual(evaluate("a[1]", {a: [1, 2, 3].map(point)}, "interval"), point(2))
+  assert.ok(evaluate("a[3]", {a: [1, 2, 3].map(point)}, "interval").isUndefined())
+
+  const big = x => BigFloat.fromNumber(x)
+
+  assert.equal(evaluate("m[1][0]", {m: [[1, 2], [3, 4]].map(row => row.map(big))}, "arbitrary").toNumber(), 3)
+})
+
+test("indexing compiles and round-trips through JSON", () => {
+  const expression = Expression.from("m[0][1] + m[0:1][0][0]")
+
+  inferTypes(expression, {variableTypes})
+
+  assert.equal(expression.compile("double", ["m"])([[1, 2]]), 3)
+  assert.equal(Expression.fromJSON(JSON.stringify(expression)).evaluate({m: [[1, 2]]}), 3)
+})
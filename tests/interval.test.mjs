@@ -0,0 +1,98 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression, Interval} from "../src/main.js"
+
+/**
+ * Compile a string as a function of x and y in interval mode
+ * @param string {string}
+ * @returns {Function}
+ */
+function intervalFunction(string) {
+  return Expression.from(string).compile("interval", ["x", "y"])
+}
+
+test("results are rounded outward", () => {
+  const sum = intervalFunction("x + y")(Interval.point(0.1), Interval.point(0.2))
+
+  assert.ok(sum.min <= 0.3 && 0.3 <= sum.max && sum.min < sum.max)
+
+  const quotient = intervalFunction("1 / x")(new Interval(1, 2))
+
+  assert.ok(quotient.min < 0.5 && quotient.max > 1)
+})
+
+test("results contain the result at every point of the input", () => {
+  const strings = ["x + y", "x - y", "x * y", "x / y", "x^2", "x^y", "sqrt(x)", "sin(x) + cos(y)", "atan2(y, x)",
+    "exp(x) / y", "ln(x)", "tan(x)", "mod(x, 3)", "arcsin(x / 5) + arccos(y / 5)", "arctan(x)", "sinh(x) + cosh(y)",
+    "tanh(x)", "arsinh(x) + arcosh(y)", "artanh(x / 5)", "log(x)"]
+
+  // A deterministic sequence of numbers in [0, 1)
+  let seed = 1
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+
+  for (const string of strings) {
+    const f = intervalFunction(string)
+    const g = Expression.from(string).compile("double", ["x", "y"])
+
+    for (let i = 0; i < 50; ++i) {
+      const x = random() * 10 - 5, y = random() * 10 - 5, width = random() * 2
+      const result = f(new Interval(x, x + width), new Interval(y, y + width))
+
+      for (let j = 0; j <= 4; ++j) {
+        const value = g(x + width * j / 4, y + width * j / 4)
+
+        if (Number.isFinite(value))
+          assert.ok(result.min <= value && value <= result.max, `${string} at ${x}, ${y}: ${value} not in ${result}`)
+      }
+    }
+  }
+})
+
+test("results track where the function is defined", () => {
+  const sqrt = intervalFunction("sqrt(x)")
+
+  assert.deepEqual([sqrt(new Interval(-1, 1)).defMin, sqrt(new Interval(-1, 1)).defMax], [false, true])
+  assert.deepEqual([sqrt(new Interval(-2, -1)).defMin, sqrt(new Interval(-2, -1)).defMax], [false, false])
+  assert.deepEqual([sqrt(new Interval(1, 2)).defMin, sqrt(new Interval(1, 2)).defMax], [true, true])
+
+  const reciprocal = intervalFunction("1 / x")(new Interval(-1, 1))
+
+  assert.deepEqual([reciprocal.min, reciprocal.max, reciprocal.defMin], [-Infinity, Infinity, false])
+})
+
+test("comparisons are true, false or indeterminate", () => {
+  const bounds = interval => [interval.min, interval.max]
+  const less = intervalFunction("x < y")
+
+  assert.deepEqual(bounds(less(new Interval(0, 1), new Interval(2, 3))), [1, 1])
+  assert.deepEqual(bounds(less(new Interval(2, 3), new Interval(0, 1))), [0, 0])
+  assert.deepEqual(bounds(less(new Interval(0, 2), new Interval(1, 3))), [0, 1])
+  assert.deepEqual(bounds(intervalFunction("x < 1 < y")(new Interval(0, 0.5), new Interval(2, 3))), [1, 1])
+})
+
+test("negative bases are raised to the integers among the exponents", () => {
+  const pow = intervalFunction("x^y")
+
+  for (const [x, y] of [[[-3, -2], [1, 3]], [[-3, 2], [1, 3]], [[-3, -2], [-2.5, -0.5]]]) {
+    const result = pow(new Interval(...x), new Interval(...y))
+
+    assert.deepEqual([result.defMin, result.defMax], [false, true], `${x} ^ ${y}`)
+
+    for (const base of x)
+      for (let n = Math.ceil(y[0]); n <= y[1]; ++n)
+        assert.ok(result.contains(base ** n), `${base} ^ ${n} not in ${result}`)
+  }
+
+  assert.ok(pow(new Interval(-3, -2), new Interval(1.2, 1.8)).isUndefined())
+})
+
+test("gamma and factorial overflow to Infinity rather than NaN", () => {
+  const gamma = intervalFunction("gamma(x)"), factorial = intervalFunction("x!")
+
+  for (const result of [gamma(new Interval(800, 801)), gamma(Interval.point(614)), gamma(new Interval(170, 172)),
+    factorial(new Interval(1000, 1000.5))]) {
+    assert.equal(result.max, Infinity)
+    assert.ok(result.min > 0 && result.defMin, result.toString())
+  }
+})
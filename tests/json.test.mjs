@@ -0,0 +1,67 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {AST_JSON_VERSION, Expression, inferTypes} from "../src/main.js"
+
+/**
+ * Serialize an expression and read it back
+ * @param expression {Expression}
+ * @returns {Expression}
+ */
+function roundTrip(expression) {
+  return Expression.fromJSON(JSON.stringify(expression))
+}
+
+test("expressions round-trip through JSON", () => {
+  const strings = ["a[1:2] + f::<int>(x) + |x| + \"s\"", "(x: vec2, y: real): real -> x.x * y", "1 < x <= 3", "2x y",
+    "-x^2!", "(a + b).x", "sin(x)^2"]
+
+  for (const string of strings) {
+    const expression = Expression.from(string)
+
+    assert.equal(roundTrip(expression).toString(), expression.toString(), string)
+    assert.deepEqual(roundTrip(expression).toJSON(), expression.toJSON(), string)
+  }
+})
+
+test("nodes record their kind, fields and source range", () => {
+  const json = Expression.from("|x| + 2").toJSON()
+
+  assert.equal(json.version, AST_JSON_VERSION)
+  assert.equal(json.string, "|x| + 2")
+  assert.deepEqual(json.root.children[0].children[0], {node: "function", name: "abs", implicit: false,
+    verticalBar: true, index: 0, endIndex: 2, children: [{node: "variable", name: "x", index: 1, endIndex: 1}]})
+})
+
+test("inferred types and overloads are kept", () => {
+  const expression = inferTypes(Expression.from("(z: complex) -> z * 2 + i"))
+  const json = expression.toJSON()
+
+  assert.equal(json.root.type, "function::<complex, complex>")
+
+  const restored = roundTrip(expression)
+
+  assert.equal(restored.rootNode.type.toString(), "function::<complex, complex>")
+
+  const {re, im} = restored.evaluate()({re: 1, im: 0})
+
+  assert.deepEqual([re, im], [2, 1])
+})
+
+test("invalid JSON is rejected", () => {
+  assert.throws(() => Expression.fromJSON("{}"), RangeError)
+  assert.throws(() => Expression.fromJSON({version: AST_JSON_VERSION + 1, root: {}}), RangeError)
+  assert.throws(() => Expression.fromJSON({version: AST_JSON_VERSION, root: {node: "bogus"}}), TypeError)
+  assert.throws(() => Expression.fromJSON("null"), TypeError)
+})
+
+test("clones are independent of the original", () => {
+  const expression = Expression.from("x + 1")
+  const clone = expression.clone()
+
+  assert.notEqual(clone.rootNode, expression.rootNode)
+  clone.rootNode.children[0].children[1].value = "2"
+
+  assert.equal(expression.toString(), "x + 1")
+  assert.equal(clone.toString(), "x + 2")
+})
@@ -0,0 +1,68 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {parseString, ParserError} from "../src/main.js"
+
+const TERMS = 20000
+
+/**
+ * The operands of a chain of one operator, following the left operands of a left-associative chain or the right
+ * operands of a right-associative one
+ * @param node {Object}
+ * @param op {string}
+ * @param left {boolean} Whether the chain is left associative
+ * @returns {Array}
+ */
+function chainOperands(node, op, left = true) {
+  const operands = []
+
+  while (node.type === "operator" && node.op === op) {
+    const [first, second] = node.children
+
+    operands.push(left ? second : first)
+    node = left ? first : second
+  }
+
+  operands.push(node)
+
+  return left ? operands.reverse() : operands
+}
+
+test("long sums are left-associative chains of their terms", () => {
+  const string = Array.from({length: TERMS}, (_, k) => `${k}*x^${k % 5}`).join(" + ")
+  const terms = chainOperands(parseString(string).children[0], "+")
+
+  assert.equal(terms.length, TERMS)
+
+  terms.forEach((term, k) => {
+    assert.equal(term.op, "*")
+    assert.equal(term.children[0].value, String(k))
+    assert.equal(term.children[1].op, "^")
+    assert.equal(term.children[1].children[1].value, String(k % 5))
+  })
+})
+
+test("long chains of right-associative and prefix operators", () => {
+  const powers = chainOperands(parseString(Array(5000).fill("x").join("^")).children[0], "^", false)
+
+  assert.equal(powers.length, 5000)
+
+  let node = parseString("-".repeat(5000) + "x").children[0]
+  let depth = 0
+
+  while (node.op === "-") {
+    node = node.children[0]
+    ++depth
+  }
+
+  assert.equal(depth, 5000)
+})
+
+test("errors in long expressions point at the right index", () => {
+  const string = Array.from({length: TERMS}, (_, k) => `${k % 10}x`).join(" + ")
+
+  assert.throws(() => parseString(string + " +"), error => error instanceof ParserError &&
+    error.code === "trailing-operator" && error.index === string.length + 1)
+  assert.throws(() => parseString(string + " * * 2"), error => error instanceof ParserError &&
+    error.code === "consecutive-operators" && error.index === string.length + 3)
+})
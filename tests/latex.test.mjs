@@ -0,0 +1,56 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression} from "../src/main.js"
+
+/**
+ * Parse a string and typeset it
+ * @param string {string}
+ * @param options {Object}
+ * @returns {string}
+ */
+function latex(string, options = {}) {
+  return Expression.from(string).toLatex(options)
+}
+
+test("operators and functions typeset as their LaTeX constructs", () => {
+  const cases = {
+    "(x + 1) / (y - 1)": "\\frac{x + 1}{y - 1}",
+    "x^2 + x^(n + 1)": "x^{2} + x^{n + 1}",
+    "(-x)^2": "\\left(-x\\right)^{2}",
+    "-x^2": "-x^{2}",
+    "|x - 1|": "\\left|x - 1\\right|",
+    "sqrt(x)": "\\sqrt{x}",
+    "sin(x) + cos(2x)": "\\sin\\left(x\\right) + \\cos\\left(2 x\\right)",
+    "f(x, y)": "\\operatorname{f}\\left(x, y\\right)",
+    "1 < x <= 3": "1 < x \\leq 3",
+    "x_1 + alpha": "x_{1} + \\alpha",
+    "1.5e20": "1.5 \\cdot 10^{20}",
+    "\"hi\"": "\\text{hi}",
+    "(x: real) -> x^2": "x \\mapsto x^{2}",
+    "a[1] + v.x": "a\\left[1\\right] + v.x"
+  }
+
+  for (const [string, expected] of Object.entries(cases))
+    assert.equal(latex(string), expected, string)
+})
+
+test("implicit multiplication is juxtaposition where that is unambiguous", () => {
+  assert.equal(latex("2x y"), "2 x y")
+  assert.equal(latex("2 * 3"), "2 \\cdot 3")
+  assert.equal(latex("2 3"), "2 \\cdot 3")
+  assert.equal(latex("2x", {implicitMultiplication: "symbol"}), "2 \\cdot x")
+})
+
+test("the multiplication symbol and function names can be chosen", () => {
+  assert.equal(latex("2 * x", {multiplicationSymbol: "\\times"}), "2 \\times x")
+  assert.equal(latex("f(x)", {functionName: "mathrm"}), "\\mathrm{f}\\left(x\\right)")
+  assert.equal(latex("f(x) + sin(x)", {functionName: name => `\\mathbf{${name}}`}),
+    "\\mathbf{f}\\left(x\\right) + \\sin\\left(x\\right)")
+})
+
+test("invalid options are rejected", () => {
+  assert.throws(() => latex("x", {multiplicationSymbol: 3}), TypeError)
+  assert.throws(() => latex("x", {implicitMultiplication: "never"}), RangeError)
+  assert.throws(() => latex("x", {functionName: "bold"}), RangeError)
+})
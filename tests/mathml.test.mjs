@@ -0,0 +1,78 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression} from "../src/main.js"
+
+const MATH = "<math xmlns=\"http://www.w3.org/1998/Math/MathML\">"
+
+/**
+ * The MathML of a string, without the enclosing <math> element
+ * @param string {string}
+ * @param options {Object}
+ * @param content {boolean} Whether to return Content MathML rather than presentation markup
+ * @returns {string}
+ */
+function mathml(string, options = {}, content = false) {
+  const expression = Expression.from(string)
+  const result = content ? expression.toContentMathML(options) : expression.toMathML(options)
+
+  assert.ok(result.startsWith(MATH) && result.endsWith("</math>"), result)
+
+  return result.slice(MATH.length, -"</math>".length)
+}
+
+test("every kind of node has presentation markup", () => {
+  const cases = {
+    "x / 2": "<mfrac><mi>x</mi><mn>2</mn></mfrac>",
+    "alpha_1": "<msub><mi>α</mi><mn>1</mn></msub>",
+    "sqrt(x)": "<msqrt><mi>x</mi></msqrt>",
+    "|x|": "<mrow><mo>|</mo><mi>x</mi><mo>|</mo></mrow>",
+    "1 < x <= 3": "<mrow><mn>1</mn><mo>&lt;</mo><mi>x</mi><mo>≤</mo><mn>3</mn></mrow>",
+    "sin(x)": "<mrow><mi>sin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>",
+    "\"a<b\"": "<mtext>a&#60;b</mtext>",
+    "(x: real) -> x^2": "<mrow><mi>x</mi><mo>↦</mo><msup><mi>x</mi><mn>2</mn></msup></mrow>",
+    "v.x": "<mrow><mi>v</mi><mo>.</mo><mi>x</mi></mrow>",
+    "a[1]": "<mrow><mi>a</mi><mrow><mo>[</mo><mn>1</mn><mo>]</mo></mrow></mrow>",
+    "1.5e20": "<mrow><mn>1.5</mn><mo>⋅</mo><msup><mn>10</mn><mn>20</mn></msup></mrow>"
+  }
+
+  for (const [string, expected] of Object.entries(cases))
+    assert.equal(mathml(string), expected, string)
+})
+
+test("implicit multiplication is the invisible times operator, which screen readers announce", () => {
+  assert.equal(mathml("2x"), "<mrow><mn>2</mn><mo>&#x2062;</mo><mi>x</mi></mrow>")
+  assert.equal(mathml("2x", {implicitMultiplication: "symbol"}), "<mrow><mn>2</mn><mo>⋅</mo><mi>x</mi></mrow>")
+  assert.equal(mathml("2 * x", {multiplicationSymbol: "×"}), "<mrow><mn>2</mn><mo>×</mo><mi>x</mi></mrow>")
+})
+
+test("Content MathML describes the meaning of each node", () => {
+  const cases = {
+    "x + 1": "<apply><plus/><ci>x</ci><cn>1</cn></apply>",
+    "x / 2": "<apply><divide/><ci>x</ci><cn>2</cn></apply>",
+    "sin(x)": "<apply><sin/><ci>x</ci></apply>",
+    "f(x)": "<apply><ci type=\"function\">f</ci><ci>x</ci></apply>",
+    "1 < x <= 3":
+      "<apply><and/><apply><lt/><cn>1</cn><ci>x</ci></apply><apply><leq/><ci>x</ci><cn>3</cn></apply></apply>",
+    "(x: real) -> x^2":
+      "<lambda><bvar><ci type=\"real\">x</ci></bvar><apply><power/><ci>x</ci><cn>2</cn></apply></lambda>"
+  }
+
+  for (const [string, expected] of Object.entries(cases))
+    assert.equal(mathml(string, {}, true), expected, string)
+})
+
+test("the content option annotates presentation markup with Content MathML", () => {
+  assert.equal(mathml("x + 1", {content: true}), "<semantics><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow>" +
+    "<annotation-xml encoding=\"MathML-Content\"><apply><plus/><ci>x</ci><cn>1</cn></apply></annotation-xml>" +
+    "</semantics>")
+})
+
+test("block display and invalid options", () => {
+  assert.equal(Expression.from("x").toMathML({display: "block"}),
+    "<math xmlns=\"http://www.w3.org/1998/Math/MathML\" display=\"block\"><mi>x</mi></math>")
+
+  assert.throws(() => mathml("x", {display: "center"}), RangeError)
+  assert.throws(() => mathml("x", {multiplicationSymbol: 1}), TypeError)
+  assert.throws(() => mathml("x", {implicitMultiplication: "never"}), RangeError)
+})
@@ -0,0 +1,78 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {DefaultOperatorTable, Expression, Interval, OperatorTable, ParserError, parseStringTolerant} from "../src/main.js"
+
+const operators = new OperatorTable([
+  ...DefaultOperatorTable.definitions,
+  {symbol: "mod", fixity: "infix", precedence: 30},
+  {symbol: "%", op: "mod", fixity: "infix", precedence: 30},
+  {symbol: "**", op: "^", fixity: "infix", precedence: 20, associativity: "right"},
+  {symbol: "'", fixity: "postfix", precedence: 10},
+  {symbol: "not", fixity: "prefix", precedence: 45}
+])
+
+/**
+ * Parse a string with the custom table and print it back
+ * @param string {string}
+ * @returns {string}
+ */
+function reprint(string) {
+  return Expression.from(string, {operators}).toString()
+}
+
+test("operators of a custom table evaluate and print with the table's symbols", () => {
+  const expression = Expression.from("7 mod 3", {operators})
+
+  assert.equal(expression.evaluate(), 1)
+  assert.equal(Expression.from("-7 mod 3", {operators}).evaluate(), 2)
+  assert.equal(expression.toString(), "7 mod 3")
+  assert.equal(expression.toLatex(), "7 \\bmod 3")
+  assert.match(expression.toMathML(), /<mo>mod<\/mo>/)
+
+  assert.equal(reprint("7 % 3"), "7 mod 3")
+  assert.equal(reprint("2 ** 3 ** 2"), "2^3^2")
+  assert.equal(Expression.from("2 ** 3 ** 2", {operators}).evaluate(), 512)
+  assert.equal(reprint("(a + b) mod 3"), "(a + b) mod 3")
+  assert.equal(reprint("a mod (b mod c)"), "a mod (b mod c)")
+})
+
+test("printed expressions parse back with the same table", () => {
+  for (const string of ["x'", "x''", "(x + 1)'", "not a and b", "not (a < b)", "1 < x mod 3 < 2"]) {
+    const printed = reprint(string)
+
+    assert.equal(reprint(printed), printed, string)
+  }
+
+  assert.equal(reprint("x''"), "x''")
+  assert.equal(reprint("not a and b"), "not a and b")
+  assert.equal(Expression.from("not a", {operators}).toLatex(), "\\operatorname{not}a")
+})
+
+test("an operand after a postfix operator is missing an operator", () => {
+  for (const string of ["x'y", "x! y"])
+    assert.throws(() => Expression.from(string, {operators}), error => error instanceof ParserError &&
+      error.code === "missing-operator" && /Missing operator after postfix operator/.test(error.message), string)
+
+  const {diagnostics} = parseStringTolerant("x'y + 1", {operators})
+
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ["missing-operator"])
+})
+
+test("mod is a function in every compilation mode", () => {
+  assert.equal(Expression.from("mod(7, 3) + mod(-1, 3)").evaluate(), 3)
+  assert.equal(Expression.from("mod(x, 3)").compile("double", ["x"])(-4), 2)
+
+  const {min, max} = Expression.from("mod(x, 3)").compile("interval", ["x"])(Interval.point(4))
+
+  assert.ok(min <= 1 && 1 <= max && max - min < 1e-12)
+})
+
+test("invalid and conflicting definitions are rejected", () => {
+  assert.throws(() => new OperatorTable([{symbol: "'", fixity: "suffix", precedence: 10}]), TypeError)
+  assert.throws(() => new OperatorTable([{symbol: "'", fixity: "postfix"}]), TypeError)
+  assert.throws(() => new OperatorTable([{symbol: "not", fixity: "prefix", precedence: 45, associativity: "left"}]),
+    TypeError)
+  assert.throws(() => new OperatorTable([{symbol: "%", fixity: "infix", precedence: 30},
+    {symbol: "%", fixity: "postfix", precedence: 10}]), Error)
+})
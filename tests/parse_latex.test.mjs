@@ -0,0 +1,111 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {BigFloat, Expression, Interval, parseLatex, ParserError} from "../src/main.js"
+
+/**
+ * Parse LaTeX and print the expression as source
+ * @param latex {string}
+ * @returns {string}
+ */
+function fromLatex(latex) {
+  return Expression.from(parseLatex(latex)).toString()
+}
+
+/**
+ * The structure of a tree, ignoring parentheses, which LaTeX constructs like \frac insert
+ * @param node {ASTNode}
+ * @returns {Array}
+ */
+function shape(node) {
+  const children = node.getChildren()
+
+  if (node.nodeType() === "group" && node.parenType === "(" && children.length === 1)
+    return shape(children[0])
+
+  return [node.nodeType(), node.op ?? node.name ?? node.value ?? null, ...children.map(shape)]
+}
+
+/**
+ * Assert that LaTeX parses to the same tree as a string, ignoring parentheses
+ * @param latex {string}
+ * @param string {string}
+ */
+function assertSameTree(latex, string) {
+  assert.deepEqual(shape(Expression.from(parseLatex(latex))), shape(Expression.from(string).rootNode),
+    `${latex} is not ${string}`)
+}
+
+test("LaTeX constructs become the expressions they typeset", () => {
+  const cases = {
+    "\\frac{1}{2}x^{2}": "1 / 2 x^2",
+    "\\sqrt{x}": "sqrt(x)",
+    "\\sqrt[3]{x + 1}": "(x + 1)^(1 / 3)",
+    "\\left|x\\right|": "|x|",
+    "\\sin\\left(x\\right)": "sin(x)",
+    "\\sin 2x": "sin(2x)",
+    "\\cos^{2} x": "(cos(x))^2",
+    "x_{1} \\cdot \\alpha": "x_1 * alpha",
+    "\\operatorname{f}\\left(x, y\\right)": "f(x, y)",
+    "x \\leq 3": "x <= 3",
+    "\\overline{z}": "conj(z)"
+  }
+
+  for (const [latex, string] of Object.entries(cases))
+    assertSameTree(latex, string)
+})
+
+test("a power of -1 on a trigonometric function is its inverse", () => {
+  assert.equal(fromLatex("\\cos^{-1} x"), "arccos(x)")
+  assert.equal(fromLatex("\\sin^{-1}\\left(2x\\right)"), "arcsin(2x)")
+  assert.equal(fromLatex("\\tanh^{-1} x"), "artanh(x)")
+  assert.equal(fromLatex("\\sin^{-2} x"), "(sin(x))^(-2)")
+  assert.equal(fromLatex("\\ln^{-1} x"), "(ln(x))^(-1)")
+})
+
+test("inverse functions and logarithms evaluate in every mode", () => {
+  const cases = {
+    "\\sin^{-1}\\left(x\\right)": Math.asin(0.5),
+    "\\cos^{-1} x": Math.acos(0.5),
+    "\\tan^{-1} x": Math.atan(0.5),
+    "\\tanh^{-1} x": Math.atanh(0.5),
+    "\\log\\left(x\\right)": Math.log10(0.5)
+  }
+
+  for (const [latex, value] of Object.entries(cases)) {
+    const expression = Expression.from(parseLatex(latex))
+
+    assert.equal(expression.evaluate({x: 0.5}), value, latex)
+    assert.ok(expression.compile("interval", ["x"])(Interval.point(0.5)).contains(value), latex)
+
+    // Math.atanh and the like may be an ulp off
+    const arbitrary = expression.compile("arbitrary", ["x"])(BigFloat.fromNumber(0.5)).toNumber()
+
+    assert.ok(Math.abs(arbitrary - value) <= 2 * Number.EPSILON * Math.abs(value), latex)
+  }
+})
+
+test("brackets after an operand index it, and a period followed by a name accesses a property", () => {
+  assert.equal(fromLatex("a\\left[1\\right]"), "a[1]")
+  assert.equal(fromLatex("a [i + 1]"), "a[i + 1]")
+  assert.equal(fromLatex("a\\left[1 : 3\\right]"), "a[1:3]")
+  assert.equal(fromLatex("2\\left[x\\right]"), "2 [x]")
+  assert.equal(fromLatex("z.\\mathit{re}"), "z.re")
+  assert.equal(fromLatex("\\left(a + b\\right).x_{1}"), "(a + b).x_1")
+  assert.equal(fromLatex("1.5"), "1.5")
+})
+
+test("colons outside indexing brackets are errors", () => {
+  for (const latex of ["a:b", "\\left[1:2\\right]", "(a:b)"])
+    assert.throws(() => parseLatex(latex), error => error instanceof ParserError && error.code === "unrecognized-token",
+      latex)
+})
+
+test("LaTeX output parses back to the same expression", () => {
+  const strings = ["x[1]", "a[1:3]", "m[i][j]", "a.x", "(a + b).x", "f(x)[0]", "a.b[1].c", "2a[1]", "-a[1]",
+    "(x + 1)[2]", "v.x^2", "a[i + 1]^2", "z.re + z.im", "sin(x)^2 + cos(x)", "sqrt(x + 1) / 2", "|x - 1|",
+    "1 < x <= 3", "x_1 * alpha", "f(x, y)", "conj(z)", "(z: complex) -> z^2"]
+
+  for (const string of strings)
+    assertSameTree(Expression.from(string).toLatex(), string)
+})
@@ -0,0 +1,107 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {parseString, ParserError} from "../src/main.js"
+
+/**
+ * Parse a string which is expected to be invalid, returning the error
+ * @param string {string}
+ * @returns {ParserError}
+ */
+function errorOf(string) {
+  try {
+    parseString(string)
+  } catch (error) {
+    assert.ok(error instanceof ParserError, string)
+    return error
+  }
+
+  assert.fail(`${string} parsed without error`)
+}
+
+/**
+ * Apply the edits of a suggested fix to a string. The edits apply to the original string, so they are applied from last
+ * to first.
+ * @param string {string}
+ * @param fix {Object}
+ * @returns {string}
+ */
+function applyFix(string, fix) {
+  const edits = [...fix.edits].sort((a, b) => b.index - a.index)
+
+  return edits.reduce((result, {index, length, text}) => result.slice(0, index) + text + result.slice(index + length),
+    string)
+}
+
+test("each kind of error has a stable code and range", () => {
+  const cases = [
+    ["x + 1)", "unbalanced-paren", 5, 5],
+    ["x +", "trailing-operator", 2, 2],
+    ["()", "empty-subexpression", 0, 1],
+    ["2 * * 3", "consecutive-operators", 4, 4],
+    ["a[]", "empty-index", 1, 2],
+    ["3 $ 4", "unrecognized-token", 2, 2]
+  ]
+
+  for (const [string, code, index, endIndex] of cases) {
+    const error = errorOf(string)
+
+    assert.deepEqual([error.code, error.index, error.endIndex, error.string], [code, index, endIndex, string], string)
+  }
+})
+
+test("unclosed parentheses are related to the opening parenthesis", () => {
+  const error = errorOf("3 * (x + [1, 2]")
+
+  assert.equal(error.code, "unbalanced-paren")
+  assert.equal(error.index, 15)
+  assert.deepEqual(error.related, [{index: 4, endIndex: 4, message: "Unclosed opening parenthesis"}])
+})
+
+test("suggested fixes are edits which repair the string", () => {
+  for (const string of ["(x + 1", "x + 1)", "x +", "2 * * 3", "x[2", "3 $ 4", "x: "]) {
+    const error = errorOf(string)
+
+    assert.ok(error.fixes.length > 0, string)
+    assert.doesNotThrow(() => parseString(applyFix(string, error.fixes[0])), string)
+  }
+
+  assert.deepEqual(errorOf("(x + 1").fixes,
+    [{message: "Close the parenthesis", edits: [{index: 6, length: 0, text: ")"}]}])
+})
+
+test("commas before parenthesized arguments are not misplaced", () => {
+  for (const string of ["atan2(x, (y))", "f((a), (b))", "f(a, (b), [c])"])
+    assert.doesNotThrow(() => parseString(string), string)
+
+  assert.deepEqual([errorOf("f(a, (b),)").code, errorOf("f(a, (b),)").index], ["misplaced-comma", 8])
+})
+
+test("the message and toString keep the formatted excerpt", () => {
+  const error = errorOf("x +")
+
+  assert.equal(error.description, "Trailing operator at end of expression")
+  assert.equal(error.note, "Note: Perhaps remove the operator, or add a value after the operator?")
+  assert.equal(error.toString(), "Trailing operator at end of expression at index 2:\nx +\n  ^\n" +
+    "Note: Perhaps remove the operator, or add a value after the operator?")
+  assert.equal(error.message, error.toString())
+
+  // Related ranges are shown after the note, with line numbers in strings of several lines
+  assert.match(errorOf("x \n+ (y").toString(),
+    /at line 2, index 4:\n\+ \(y\n {4}\^\nNote: Unclosed opening parenthesis at line 2/)
+})
+
+test("diagnostics are the structured data without formatting", () => {
+  const {diagnostic} = errorOf("()")
+
+  assert.deepEqual(diagnostic, {code: "empty-subexpression", message: "Empty parenthesized subexpression",
+    note: "Note: Perhaps put an expression inside?", index: 0, endIndex: 1, related: [], fixes: []})
+})
+
+test("errors constructed without a string have the message alone", () => {
+  const error = new ParserError("Something went wrong", {note: "Note: try again"})
+
+  assert.equal(error.code, "parse-error")
+  assert.equal(error.string, null)
+  assert.equal(error.toString(), "Something went wrong\nNote: try again")
+})
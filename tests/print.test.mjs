@@ -0,0 +1,74 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression} from "../src/main.js"
+
+/**
+ * Remove the parenthesized groups of a node description from toJSON, leaving the tree they denote
+ * @param json {Object}
+ * @returns {Object}
+ */
+function withoutParens(json) {
+  if (json.node === "group" && json.parenType === "(" && json.children.length === 1)
+    return withoutParens(json.children[0])
+
+  return json.children ? Object.assign({}, json, {children: json.children.map(withoutParens)}) : json
+}
+
+/**
+ * Print the tree of a string without the parentheses written in it, so that the printer decides where they go
+ * @param string {string}
+ * @returns {string}
+ */
+function reprint(string) {
+  const json = Expression.from(string).toJSON()
+
+  return Expression.fromJSON(Object.assign({}, json, {root: withoutParens(json.root)})).toString()
+}
+
+test("parentheses are only inserted where precedence needs them", () => {
+  const cases = {
+    "(a - b) - c": "a - b - c",
+    "a - (b - c)": "a - (b - c)",
+    "(a / b) / c": "a / b / c",
+    "a / (b / c)": "a / (b / c)",
+    "(2^3)^4": "(2^3)^4",
+    "2^(3^4)": "2^3^4",
+    "(-x)^2": "(-x)^2",
+    "-(x^2)": "-x^2",
+    "(a * b) + c": "a * b + c",
+    "(a + b) * c": "(a + b) * c",
+    "(a and b) or c": "a and b or c",
+    "a and (b or c)": "a and (b or c)",
+    "(x!)!": "(x!)!",
+    "(a * b)!": "(a * b)!",
+    "-(a + b)": "-(a + b)",
+    "(1 < x) < 3": "(1 < x) < 3",
+    "(a + b).x": "(a + b).x",
+    "((a))[1]": "a[1]"
+  }
+
+  for (const [string, expected] of Object.entries(cases))
+    assert.equal(reprint(string), expected, string)
+})
+
+test("printed source parses back to the same tree", () => {
+  const strings = ["2^3^4", "-x^2", "|x + 1| * 2", "2x y", "2(x + 1)", "(x: vec2, y: real): real -> x.x * y",
+    "(a, b) -> a + b", "1 < x <= 3", "x!!", "sin(x)^2", "list::<real>(1)", "\"a\\\"b\"", "a[1][2]", "2 * -x", "x^-1",
+    "::a + b::c", "- -x"]
+
+  // The tree of a string, without the source ranges, which differ in the printed source
+  const tree = string => JSON.stringify(Expression.from(string).toJSON().root,
+    (key, value) => (key === "index" || key === "endIndex") ? undefined : value)
+
+  for (const string of strings)
+    assert.equal(tree(Expression.from(string).toString()), tree(string), string)
+})
+
+test("the notation of the source is kept", () => {
+  assert.equal(Expression.from("|x + 1| * 2").toString(), "|x + 1| * 2")
+  assert.equal(Expression.from("2x y").toString(), "2x y")
+  assert.equal(Expression.from("(x: vec2, y: real): real -> x.x * y").toString(), "(x: vec2, y: real): real -> x.x * y")
+  assert.equal(Expression.from("list::<real>(1)").toString(), "list::<real>(1)")
+  assert.equal(Expression.from("((x))").toString(), "((x))")
+})
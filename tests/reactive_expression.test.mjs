@@ -0,0 +1,77 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {defineVariable, deleteVariable, ReactiveExpression} from "../src/main.js"
+
+test("values are cached until a dependency changes", () => {
+  defineVariable("a", "2")
+  defineVariable("b", "a + 1", "geo")
+
+  const expression = new ReactiveExpression("geo::b * 2 + a")
+  const changes = []
+
+  expression.subscribe(changed => changes.push(changed))
+
+  try {
+    assert.deepEqual([...expression.dependencies], ["geo::b", "a"])
+    assert.equal(expression.getValue(), 8)
+    assert.equal(expression.getFunction(), expression.getFunction())
+
+    // Changes to the dependencies of dependencies are reported as changes to the dependencies
+    defineVariable("a", "5")
+    assert.deepEqual(changes, [["a", "geo::b"]])
+    assert.equal(expression.hasValue, false)
+    assert.equal(expression.getValue(), 17)
+
+    // Unrelated variables don't invalidate the expression
+    defineVariable("c", "1")
+    deleteVariable("c")
+    assert.equal(changes.length, 1)
+    assert.equal(expression.hasValue, true)
+  } finally {
+    expression.dispose()
+    deleteVariable("geo::b")
+    deleteVariable("a")
+  }
+})
+
+test("definitions of names the expression refers to are dependencies", () => {
+  const expression = new ReactiveExpression("x * d", "double", ["x"])
+  const changes = []
+
+  expression.subscribe(changed => changes.push(changed))
+
+  try {
+    assert.deepEqual([...expression.dependencies], [])
+
+    defineVariable("d", "3")
+    assert.deepEqual(changes, [["d"]])
+    assert.equal(expression.getFunction()(2), 6)
+    assert.throws(() => expression.getValue(), TypeError)
+  } finally {
+    expression.dispose()
+    deleteVariable("d")
+  }
+})
+
+test("subscriptions and the expression can be disposed of", () => {
+  defineVariable("a", "1")
+
+  const expression = new ReactiveExpression("a")
+  const changes = []
+  const unsubscribe = expression.subscribe(changed => changes.push(changed))
+
+  assert.throws(() => expression.subscribe(null), TypeError)
+
+  defineVariable("a", "2")
+  unsubscribe()
+  defineVariable("a", "3")
+  assert.equal(changes.length, 1)
+  assert.equal(expression.getValue(), 3)
+
+  expression.dispose()
+  defineVariable("a", "4")
+  assert.equal(expression.getValue(), 3)
+
+  deleteVariable("a")
+})
@@ -0,0 +1,81 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression, inferTypes, simplify} from "../src/main.js"
+
+/**
+ * Simplify a string and print the result
+ * @param string {string}
+ * @returns {string}
+ */
+function simplified(string) {
+  return simplify(string).toString()
+}
+
+test("integer constants are folded", () => {
+  assert.equal(simplified("2 * 3 + 4"), "10")
+  assert.equal(simplified("2^10"), "1024")
+  assert.equal(simplified("sin(0) + x"), "0 + x")
+
+  // Inexact results aren't folded, since their values depend on the compilation mode
+  assert.equal(simplified("1 / 3"), "1 / 3")
+})
+
+test("identity elements are eliminated next to real operands", () => {
+  for (const string of ["x * 1", "x + 0", "x^1", "x - 0", "x / 1", "0 + 1 * x^1"])
+    assert.equal(simplify(inferTypes(Expression.from(string), {variableTypes: {x: "real"}})).toString(), "x", string)
+
+  assert.equal(simplify(inferTypes(Expression.from("(a) -> a * 1"))).toString(), "a -> a")
+  assert.equal(simplified("(2^x - 1)^1"), "(2^x - 1)^1")
+  assert.equal(simplified("(2 - sin(3))^1"), "2 - sin(3)")
+})
+
+test("identity elements are kept next to operands which might not be real", () => {
+  // Without types, x might be a list, say
+  assert.equal(simplified("x * 1"), "1 * x")
+  assert.equal(simplified("x^1 - 0"), "x^1 - 0")
+  assert.equal(simplified("(a) -> a + 0"), "a -> 0 + a")
+
+  assert.throws(() => simplify("\"s\" + 0").evaluate(), /No overload of operator \+/)
+  assert.deepEqual(simplify("x * 1").evaluate({x: [1, 2]}), Expression.from("x * 1").evaluate({x: [1, 2]}))
+})
+
+test("associative operators are flattened and commutative operands sorted", () => {
+  assert.equal(simplified("2 + x + 3"), "5 + x")
+  assert.equal(simplified("2 * (3 * x)"), "6 * x")
+  assert.equal(simplified("x * 2 * y * 3"), "6 * x * y")
+  assert.equal(simplified("y + x + b + a"), "a + b + x + y")
+  assert.equal(simplified("((x + 1))"), "1 + x")
+
+  // Subtraction is neither associative nor commutative
+  assert.equal(simplified("x + y - y"), "x + y - y")
+})
+
+test("simplified expressions have the same values", () => {
+  for (const string of ["2 + x + 3", "x * 2 * y * 3", "(x - 1) * 1 + 0", "i * 2 + 1", "2 * (3 * x) - 4 / 2"]) {
+    const scope = {x: 1.5, y: -2}
+
+    assert.deepEqual(simplify(string).evaluate(scope), Expression.from(string).evaluate(scope), string)
+  }
+})
+
+test("types are preserved", () => {
+  const expression = simplify(inferTypes(Expression.from("x * 1 + 0"), {variableTypes: {x: "real"}}))
+
+  assert.equal(expression.toString(), "x")
+  assert.equal(expression.rootNode.type.toString(), "real")
+
+  const complex = simplify(inferTypes(Expression.from("2 + z + 3"), {variableTypes: {z: "complex"}}))
+
+  assert.equal(complex.rootNode.type.toString(), "complex")
+  const {re, im} = complex.evaluate({z: {re: 1, im: 1}})
+
+  assert.deepEqual([re, im], [6, 1])
+})
+
+test("the expression is not modified", () => {
+  const expression = Expression.from("2 + x + 3")
+
+  simplify(expression)
+  assert.equal(expression.toString(), "2 + x + 3")
+})
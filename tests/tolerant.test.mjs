@@ -0,0 +1,101 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {ErrorNode, objectToNode, parseString, parseStringTolerant} from "../src/main.js"
+
+/**
+ * The structure of a parsed tree as nested arrays, with error nodes written as ["error", index, endIndex, ...]
+ * @param node {Object}
+ * @returns {Array}
+ */
+function shape(node) {
+  const children = (node.children ?? []).map(shape)
+
+  if (node.type === "error")
+    return ["error", node.index, node.endIndex, ...children]
+
+  return [node.type, node.op ?? node.name ?? node.value ?? null, ...children]
+}
+
+/**
+ * The codes and ranges of the diagnostics of a string
+ * @param string {string}
+ * @returns {Array}
+ */
+function diagnosticsOf(string) {
+  return parseStringTolerant(string).diagnostics.map(diagnostic => [diagnostic.code, diagnostic.index,
+    diagnostic.endIndex])
+}
+
+test("valid strings parse to the same tree as parseString, without diagnostics", () => {
+  for (const string of ["1 + 2", "sin(x)^2 + cos(x)^2", "(a: vec2) -> a.x", "1 < x <= 3"]) {
+    const {root, diagnostics} = parseStringTolerant(string)
+
+    assert.deepEqual(diagnostics, [], string)
+    assert.deepEqual(shape(root), shape(parseString(string)), string)
+  }
+})
+
+test("every error is reported, not only the first", () => {
+  assert.deepEqual(diagnosticsOf("sin(x +) + cos("), [["unbalanced-paren", 15, 15], ["trailing-operator", 6, 6]])
+  assert.deepEqual(diagnosticsOf("2 $ 3 + ("),
+    [["unrecognized-token", 2, 2], ["unbalanced-paren", 9, 9], ["empty-subexpression", 8, 9]])
+  assert.deepEqual(diagnosticsOf("x + + 1) * ("),
+    [["unbalanced-paren", 7, 7], ["unbalanced-paren", 12, 12], ["empty-subexpression", 11, 12]])
+})
+
+test("each token is reported once", () => {
+  assert.deepEqual(diagnosticsOf("f(,)"), [["misplaced-comma", 2, 2]])
+  assert.deepEqual(diagnosticsOf("(,)"), [["misplaced-comma", 1, 1]])
+  assert.deepEqual(diagnosticsOf("(1, 2,)"), [["misplaced-comma", 5, 5], ["comma-in-subexpression", 0, 6]])
+  assert.deepEqual(diagnosticsOf("x + (*) + 1"), [["leading-operator", 5, 5]])
+
+  for (const string of ["f(,)", "x + (*) + 1"])
+    assert.ok(parseStringTolerant(string).root, string)
+})
+
+test("diagnostics carry the structured data of errors", () => {
+  const [diagnostic] = parseStringTolerant("x +").diagnostics
+
+  assert.deepEqual(diagnostic, {code: "trailing-operator", message: "Trailing operator at end of expression",
+    note: "Note: Perhaps remove the operator, or add a value after the operator?", index: 2, endIndex: 2, related: [],
+    fixes: [{message: "Remove the operator", edits: [{index: 2, length: 1, text: ""}]}]})
+})
+
+test("broken regions become error nodes, and the rest of the expression is kept", () => {
+  const shapeOf = string => shape(parseStringTolerant(string).root)
+
+  assert.deepEqual(shapeOf("x + "), ["node", null, ["operator", "+", ["variable", "x"], ["error", 2, 2]]])
+  assert.deepEqual(shapeOf("() + y"), ["node", null, ["operator", "+", ["error", 0, 1], ["variable", "y"]]])
+  assert.deepEqual(shapeOf("1 + * 2"),
+    ["node", null, ["operator", "+", ["number", "1"], ["operator", "*", ["error", 4, 4], ["number", "2"]]]])
+
+  // Unclosed parentheses and empty indices wrap what could be parsed
+  assert.deepEqual(shapeOf("(x + 1"),
+    ["node", null, ["error", 0, 6, ["node", null, ["operator", "+", ["variable", "x"], ["number", "1"]]]]])
+  assert.deepEqual(shapeOf("a[] + b"),
+    ["node", null, ["operator", "+", ["error", 0, 2, ["variable", "a"]], ["variable", "b"]]])
+})
+
+test("error nodes convert to ASTNodes", () => {
+  const errors = []
+  const collect = node => {
+    if (node instanceof ErrorNode)
+      errors.push(node)
+
+    node.getChildren().forEach(collect)
+  }
+
+  collect(objectToNode(parseStringTolerant("sin(x +)").root))
+
+  assert.equal(errors.length, 1)
+  assert.equal(errors[0].message, "Operator immediately followed by closing parenthesis")
+  assert.equal(errors[0].nodeType(), "error")
+})
+
+test("errors which can't be recovered from leave no tree", () => {
+  const {root, diagnostics} = parseStringTolerant("x: + 1")
+
+  assert.equal(root, null)
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ["missing-typename"])
+})
@@ -0,0 +1,66 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression, inferTypes, ParserError, TypecastNode} from "../src/main.js"
+
+/**
+ * Infer the types of a string, returning the root node without its enclosing group
+ * @param string {string}
+ * @param options {Object}
+ * @returns {ASTNode}
+ */
+function inferred(string, options = {}) {
+  return inferTypes(Expression.from(string), options).rootNode.getChildren()[0]
+}
+
+/**
+ * The signature of the overload a node resolved to, like "+(real, real) -> real"
+ * @param node {ASTNode}
+ * @returns {string}
+ */
+function overloadOf(node) {
+  const operator = node.getOperator()
+
+  return `${operator.name}(${operator.signature.join(", ")}) -> ${operator.returnType}`
+}
+
+test("operators resolve to overloads, with ints cast to reals", () => {
+  const node = inferred("2 + x")
+
+  assert.equal(overloadOf(node), "+(real, real) -> real")
+  assert.ok(node.children[0] instanceof TypecastNode)
+  assert.equal(node.children[0].children[0].type.toString(), "int")
+  assert.equal(node.children[0].type.toString(), "real")
+  assert.ok(!(node.children[1] instanceof TypecastNode))
+})
+
+test("variable types and annotations select overloads", () => {
+  assert.equal(overloadOf(inferred("z * i", {variableTypes: {z: "complex"}})), "*(complex, complex) -> complex")
+  assert.equal(overloadOf(inferred("sin(x)", {variableTypes: {x: "int"}})), "sin(real) -> real")
+
+  const arrow = inferred("(z: complex) -> z + 1")
+
+  assert.equal(arrow.type.toString(), "function::<complex, complex>")
+  assert.equal(overloadOf(arrow.children[0]), "+(complex, complex) -> complex")
+})
+
+test("the complex option lets functions of reals have complex results", () => {
+  assert.equal(overloadOf(inferred("sqrt(-1)")), "sqrt(real) -> real")
+  assert.equal(overloadOf(inferred("sqrt(-1)", {complex: true})), "sqrt(complex) -> complex")
+})
+
+test("operators without a fitting overload are errors pointing at the node", () => {
+  const cases = [
+    ["vec2(1, 2) + 1", "no-overload", 11, 13, /No overload of operator \+ accepts arguments \(vec2, int\)/],
+    ["sin(vec2(1, 2))", "no-overload", 0, 14, /No overload of function sin accepts arguments \(vec2\)/],
+    ["unknownfn(2)", "unknown-function", 0, 11, /Unknown function unknownfn/]
+  ]
+
+  for (const [string, code, index, endIndex, message] of cases) {
+    assert.throws(() => inferTypes(Expression.from(string)), error => error instanceof ParserError &&
+      error.code === code && error.index === index && error.endIndex === endIndex && message.test(error.message), string)
+  }
+
+  assert.throws(() => inferTypes(Expression.from("sin(vec2(1, 2))")),
+    error => /Available overloads are \(real\) -> real, \(complex\) -> complex/.test(error.note))
+})
@@ -0,0 +1,55 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {
+  Expression,
+  getOperatorOverloads,
+  inferTypes,
+  Interval,
+  isDefinedInstance,
+  isInstance,
+  validateType
+} from "../src/main.js"
+
+test("types are validated against their definitions", () => {
+  for (const type of ["int", "real", "complex", "bool", "vec2", "vec3", "string", "list::<vec2>",
+    "pair::<complex, complex>", "list::<list::<real>>"])
+    assert.equal(validateType(type).toString(), type)
+
+  for (const type of ["list", "list::<vec2, vec2>", "lisst::<vec2>", "real::<real>", "pair::<real>"])
+    assert.throws(() => validateType(type), TypeError, type)
+})
+
+test("values are instances of types in each compilation mode", () => {
+  assert.ok(isInstance(2, "real"))
+  assert.ok(isInstance(NaN, "real"))
+  assert.ok(!isDefinedInstance(NaN, "real"))
+  assert.ok(isInstance({re: 1, im: 2}, "complex"))
+  assert.ok(isInstance({x: 1, y: 2}, "vec2"))
+  assert.ok(!isInstance({x: 1}, "vec2"))
+  assert.ok(isInstance([[1, 2], [3]], "list::<list::<real>>"))
+  assert.ok(isInstance([{re: 0, im: 0}, {re: 1, im: 0}], "pair::<complex, complex>"))
+  assert.ok(isInstance(Interval.point(1), "real", "interval"))
+  assert.ok(!isInstance(1, "real", "interval"))
+  assert.throws(() => isInstance({re: 1, im: 2}, "complex", "interval"), RangeError)
+})
+
+test("comparison chains resolve each comparison and the operator combining them", () => {
+  const expression = inferTypes(Expression.from("1 < x <= 3"))
+  const node = expression.rootNode
+
+  assert.equal(node.type.toString(), "bool")
+  assert.equal(node.getOperator(), getOperatorOverloads("cchain")[0])
+  assert.deepEqual(node.comparisonOperators.map(operator => operator.name), ["<", "<="])
+
+  assert.equal(expression.evaluate({x: 3}), true)
+  assert.equal(expression.compile("double", ["x"])(4), false)
+  assert.equal(Expression.fromJSON(JSON.stringify(expression)).evaluate({x: 2}), true)
+  assert.deepEqual(Expression.from("0 < x < 1 < y").compile("interval", ["x", "y"])(Interval.point(0.5), Interval.point(2)),
+    Interval.point(1))
+})
+
+test("comparison chains report the comparison which has no overload", () => {
+  assert.throws(() => inferTypes(Expression.from("1 < i < 3")), error => error.code === "no-overload" && error.index === 2)
+  assert.equal(Expression.from("(a: vec2) -> 1 < a.x < 3").evaluate()({x: 2, y: 0}), true)
+})
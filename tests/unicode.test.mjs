@@ -0,0 +1,86 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {Expression, highlightExpression, ParserError} from "../src/main.js"
+
+/**
+ * Parse a string and print it back
+ * @param string {string}
+ * @returns {string}
+ */
+function reprint(string) {
+  return Expression.from(string).toString()
+}
+
+test("symbols become the operators and functions they stand for", () => {
+  assert.equal(reprint("2 × 3 ÷ x"), "2 * 3 / x")
+  assert.equal(reprint("x ≤ y ≠ 3"), "x <= y != 3")
+  assert.equal(reprint("x² + y⁻¹"), "x^2 + y^-1")
+  assert.equal(reprint("√x² + √(x + 1)"), "sqrt(x^2) + sqrt(x + 1)")
+  assert.equal(Expression.from("√√16").evaluate(), 2)
+})
+
+test("powers of functions apply to the call", () => {
+  assert.equal(reprint("sin²(x) + cos²(x)"), "sin(x)^2 + cos(x)^2")
+  assert.ok(Math.abs(Expression.from("sin²(x) + cos²(x)").evaluate({x: 0.7}) - 1) < 1e-15)
+  assert.equal(reprint("√sin²(x)"), "sqrt(sin(x)^2)")
+  assert.equal(reprint("ln³(√x)"), "ln(sqrt(x))^3")
+
+  // A power of -1 is the inverse function
+  assert.equal(reprint("cos⁻¹(x)"), "arccos(x)")
+  assert.equal(reprint("tanh⁻¹(x)"), "artanh(x)")
+  assert.equal(reprint("sin⁻²(x)"), "sin(x)^-2")
+  assert.equal(Expression.from("cos⁻¹(x)").evaluate({x: 0.5}), Math.acos(0.5))
+  assert.equal(Expression.from("sin⁻¹(x) + tanh⁻¹(x)").evaluate({x: 0.5}), Math.asin(0.5) + Math.atanh(0.5))
+
+  // Other names followed by parentheses are multiplied, as are functions whose power is apart from the parentheses
+  assert.equal(reprint("x²(x + 1)"), "x^2 (x + 1)")
+  assert.equal(reprint("sin² (x)"), "sin^2 (x)")
+})
+
+test("Greek letters are variables which keep their spelling", () => {
+  assert.equal(reprint("α + β"), "α + β")
+  assert.equal(reprint("2πr²"), "2π r^2")
+  assert.equal(Expression.from("α + β").evaluate({alpha: 1, beta: 2}), 3)
+  assert.equal(Expression.from("2π").evaluate(), 2 * Math.PI)
+  assert.equal(Expression.from("α + β").toLatex(), "\\alpha + \\beta")
+
+  const func = Expression.from("(θ, φ) -> θ - φ")
+
+  assert.equal(func.toString(), "(θ, φ) -> θ - φ")
+  assert.equal(Expression.fromJSON(JSON.stringify(func)).toString(), "(θ, φ) -> θ - φ")
+  assert.equal(func.evaluate()(3, 1), 2)
+})
+
+test("Δ and δ followed by a name are increments", () => {
+  assert.equal(reprint("Δx / δt"), "Δx / δt")
+  assert.equal(Expression.from("Δx / δt").evaluate({Deltax: 6, deltat: 2}), 3)
+  assert.equal(Expression.from("Δ x").evaluate({Delta: 2, x: 3}), 6)
+})
+
+test("subscript digits are subscripts of the name", () => {
+  assert.equal(reprint("θ₁ + x₂₃"), "θ₁ + x₂₃")
+  assert.equal(Expression.from("θ₁ + x₂₃").evaluate({theta_1: 1, x_23: 2}), 3)
+  assert.equal(Expression.from("θ₁ - θ_1").evaluate({theta_1: 1}), 0)
+  assert.equal(Expression.from("Δx₁").toLatex(), "\\mathit{Deltax}_{1}")
+  assert.equal(Expression.fromJSON(JSON.stringify(Expression.from("x₁"))).toString(), "x₁")
+})
+
+test("square roots without an operand are errors", () => {
+  for (const string of ["√-x", "√", "2√+1"])
+    assert.throws(() => Expression.from(string), error => error instanceof ParserError &&
+      error.code === "missing-root-operand" && /Square root without an operand/.test(error.message), string)
+})
+
+test("superscripts without a base are errors", () => {
+  for (const string of ["²(x)", "x + ²³(x)"])
+    assert.throws(() => Expression.from(string), error => error instanceof ParserError &&
+      /operator/.test(error.code), string)
+})
+
+test("highlighting follows the text, not the order of the tokens", () => {
+  const categories = highlightExpression("sin²(θ₁)").spans.map(span => [span.category, span.index, span.endIndex])
+
+  assert.deepEqual(categories,
+    [["function", 0, 2], ["number", 3, 3], ["paren", 4, 4], ["unknown", 5, 6], ["paren", 7, 7]])
+})
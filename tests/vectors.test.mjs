@@ -0,0 +1,54 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+
+import {autocomplete, Expression, inferTypes, ParserError} from "../src/main.js"
+
+test("properties of typed arguments evaluate and compile", () => {
+  const func = Expression.from("(a: vec2) -> a.x + 2a.y")
+
+  assert.equal(func.evaluate()({x: 3, y: 4}), 11)
+  assert.equal(func.compile()()({x: 3, y: 4}), 11)
+  assert.equal(Expression.from("(v: vec3) -> v.z").evaluate()({x: 1, y: 2, z: 3}), 3)
+  assert.equal(Expression.from("(1 + 2i).im").evaluate(), 2)
+})
+
+test("properties of scope values and variables of given types", () => {
+  assert.equal(Expression.from("v.x * 2").evaluate({v: {x: 5, y: 1}}), 10)
+  assert.equal(Expression.from("v.z").evaluate({v: {x: 5, y: 1, z: 2}}), 2)
+
+  const expression = inferTypes(Expression.from("a.y - b.x"), {variableTypes: {a: "vec2", b: "vec2"}})
+
+  assert.equal(expression.rootNode.type.toString(), "real")
+  assert.equal(expression.compile("double", ["a", "b"])({x: 0, y: 5}, {x: 2, y: 0}), 3)
+})
+
+test("unknown properties are errors", () => {
+  assert.throws(() => Expression.from("(a: vec2) -> a.z").evaluate(),
+    error => error instanceof ParserError && error.code === "unknown-property" && /vec2 has no property z/.test(error.message))
+  assert.throws(() => inferTypes(Expression.from("x.y")), error => error.code === "unknown-property")
+})
+
+test("vec2 arithmetic", () => {
+  const func = Expression.from("(a: vec2, b: vec2) -> a + 2b - b/2")
+
+  assert.deepEqual({...func.evaluate()({x: 1, y: 2}, {x: 2, y: 4})}, {x: 4, y: 8})
+  assert.deepEqual({...func.compile()()({x: 1, y: 2}, {x: 2, y: 4})}, {x: 4, y: 8})
+  assert.deepEqual({...Expression.from("-vec2(1, 2) * 3").evaluate()}, {x: -3, y: -6})
+  assert.equal(Expression.from("(vec2(1, 2) + vec2(3, 4)).y").compile()(), 6)
+  assert.equal(Expression.from("dot(vec2(1, 2), vec2(3, 4)) + abs(vec2(3, 4))").evaluate(), 16)
+  assert.equal(Expression.from("vec2(1, 2) == vec2(1, 2)").evaluate(), true)
+})
+
+test("vectors are only supported in double mode", () => {
+  assert.throws(() => Expression.from("vec2(1, 2).x").evaluate({}, "interval"), /does not support compilation mode interval/)
+})
+
+test("autocomplete offers the properties of the type of an expression", () => {
+  const labels = (string, variableTypes) =>
+    autocomplete(string, string.length, {variableTypes}).map(completion => completion.label)
+
+  assert.deepEqual(labels("(a+a).", {a: "vec2"}), ["x", "y"])
+  assert.deepEqual(labels("(2a - a/3).", {a: "vec2"}), ["x", "y"])
+  assert.deepEqual(labels("(z*z).", {z: "complex"}), ["im", "re"])
+  assert.deepEqual(labels("vec2(1, 2).", {}), ["x", "y"])
+})